@@ -95,8 +95,34 @@ const queryOne = async (sql, params = []) => {
   return results.length > 0 ? results[0] : null;
 };
 
+/**
+ * Run statements on one pooled connection inside a transaction: committed when work resolves,
+ * rolled back when it throws.
+ * @param {function} work - Called with run(sql, params), which returns the results like query()
+ * @returns {Promise<*>} What work returns
+ */
+const withTransaction = async (work) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const run = async (sql, params = []) => {
+      const [results] = await connection.execute(sql, params);
+      return results;
+    };
+    const result = await work(run);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
 module.exports = {
   pool,
   query,
-  queryOne
+  queryOne,
+  withTransaction
 };
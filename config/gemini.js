@@ -1,15 +1,26 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const dotenv = require('dotenv');
 dotenv.config();
-//const apiKey = process.env.GEMINI_API_KEY;
-const apiKey = process.env.GEMINI_API_KEY ;
-if (!apiKey) {
-  throw new Error('Missing Gemini API key. Please check your .env file.');
-}
 
-console.log('🔑 Gemini API initialized' + (process.env.GEMINI_API_KEY ? ' (using env variable)' : ' (using hardcoded key - consider using env variable)'));
+let genAI = null;
 
-const genAI = new GoogleGenerativeAI(apiKey);
-
-module.exports = genAI;
+/**
+ * Get the shared Gemini client. The API key is only required once Gemini is actually used,
+ * so the API can run with another LLM provider (or the mock provider) without a key.
+ * @returns {GoogleGenerativeAI}
+ */
+const getGeminiClient = () => {
+  if (!genAI) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new Error('Missing Gemini API key. Please check your .env file.');
+    }
+    genAI = new GoogleGenerativeAI(apiKey);
+    console.log('🔑 Gemini API initialized (using env variable)');
+  }
+  return genAI;
+};
 
+module.exports = {
+  getGeminiClient
+};
@@ -0,0 +1,57 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Default model for each provider when LLM_MODEL is not set
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash-lite',
+  openai: 'gpt-4o-mini',
+  mock: 'mock-1'
+};
+
+// Default embedding model for each embedding provider when EMBEDDING_MODEL is not set
+const DEFAULT_EMBEDDING_MODELS = {
+  local: 'local-hash-384',
+  gemini: 'text-embedding-004',
+  openai: 'text-embedding-3-small'
+};
+
+const provider = (process.env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+// Embeddings come from the LLM provider's own embedding model unless EMBEDDING_PROVIDER says otherwise.
+// The mock LLM provider (tests) pairs with the offline "local" provider, which matches wording, not meaning.
+const DEFAULT_EMBEDDING_PROVIDERS = {
+  gemini: 'gemini',
+  openai: 'openai',
+  mock: 'local'
+};
+const embeddingProvider = (process.env.EMBEDDING_PROVIDER || DEFAULT_EMBEDDING_PROVIDERS[provider] || 'gemini').trim().toLowerCase();
+
+// Comma separated list, e.g. "gemini-2.5-flash,gemini-2.0-flash"
+const parseModelList = (value) => (value || '')
+  .split(',')
+  .map(model => model.trim())
+  .filter(Boolean);
+
+const llmConfig = {
+  provider,
+  // Models are tried in order until one returns a usable response
+  models: [
+    process.env.LLM_MODEL || DEFAULT_MODELS[provider] || DEFAULT_MODELS.gemini,
+    ...parseModelList(process.env.LLM_FALLBACK_MODELS)
+  ],
+  requestTimeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 120000,
+  openai: {
+    // Any OpenAI-compatible endpoint, e.g. http://localhost:11434/v1 for Ollama
+    baseUrl: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    apiKey: process.env.OPENAI_API_KEY || null,
+    // Some compatible servers reject response_format; set OPENAI_JSON_MODE=false for those
+    jsonMode: process.env.OPENAI_JSON_MODE !== 'false'
+  },
+  // Resume embeddings for semantic search. gemini and openai (including Ollama, e.g. EMBEDDING_MODEL=nomic-embed-text)
+  // reuse the settings above; "local" needs no API key or network but is only meant for tests and development
+  embeddings: {
+    provider: embeddingProvider,
+    model: process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODELS[embeddingProvider] || DEFAULT_EMBEDDING_MODELS.gemini
+  }
+};
+
+module.exports = llmConfig;
@@ -3,6 +3,10 @@ const { queryOne } = require('../config/database');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
 
+// Scope and lifetime of the tokens accepted in the query string of an ingestion job's event stream
+const STREAM_TOKEN_SCOPE = 'ingestion_events';
+const STREAM_TOKEN_TTL_SECONDS = 5 * 60;
+
 // Middleware to authenticate user
 const authenticate = async (req, res, next) => {
   try {
@@ -17,7 +21,7 @@ const authenticate = async (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
 
-    // Verify JWT token
+    // Verify JWT token; scoped stream tokens are only valid on their event stream
     let decoded;
     try {
       decoded = jwt.verify(token, JWT_SECRET);
@@ -27,6 +31,12 @@ const authenticate = async (req, res, next) => {
         error: 'Invalid or expired token'
       });
     }
+    if (decoded.scope) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
 
     // Get user from database
     const userData = await queryOne(
@@ -113,8 +123,66 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Issue a short-lived token that only opens the event stream of one ingestion job.
+ * EventSource cannot send an Authorization header, so the stream takes it as ?access_token=
+ * instead of the long-lived login token, which would otherwise end up in logs and browser history.
+ * @param {string} userId - User the stream is opened for
+ * @param {string} jobId - Ingestion job ID
+ * @returns {{ token: string, expiresIn: number }} expiresIn in seconds
+ */
+const createStreamToken = (userId, jobId) => ({
+  token: jwt.sign({ id: userId, scope: STREAM_TOKEN_SCOPE, job_id: jobId }, JWT_SECRET, { expiresIn: STREAM_TOKEN_TTL_SECONDS }),
+  expiresIn: STREAM_TOKEN_TTL_SECONDS
+});
+
+// Middleware for Server-Sent Event routes of an ingestion job (:batchId). Accepts the usual Authorization
+// header, or a stream token from createStreamToken for this job as ?access_token=
+const authenticateStream = async (req, res, next) => {
+  if (req.headers.authorization) {
+    return authenticate(req, res, next);
+  }
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(req.query.access_token || ''), JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+    if (!decoded || decoded.scope !== STREAM_TOKEN_SCOPE || decoded.job_id !== req.params.batchId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired stream token'
+      });
+    }
+
+    const userData = await queryOne(
+      'SELECT id, email, role, full_name FROM users WHERE id = ?',
+      [decoded.id]
+    );
+    if (!userData) {
+      return res.status(404).json({
+        success: false,
+        error: 'User profile not found'
+      });
+    }
+
+    req.user = userData;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Authentication failed',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   authenticate,
+  authenticateStream,
+  createStreamToken,
   authorize,
   requireWriteAccess,
   requireAdmin
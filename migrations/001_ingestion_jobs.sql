@@ -0,0 +1,44 @@
+-- Ingestion jobs for queued bulk resume uploads, and the per-file progress of each job
+-- Run against existing databases created before these tables were added to mysql_schema.sql
+-- (later migrations add columns to them, so run this one first)
+USE ats_system;
+
+CREATE TABLE IF NOT EXISTS ingestion_jobs (
+  id VARCHAR(36) PRIMARY KEY,
+  job_description_id BIGINT NOT NULL,
+  created_by VARCHAR(36) NULL,
+  status ENUM('queued', 'processing', 'completed') NOT NULL DEFAULT 'queued',
+  total_files INT NOT NULL DEFAULT 0,
+  processed_files INT NOT NULL DEFAULT 0,
+  failed_files INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL,
+  completed_at TIMESTAMP NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_job_description_id (job_description_id),
+  INDEX idx_status (status),
+  INDEX idx_created_at (created_at DESC)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS ingestion_job_files (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  job_id VARCHAR(36) NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  file_path VARCHAR(500) NOT NULL,
+  mimetype VARCHAR(100),
+  file_size BIGINT,
+  status ENUM('queued', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+  stage VARCHAR(50) DEFAULT 'queued',
+  resume_id BIGINT NULL,
+  evaluation_id BIGINT NULL,
+  result JSON,
+  error_msg TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL,
+  completed_at TIMESTAMP NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_job_id (job_id),
+  INDEX idx_status (status),
+  FOREIGN KEY (job_id) REFERENCES ingestion_jobs(id) ON DELETE CASCADE,
+  FOREIGN KEY (resume_id) REFERENCES resumes(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
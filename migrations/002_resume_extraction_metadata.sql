@@ -0,0 +1,7 @@
+-- Record how the text of each resume was extracted (document text layer or OCR)
+-- Run against existing databases created before this column was added to mysql_schema.sql
+USE ats_system;
+
+ALTER TABLE resumes
+  ADD COLUMN extraction_method VARCHAR(20) NULL AFTER raw_text,
+  ADD COLUMN extraction_confidence DECIMAL(5,2) NULL AFTER extraction_method;
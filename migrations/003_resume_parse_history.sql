@@ -0,0 +1,15 @@
+-- Parsed snapshots replaced by a re-parse (POST /api/resumes/:id/reparse and /api/resumes/reparse)
+-- Run against existing databases created before this table was added to mysql_schema.sql
+USE ats_system;
+
+CREATE TABLE IF NOT EXISTS resume_parse_history (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  resume_id BIGINT NOT NULL,
+  snapshot JSON NOT NULL,
+  changes JSON,
+  reparsed_by VARCHAR(36) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_resume_id (resume_id),
+  INDEX idx_created_at (created_at DESC),
+  FOREIGN KEY (resume_id) REFERENCES resumes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,7 @@
+-- Record which engine produced each evaluation (LLM or the offline heuristic matcher) and which model
+-- Run against existing databases created before these columns were added to mysql_schema.sql
+USE ats_system;
+
+ALTER TABLE candidate_evaluations
+  ADD COLUMN match_engine VARCHAR(20) NOT NULL DEFAULT 'llm' AFTER rejection_reason,
+  ADD COLUMN match_model VARCHAR(150) NULL AFTER match_engine;
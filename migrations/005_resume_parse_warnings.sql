@@ -0,0 +1,6 @@
+-- Store schema validation warnings from the LLM parse so HR can spot low-quality parses
+-- Run against existing databases created before this column was added to mysql_schema.sql
+USE ats_system;
+
+ALTER TABLE resumes
+  ADD COLUMN parse_warnings JSON NULL AFTER extraction_confidence;
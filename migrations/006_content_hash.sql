@@ -0,0 +1,17 @@
+-- Content hash of uploaded files so identical uploads reuse the already parsed resume
+-- Run against existing databases created before these columns were added to mysql_schema.sql
+USE ats_system;
+
+ALTER TABLE resumes
+  ADD COLUMN content_hash CHAR(64) NULL AFTER parse_warnings,
+  ADD INDEX idx_content_hash (content_hash);
+
+ALTER TABLE file_uploads
+  ADD COLUMN content_hash CHAR(64) NULL AFTER api_response,
+  ADD INDEX idx_content_hash (content_hash);
+
+ALTER TABLE ingestion_jobs
+  ADD COLUMN evaluate_reused BOOLEAN NOT NULL DEFAULT TRUE AFTER failed_files;
+
+ALTER TABLE ingestion_job_files
+  ADD COLUMN content_hash CHAR(64) NULL AFTER file_size;
@@ -0,0 +1,20 @@
+-- Manual merges and unmerges of duplicate clusters, with the snapshot used to revert them
+-- (POST /api/resumes/merge, /api/resumes/:id/unmerge and /api/resumes/merges/:logId/revert)
+-- Run against existing databases created before this table was added to mysql_schema.sql
+USE ats_system;
+
+CREATE TABLE IF NOT EXISTS resume_merge_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  action ENUM('merge', 'unmerge') NOT NULL,
+  primary_id BIGINT NOT NULL, -- Cluster root the resumes were merged into or detached from
+  resume_ids JSON NOT NULL,
+  field_choices JSON, -- { field: resume_id } values copied onto the primary resume
+  snapshot JSON NOT NULL, -- Previous parent_id links, primary field values and evaluation owners
+  performed_by VARCHAR(36) NULL,
+  reverted_at TIMESTAMP NULL,
+  reverted_by VARCHAR(36) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_primary_id (primary_id),
+  INDEX idx_created_at (created_at DESC),
+  FOREIGN KEY (primary_id) REFERENCES resumes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
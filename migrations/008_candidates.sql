@@ -0,0 +1,30 @@
+-- Candidates own the identity shared by a person's resumes and evaluations
+-- Run against existing databases created before this table and these columns were added to mysql_schema.sql,
+-- then attach existing resumes with POST /api/candidates/backfill
+USE ats_system;
+
+CREATE TABLE IF NOT EXISTS candidates (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255),
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  location VARCHAR(255),
+  emails JSON,
+  phones JSON,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_name (name),
+  INDEX idx_email (email),
+  INDEX idx_phone (phone),
+  INDEX idx_updated_at (updated_at DESC)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE resumes
+  ADD COLUMN candidate_id BIGINT NULL AFTER parent_id,
+  ADD INDEX idx_candidate_id (candidate_id),
+  ADD FOREIGN KEY (candidate_id) REFERENCES candidates(id) ON DELETE SET NULL;
+
+ALTER TABLE candidate_evaluations
+  ADD COLUMN candidate_id BIGINT NULL AFTER job_description_id,
+  ADD INDEX idx_candidate_id (candidate_id),
+  ADD FOREIGN KEY (candidate_id) REFERENCES candidates(id) ON DELETE SET NULL;
@@ -0,0 +1,84 @@
+-- Skills taxonomy: canonical skill names, aliases, categories and parent skills
+-- Run against existing databases created before these tables and columns were added to mysql_schema.sql,
+-- then normalize stored skills with POST /api/skills/backfill
+USE ats_system;
+
+ALTER TABLE resumes
+  ADD COLUMN raw_skills JSON NULL AFTER skills;
+
+ALTER TABLE job_descriptions
+  ADD COLUMN skills JSON NULL AFTER requirements;
+
+CREATE TABLE IF NOT EXISTS skills (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  category VARCHAR(100),
+  parent_id BIGINT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_name (name),
+  INDEX idx_category (category),
+  INDEX idx_parent_id (parent_id),
+  FOREIGN KEY (parent_id) REFERENCES skills(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS skill_aliases (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  skill_id BIGINT NOT NULL,
+  alias VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_alias (alias),
+  INDEX idx_skill_id (skill_id),
+  FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Starter skills taxonomy (edit through /api/skills)
+INSERT IGNORE INTO skills (name, category) VALUES
+  ('JavaScript', 'Programming Language'), ('TypeScript', 'Programming Language'), ('Python', 'Programming Language'),
+  ('Java', 'Programming Language'), ('Kotlin', 'Programming Language'), ('C#', 'Programming Language'),
+  ('C++', 'Programming Language'), ('Go', 'Programming Language'), ('Rust', 'Programming Language'),
+  ('Ruby', 'Programming Language'), ('PHP', 'Programming Language'), ('Swift', 'Programming Language'),
+  ('SQL', 'Programming Language'), ('HTML', 'Web'), ('CSS', 'Web'),
+  ('Node.js', 'Framework'), ('React', 'Framework'), ('Angular', 'Framework'), ('Vue', 'Framework'),
+  ('Spring', 'Framework'), ('.NET', 'Framework'), ('Rails', 'Framework'), ('Laravel', 'Framework'),
+  ('MySQL', 'Database'), ('PostgreSQL', 'Database'), ('MongoDB', 'Database'), ('Redis', 'Database'),
+  ('Elasticsearch', 'Database'), ('Kafka', 'Tool'), ('Docker', 'DevOps'), ('Kubernetes', 'DevOps'),
+  ('Terraform', 'DevOps'), ('Linux', 'DevOps'), ('Git', 'Tool'), ('AWS', 'Cloud'), ('Azure', 'Cloud'),
+  ('GCP', 'Cloud'), ('GraphQL', 'Web'), ('REST', 'Web'), ('Machine Learning', 'Data'),
+  ('TensorFlow', 'Data'), ('PyTorch', 'Data'), ('Pandas', 'Data'), ('Excel', 'Tool'), ('Salesforce', 'Tool'),
+  ('SAP', 'Tool'), ('Jira', 'Tool'), ('Agile', 'Methodology'), ('Scrum', 'Methodology'),
+  ('Project Management', 'Soft Skill'), ('Communication', 'Soft Skill'), ('Leadership', 'Soft Skill');
+
+INSERT IGNORE INTO skill_aliases (skill_id, alias)
+SELECT s.id, a.alias
+FROM skills s
+JOIN (
+  SELECT 'JavaScript' AS skill, 'JS' AS alias UNION ALL SELECT 'JavaScript', 'ECMAScript'
+  UNION ALL SELECT 'JavaScript', 'ES6' UNION ALL SELECT 'TypeScript', 'TS'
+  UNION ALL SELECT 'Node.js', 'Node' UNION ALL SELECT 'Node.js', 'NodeJS' UNION ALL SELECT 'Node.js', 'Node JS'
+  UNION ALL SELECT 'React', 'ReactJS' UNION ALL SELECT 'React', 'React.js' UNION ALL SELECT 'React', 'React JS'
+  UNION ALL SELECT 'Angular', 'Angular 2+' UNION ALL SELECT 'Vue', 'Vue.js' UNION ALL SELECT 'Vue', 'VueJS'
+  UNION ALL SELECT 'Go', 'Golang' UNION ALL SELECT 'C#', 'C Sharp' UNION ALL SELECT 'C++', 'CPP'
+  UNION ALL SELECT '.NET', 'dotnet' UNION ALL SELECT '.NET', '.NET Core' UNION ALL SELECT 'Spring', 'Spring Boot'
+  UNION ALL SELECT 'Rails', 'Ruby on Rails' UNION ALL SELECT 'PostgreSQL', 'Postgres'
+  UNION ALL SELECT 'MongoDB', 'Mongo' UNION ALL SELECT 'Elasticsearch', 'Elastic Search'
+  UNION ALL SELECT 'Kubernetes', 'K8s' UNION ALL SELECT 'AWS', 'Amazon Web Services'
+  UNION ALL SELECT 'Azure', 'Microsoft Azure' UNION ALL SELECT 'GCP', 'Google Cloud'
+  UNION ALL SELECT 'GCP', 'Google Cloud Platform' UNION ALL SELECT 'Machine Learning', 'ML'
+  UNION ALL SELECT 'HTML', 'HTML5' UNION ALL SELECT 'CSS', 'CSS3' UNION ALL SELECT 'REST', 'RESTful'
+  UNION ALL SELECT 'REST', 'REST API' UNION ALL SELECT 'REST', 'REST APIs' UNION ALL SELECT 'Excel', 'MS Excel'
+  UNION ALL SELECT 'Excel', 'Microsoft Excel' UNION ALL SELECT 'Agile', 'Agile Methodology'
+) a ON a.skill = s.name;
+
+UPDATE skills child
+JOIN (
+  SELECT 'TypeScript' AS child, 'JavaScript' AS parent UNION ALL SELECT 'Node.js', 'JavaScript'
+  UNION ALL SELECT 'React', 'JavaScript' UNION ALL SELECT 'Angular', 'TypeScript' UNION ALL SELECT 'Vue', 'JavaScript'
+  UNION ALL SELECT 'Spring', 'Java' UNION ALL SELECT 'Rails', 'Ruby' UNION ALL SELECT 'Laravel', 'PHP'
+  UNION ALL SELECT '.NET', 'C#' UNION ALL SELECT 'MySQL', 'SQL' UNION ALL SELECT 'PostgreSQL', 'SQL'
+  UNION ALL SELECT 'Pandas', 'Python' UNION ALL SELECT 'TensorFlow', 'Machine Learning'
+  UNION ALL SELECT 'PyTorch', 'Machine Learning' UNION ALL SELECT 'Scrum', 'Agile'
+) link ON link.child = child.name
+JOIN skills parent ON parent.name = link.parent
+SET child.parent_id = parent.id
+WHERE child.parent_id IS NULL;
@@ -0,0 +1,6 @@
+-- Full-text index on the extracted resume text for boolean search (GET /api/resumes/search?text=)
+-- Run against existing databases created before this index was added to mysql_schema.sql
+USE ats_system;
+
+ALTER TABLE resumes
+  ADD FULLTEXT INDEX ft_raw_text (raw_text);
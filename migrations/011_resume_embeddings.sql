@@ -0,0 +1,17 @@
+-- Resume embeddings for semantic search (POST /api/resumes/semantic-search)
+-- Run against existing databases created before this table was added to mysql_schema.sql,
+-- then embed stored resumes with POST /api/resumes/embeddings/backfill
+USE ats_system;
+
+CREATE TABLE IF NOT EXISTS resume_embeddings (
+  resume_id BIGINT PRIMARY KEY,
+  provider VARCHAR(20) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  dimensions INT NOT NULL,
+  text_hash CHAR(64) NOT NULL,
+  embedding JSON NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_provider_model (provider, model),
+  FOREIGN KEY (resume_id) REFERENCES resumes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,10 @@
+-- Normalized contact details: profile URLs and flags for invalid or missing contact data
+-- Run against existing databases created before these columns were added to mysql_schema.sql,
+-- then normalize stored phones and emails with POST /api/resumes/contacts/backfill
+USE ats_system;
+
+ALTER TABLE resumes
+  ADD COLUMN linkedin_url VARCHAR(500) NULL AFTER content_hash,
+  ADD COLUMN github_url VARCHAR(500) NULL AFTER linkedin_url,
+  ADD COLUMN portfolio_url VARCHAR(500) NULL AFTER github_url,
+  ADD COLUMN contact_flags JSON NULL AFTER portfolio_url;
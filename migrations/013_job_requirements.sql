@@ -0,0 +1,13 @@
+-- Structured job requirements: must-have and preferred skills, experience range, degree, location and job type
+-- Run against existing databases created before these columns were added to mysql_schema.sql
+USE ats_system;
+
+ALTER TABLE job_descriptions
+  ADD COLUMN must_have_skills JSON NULL AFTER skills,
+  ADD COLUMN preferred_skills JSON NULL AFTER must_have_skills,
+  ADD COLUMN min_experience_years DECIMAL(4,1) NULL AFTER preferred_skills,
+  ADD COLUMN max_experience_years DECIMAL(4,1) NULL AFTER min_experience_years,
+  ADD COLUMN required_degree_level TINYINT NULL AFTER max_experience_years,
+  ADD COLUMN location VARCHAR(255) NULL AFTER required_degree_level,
+  ADD COLUMN remote_policy VARCHAR(20) NULL AFTER location,
+  ADD COLUMN employment_type VARCHAR(20) NULL AFTER remote_policy;
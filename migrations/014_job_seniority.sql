@@ -0,0 +1,6 @@
+-- Seniority of a job, proposed by requirement extraction alongside the other structured requirements
+-- Run against existing databases created before this column was added to mysql_schema.sql
+USE ats_system;
+
+ALTER TABLE job_descriptions
+  ADD COLUMN seniority VARCHAR(20) NULL AFTER required_degree_level;
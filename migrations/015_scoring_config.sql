@@ -0,0 +1,15 @@
+-- Configurable scoring: per-job weights and status thresholds, and app_settings for the organization default
+-- Run against existing databases created before these were added to mysql_schema.sql
+USE ats_system;
+
+ALTER TABLE job_descriptions
+  ADD COLUMN scoring_weights JSON NULL AFTER employment_type,
+  ADD COLUMN accept_threshold DECIMAL(5,2) NULL AFTER scoring_weights,
+  ADD COLUMN pending_threshold DECIMAL(5,2) NULL AFTER accept_threshold;
+
+CREATE TABLE IF NOT EXISTS app_settings (
+  setting_key VARCHAR(100) PRIMARY KEY,
+  value JSON NOT NULL,
+  updated_by VARCHAR(36) NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
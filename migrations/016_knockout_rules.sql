@@ -0,0 +1,9 @@
+-- Knockout rules: per-job hard requirements checked before scoring, and the rules each rejected evaluation failed
+-- Run against existing databases created before these columns were added to mysql_schema.sql
+USE ats_system;
+
+ALTER TABLE job_descriptions
+  ADD COLUMN knockout_rules JSON NULL AFTER pending_threshold;
+
+ALTER TABLE candidate_evaluations
+  ADD COLUMN knockout_failures JSON NULL AFTER match_model;
@@ -0,0 +1,9 @@
+-- Queued upload bytes stored with the ingestion file so any server instance can process it,
+-- and a claim counter used to requeue files whose worker stopped mid-way
+-- Run against existing databases created before these columns were added to mysql_schema.sql
+USE ats_system;
+
+ALTER TABLE ingestion_job_files
+  ADD COLUMN file_content MEDIUMBLOB NULL AFTER file_path,
+  ADD COLUMN attempts INT NOT NULL DEFAULT 0 AFTER stage,
+  ADD INDEX idx_status_started_at (status, started_at);
@@ -0,0 +1,8 @@
+-- Highest degree level of each resume, stored so search can filter and count degrees in SQL
+-- Run against existing databases created before this column was added to mysql_schema.sql,
+-- then fill it for stored resumes with POST /api/resumes/degree-levels/backfill
+USE ats_system;
+
+ALTER TABLE resumes
+  ADD COLUMN degree_level TINYINT NULL AFTER total_experience,
+  ADD INDEX idx_degree_level (degree_level);
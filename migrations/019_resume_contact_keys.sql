@@ -0,0 +1,23 @@
+-- Canonical email and phone of each resume, stored and indexed so the duplicate check on upload
+-- looks them up instead of computing them over every row
+-- Run against existing databases created before these columns were added to mysql_schema.sql
+USE ats_system;
+
+ALTER TABLE resumes
+  ADD COLUMN email_key VARCHAR(255) NULL AFTER phone,
+  ADD COLUMN phone_key VARCHAR(10) NULL AFTER email_key,
+  ADD INDEX idx_email_key (email_key),
+  ADD INDEX idx_phone_key (phone_key);
+
+-- Same normalization as normalizeEmail() and normalizePhone() in utils/duplicateChecker.js
+UPDATE resumes
+SET email_key = CASE
+      WHEN email IS NULL OR LOCATE('@', email) = 0 OR SUBSTRING_INDEX(SUBSTRING_INDEX(LOWER(TRIM(email)), '@', 1), '+', 1) = '' THEN NULL
+      WHEN SUBSTRING_INDEX(LOWER(TRIM(email)), '@', -1) IN ('gmail.com', 'googlemail.com')
+        THEN CONCAT(REPLACE(SUBSTRING_INDEX(SUBSTRING_INDEX(LOWER(TRIM(email)), '@', 1), '+', 1), '.', ''), '@gmail.com')
+      ELSE CONCAT(SUBSTRING_INDEX(SUBSTRING_INDEX(LOWER(TRIM(email)), '@', 1), '+', 1), '@', SUBSTRING_INDEX(LOWER(TRIM(email)), '@', -1))
+    END,
+    phone_key = CASE
+      WHEN LENGTH(REGEXP_REPLACE(COALESCE(phone, ''), '[^0-9]', '')) < 7 THEN NULL
+      ELSE RIGHT(REGEXP_REPLACE(phone, '[^0-9]', ''), 10)
+    END;
@@ -1,5 +1,6 @@
 -- MySQL Database Schema for ATS System
 -- Run this script to create the database and all tables
+-- Requires MySQL 8.0.17+ (JSON_OVERLAPS in the merge history)
 
 CREATE DATABASE IF NOT EXISTS ats_system CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
 USE ats_system;
@@ -17,6 +18,23 @@ CREATE TABLE IF NOT EXISTS users (
   INDEX idx_role (role)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Create candidates table: one person, owning the identity shared by their resumes and evaluations
+CREATE TABLE IF NOT EXISTS candidates (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255),
+  email VARCHAR(255), -- Primary email
+  phone VARCHAR(50), -- Primary phone
+  location VARCHAR(255),
+  emails JSON, -- Every known email address
+  phones JSON, -- Every known phone number
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_name (name),
+  INDEX idx_email (email),
+  INDEX idx_phone (phone),
+  INDEX idx_updated_at (updated_at DESC)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Create resumes table
 CREATE TABLE IF NOT EXISTS resumes (
   id BIGINT AUTO_INCREMENT PRIMARY KEY,
@@ -25,24 +43,44 @@ CREATE TABLE IF NOT EXISTS resumes (
   name VARCHAR(255),
   email VARCHAR(255),
   phone VARCHAR(50),
+  email_key VARCHAR(255), -- Canonical email (normalizeEmail), indexed for the duplicate check
+  phone_key VARCHAR(10), -- Last 10 digits of the phone (normalizePhone), indexed for the duplicate check
   location VARCHAR(255),
-  skills JSON,
+  skills JSON, -- Canonical skill names (skills taxonomy)
+  raw_skills JSON, -- Skills as the parser emitted them
   experience JSON,
   education JSON,
   summary TEXT,
   certifications JSON,
   raw_text TEXT,
+  extraction_method VARCHAR(20),
+  extraction_confidence DECIMAL(5,2),
+  parse_warnings JSON, -- Schema validation fixes applied to the LLM parse (empty array when clean)
+  content_hash CHAR(64), -- SHA-256 of the uploaded file, identical uploads reuse this resume
+  linkedin_url VARCHAR(500),
+  github_url VARCHAR(500),
+  portfolio_url VARCHAR(500),
+  contact_flags JSON, -- Invalid or missing contact details found at ingest (empty array when clean)
   total_experience DECIMAL(5,2),
+  degree_level TINYINT NULL, -- Highest degree in education: 1 diploma, 2 bachelor, 3 master, 4 doctorate
   parent_id BIGINT NULL,
+  candidate_id BIGINT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   INDEX idx_name (name),
   INDEX idx_email (email),
+  INDEX idx_email_key (email_key),
+  INDEX idx_phone_key (phone_key),
   INDEX idx_location (location),
   INDEX idx_created_at (created_at DESC),
   INDEX idx_parent_id (parent_id),
   INDEX idx_total_experience (total_experience),
-  FOREIGN KEY (parent_id) REFERENCES resumes(id) ON DELETE SET NULL
+  INDEX idx_degree_level (degree_level),
+  INDEX idx_content_hash (content_hash),
+  INDEX idx_candidate_id (candidate_id),
+  FULLTEXT INDEX ft_raw_text (raw_text),
+  FOREIGN KEY (parent_id) REFERENCES resumes(id) ON DELETE SET NULL,
+  FOREIGN KEY (candidate_id) REFERENCES candidates(id) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Create job_descriptions table
@@ -51,17 +89,40 @@ CREATE TABLE IF NOT EXISTS job_descriptions (
   title VARCHAR(255) NOT NULL,
   description TEXT NOT NULL,
   requirements TEXT,
+  skills JSON, -- Canonical skills mentioned in the title, description and requirements
+  must_have_skills JSON, -- Structured requirements set by the hiring manager (canonical skill names)
+  preferred_skills JSON,
+  min_experience_years DECIMAL(4,1) NULL,
+  max_experience_years DECIMAL(4,1) NULL,
+  required_degree_level TINYINT NULL, -- 1 diploma/associate, 2 bachelor's, 3 master's, 4 doctorate
+  seniority VARCHAR(20) NULL, -- intern, junior, mid, senior, lead, principal or executive
+  location VARCHAR(255) NULL,
+  remote_policy VARCHAR(20) NULL, -- onsite, hybrid or remote
+  employment_type VARCHAR(20) NULL, -- full_time, part_time, contract, internship or temporary
+  scoring_weights JSON NULL, -- { skills, experience, education } in percent; NULL uses the organization default
+  accept_threshold DECIMAL(5,2) NULL, -- overall_match needed for "accepted"; NULL uses the organization default
+  pending_threshold DECIMAL(5,2) NULL, -- overall_match needed for "pending"; NULL uses the organization default
+  knockout_rules JSON NULL, -- Hard requirements checked before scoring; failing one rejects the resume unscored
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   INDEX idx_title (title),
   INDEX idx_created_at (created_at DESC)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Create app_settings table for organization-wide settings (e.g. the default scoring weights and thresholds)
+CREATE TABLE IF NOT EXISTS app_settings (
+  setting_key VARCHAR(100) PRIMARY KEY,
+  value JSON NOT NULL,
+  updated_by VARCHAR(36) NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Create candidate_evaluations table
 CREATE TABLE IF NOT EXISTS candidate_evaluations (
   id BIGINT AUTO_INCREMENT PRIMARY KEY,
   resume_id BIGINT NOT NULL,
   job_description_id BIGINT NOT NULL,
+  candidate_id BIGINT NULL, -- Candidate of the resume, kept in sync on merges
   candidate_name VARCHAR(255),
   contact_number VARCHAR(50),
   email VARCHAR(255),
@@ -76,16 +137,21 @@ CREATE TABLE IF NOT EXISTS candidate_evaluations (
   education_details TEXT,
   status VARCHAR(50) DEFAULT 'pending',
   rejection_reason TEXT,
+  match_engine VARCHAR(20) NOT NULL DEFAULT 'llm', -- 'llm', 'heuristic' or 'knockout'
+  match_model VARCHAR(150), -- provider/model for LLM evaluations
+  knockout_failures JSON NULL, -- Knockout rules the resume failed ({ type, reason, expected, actual, message })
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   UNIQUE KEY unique_resume_job (resume_id, job_description_id),
   INDEX idx_resume_id (resume_id),
   INDEX idx_job_description_id (job_description_id),
+  INDEX idx_candidate_id (candidate_id),
   INDEX idx_overall_match (overall_match DESC),
   INDEX idx_status (status),
   INDEX idx_created_at (created_at DESC),
   FOREIGN KEY (resume_id) REFERENCES resumes(id) ON DELETE CASCADE,
-  FOREIGN KEY (job_description_id) REFERENCES job_descriptions(id) ON DELETE CASCADE
+  FOREIGN KEY (job_description_id) REFERENCES job_descriptions(id) ON DELETE CASCADE,
+  FOREIGN KEY (candidate_id) REFERENCES candidates(id) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Create file_uploads table for storing Talygen API upload responses
@@ -103,12 +169,181 @@ CREATE TABLE IF NOT EXISTS file_uploads (
   upload_status INT,
   error_msg TEXT,
   api_response JSON,
+  content_hash CHAR(64),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   INDEX idx_resume_id (resume_id),
   INDEX idx_original_file_name (original_file_name),
+  INDEX idx_content_hash (content_hash),
   INDEX idx_created_at (created_at DESC),
   INDEX idx_upload_status (upload_status),
   FOREIGN KEY (resume_id) REFERENCES resumes(id) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+
+-- Create ingestion_jobs table for queued bulk resume uploads
+CREATE TABLE IF NOT EXISTS ingestion_jobs (
+  id VARCHAR(36) PRIMARY KEY,
+  job_description_id BIGINT NOT NULL,
+  created_by VARCHAR(36) NULL,
+  status ENUM('queued', 'processing', 'completed') NOT NULL DEFAULT 'queued',
+  total_files INT NOT NULL DEFAULT 0,
+  processed_files INT NOT NULL DEFAULT 0,
+  failed_files INT NOT NULL DEFAULT 0,
+  evaluate_reused BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL,
+  completed_at TIMESTAMP NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_job_description_id (job_description_id),
+  INDEX idx_status (status),
+  INDEX idx_created_at (created_at DESC)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create ingestion_job_files table for per-file progress of an ingestion job
+CREATE TABLE IF NOT EXISTS ingestion_job_files (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  job_id VARCHAR(36) NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  file_path VARCHAR(500) NOT NULL,
+  file_content MEDIUMBLOB NULL,
+  mimetype VARCHAR(100),
+  file_size BIGINT,
+  content_hash CHAR(64),
+  status ENUM('queued', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+  stage VARCHAR(50) DEFAULT 'queued',
+  attempts INT NOT NULL DEFAULT 0,
+  resume_id BIGINT NULL,
+  evaluation_id BIGINT NULL,
+  result JSON,
+  error_msg TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL,
+  completed_at TIMESTAMP NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_job_id (job_id),
+  INDEX idx_status (status),
+  INDEX idx_status_started_at (status, started_at),
+  FOREIGN KEY (job_id) REFERENCES ingestion_jobs(id) ON DELETE CASCADE,
+  FOREIGN KEY (resume_id) REFERENCES resumes(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create resume_parse_history table for parsed snapshots replaced by a re-parse
+CREATE TABLE IF NOT EXISTS resume_parse_history (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  resume_id BIGINT NOT NULL,
+  snapshot JSON NOT NULL,
+  changes JSON,
+  reparsed_by VARCHAR(36) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_resume_id (resume_id),
+  INDEX idx_created_at (created_at DESC),
+  FOREIGN KEY (resume_id) REFERENCES resumes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create resume_merge_log table for manual merges/unmerges of duplicate clusters (snapshot allows reverting)
+CREATE TABLE IF NOT EXISTS resume_merge_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  action ENUM('merge', 'unmerge') NOT NULL,
+  primary_id BIGINT NOT NULL, -- Cluster root the resumes were merged into or detached from
+  resume_ids JSON NOT NULL,
+  field_choices JSON, -- { field: resume_id } values copied onto the primary resume
+  snapshot JSON NOT NULL, -- Previous parent_id links, primary field values and evaluation owners
+  performed_by VARCHAR(36) NULL,
+  reverted_at TIMESTAMP NULL,
+  reverted_by VARCHAR(36) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_primary_id (primary_id),
+  INDEX idx_created_at (created_at DESC),
+  FOREIGN KEY (primary_id) REFERENCES resumes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create resume_embeddings table: one vector per resume for semantic search
+CREATE TABLE IF NOT EXISTS resume_embeddings (
+  resume_id BIGINT PRIMARY KEY,
+  provider VARCHAR(20) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  dimensions INT NOT NULL,
+  text_hash CHAR(64) NOT NULL, -- SHA-256 of the embedded text, unchanged text is not embedded again
+  embedding JSON NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_provider_model (provider, model),
+  FOREIGN KEY (resume_id) REFERENCES resumes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create skills table: canonical skill names of the skills taxonomy
+CREATE TABLE IF NOT EXISTS skills (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL, -- Canonical name stored on resumes and job descriptions
+  category VARCHAR(100),
+  parent_id BIGINT NULL, -- Broader skill this one implies (React -> JavaScript)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_name (name),
+  INDEX idx_category (category),
+  INDEX idx_parent_id (parent_id),
+  FOREIGN KEY (parent_id) REFERENCES skills(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create skill_aliases table: other spellings mapped to a canonical skill
+CREATE TABLE IF NOT EXISTS skill_aliases (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  skill_id BIGINT NOT NULL,
+  alias VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_alias (alias),
+  INDEX idx_skill_id (skill_id),
+  FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Starter skills taxonomy (edit through /api/skills)
+INSERT IGNORE INTO skills (name, category) VALUES
+  ('JavaScript', 'Programming Language'), ('TypeScript', 'Programming Language'), ('Python', 'Programming Language'),
+  ('Java', 'Programming Language'), ('Kotlin', 'Programming Language'), ('C#', 'Programming Language'),
+  ('C++', 'Programming Language'), ('Go', 'Programming Language'), ('Rust', 'Programming Language'),
+  ('Ruby', 'Programming Language'), ('PHP', 'Programming Language'), ('Swift', 'Programming Language'),
+  ('SQL', 'Programming Language'), ('HTML', 'Web'), ('CSS', 'Web'),
+  ('Node.js', 'Framework'), ('React', 'Framework'), ('Angular', 'Framework'), ('Vue', 'Framework'),
+  ('Spring', 'Framework'), ('.NET', 'Framework'), ('Rails', 'Framework'), ('Laravel', 'Framework'),
+  ('MySQL', 'Database'), ('PostgreSQL', 'Database'), ('MongoDB', 'Database'), ('Redis', 'Database'),
+  ('Elasticsearch', 'Database'), ('Kafka', 'Tool'), ('Docker', 'DevOps'), ('Kubernetes', 'DevOps'),
+  ('Terraform', 'DevOps'), ('Linux', 'DevOps'), ('Git', 'Tool'), ('AWS', 'Cloud'), ('Azure', 'Cloud'),
+  ('GCP', 'Cloud'), ('GraphQL', 'Web'), ('REST', 'Web'), ('Machine Learning', 'Data'),
+  ('TensorFlow', 'Data'), ('PyTorch', 'Data'), ('Pandas', 'Data'), ('Excel', 'Tool'), ('Salesforce', 'Tool'),
+  ('SAP', 'Tool'), ('Jira', 'Tool'), ('Agile', 'Methodology'), ('Scrum', 'Methodology'),
+  ('Project Management', 'Soft Skill'), ('Communication', 'Soft Skill'), ('Leadership', 'Soft Skill');
+
+INSERT IGNORE INTO skill_aliases (skill_id, alias)
+SELECT s.id, a.alias
+FROM skills s
+JOIN (
+  SELECT 'JavaScript' AS skill, 'JS' AS alias UNION ALL SELECT 'JavaScript', 'ECMAScript'
+  UNION ALL SELECT 'JavaScript', 'ES6' UNION ALL SELECT 'TypeScript', 'TS'
+  UNION ALL SELECT 'Node.js', 'Node' UNION ALL SELECT 'Node.js', 'NodeJS' UNION ALL SELECT 'Node.js', 'Node JS'
+  UNION ALL SELECT 'React', 'ReactJS' UNION ALL SELECT 'React', 'React.js' UNION ALL SELECT 'React', 'React JS'
+  UNION ALL SELECT 'Angular', 'Angular 2+' UNION ALL SELECT 'Vue', 'Vue.js' UNION ALL SELECT 'Vue', 'VueJS'
+  UNION ALL SELECT 'Go', 'Golang' UNION ALL SELECT 'C#', 'C Sharp' UNION ALL SELECT 'C++', 'CPP'
+  UNION ALL SELECT '.NET', 'dotnet' UNION ALL SELECT '.NET', '.NET Core' UNION ALL SELECT 'Spring', 'Spring Boot'
+  UNION ALL SELECT 'Rails', 'Ruby on Rails' UNION ALL SELECT 'PostgreSQL', 'Postgres'
+  UNION ALL SELECT 'MongoDB', 'Mongo' UNION ALL SELECT 'Elasticsearch', 'Elastic Search'
+  UNION ALL SELECT 'Kubernetes', 'K8s' UNION ALL SELECT 'AWS', 'Amazon Web Services'
+  UNION ALL SELECT 'Azure', 'Microsoft Azure' UNION ALL SELECT 'GCP', 'Google Cloud'
+  UNION ALL SELECT 'GCP', 'Google Cloud Platform' UNION ALL SELECT 'Machine Learning', 'ML'
+  UNION ALL SELECT 'HTML', 'HTML5' UNION ALL SELECT 'CSS', 'CSS3' UNION ALL SELECT 'REST', 'RESTful'
+  UNION ALL SELECT 'REST', 'REST API' UNION ALL SELECT 'REST', 'REST APIs' UNION ALL SELECT 'Excel', 'MS Excel'
+  UNION ALL SELECT 'Excel', 'Microsoft Excel' UNION ALL SELECT 'Agile', 'Agile Methodology'
+) a ON a.skill = s.name;
+
+UPDATE skills child
+JOIN (
+  SELECT 'TypeScript' AS child, 'JavaScript' AS parent UNION ALL SELECT 'Node.js', 'JavaScript'
+  UNION ALL SELECT 'React', 'JavaScript' UNION ALL SELECT 'Angular', 'TypeScript' UNION ALL SELECT 'Vue', 'JavaScript'
+  UNION ALL SELECT 'Spring', 'Java' UNION ALL SELECT 'Rails', 'Ruby' UNION ALL SELECT 'Laravel', 'PHP'
+  UNION ALL SELECT '.NET', 'C#' UNION ALL SELECT 'MySQL', 'SQL' UNION ALL SELECT 'PostgreSQL', 'SQL'
+  UNION ALL SELECT 'Pandas', 'Python' UNION ALL SELECT 'TensorFlow', 'Machine Learning'
+  UNION ALL SELECT 'PyTorch', 'Machine Learning' UNION ALL SELECT 'Scrum', 'Agile'
+) link ON link.child = child.name
+JOIN skills parent ON parent.name = link.parent
+SET child.parent_id = parent.id
+WHERE child.parent_id IS NULL;
@@ -20,6 +20,9 @@ const uploadRoutes = require('../../routes/upload');
 const resumeRoutes = require('../../routes/resumes');
 const jobDescriptionRoutes = require('../../routes/jobDescriptions');
 const evaluationRoutes = require('../../routes/evaluations');
+const candidateRoutes = require('../../routes/candidates');
+const skillRoutes = require('../../routes/skills');
+const settingsRoutes = require('../../routes/settings');
 const authRoutes = require('../../routes/auth');
 
 // Routes
@@ -28,6 +31,9 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/resumes', resumeRoutes);
 app.use('/api/job-descriptions', jobDescriptionRoutes);
 app.use('/api/evaluations', evaluationRoutes);
+app.use('/api/candidates', candidateRoutes);
+app.use('/api/skills', skillRoutes);
+app.use('/api/settings', settingsRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
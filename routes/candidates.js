@@ -0,0 +1,200 @@
+const express = require('express');
+const { query, queryOne } = require('../config/database');
+const { authenticate, requireWriteAccess, requireAdmin } = require('../middleware/auth');
+const { uniqueContacts, backfillCandidates } = require('../utils/candidateService');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+const { safeParseJSON } = require('../utils/json');
+
+const router = express.Router();
+
+// Identity fields HR can edit on a candidate
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'location'];
+
+// GET /api/candidates list definition
+const CANDIDATE_LIST = {
+  from: 'candidates c',
+  columns: {
+    ...Object.fromEntries(
+      ['id', 'name', 'email', 'phone', 'location', 'emails', 'phones', 'created_at', 'updated_at'].map(column => [column, `c.${column}`])
+    ),
+    resume_count: '(SELECT COUNT(*) FROM resumes r WHERE r.candidate_id = c.id)',
+    evaluation_count: '(SELECT COUNT(*) FROM candidate_evaluations ce WHERE ce.candidate_id = c.id)',
+    latest_resume_id: '(SELECT MAX(r.id) FROM resumes r WHERE r.candidate_id = c.id)'
+  },
+  json: { emails: [], phones: [] },
+  sortable: ['updated_at', 'created_at', 'name', 'id'],
+  defaultSort: '-updated_at'
+};
+
+const parseCandidate = (candidate) => ({
+  ...candidate,
+  emails: safeParseJSON(candidate.emails, []),
+  phones: safeParseJSON(candidate.phones, [])
+});
+
+// Get all candidates (all authenticated users can view)
+// Paginated: ?limit=&offset= or ?cursor=, ?sort=name, ?fields=id,name,email
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, CANDIDATE_LIST);
+    const { search } = req.query;
+
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      conditions.push('(c.name LIKE ? OR c.email LIKE ? OR c.phone LIKE ? OR JSON_SEARCH(c.emails, \'one\', ?) IS NOT NULL)');
+      const term = `%${search}%`;
+      params.push(term, term, term, term);
+    }
+
+    const result = await runListQuery(list, CANDIDATE_LIST, { conditions, params });
+
+    res.json({
+      success: true,
+      count: result.data.length,
+      total: result.total,
+      pagination: result.pagination,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error fetching candidates:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to fetch candidates',
+      message: error.message
+    });
+  }
+});
+
+// Attach resumes stored before candidates existed, in batches (Admin only)
+// Body: { limit }; call again until remaining is 0
+router.post('/backfill', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await backfillCandidates({ limit: req.body.limit });
+
+    res.json({
+      success: true,
+      message: result.remaining > 0
+        ? `Batch processed, ${result.remaining} resume(s) still without a candidate`
+        : 'All resumes are attached to a candidate',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error backfilling candidates:', error);
+    res.status(500).json({
+      error: 'Failed to backfill candidates',
+      message: error.message
+    });
+  }
+});
+
+// Get a candidate with their resumes and evaluations across jobs (all authenticated users can view)
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const candidate = await queryOne('SELECT * FROM candidates WHERE id = ?', [id]);
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    const resumes = await query(
+      `SELECT id, file_name, name, email, phone, location, total_experience, parent_id, created_at
+       FROM resumes
+       WHERE candidate_id = ?
+       ORDER BY created_at DESC, id DESC`,
+      [id]
+    );
+
+    const evaluations = await query(
+      `SELECT ce.id, ce.resume_id, ce.job_description_id, jd.title as job_title,
+              ce.overall_match, ce.skills_match, ce.experience_match, ce.education_match,
+              ce.status, ce.match_engine, ce.created_at, ce.updated_at
+       FROM candidate_evaluations ce
+       LEFT JOIN job_descriptions jd ON ce.job_description_id = jd.id
+       WHERE ce.candidate_id = ?
+       ORDER BY ce.created_at DESC`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...parseCandidate(candidate),
+        resumes,
+        evaluations
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching candidate:', error);
+    res.status(500).json({
+      error: 'Failed to fetch candidate',
+      message: error.message
+    });
+  }
+});
+
+// Update a candidate's identity and contacts (only HR and Admin can update)
+// Body: any of name, email, phone, location, plus emails/phones to replace the known contact lists.
+// A new primary email or phone is added to the known contacts.
+router.patch('/:id', authenticate, requireWriteAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const candidate = await queryOne('SELECT * FROM candidates WHERE id = ?', [id]);
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    for (const field of ['emails', 'phones']) {
+      if (req.body[field] !== undefined && !Array.isArray(req.body[field])) {
+        return res.status(400).json({ error: `${field} must be an array` });
+      }
+    }
+
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        const value = req.body[field] === null ? null : String(req.body[field]).trim() || null;
+        updates[field] = field === 'email' && value ? value.toLowerCase() : value;
+      }
+    }
+    if (Object.keys(updates).length === 0 && req.body.emails === undefined && req.body.phones === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+    if (updates.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(updates.email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
+    const primaryEmail = updates.email !== undefined ? updates.email : candidate.email;
+    const primaryPhone = updates.phone !== undefined ? updates.phone : candidate.phone;
+    const contacts = uniqueContacts(
+      [primaryEmail, ...(req.body.emails || safeParseJSON(candidate.emails, []))],
+      [primaryPhone, ...(req.body.phones || safeParseJSON(candidate.phones, []))]
+    );
+    updates.emails = JSON.stringify(contacts.emails);
+    updates.phones = JSON.stringify(contacts.phones);
+
+    const fields = Object.keys(updates);
+    await query(
+      `UPDATE candidates SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => updates[field]), id]
+    );
+
+    const updated = await queryOne('SELECT * FROM candidates WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Candidate updated successfully',
+      data: parseCandidate(updated)
+    });
+  } catch (error) {
+    console.error('Error updating candidate:', error);
+    res.status(500).json({
+      error: 'Failed to update candidate',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
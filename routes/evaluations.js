@@ -1,93 +1,178 @@
 const express = require('express');
 const { query, queryOne } = require('../config/database');
 const { authenticate, requireWriteAccess } = require('../middleware/auth');
+const { evaluateStoredResume } = require('../utils/evaluationService');
+const { MATCH_ENGINES } = require('../utils/resumeMatcher');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+const { safeParseJSON } = require('../utils/json');
+const { placeholders } = require('../utils/sql');
 
 const router = express.Router();
 
-// Helper function to safely parse JSON fields
-const safeParseJSON = (value, defaultValue = null) => {
-  if (value === null || value === undefined) {
-    return defaultValue;
-  }
-  if (typeof value === 'string') {
-    try {
-      return JSON.parse(value);
-    } catch (e) {
-      console.error('Error parsing JSON:', e, 'Value:', value);
-      return defaultValue;
-    }
-  }
-  // Already an object/array
-  return value;
+// Maximum number of job descriptions one resume can be scored against per request (each one is an LLM call)
+const MAX_JOBS_PER_EVALUATION = 20;
+
+const EVALUATION_COLUMNS = [
+  'id', 'resume_id', 'job_description_id', 'candidate_id', 'candidate_name', 'contact_number', 'email',
+  'resume_text', 'overall_match', 'skills_match', 'skills_details', 'experience_match', 'experience_details',
+  'education_match', 'education_details', 'status', 'rejection_reason', 'match_engine', 'match_model',
+  'knockout_failures', 'created_at', 'updated_at'
+];
+
+// GET /api/evaluations list definition; resume_text is only sent when asked for with ?fields=
+const EVALUATION_LIST = {
+  from: `candidate_evaluations ce
+    LEFT JOIN resumes r ON ce.resume_id = r.id
+    LEFT JOIN job_descriptions jd ON ce.job_description_id = jd.id`,
+  columns: {
+    ...Object.fromEntries(EVALUATION_COLUMNS.map(column => [column, `ce.${column}`])),
+    resume: `JSON_OBJECT('id', r.id, 'name', r.name, 'email', r.email, 'phone', r.phone, 'file_name', r.file_name)`,
+    job_description: `JSON_OBJECT('id', jd.id, 'title', jd.title, 'description', jd.description)`
+  },
+  exclude: ['resume_text'],
+  json: { resume: null, job_description: null, knockout_failures: null },
+  sortable: ['created_at', 'updated_at', 'overall_match', 'skills_match', 'experience_match', 'education_match', 'status', 'id'],
+  defaultSort: '-created_at'
 };
 
 // Get all evaluations (all authenticated users can view)
+// Paginated: ?limit=&offset= or ?cursor=, ?sort=-overall_match, ?fields=id,candidate_name,overall_match
 router.get('/', authenticate, async (req, res) => {
   try {
-    const { job_description_id, resume_id, status } = req.query;
+    const list = parseListQuery(req.query, EVALUATION_LIST);
+    const { job_description_id, resume_id, candidate_id, status } = req.query;
 
-    let sql = `
-      SELECT 
-        ce.*,
-        JSON_OBJECT(
-          'id', r.id,
-          'name', r.name,
-          'email', r.email,
-          'phone', r.phone,
-          'file_name', r.file_name
-        ) as resume,
-        JSON_OBJECT(
-          'id', jd.id,
-          'title', jd.title,
-          'description', jd.description
-        ) as job_description
-      FROM candidate_evaluations ce
-      LEFT JOIN resumes r ON ce.resume_id = r.id
-      LEFT JOIN job_descriptions jd ON ce.job_description_id = jd.id
-      WHERE 1=1
-    `;
+    const conditions = [];
     const params = [];
 
     if (job_description_id) {
-      sql += ' AND ce.job_description_id = ?';
+      conditions.push('ce.job_description_id = ?');
       params.push(job_description_id);
     }
 
     if (resume_id) {
-      sql += ' AND ce.resume_id = ?';
+      conditions.push('ce.resume_id = ?');
       params.push(resume_id);
     }
 
+    if (candidate_id) {
+      conditions.push('ce.candidate_id = ?');
+      params.push(candidate_id);
+    }
+
     if (status) {
-      sql += ' AND ce.status = ?';
+      conditions.push('ce.status = ?');
       params.push(status);
     }
 
-    sql += ' ORDER BY ce.created_at DESC';
-
-    const evaluations = await query(sql, params);
-
-    // Parse JSON fields safely
-    const parsedEvaluations = evaluations.map(eval => ({
-      ...eval,
-      resume: safeParseJSON(eval.resume, null),
-      job_description: safeParseJSON(eval.job_description, null)
-    }));
+    const result = await runListQuery(list, EVALUATION_LIST, { conditions, params });
 
     res.json({
       success: true,
-      count: parsedEvaluations.length,
-      data: parsedEvaluations
+      count: result.data.length,
+      total: result.total,
+      pagination: result.pagination,
+      data: result.data
     });
   } catch (error) {
     console.error('Error fetching evaluations:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to fetch evaluations',
       message: error.message
     });
   }
 });
 
+// Score an existing resume against one or more job descriptions (only HR and Admin can evaluate)
+// Body: { resume_id, job_description_id } or { resume_id, job_description_ids: [..] }, optional engine: auto | llm | heuristic
+// Uses the stored raw_text and parsed fields; existing evaluations for the same resume and job are updated
+router.post('/', authenticate, requireWriteAccess, async (req, res) => {
+  try {
+    const { resume_id, job_description_id, job_description_ids, engine } = req.body;
+
+    if (!resume_id) {
+      return res.status(400).json({ error: 'Resume ID is required' });
+    }
+
+    if (engine && !MATCH_ENGINES.includes(engine)) {
+      return res.status(400).json({ error: `Invalid engine. Must be one of: ${MATCH_ENGINES.join(', ')}` });
+    }
+
+    const jobIds = Array.isArray(job_description_ids) && job_description_ids.length > 0
+      ? [...new Set(job_description_ids.map(id => parseInt(id)))]
+      : (job_description_id ? [parseInt(job_description_id)] : []);
+
+    if (jobIds.length === 0 || jobIds.some(id => isNaN(id))) {
+      return res.status(400).json({
+        error: 'A valid job_description_id or job_description_ids array is required'
+      });
+    }
+
+    if (jobIds.length > MAX_JOBS_PER_EVALUATION) {
+      return res.status(400).json({
+        error: `Too many job descriptions. Maximum ${MAX_JOBS_PER_EVALUATION} per request.`
+      });
+    }
+
+    const resume = await queryOne('SELECT * FROM resumes WHERE id = ?', [resume_id]);
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    if (!resume.raw_text || !resume.raw_text.trim()) {
+      return res.status(422).json({ error: 'Resume has no stored raw text to evaluate' });
+    }
+
+    const jobs = await query(
+      `SELECT * FROM job_descriptions WHERE id IN (${placeholders(jobIds)})`,
+      jobIds
+    );
+    const missingIds = jobIds.filter(id => !jobs.some(job => job.id === id));
+    if (missingIds.length > 0) {
+      return res.status(404).json({
+        error: 'Job description not found',
+        missing_job_description_ids: missingIds
+      });
+    }
+
+    const results = [];
+    for (const jobId of jobIds) {
+      const jobData = jobs.find(job => job.id === jobId);
+      try {
+        const { evaluation, created } = await evaluateStoredResume(resume, jobData, { engine });
+        results.push({
+          job_description_id: jobId,
+          success: true,
+          created,
+          data: { ...evaluation, knockout_failures: safeParseJSON(evaluation.knockout_failures, null) }
+        });
+      } catch (error) {
+        console.error(`❌ Failed to evaluate resume ${resume.id} for job ${jobId}:`, error.message);
+        results.push({
+          job_description_id: jobId,
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    const processed = results.filter(result => result.success).length;
+
+    res.status(processed > 0 ? 200 : 500).json({
+      success: processed > 0,
+      processed,
+      failed: results.length - processed,
+      results
+    });
+  } catch (error) {
+    console.error('Error creating evaluations:', error);
+    res.status(500).json({
+      error: 'Failed to evaluate resume',
+      message: error.message
+    });
+  }
+});
+
 // Get evaluation by ID (all authenticated users can view)
 router.get('/:id', authenticate, async (req, res) => {
   try {
@@ -128,7 +213,8 @@ router.get('/:id', authenticate, async (req, res) => {
     const parsedEvaluation = {
       ...evaluation,
       resume: safeParseJSON(evaluation.resume, null),
-      job_description: safeParseJSON(evaluation.job_description, null)
+      job_description: safeParseJSON(evaluation.job_description, null),
+      knockout_failures: safeParseJSON(evaluation.knockout_failures, null)
     };
 
     // Parse nested JSON in resume
@@ -250,90 +336,39 @@ router.get('/job/:job_description_id', authenticate, async (req, res) => {
     // Parse JSON fields safely
     const parsedEvaluations = evaluations.map(eval => ({
       ...eval,
-      resume: safeParseJSON(eval.resume, null)
+      resume: safeParseJSON(eval.resume, null),
+      knockout_failures: safeParseJSON(eval.knockout_failures, null)
     }));
 
-    // Detect and mark duplicates
-    // Group by email (if available) or by name
-    const duplicateGroups = new Map();
-    const seenKeys = new Set();
-
-    // First pass: group evaluations by email/name
-    for (const eval of parsedEvaluations) {
-      // Create a unique key for grouping duplicates
-      // Use email if available, otherwise use name
-      const email = eval.email?.toLowerCase().trim() || eval.resume?.email?.toLowerCase().trim();
-      const name = eval.candidate_name?.toLowerCase().trim() || eval.resume?.name?.toLowerCase().trim();
-      
-      let groupKey = null;
-      if (email) {
-        groupKey = `email:${email}`;
-      } else if (name) {
-        groupKey = `name:${name}`;
-      }
-
-      if (groupKey) {
-        if (!duplicateGroups.has(groupKey)) {
-          duplicateGroups.set(groupKey, []);
-        }
-        duplicateGroups.get(groupKey).push(eval);
+    // Group evaluations of the same candidate and keep the first one (in sort order) per candidate.
+    // Evaluations not attached to a candidate yet (stored before the candidate backfill) fall back to email/name.
+    const groupKeyOf = (eval) => {
+      if (eval.candidate_id) {
+        return `candidate:${eval.candidate_id}`;
       }
-    }
-
-    // Second pass: process evaluations in original order, mark duplicates
-    const processedEvaluations = [];
-    const processedIds = new Set();
-    
-    for (const eval of parsedEvaluations) {
       const email = eval.email?.toLowerCase().trim() || eval.resume?.email?.toLowerCase().trim();
       const name = eval.candidate_name?.toLowerCase().trim() || eval.resume?.name?.toLowerCase().trim();
-      
-      let groupKey = null;
       if (email) {
-        groupKey = `email:${email}`;
-      } else if (name) {
-        groupKey = `name:${name}`;
+        return `email:${email}`;
       }
+      return name ? `name:${name}` : `evaluation:${eval.id}`;
+    };
 
-      if (groupKey) {
-        const group = duplicateGroups.get(groupKey);
-        if (group && group.length > 1) {
-          // Check if this is the first occurrence in the group (maintains sort order)
-          const firstInGroup = group[0];
-          if (firstInGroup.id === eval.id && !processedIds.has(eval.id)) {
-            // First occurrence - mark as duplicate
-            processedEvaluations.push({
-              ...eval,
-              isDuplicate: true,
-              duplicateCount: group.length - 1
-            });
-            processedIds.add(eval.id);
-          }
-          // Skip other occurrences (duplicates) - they're already handled
-        } else {
-          // Only one in group - not a duplicate
-          if (!processedIds.has(eval.id)) {
-            processedEvaluations.push({
-              ...eval,
-              isDuplicate: false,
-              duplicateCount: 0
-            });
-            processedIds.add(eval.id);
-          }
-        }
-      } else {
-        // No email or name, treat as unique
-        if (!processedIds.has(eval.id)) {
-          processedEvaluations.push({
-            ...eval,
-            isDuplicate: false,
-            duplicateCount: 0
-          });
-          processedIds.add(eval.id);
-        }
+    const groups = new Map();
+    for (const eval of parsedEvaluations) {
+      const groupKey = groupKeyOf(eval);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
       }
+      groups.get(groupKey).push(eval);
     }
 
+    const processedEvaluations = [...groups.values()].map(group => ({
+      ...group[0],
+      isDuplicate: group.length > 1,
+      duplicateCount: group.length - 1
+    }));
+
     res.json({
       success: true,
       count: processedEvaluations.length,
@@ -1,24 +1,75 @@
 const express = require('express');
 const { query, queryOne } = require('../config/database');
 const { authenticate, requireWriteAccess } = require('../middleware/auth');
+const { findSkillsInText } = require('../utils/skillTaxonomy');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+const { REQUIREMENT_FIELDS, parseRequirementsInput, requirementsFromJob } = require('../utils/jobRequirements');
+const { extractJobRequirements } = require('../utils/jobRequirementsExtractor');
+const { parseScoringInput, resolveScoring } = require('../utils/scoringConfig');
+const { parseKnockoutRules } = require('../utils/knockoutRules');
+const { safeParseJSON } = require('../utils/json');
+const { placeholders } = require('../utils/sql');
 
 const router = express.Router();
 
+const parseJobDescription = (jobDescription) => ({
+  ...jobDescription,
+  skills: safeParseJSON(jobDescription.skills, []),
+  ...requirementsFromJob(jobDescription),
+  scoring_weights: safeParseJSON(jobDescription.scoring_weights, null),
+  accept_threshold: jobDescription.accept_threshold === null || jobDescription.accept_threshold === undefined
+    ? null
+    : parseFloat(jobDescription.accept_threshold),
+  pending_threshold: jobDescription.pending_threshold === null || jobDescription.pending_threshold === undefined
+    ? null
+    : parseFloat(jobDescription.pending_threshold),
+  knockout_rules: safeParseJSON(jobDescription.knockout_rules, []) || []
+});
+
+// GET /api/job-descriptions list definition
+const JOB_DESCRIPTION_LIST = {
+  from: 'job_descriptions',
+  columns: Object.fromEntries(
+    [
+      'id', 'title', 'description', 'requirements', 'skills', ...REQUIREMENT_FIELDS,
+      'scoring_weights', 'accept_threshold', 'pending_threshold', 'knockout_rules', 'created_at', 'updated_at'
+    ].map(column => [column, column])
+  ),
+  json: { skills: [], must_have_skills: [], preferred_skills: [], scoring_weights: null, knockout_rules: [] },
+  sortable: ['created_at', 'updated_at', 'title', 'id'],
+  defaultSort: '-created_at',
+  // Same conversions as GET /:id (DECIMAL columns come back from mysql2 as strings), limited to the requested fields
+  mapRow: (row) => {
+    const parsed = parseJobDescription(row);
+    return Object.fromEntries(Object.keys(row).map(field => [field, parsed[field]]));
+  }
+};
+
+// Validated knockout_rules when the body has them
+const parseKnockoutInput = async (body) => (
+  body.knockout_rules === undefined ? {} : { knockout_rules: await parseKnockoutRules(body.knockout_rules) }
+);
+
+// Structured requirement and scoring values as SQL column values
+const requirementColumnValue = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+
 // Get all job descriptions (all authenticated users can view)
+// Paginated: ?limit=&offset= or ?cursor=, ?sort=title, ?fields=id,title
 router.get('/', authenticate, async (req, res) => {
   try {
-    const jobDescriptions = await query(
-      'SELECT * FROM job_descriptions ORDER BY created_at DESC'
-    );
+    const list = parseListQuery(req.query, JOB_DESCRIPTION_LIST);
+    const result = await runListQuery(list, JOB_DESCRIPTION_LIST);
 
     res.json({
       success: true,
-      count: jobDescriptions.length,
-      data: jobDescriptions
+      count: result.data.length,
+      total: result.total,
+      pagination: result.pagination,
+      data: result.data
     });
   } catch (error) {
     console.error('Error fetching job descriptions:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to fetch job descriptions',
       message: error.message
     });
@@ -41,7 +92,11 @@ router.get('/:id', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      data: jobDescription
+      data: {
+        ...parseJobDescription(jobDescription),
+        // Weights and thresholds evaluations use: the job's own where set, the organization default otherwise
+        effective_scoring: await resolveScoring(jobDescription)
+      }
     });
   } catch (error) {
     console.error('Error fetching job description:', error);
@@ -52,7 +107,33 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+// Propose structured requirements from a pasted job description (only HR and Admin)
+// Body: { title, description, requirements }. Nothing is saved; review the proposal and send it with POST or PUT.
+router.post('/extract-requirements', authenticate, requireWriteAccess, async (req, res) => {
+  try {
+    const { title, description, requirements } = req.body;
+    const result = await extractJobRequirements({ title, description, requirements });
+
+    res.json({
+      success: true,
+      data: result.requirements,
+      warnings: result.warnings,
+      model: result.model
+    });
+  } catch (error) {
+    console.error('Error extracting job requirements:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to extract job requirements',
+      message: error.message
+    });
+  }
+});
+
 // Create new job description (only HR and Admin can create)
+// Optional structured requirements: must_have_skills, preferred_skills, min_experience_years,
+// max_experience_years, required_degree_level, seniority, location, remote_policy, employment_type.
+// Optional scoring: scoring_weights { skills, experience, education }, accept_threshold, pending_threshold.
+// Optional knockout_rules: hard requirements that reject a resume before scoring
 router.post('/', authenticate, requireWriteAccess, async (req, res) => {
   try {
     const { title, description, requirements } = req.body;
@@ -63,9 +144,25 @@ router.post('/', authenticate, requireWriteAccess, async (req, res) => {
       });
     }
 
+    const structured = {
+      ...(await parseRequirementsInput(req.body)),
+      ...(await parseScoringInput(req.body)),
+      ...(await parseKnockoutInput(req.body))
+    };
+
+    // Canonical skills mentioned anywhere in the job description
+    const skills = await findSkillsInText(`${title}\n${description}\n${requirements || ''}`);
+
+    const columns = ['title', 'description', 'requirements', 'skills', ...Object.keys(structured)];
     const result = await query(
-      'INSERT INTO job_descriptions (title, description, requirements) VALUES (?, ?, ?)',
-      [title.trim(), description.trim(), requirements ? requirements.trim() : null]
+      `INSERT INTO job_descriptions (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+      [
+        title.trim(),
+        description.trim(),
+        requirements ? requirements.trim() : null,
+        JSON.stringify(skills),
+        ...Object.values(structured).map(requirementColumnValue)
+      ]
     );
 
     const jobDescription = await queryOne(
@@ -76,11 +173,11 @@ router.post('/', authenticate, requireWriteAccess, async (req, res) => {
     res.json({
       success: true,
       message: 'Job description created successfully',
-      data: jobDescription
+      data: parseJobDescription(jobDescription)
     });
   } catch (error) {
     console.error('Error creating job description:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to create job description',
       message: error.message
     });
@@ -88,6 +185,7 @@ router.post('/', authenticate, requireWriteAccess, async (req, res) => {
 });
 
 // Update job description (only HR and Admin can update)
+// Structured requirements, scoring fields and knockout_rules left out of the body keep their current values; send null to clear one
 router.put('/:id', authenticate, requireWriteAccess, async (req, res) => {
   try {
     const { id } = req.params;
@@ -99,15 +197,34 @@ router.put('/:id', authenticate, requireWriteAccess, async (req, res) => {
       });
     }
 
-    const result = await query(
-      'UPDATE job_descriptions SET title = ?, description = ?, requirements = ? WHERE id = ?',
-      [title.trim(), description.trim(), requirements ? requirements.trim() : null, id]
-    );
-
-    if (result.affectedRows === 0) {
+    const existing = await queryOne('SELECT * FROM job_descriptions WHERE id = ?', [id]);
+    if (!existing) {
       return res.status(404).json({ error: 'Job description not found' });
     }
 
+    const structured = {
+      ...(await parseRequirementsInput(req.body, requirementsFromJob(existing))),
+      ...(await parseScoringInput(req.body, existing)),
+      ...(await parseKnockoutInput(req.body))
+    };
+
+    const skills = await findSkillsInText(`${title}\n${description}\n${requirements || ''}`);
+
+    const structuredFields = Object.keys(structured);
+    await query(
+      `UPDATE job_descriptions
+       SET title = ?, description = ?, requirements = ?, skills = ?${structuredFields.map(field => `, ${field} = ?`).join('')}
+       WHERE id = ?`,
+      [
+        title.trim(),
+        description.trim(),
+        requirements ? requirements.trim() : null,
+        JSON.stringify(skills),
+        ...structuredFields.map(field => requirementColumnValue(structured[field])),
+        id
+      ]
+    );
+
     const jobDescription = await queryOne(
       'SELECT * FROM job_descriptions WHERE id = ?',
       [id]
@@ -116,11 +233,11 @@ router.put('/:id', authenticate, requireWriteAccess, async (req, res) => {
     res.json({
       success: true,
       message: 'Job description updated successfully',
-      data: jobDescription
+      data: parseJobDescription(jobDescription)
     });
   } catch (error) {
     console.error('Error updating job description:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to update job description',
       message: error.message
     });
@@ -1,55 +1,103 @@
 const express = require('express');
 const axios = require('axios');
 const { query, queryOne } = require('../config/database');
-const { authenticate, requireWriteAccess } = require('../middleware/auth');
+const { authenticate, requireWriteAccess, requireAdmin } = require('../middleware/auth');
+const { reparseResume } = require('../utils/resumeReparser');
+const { findDuplicateCandidates, AUTO_LINK_THRESHOLD } = require('../utils/duplicateChecker');
+const { mergeResumes, unmergeResume, revertMerge, getCandidateCluster } = require('../utils/candidateMerge');
+const { getResumeVersions } = require('../utils/resumeVersions');
+const { canonicalizeSkills } = require('../utils/skillTaxonomy');
+const { parseSearchFilters, searchResumes, backfillDegreeLevels } = require('../utils/resumeSearch');
+const { semanticSearch, backfillResumeEmbeddings } = require('../utils/resumeEmbeddings');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+const { backfillContacts } = require('../utils/contactNormalizer');
+const { safeParseJSON } = require('../utils/json');
 
 const router = express.Router();
 
-// Helper function to safely parse JSON fields
-const safeParseJSON = (value, defaultValue = null) => {
-  if (value === null || value === undefined) {
-    return defaultValue;
-  }
-  if (typeof value === 'string') {
-    try {
-      return JSON.parse(value);
-    } catch (e) {
-      return defaultValue;
-    }
-  }
-  return value;
+// Maximum number of resumes re-parsed by one bulk request (each one is an LLM call)
+const MAX_REPARSE_BATCH = 100;
+
+const RESUME_COLUMNS = [
+  'id', 'file_name', 'file_path', 'name', 'email', 'phone', 'location',
+  'skills', 'raw_skills', 'experience', 'education', 'summary', 'certifications', 'raw_text',
+  'extraction_method', 'extraction_confidence', 'parse_warnings', 'content_hash',
+  'linkedin_url', 'github_url', 'portfolio_url', 'contact_flags',
+  'total_experience', 'parent_id', 'candidate_id', 'created_at', 'updated_at'
+];
+
+// GET /api/resumes list definition; raw_text is only sent when asked for with ?fields=
+const RESUME_LIST = {
+  from: 'resumes',
+  columns: Object.fromEntries(RESUME_COLUMNS.map(column => [column, column])),
+  exclude: ['raw_text'],
+  json: { skills: [], raw_skills: [], experience: [], education: [], certifications: [], parse_warnings: [], contact_flags: [] },
+  sortable: ['created_at', 'updated_at', 'name', 'total_experience', 'id'],
+  defaultSort: '-created_at'
 };
 
 // Get all resumes (all authenticated users can view)
+// ?has_parse_warnings=true lists only resumes whose parse needed schema fixes,
+// ?has_contact_issues=true those with invalid or missing contact details
+// Paginated: ?limit=&offset= or ?cursor=, ?sort=-created_at, ?fields=id,name,email (raw_text only on request)
 router.get('/', authenticate, async (req, res) => {
   try {
-    const resumes = await query(
-      'SELECT * FROM resumes ORDER BY created_at DESC'
-    );
+    const list = parseListQuery(req.query, RESUME_LIST);
+    const conditions = [];
+    if (req.query.has_parse_warnings === 'true') {
+      conditions.push('JSON_LENGTH(parse_warnings) > 0');
+    }
+    if (req.query.has_contact_issues === 'true') {
+      conditions.push('JSON_LENGTH(contact_flags) > 0');
+    }
 
-    // Parse JSON fields
-    const parsedResumes = resumes.map(resume => ({
-      ...resume,
-      skills: resume.skills ? JSON.parse(resume.skills) : [],
-      experience: resume.experience ? JSON.parse(resume.experience) : [],
-      education: resume.education ? JSON.parse(resume.education) : [],
-      certifications: resume.certifications ? JSON.parse(resume.certifications) : []
-    }));
+    const result = await runListQuery(list, RESUME_LIST, { conditions });
 
     res.json({
       success: true,
-      count: parsedResumes.length,
-      data: parsedResumes
+      count: result.data.length,
+      total: result.total,
+      pagination: result.pagination,
+      data: result.data
     });
   } catch (error) {
     console.error('Error fetching resumes:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to fetch resumes',
       message: error.message
     });
   }
 });
 
+// Structured search with facet counts (all authenticated users can view)
+// ?skills=Java,Spring&skills_mode=all|any&min_experience=5&max_experience=10&location=Bangalore
+// &degree=master&certifications=AWS&uploaded_from=2024-01-01&uploaded_to=2024-12-31&q=
+// &text=kubernetes AND (aws OR gcp) -intern (boolean full-text search over raw_text, adds snippets)
+// &limit=50&offset=0 or &cursor=, &sort=-relevance|-created_at, &fields= as in GET /api/resumes
+// Registered before /:id so "search" is not taken for a resume ID
+router.get('/search', authenticate, async (req, res) => {
+  try {
+    const filters = await parseSearchFilters(req.query);
+    const result = await searchResumes(filters, req.query);
+
+    res.json({
+      success: true,
+      count: result.data.length,
+      total: result.total,
+      pagination: result.pagination,
+      filters,
+      facets: result.facets,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error searching resumes:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to search resumes',
+      message: error.message
+    });
+  }
+});
+
 // Get resume by ID (all authenticated users can view)
 router.get('/:id', authenticate, async (req, res) => {
   try {
@@ -68,9 +116,12 @@ router.get('/:id', authenticate, async (req, res) => {
     const parsedResume = {
       ...resume,
       skills: safeParseJSON(resume.skills, []),
+      raw_skills: safeParseJSON(resume.raw_skills, []),
       experience: safeParseJSON(resume.experience, []),
       education: safeParseJSON(resume.education, []),
-      certifications: safeParseJSON(resume.certifications, [])
+      certifications: safeParseJSON(resume.certifications, []),
+      parse_warnings: safeParseJSON(resume.parse_warnings, []),
+      contact_flags: safeParseJSON(resume.contact_flags, [])
     };
 
     res.json({
@@ -91,21 +142,26 @@ router.get('/search/:query', authenticate, async (req, res) => {
   try {
     const { query: searchQuery } = req.params;
     const searchTerm = `%${searchQuery}%`;
+    // "JS" finds resumes listing the canonical skill "JavaScript"
+    const [skill] = await canonicalizeSkills([searchQuery]);
 
     const resumes = await query(
       `SELECT * FROM resumes 
-       WHERE name LIKE ? OR email LIKE ? OR location LIKE ?
+       WHERE name LIKE ? OR email LIKE ? OR location LIKE ? OR JSON_CONTAINS(skills, JSON_QUOTE(?))
        ORDER BY created_at DESC`,
-      [searchTerm, searchTerm, searchTerm]
+      [searchTerm, searchTerm, searchTerm, skill || searchQuery]
     );
 
     // Parse JSON fields
     const parsedResumes = resumes.map(resume => ({
       ...resume,
       skills: resume.skills ? JSON.parse(resume.skills) : [],
+      raw_skills: safeParseJSON(resume.raw_skills, []),
       experience: resume.experience ? JSON.parse(resume.experience) : [],
       education: resume.education ? JSON.parse(resume.education) : [],
-      certifications: resume.certifications ? JSON.parse(resume.certifications) : []
+      certifications: resume.certifications ? JSON.parse(resume.certifications) : [],
+      parse_warnings: safeParseJSON(resume.parse_warnings, []),
+      contact_flags: safeParseJSON(resume.contact_flags, [])
     }));
 
     res.json({
@@ -210,6 +266,360 @@ router.get('/:id/download', authenticate, async (req, res) => {
   }
 });
 
+// Re-parse a stored resume with the current parser (only HR and Admin can re-parse)
+router.post('/:id/reparse', authenticate, requireWriteAccess, async (req, res) => {
+  try {
+    const result = await reparseResume(req.params.id, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: Object.keys(result.changes).length > 0
+        ? 'Resume re-parsed successfully'
+        : 'Resume re-parsed successfully (no changes)',
+      data: result.resume,
+      changes: result.changes,
+      historyId: result.historyId
+    });
+  } catch (error) {
+    console.error('Error re-parsing resume:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to re-parse resume',
+      message: error.message
+    });
+  }
+});
+
+// Re-parse stored resumes in batches (Admin only)
+// Body: { resume_ids: [..] } for specific resumes, or { after_id, limit } to walk through all resumes by ID
+router.post('/reparse', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { resume_ids, after_id } = req.body;
+    const limit = Math.min(Math.max(parseInt(req.body.limit) || 20, 1), MAX_REPARSE_BATCH);
+
+    let resumeIds;
+    if (Array.isArray(resume_ids) && resume_ids.length > 0) {
+      if (resume_ids.length > MAX_REPARSE_BATCH) {
+        return res.status(400).json({
+          error: `Too many resumes. Maximum ${MAX_REPARSE_BATCH} resumes per request.`
+        });
+      }
+      resumeIds = resume_ids;
+    } else {
+      const rows = await query(
+        `SELECT id FROM resumes WHERE id > ? AND raw_text IS NOT NULL ORDER BY id ASC LIMIT ${limit}`,
+        [parseInt(after_id) || 0]
+      );
+      resumeIds = rows.map(row => row.id);
+    }
+
+    const results = [];
+    for (const resumeId of resumeIds) {
+      try {
+        const result = await reparseResume(resumeId, { userId: req.user.id });
+        results.push({
+          resume_id: result.resume.id,
+          success: true,
+          changes: result.changes,
+          historyId: result.historyId
+        });
+      } catch (error) {
+        console.error(`❌ Failed to re-parse resume ${resumeId}:`, error.message);
+        results.push({
+          resume_id: resumeId,
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    const processed = results.filter(result => result.success).length;
+    const usedCursor = !(Array.isArray(resume_ids) && resume_ids.length > 0);
+
+    res.json({
+      success: true,
+      processed,
+      failed: results.length - processed,
+      results,
+      // Pass as after_id to continue with the next batch; null when there is nothing left
+      next_after_id: usedCursor && resumeIds.length === limit ? resumeIds[resumeIds.length - 1] : null
+    });
+  } catch (error) {
+    console.error('Error re-parsing resumes:', error);
+    res.status(500).json({
+      error: 'Failed to re-parse resumes',
+      message: error.message
+    });
+  }
+});
+
+// Normalize contact details of resumes stored before contact normalization, in batches (Admin only)
+// Body: { after_id, limit }; continue with the returned next_after_id until it is null
+router.post('/contacts/backfill', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await backfillContacts({ afterId: req.body.after_id, limit: req.body.limit });
+
+    res.json({
+      success: true,
+      message: result.next_after_id ? 'Batch processed, continue with next_after_id' : 'All resumes processed',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error backfilling contacts:', error);
+    res.status(500).json({
+      error: 'Failed to backfill contacts',
+      message: error.message
+    });
+  }
+});
+
+// Fill the stored degree level of resumes saved before it existed, in batches (Admin only)
+// Body: { after_id, limit }; continue with the returned next_after_id until it is null
+router.post('/degree-levels/backfill', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await backfillDegreeLevels({ afterId: req.body.after_id, limit: req.body.limit });
+
+    res.json({
+      success: true,
+      message: result.next_after_id ? 'Batch processed, continue with next_after_id' : 'All resumes processed',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error backfilling degree levels:', error);
+    res.status(500).json({
+      error: 'Failed to backfill degree levels',
+      message: error.message
+    });
+  }
+});
+
+// Find resumes by meaning rather than keywords (all authenticated users can search)
+// Body: { query: "built payment systems at scale", limit: 20, min_similarity: 0.3 }
+router.post('/semantic-search', authenticate, async (req, res) => {
+  try {
+    const result = await semanticSearch(req.body.query, {
+      limit: req.body.limit,
+      minSimilarity: req.body.min_similarity
+    });
+
+    res.json({
+      success: true,
+      count: result.data.length,
+      provider: result.provider,
+      model: result.model,
+      // Resumes without an embedding from this model are not searched; run the backfill for them
+      unindexed: result.unindexed,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error in semantic search:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to search resumes',
+      message: error.message
+    });
+  }
+});
+
+// Embed resumes stored before embeddings existed or made with another model, in batches (Admin only)
+// Body: { after_id, limit }; continue with the returned next_after_id until it is null
+router.post('/embeddings/backfill', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await backfillResumeEmbeddings({ afterId: req.body.after_id, limit: req.body.limit });
+
+    res.json({
+      success: true,
+      message: result.next_after_id ? 'Batch processed, continue with next_after_id' : 'All resumes processed',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error backfilling embeddings:', error);
+    res.status(500).json({
+      error: 'Failed to backfill embeddings',
+      message: error.message
+    });
+  }
+});
+
+// Get the parsed snapshots replaced by previous re-parses (all authenticated users can view)
+router.get('/:id/parse-history', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const history = await query(
+      `SELECT id, resume_id, snapshot, changes, reparsed_by, created_at
+       FROM resume_parse_history
+       WHERE resume_id = ?
+       ORDER BY created_at DESC, id DESC`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      count: history.length,
+      data: history.map(entry => ({
+        ...entry,
+        snapshot: safeParseJSON(entry.snapshot, {}),
+        changes: safeParseJSON(entry.changes, {})
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching parse history:', error);
+    res.status(500).json({
+      error: 'Failed to fetch parse history',
+      message: error.message
+    });
+  }
+});
+
+// Get likely duplicates of a resume with a confidence and the reasons (all authenticated users can view)
+// linked: the match already belongs to the same parent_id group as this resume
+router.get('/:id/duplicates', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const resume = await queryOne('SELECT * FROM resumes WHERE id = ?', [id]);
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const rootId = resume.parent_id || resume.id;
+    const matches = await findDuplicateCandidates(resume, { excludeResumeIds: [resume.id] });
+
+    res.json({
+      success: true,
+      count: matches.length,
+      autoLinkThreshold: AUTO_LINK_THRESHOLD,
+      data: matches.map(match => ({
+        ...match,
+        linked: match.rootId === rootId || match.resumeId === rootId
+      }))
+    });
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({
+      error: 'Failed to find duplicates',
+      message: error.message
+    });
+  }
+});
+
+// Get every version of a candidate's resume in time order with what changed between versions
+// (all authenticated users can view)
+router.get('/:id/versions', authenticate, async (req, res) => {
+  try {
+    const result = await getResumeVersions(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    res.json({
+      success: true,
+      count: result.versions.length,
+      rootId: result.rootId,
+      data: result.versions
+    });
+  } catch (error) {
+    console.error('Error fetching resume versions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch resume versions',
+      message: error.message
+    });
+  }
+});
+
+// Get the full duplicate cluster of a resume with evaluations and merge log (all authenticated users can view)
+router.get('/:id/cluster', authenticate, async (req, res) => {
+  try {
+    const cluster = await getCandidateCluster(req.params.id);
+    if (!cluster) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    res.json({
+      success: true,
+      count: cluster.resumes.length,
+      data: cluster
+    });
+  } catch (error) {
+    console.error('Error fetching duplicate cluster:', error);
+    res.status(500).json({
+      error: 'Failed to fetch duplicate cluster',
+      message: error.message
+    });
+  }
+});
+
+// Merge resumes into one candidate (only HR and Admin can merge)
+// Body: { primary_id, resume_ids: [..], field_choices: { field: resume_id } }
+router.post('/merge', authenticate, requireWriteAccess, async (req, res) => {
+  try {
+    const { primary_id, resume_ids, field_choices } = req.body;
+
+    if (!Array.isArray(resume_ids)) {
+      return res.status(400).json({ error: 'resume_ids must be an array of resume IDs' });
+    }
+    if (field_choices !== undefined && (typeof field_choices !== 'object' || Array.isArray(field_choices))) {
+      return res.status(400).json({ error: 'field_choices must be an object of { field: resume_id }' });
+    }
+
+    const result = await mergeResumes({
+      primaryId: primary_id,
+      resumeIds: resume_ids,
+      fieldChoices: field_choices || {},
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Resumes merged successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error merging resumes:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to merge resumes',
+      message: error.message
+    });
+  }
+});
+
+// Detach a wrongly linked resume from its duplicate cluster (only HR and Admin can unmerge)
+router.post('/:id/unmerge', authenticate, requireWriteAccess, async (req, res) => {
+  try {
+    const result = await unmergeResume(req.params.id, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Resume unmerged successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error unmerging resume:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to unmerge resume',
+      message: error.message
+    });
+  }
+});
+
+// Revert a logged merge or unmerge (only HR and Admin can revert)
+router.post('/merges/:logId/revert', authenticate, requireWriteAccess, async (req, res) => {
+  try {
+    const result = await revertMerge(req.params.logId, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: `${result.action === 'merge' ? 'Merge' : 'Unmerge'} reverted successfully`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error reverting merge:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to revert merge',
+      message: error.message
+    });
+  }
+});
+
 // Delete resume (only HR and Admin can delete)
 router.delete('/:id', authenticate, requireWriteAccess, async (req, res) => {
   try {
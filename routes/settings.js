@@ -0,0 +1,44 @@
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { DEFAULT_SCORING, getDefaultScoring, setDefaultScoring } = require('../utils/scoringConfig');
+
+const router = express.Router();
+
+// Get the organization default scoring weights and thresholds (all authenticated users can view)
+router.get('/scoring', authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getDefaultScoring(),
+      built_in: DEFAULT_SCORING
+    });
+  } catch (error) {
+    console.error('Error fetching scoring settings:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scoring settings',
+      message: error.message
+    });
+  }
+});
+
+// Update the organization default (Admin only). Jobs without their own weights or thresholds use it.
+// Body: { weights: { skills, experience, education }, thresholds: { accept, pending } }, either part optional
+router.put('/scoring', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const scoring = await setDefaultScoring(req.body, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Scoring settings updated successfully',
+      data: scoring
+    });
+  } catch (error) {
+    console.error('Error updating scoring settings:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to update scoring settings',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const express = require('express');
+const { query, queryOne } = require('../config/database');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const {
+  normalizeSkillKey,
+  getSkillTaxonomy,
+  invalidateSkillTaxonomy,
+  backfillCanonicalSkills
+} = require('../utils/skillTaxonomy');
+const { safeParseJSON } = require('../utils/json');
+
+const router = express.Router();
+
+const SKILL_SELECT = `
+  SELECT
+    s.*,
+    p.name as parent_name,
+    (SELECT JSON_ARRAYAGG(a.alias) FROM skill_aliases a WHERE a.skill_id = s.id) as aliases
+  FROM skills s
+  LEFT JOIN skills p ON s.parent_id = p.id
+`;
+
+const parseSkill = (skill) => ({
+  ...skill,
+  aliases: safeParseJSON(skill.aliases, []) || []
+});
+
+/**
+ * Validate a skill create/update body against the current taxonomy
+ * @returns {Promise<object>} { error } or { name, category, parentId, aliases }
+ */
+async function validateSkillBody(body, skillId = null) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) {
+    return { error: 'Skill name is required' };
+  }
+  if (body.aliases !== undefined && !Array.isArray(body.aliases)) {
+    return { error: 'aliases must be an array of strings' };
+  }
+  const aliasesByKey = new Map();
+  for (const alias of body.aliases || []) {
+    const key = typeof alias === 'string' ? normalizeSkillKey(alias) : '';
+    if (key && key !== normalizeSkillKey(name) && !aliasesByKey.has(key)) {
+      aliasesByKey.set(key, alias.trim());
+    }
+  }
+  const aliases = [...aliasesByKey.values()];
+
+  // A name or alias may only point at one skill
+  invalidateSkillTaxonomy();
+  const taxonomy = await getSkillTaxonomy();
+  for (const term of [name, ...aliases]) {
+    const existing = taxonomy.lookup(term);
+    if (existing && existing.id !== skillId) {
+      return { error: `"${term}" is already used by the skill "${existing.name}"`, status: 409 };
+    }
+  }
+
+  let parentId = null;
+  if (body.parent_id !== undefined && body.parent_id !== null && body.parent_id !== '') {
+    parentId = parseInt(body.parent_id);
+    const parent = isNaN(parentId) ? null : await queryOne('SELECT id, parent_id FROM skills WHERE id = ?', [parentId]);
+    if (!parent) {
+      return { error: 'Parent skill not found' };
+    }
+    // Walk up from the new parent to make sure the skill does not become its own ancestor
+    let ancestor = parent;
+    while (skillId && ancestor) {
+      if (ancestor.id === skillId) {
+        return { error: 'A skill cannot be a parent of itself or of its parent skills' };
+      }
+      ancestor = ancestor.parent_id
+        ? await queryOne('SELECT id, parent_id FROM skills WHERE id = ?', [ancestor.parent_id])
+        : null;
+    }
+  }
+
+  return {
+    name,
+    category: typeof body.category === 'string' && body.category.trim() ? body.category.trim() : null,
+    parentId,
+    aliases
+  };
+}
+
+async function replaceAliases(skillId, aliases) {
+  await query('DELETE FROM skill_aliases WHERE skill_id = ?', [skillId]);
+  for (const alias of aliases) {
+    await query('INSERT INTO skill_aliases (skill_id, alias) VALUES (?, ?)', [skillId, alias]);
+  }
+}
+
+// Get the skills taxonomy (all authenticated users can view)
+// ?category= filters by category, ?search= matches names and aliases
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { category, search } = req.query;
+
+    let sql = `${SKILL_SELECT} WHERE 1=1`;
+    const params = [];
+
+    if (category) {
+      sql += ' AND s.category = ?';
+      params.push(category);
+    }
+
+    if (search) {
+      sql += ' AND (s.name LIKE ? OR EXISTS (SELECT 1 FROM skill_aliases a WHERE a.skill_id = s.id AND a.alias LIKE ?))';
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    sql += ' ORDER BY s.category, s.name';
+
+    const skills = await query(sql, params);
+
+    res.json({
+      success: true,
+      count: skills.length,
+      data: skills.map(parseSkill)
+    });
+  } catch (error) {
+    console.error('Error fetching skills:', error);
+    res.status(500).json({
+      error: 'Failed to fetch skills',
+      message: error.message
+    });
+  }
+});
+
+// Re-apply the taxonomy to stored resumes and job descriptions (Admin only)
+// Body: { after_id, limit }; continue with the returned next_after_id until it is null
+router.post('/backfill', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await backfillCanonicalSkills({ afterId: req.body.after_id, limit: req.body.limit });
+
+    res.json({
+      success: true,
+      message: result.next_after_id ? 'Batch processed, continue with next_after_id' : 'All resumes processed',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error backfilling skills:', error);
+    res.status(500).json({
+      error: 'Failed to backfill skills',
+      message: error.message
+    });
+  }
+});
+
+// Get a skill by ID (all authenticated users can view)
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const skill = await queryOne(`${SKILL_SELECT} WHERE s.id = ?`, [req.params.id]);
+
+    if (!skill) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    res.json({
+      success: true,
+      data: parseSkill(skill)
+    });
+  } catch (error) {
+    console.error('Error fetching skill:', error);
+    res.status(500).json({
+      error: 'Failed to fetch skill',
+      message: error.message
+    });
+  }
+});
+
+// Create a skill (Admin only). Body: { name, category, parent_id, aliases: [..] }
+router.post('/', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const validated = await validateSkillBody(req.body);
+    if (validated.error) {
+      return res.status(validated.status || 400).json({ error: validated.error });
+    }
+
+    const result = await query(
+      'INSERT INTO skills (name, category, parent_id) VALUES (?, ?, ?)',
+      [validated.name, validated.category, validated.parentId]
+    );
+    await replaceAliases(result.insertId, validated.aliases);
+    invalidateSkillTaxonomy();
+
+    const skill = await queryOne(`${SKILL_SELECT} WHERE s.id = ?`, [result.insertId]);
+
+    res.json({
+      success: true,
+      message: 'Skill created successfully',
+      data: parseSkill(skill)
+    });
+  } catch (error) {
+    console.error('Error creating skill:', error);
+    res.status(500).json({
+      error: 'Failed to create skill',
+      message: error.message
+    });
+  }
+});
+
+// Update a skill (Admin only). aliases replaces the skill's aliases when given.
+// Stored resumes keep their old skill names until POST /api/skills/backfill is run.
+router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const skillId = parseInt(req.params.id);
+    const existing = await queryOne('SELECT * FROM skills WHERE id = ?', [skillId]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    const validated = await validateSkillBody(req.body, skillId);
+    if (validated.error) {
+      return res.status(validated.status || 400).json({ error: validated.error });
+    }
+
+    await query(
+      'UPDATE skills SET name = ?, category = ?, parent_id = ? WHERE id = ?',
+      [validated.name, validated.category, validated.parentId, skillId]
+    );
+    if (req.body.aliases !== undefined) {
+      await replaceAliases(skillId, validated.aliases);
+    }
+    invalidateSkillTaxonomy();
+
+    const skill = await queryOne(`${SKILL_SELECT} WHERE s.id = ?`, [skillId]);
+
+    res.json({
+      success: true,
+      message: 'Skill updated successfully',
+      data: parseSkill(skill)
+    });
+  } catch (error) {
+    console.error('Error updating skill:', error);
+    res.status(500).json({
+      error: 'Failed to update skill',
+      message: error.message
+    });
+  }
+});
+
+// Delete a skill and its aliases (Admin only)
+router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await query('DELETE FROM skills WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+    invalidateSkillTaxonomy();
+
+    res.json({
+      success: true,
+      message: 'Skill deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting skill:', error);
+    res.status(500).json({
+      error: 'Failed to delete skill',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
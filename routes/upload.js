@@ -1,131 +1,33 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const fsPromises = require('fs').promises;
 const FormData = require('form-data');
 const axios = require('axios');
-const { extractTextFromFile, parseResumeWithGemini } = require('../utils/resumeParser');
-const { findDuplicateResume } = require('../utils/duplicateChecker');
-const { matchResumeWithJobDescription } = require('../utils/resumeMatcher');
+const { processResumeFile } = require('../utils/resumePipeline');
+const { MATCH_ENGINES } = require('../utils/resumeMatcher');
+const { createIngestionJob, getIngestionJob, kickWorker } = require('../utils/ingestionQueue');
+const { subscribeToJob } = require('../utils/ingestionEvents');
+const { extractResumesFromZip } = require('../utils/archiveExtractor');
+const { hashFile, hashBuffer } = require('../utils/fileHash');
+const { resolveResumeMimeType, isZipArchive, ALLOWED_RESUME_TYPES_LABEL } = require('../utils/fileTypes');
 const { query, queryOne } = require('../config/database');
-const { authenticate, requireWriteAccess } = require('../middleware/auth');
+const { authenticate, authenticateStream, createStreamToken, requireWriteAccess } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Helper function to upload file to Talygen API and store response
-const uploadToTalygen = async (filePath, fileName, mimetype, resumeId = null) => {
-  try {
-    let apiToken = process.env.TALYGEN_API_TOKEN;
-    const apiUrl = process.env.TALYGEN_API_URL || 'https://stagefilemedia.talygen.com/api/UploadStreamNew';
-
-    if (!apiToken) {
-      console.warn('⚠️  Talygen API token not configured, skipping Talygen upload');
-      return null;
-    }
+// Maximum number of files accepted by a single bulk upload request
+const MAX_BULK_FILES = parseInt(process.env.BULK_UPLOAD_MAX_FILES) || 200;
 
-    // Trim token in case there are extra spaces
-    apiToken = apiToken.trim();
+// Maximum size of an uploaded ZIP archive of resumes, in MB
+const MAX_ZIP_SIZE_MB = parseInt(process.env.ZIP_UPLOAD_MAX_SIZE_MB) || 100;
 
-    // Log token status (first 4 chars only for debugging)
-    const tokenPreview = apiToken.length > 4 ? apiToken.substring(0, 4) + '...' : '***';
-    console.log(`📤 Uploading file to Talygen API: ${fileName} (Token: ${tokenPreview}, Length: ${apiToken.length})${resumeId ? ` [Resume ID: ${resumeId}]` : ''}`);
+// Keep-alive interval for Server-Sent Event streams so proxies don't close idle connections
+const SSE_HEARTBEAT_MS = 15000;
 
-    // Create form data
-    const formData = new FormData();
-    formData.append('folderId', '0');
-    formData.append('moduleName', 'DocStorage');
-    formData.append('subModuleName', '');
-    formData.append('additionalStorage', '');
-    formData.append('additionalStorageFolderId', '');
-    formData.append('fileDetails', '');
-    formData.append('file', fs.createReadStream(filePath), fileName);
-
-    // Make request to Talygen API
-    // Note: Authorization header must include "Bearer " prefix
-    const authHeader = apiToken.startsWith('Bearer ') ? apiToken : `Bearer ${apiToken}`;
-    const response = await axios.post(apiUrl, formData, {
-      headers: {
-        'Authorization': authHeader,
-        ...formData.getHeaders()
-      },
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity
-    });
-
-    console.log(`✅ File uploaded successfully to Talygen API`);
-
-    const apiResponse = response.data;
-
-    // Store response in database with resume_id if provided
-    const result = await query(
-      `INSERT INTO file_uploads (
-        resume_id, original_file_name, file_name, file_path, file_thumb_path, folder_id,
-        file_type, file_size, file_id, upload_status, error_msg, api_response
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        resumeId || null,
-        fileName,
-        apiResponse.FileName || null,
-        apiResponse.FilePath || null,
-        apiResponse.FileThumbPath || null,
-        apiResponse.FolderId || null,
-        apiResponse.FileType || null,
-        apiResponse.FileSize || null,
-        JSON.stringify(apiResponse.FileId || apiResponse.FileID || null),
-        apiResponse.UploadStatus || null,
-        apiResponse.ErrorMsg || null,
-        JSON.stringify(apiResponse)
-      ]
-    );
-
-    console.log(`✅ Talygen upload response saved to database (ID: ${result.insertId}${resumeId ? `, linked to Resume ID: ${resumeId}` : ''})`);
-
-    return {
-      fileUploadId: result.insertId,
-      filePath: apiResponse.FilePath,
-      apiResponse: apiResponse
-    };
-  } catch (error) {
-    console.error(`⚠️  Error uploading to Talygen API:`, error.message);
-    if (error.response) {
-      console.error('API Response Status:', error.response.status);
-      console.error('API Response Data:', error.response.data);
-      console.error('API Response Headers:', error.response.headers);
-      
-      // If 401, provide helpful message
-      if (error.response.status === 401) {
-        console.error('❌ Authentication failed. Please check:');
-        console.error('   1. TALYGEN_API_TOKEN is set in your .env file');
-        console.error('   2. The token is correct and not expired');
-        console.error('   3. The token format matches what the API expects');
-      }
-    } else if (error.request) {
-      console.error('Request was made but no response received:', error.request);
-    } else {
-      console.error('Error setting up request:', error.message);
-    }
-    // Don't throw error - allow resume processing to continue even if Talygen upload fails
-    return null;
-  }
-};
-
-// Helper function to safely parse JSON fields (handles both strings and already-parsed objects)
-const safeParseJSON = (value, defaultValue = null) => {
-  if (value === null || value === undefined) {
-    return defaultValue;
-  }
-  if (typeof value === 'string') {
-    try {
-      return JSON.parse(value);
-    } catch (e) {
-      console.error('Error parsing JSON:', e, 'Value:', value);
-      return defaultValue;
-    }
-  }
-  // Already an object/array
-  return value;
-};
+// How often an event stream re-reads its job from the database. Files processed by another server
+// instance publish no events here, so their progress only shows up through this poll.
+const SSE_POLL_MS = parseInt(process.env.SSE_POLL_MS) || 3000;
 
 // Configure multer for file uploads - save original files with prefix
 // Use /tmp for serverless environments (Netlify), otherwise use uploads directory
@@ -155,39 +57,40 @@ const storage = multer.diskStorage({
   }
 });
 
+// Only accept resume file types
+const resumeFileFilter = (req, file, cb) => {
+  const mimetype = resolveResumeMimeType(file);
+  if (mimetype) {
+    // Store the canonical mimetype so text extraction picks the right extractor
+    file.mimetype = mimetype;
+    cb(null, true);
+  } else {
+    cb(new Error(`Invalid file type. Only ${ALLOWED_RESUME_TYPES_LABEL} files are allowed.`));
+  }
+};
+
 const upload = multer({
   storage: storage,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'
-    ];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only PDF, DOC, DOCX, and TXT files are allowed.'));
-    }
-  }
+  fileFilter: resumeFileFilter
 });
 
 // Multer with memory storage for Talygen uploads (no disk storage)
 const uploadMemory = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: resumeFileFilter
+});
+
+// Multer for ZIP archives of resumes (disk storage, larger size limit)
+const uploadArchive = multer({
+  storage: storage,
+  limits: { fileSize: MAX_ZIP_SIZE_MB * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'
-    ];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (isZipArchive(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, DOC, DOCX, and TXT files are allowed.'));
+      cb(new Error('Invalid file type. Only ZIP archives are allowed.'));
     }
   }
 });
@@ -198,13 +101,15 @@ const handleMulterError = (err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        error: 'File too large. Maximum file size is 10MB.'
+        error: err.field === 'archive'
+          ? `Archive too large. Maximum archive size is ${MAX_ZIP_SIZE_MB}MB.`
+          : 'File too large. Maximum file size is 10MB.'
       });
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        error: 'Too many files. Maximum is 5 files for bulk upload.'
+        error: `Too many files. Maximum is ${MAX_BULK_FILES} files for bulk upload.`
       });
     }
     return res.status(400).json({
@@ -221,6 +126,27 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
+// Remove files saved by multer that will not be processed
+const removeUploadedFiles = async (files) => {
+  for (const file of files || []) {
+    try {
+      await fsPromises.unlink(file.path);
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  }
+};
+
+// Content hash of each upload so identical files can reuse the already parsed resume
+const attachContentHashes = async (files) => {
+  for (const file of files) {
+    file.contentHash = await hashFile(file.path);
+  }
+};
+
+// evaluate_reused=false skips evaluating files identical to an already stored resume
+const parseEvaluateReused = (value) => !(value === false || value === 'false' || value === '0');
+
 // Single file upload (only HR and Admin can upload)
 router.post('/single', authenticate, requireWriteAccess, upload.single('resume'), handleMulterError, async (req, res) => {
   const startTime = Date.now();
@@ -233,11 +159,17 @@ router.post('/single', authenticate, requireWriteAccess, upload.single('resume')
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const { job_description_id } = req.body;
+    const { job_description_id, match_engine, evaluate_reused } = req.body;
     if (!job_description_id) {
+      await removeUploadedFiles([req.file]);
       return res.status(400).json({ error: 'Job description ID is required' });
     }
 
+    if (match_engine && !MATCH_ENGINES.includes(match_engine)) {
+      await removeUploadedFiles([req.file]);
+      return res.status(400).json({ error: `Invalid match_engine. Must be one of: ${MATCH_ENGINES.join(', ')}` });
+    }
+
     // Fetch job description
     const jobData = await queryOne(
       'SELECT * FROM job_descriptions WHERE id = ?',
@@ -245,163 +177,38 @@ router.post('/single', authenticate, requireWriteAccess, upload.single('resume')
     );
 
     if (!jobData) {
+      await removeUploadedFiles([req.file]);
       return res.status(404).json({ error: 'Job description not found' });
     }
 
-    const filePath = req.file.path;
-    const fileName = req.file.originalname; // Original filename with extension
-    const mimetype = req.file.mimetype;
-
-    // Extract text from file
-    const resumeText = await extractTextFromFile(filePath, mimetype);
-
-    // Parse resume with Gemini
-    const parsedData = await parseResumeWithGemini(resumeText, fileName);
-
-    // Check for duplicate resume
-    const parentId = await findDuplicateResume(parsedData);
-
-    // Normalize email to lowercase for consistency
-    const normalizedEmail = parsedData.email ? parsedData.email.toLowerCase().trim() : null;
-
-    // Ensure we preserve the original filename with extension for download
-    const originalFileName = fileName;
-
-    console.log(`💾 Saving resume to database...`);
-    // Save to MySQL with file path
-    const result = await query(
-      `INSERT INTO resumes (
-        file_name, file_path, name, email, phone, location, 
-        skills, experience, education, summary, certifications, 
-        raw_text, total_experience, parent_id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        originalFileName,
-        filePath,
-        parsedData.name || null,
-        normalizedEmail,
-        parsedData.phone || null,
-        parsedData.location || null,
-        JSON.stringify(parsedData.skills || []),
-        JSON.stringify(parsedData.experience || []),
-        JSON.stringify(parsedData.education || []),
-        parsedData.summary || null,
-        JSON.stringify(parsedData.certifications || []),
-        resumeText,
-        parsedData.total_experience ? parseFloat(parsedData.total_experience) : null,
-        parentId
-      ]
-    );
-
-    const savedResume = await queryOne(
-      'SELECT * FROM resumes WHERE id = ?',
-      [result.insertId]
-    );
-    console.log(`✅ Resume saved to database (ID: ${result.insertId})`);
-
-    // Upload to Talygen API and store response (now with resume_id)
-    let talygenUpload = null;
-    try {
-      talygenUpload = await uploadToTalygen(filePath, fileName, mimetype, result.insertId);
-    } catch (talygenError) {
-      console.error(`⚠️  Talygen upload failed, continuing with resume processing:`, talygenError.message);
-    }
-
-    // Parse JSON fields safely
-    const parsedResume = {
-      ...savedResume,
-      skills: safeParseJSON(savedResume.skills, []),
-      experience: safeParseJSON(savedResume.experience, []),
-      education: safeParseJSON(savedResume.education, []),
-      certifications: safeParseJSON(savedResume.certifications, [])
-    };
-
-    // Match resume with job description
-    const fullJobDescription = `${jobData.title}\n\n${jobData.description}\n\n${jobData.requirements || ''}`;
-    console.log(`🎯 Matching resume with job description...`);
-    const matchResults = await matchResumeWithJobDescription(
-      resumeText,
-      fullJobDescription,
-      parsedData
-    );
-
-    console.log(`📊 Match scores - Overall: ${matchResults.overall_match}%, Skills: ${matchResults.skills_match}%, Experience: ${matchResults.experience_match}%, Education: ${matchResults.education_match}%`);
-    
-    // Save evaluation
-    let evaluationData = null;
-    console.log(`💾 Saving evaluation to database...`);
-    try {
-      const evalResult = await query(
-        `INSERT INTO candidate_evaluations (
-          resume_id, job_description_id, candidate_name, contact_number, email,
-          resume_text, job_description, overall_match, skills_match, skills_details,
-          experience_match, experience_details, education_match, education_details,
-          status, rejection_reason
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          parsedResume.id,
-          parseInt(job_description_id),
-          parsedData.name || null,
-          parsedData.phone || null,
-          normalizedEmail,
-          resumeText,
-          fullJobDescription,
-          matchResults.overall_match,
-          matchResults.skills_match,
-          matchResults.skills_details,
-          matchResults.experience_match,
-          matchResults.experience_details,
-          matchResults.education_match,
-          matchResults.education_details,
-          matchResults.status,
-          matchResults.rejection_reason || null
-        ]
-      );
-
-      evaluationData = await queryOne(
-        'SELECT * FROM candidate_evaluations WHERE id = ?',
-        [evalResult.insertId]
-      );
-      console.log(`✅ Evaluation saved (ID: ${evalResult.insertId})`);
-    } catch (evalError) {
-      console.error(`⚠️  Error saving evaluation:`, evalError.message);
-      // Don't fail the upload if evaluation fails, just log it
-    }
+    await attachContentHashes([req.file]);
+    const result = await processResumeFile(req.file, jobData, {
+      matchEngine: match_engine,
+      evaluateReused: parseEvaluateReused(evaluate_reused)
+    });
 
     const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log(`✅ SUCCESS - Upload completed in ${totalTime}s`);
     console.log(`==========================================\n`);
 
+    let message = result.parentId ? 'Resume parsed and saved successfully (duplicate detected)' : 'Resume parsed and saved successfully';
+    if (result.reusedIdenticalFile) {
+      message = 'Identical file was already processed - reused the existing parsed resume';
+    }
+
     res.json({
       success: true,
-      message: parentId ? 'Resume parsed and saved successfully (duplicate detected)' : 'Resume parsed and saved successfully',
-      data: parsedResume,
-      isDuplicate: !!parentId,
-      parentId: parentId,
-      evaluation: evaluationData,
-      matchScores: {
-        overall_match: matchResults.overall_match,
-        skills_match: matchResults.skills_match,
-        experience_match: matchResults.experience_match,
-        education_match: matchResults.education_match,
-        status: matchResults.status
-      },
-      talygenUpload: talygenUpload ? {
-        fileUploadId: talygenUpload.fileUploadId,
-        filePath: talygenUpload.filePath
-      } : null
+      message,
+      data: result.data,
+      isDuplicate: result.isDuplicate,
+      parentId: result.parentId,
+      duplicateCandidates: result.duplicateCandidates || [],
+      reusedIdenticalFile: result.reusedIdenticalFile,
+      evaluation: result.evaluation,
+      matchScores: result.matchScores,
+      talygenUpload: result.talygenUpload
     });
   } catch (error) {
-    // Clean up file on error
-    if (req.file) {
-      try {
-        await fsPromises.unlink(req.file.path);
-        console.log(`🗑️  Cleaned up file: ${req.file.path}`);
-      } catch (e) {
-        // Ignore cleanup errors
-      }
-    }
-
     const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
     console.error(`\n❌ UPLOAD FAILED after ${totalTime}s`);
     console.error('Error:', error.message);
@@ -415,9 +222,9 @@ router.post('/single', authenticate, requireWriteAccess, upload.single('resume')
   }
 });
 
-// Multiple files upload (only HR and Admin can upload) - Maximum 5 files
-router.post('/bulk', authenticate, requireWriteAccess, upload.array('resumes', 5), handleMulterError, async (req, res) => {
-  const startTime = Date.now();
+// Multiple files upload (only HR and Admin can upload)
+// Files are queued as an ingestion job and processed in the background - poll GET /jobs/:id for progress
+router.post('/bulk', authenticate, requireWriteAccess, upload.array('resumes', MAX_BULK_FILES), handleMulterError, async (req, res) => {
   console.log('\n========== BULK UPLOAD STARTED ==========');
   console.log(`Timestamp: ${new Date().toISOString()}`);
   console.log(`User: ${req.user.email} (${req.user.role})`);
@@ -428,37 +235,15 @@ router.post('/bulk', authenticate, requireWriteAccess, upload.array('resumes', 5
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    // Enforce maximum 5 files limit for bulk upload
-    const MAX_BULK_FILES = 5;
-    if (req.files.length > MAX_BULK_FILES) {
-      console.log(`❌ ERROR: Too many files. Maximum ${MAX_BULK_FILES} files allowed for bulk upload. Received: ${req.files.length}`);
-      // Clean up uploaded files
-      for (const file of req.files) {
-        try {
-          await fsPromises.unlink(file.path);
-        } catch (e) {
-          // Ignore cleanup errors
-        }
-      }
-      return res.status(400).json({ 
-        error: `Too many files. Maximum ${MAX_BULK_FILES} files allowed for bulk upload.`,
-        received: req.files.length,
-        maxAllowed: MAX_BULK_FILES
-      });
-    }
-
     console.log(`📁 Total files received: ${req.files.length}`);
-    req.files.forEach((file, index) => {
-      console.log(`   ${index + 1}. ${file.originalname} (${(file.size / 1024).toFixed(2)} KB)`);
-    });
 
     const { job_description_id } = req.body;
     if (!job_description_id) {
       console.log('❌ ERROR: Job description ID is required');
+      await removeUploadedFiles(req.files);
       return res.status(400).json({ error: 'Job description ID is required' });
     }
 
-    console.log(`\n🔍 Fetching job description ID: ${job_description_id}`);
     // Fetch job description
     const jobData = await queryOne(
       'SELECT * FROM job_descriptions WHERE id = ?',
@@ -467,227 +252,347 @@ router.post('/bulk', authenticate, requireWriteAccess, upload.array('resumes', 5
 
     if (!jobData) {
       console.log(`❌ ERROR: Job description not found for ID: ${job_description_id}`);
+      await removeUploadedFiles(req.files);
       return res.status(404).json({ error: 'Job description not found' });
     }
 
-    console.log(`✅ Job description found: "${jobData.title}"`);
-    const fullJobDescription = `${jobData.title}\n\n${jobData.description}\n\n${jobData.requirements || ''}`;
+    await attachContentHashes(req.files);
+    const job = await createIngestionJob({
+      files: req.files,
+      jobDescriptionId: jobData.id,
+      userId: req.user.id,
+      evaluateReused: parseEvaluateReused(req.body.evaluate_reused)
+    });
+
+    console.log(`✅ Queued ingestion job ${job.id} for "${jobData.title}"`);
+    console.log(`==========================================\n`);
+
+    res.status(202).json({
+      success: true,
+      message: `${req.files.length} file(s) queued for processing`,
+      jobId: job.id,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+      eventsUrl: `${req.baseUrl}/bulk/${job.id}/events`,
+      data: job
+    });
+  } catch (error) {
+    console.error(`\n❌ BULK UPLOAD FAILED`);
+    console.error('Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.log(`==========================================\n`);
+    await removeUploadedFiles(req.files);
+    res.status(500).json({
+      error: 'Failed to queue resumes',
+      message: error.message
+    });
+  }
+});
+
+// ZIP archive upload (only HR and Admin can upload)
+// The archive is unpacked server-side and every resume inside is queued as part of one ingestion job
+router.post('/zip', authenticate, requireWriteAccess, uploadArchive.single('archive'), handleMulterError, async (req, res) => {
+  console.log('\n========== ZIP UPLOAD STARTED ==========');
+  console.log(`Timestamp: ${new Date().toISOString()}`);
+  console.log(`User: ${req.user.email} (${req.user.role})`);
+
+  let extractedFiles = [];
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No archive uploaded' });
+    }
+
+    const { job_description_id } = req.body;
+    if (!job_description_id) {
+      await removeUploadedFiles([req.file]);
+      return res.status(400).json({ error: 'Job description ID is required' });
+    }
 
-    const results = [];
-    const errors = [];
+    // Fetch job description
+    const jobData = await queryOne(
+      'SELECT * FROM job_descriptions WHERE id = ?',
+      [job_description_id]
+    );
 
-    console.log(`\n📝 Processing ${req.files.length} files...\n`);
+    if (!jobData) {
+      await removeUploadedFiles([req.file]);
+      return res.status(404).json({ error: 'Job description not found' });
+    }
 
-    for (let i = 0; i < req.files.length; i++) {
-      const file = req.files[i];
-      const fileStartTime = Date.now(); // Define outside try block so it's available in catch
-      
-      // Add a small delay between files to avoid overwhelming the API (except for the first file)
-      if (i > 0) {
-        await new Promise(resolve => setTimeout(resolve, 500)); // 500ms delay between files
-      }
-      
-      try {
-        console.log(`[${i + 1}/${req.files.length}] Processing: ${file.originalname}`);
-        
-        const filePath = file.path;
-        const fileName = file.originalname;
-        const mimetype = file.mimetype;
-
-        console.log(`   📄 Extracting text from file...`);
-        // Extract text from file
-        const resumeText = await extractTextFromFile(filePath, mimetype);
-        console.log(`   ✅ Text extracted (${resumeText.length} characters)`);
-
-        console.log(`   🤖 Parsing resume with Gemini AI...`);
-        // Parse resume with Gemini
-        const parsedData = await parseResumeWithGemini(resumeText, fileName);
-        console.log(`   ✅ Resume parsed - Name: ${parsedData.name || 'N/A'}, Email: ${parsedData.email || 'N/A'}`);
-
-        console.log(`   🔍 Checking for duplicates...`);
-        // Check for duplicate resume
-        const parentId = await findDuplicateResume(parsedData);
-        if (parentId) {
-          console.log(`   ⚠️  Duplicate detected! Parent ID: ${parentId}`);
-        } else {
-          console.log(`   ✅ No duplicate found`);
-        }
+    console.log(`📦 Unpacking archive: ${req.file.originalname} (${(req.file.size / 1024).toFixed(2)} KB)`);
+    let extracted;
+    try {
+      extracted = await extractResumesFromZip(req.file.path, getUploadDir(), {
+        maxEntries: MAX_BULK_FILES
+      });
+    } catch (zipError) {
+      await removeUploadedFiles([req.file]);
+      return res.status(400).json({ error: zipError.message });
+    }
+    extractedFiles = extracted.files;
 
-        // Normalize email to lowercase for consistency
-        const normalizedEmail = parsedData.email ? parsedData.email.toLowerCase().trim() : null;
-
-        // Ensure we preserve the original filename with extension
-        const originalFileName = fileName;
-
-        console.log(`   💾 Saving resume to database...`);
-        // Save to MySQL with file path
-        const result = await query(
-          `INSERT INTO resumes (
-            file_name, file_path, name, email, phone, location, 
-            skills, experience, education, summary, certifications, 
-            raw_text, total_experience, parent_id
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            originalFileName,
-            filePath,
-            parsedData.name || null,
-            normalizedEmail,
-            parsedData.phone || null,
-            parsedData.location || null,
-            JSON.stringify(parsedData.skills || []),
-            JSON.stringify(parsedData.experience || []),
-            JSON.stringify(parsedData.education || []),
-            parsedData.summary || null,
-            JSON.stringify(parsedData.certifications || []),
-            resumeText,
-            parsedData.total_experience ? parseFloat(parsedData.total_experience) : null,
-            parentId
-          ]
-        );
-
-        const savedResume = await queryOne(
-          'SELECT * FROM resumes WHERE id = ?',
-          [result.insertId]
-        );
-        console.log(`   ✅ Resume saved to database (ID: ${result.insertId})`);
-
-        // Upload to Talygen API and store response (now with resume_id)
-        let talygenUpload = null;
-        try {
-          talygenUpload = await uploadToTalygen(filePath, fileName, mimetype, result.insertId);
-        } catch (talygenError) {
-          console.error(`   ⚠️  Talygen upload failed, continuing with resume processing:`, talygenError.message);
-        }
+    // The archive itself is no longer needed once its entries are on disk
+    await removeUploadedFiles([req.file]);
 
-        // Parse JSON fields safely
-        const parsedResume = {
-          ...savedResume,
-          skills: safeParseJSON(savedResume.skills, []),
-          experience: safeParseJSON(savedResume.experience, []),
-          education: safeParseJSON(savedResume.education, []),
-          certifications: safeParseJSON(savedResume.certifications, [])
-        };
-
-        console.log(`   🎯 Matching resume with job description...`);
-        // Match resume with job description
-        const matchResults = await matchResumeWithJobDescription(
-          resumeText,
-          fullJobDescription,
-          parsedData
-        );
-
-        console.log(`   📊 Match scores - Overall: ${matchResults.overall_match}%, Skills: ${matchResults.skills_match}%, Experience: ${matchResults.experience_match}%, Education: ${matchResults.education_match}%`);
-        
-        // Save evaluation
-        let evaluationData = null;
-        console.log(`   💾 Saving evaluation to database...`);
-        try {
-          const evalResult = await query(
-            `INSERT INTO candidate_evaluations (
-              resume_id, job_description_id, candidate_name, contact_number, email,
-              resume_text, job_description, overall_match, skills_match, skills_details,
-              experience_match, experience_details, education_match, education_details,
-              status, rejection_reason
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-              parsedResume.id,
-              parseInt(job_description_id),
-              parsedData.name || null,
-              parsedData.phone || null,
-              normalizedEmail,
-              resumeText,
-              fullJobDescription,
-              matchResults.overall_match,
-              matchResults.skills_match,
-              matchResults.skills_details,
-              matchResults.experience_match,
-              matchResults.experience_details,
-              matchResults.education_match,
-              matchResults.education_details,
-              matchResults.status,
-              matchResults.rejection_reason || null
-            ]
-          );
-
-          evaluationData = await queryOne(
-            'SELECT * FROM candidate_evaluations WHERE id = ?',
-            [evalResult.insertId]
-          );
-          console.log(`   ✅ Evaluation saved (ID: ${evalResult.insertId})`);
-        } catch (evalError) {
-          console.error(`   ⚠️  Error saving evaluation:`, evalError.message);
-          // Don't fail the upload if evaluation fails, just log it
-        }
+    console.log(`✅ ${extracted.files.length} resume(s) extracted, ${extracted.skipped.length} entries skipped`);
+    extracted.skipped.forEach(entry => {
+      console.log(`   ⏭️  ${entry.entryName}: ${entry.reason}`);
+    });
 
-        const fileProcessingTime = ((Date.now() - fileStartTime) / 1000).toFixed(2);
-        results.push({
-          fileName: fileName,
-          success: true,
-          data: parsedResume,
-          isDuplicate: !!parentId,
-          parentId: parentId,
-          evaluation: evaluationData,
-          matchScores: {
-            overall_match: matchResults.overall_match,
-            skills_match: matchResults.skills_match,
-            experience_match: matchResults.experience_match,
-            education_match: matchResults.education_match,
-            status: matchResults.status
-          },
-          talygenUpload: talygenUpload ? {
-            fileUploadId: talygenUpload.fileUploadId,
-            filePath: talygenUpload.filePath
-          } : null
-        });
-        console.log(`   ✅ SUCCESS - Completed in ${fileProcessingTime}s\n`);
-      } catch (error) {
-        const fileProcessingTime = fileStartTime ? ((Date.now() - fileStartTime) / 1000).toFixed(2) : 'N/A';
-        console.error(`   ❌ ERROR processing ${file.originalname}:`, error.message);
-        if (error.stack) {
-          console.error(`   Stack:`, error.stack);
-        }
-        errors.push({
-          fileName: file.originalname,
-          error: error.message
-        });
-
-        // Clean up file on error
-        try {
-          await fsPromises.unlink(file.path);
-        } catch (e) {
-          // Ignore cleanup errors
-        }
-      }
+    const skippedEntries = extracted.skipped.map(entry => ({
+      entry: entry.entryName,
+      status: 'skipped',
+      reason: entry.reason
+    }));
+
+    if (extracted.files.length === 0) {
+      return res.status(400).json({
+        error: `No ${ALLOWED_RESUME_TYPES_LABEL} files found in the archive`,
+        entries: skippedEntries
+      });
     }
 
-    const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`\n========== BULK UPLOAD COMPLETED ==========`);
-    console.log(`✅ Successfully processed: ${results.length} files`);
-    console.log(`❌ Failed: ${errors.length} files`);
-    console.log(`⏱️  Total time: ${totalTime}s`);
-    console.log(`📊 Average time per file: ${(totalTime / req.files.length).toFixed(2)}s`);
+    await attachContentHashes(extracted.files);
+    const job = await createIngestionJob({
+      files: extracted.files,
+      jobDescriptionId: jobData.id,
+      userId: req.user.id,
+      evaluateReused: parseEvaluateReused(req.body.evaluate_reused)
+    });
+
+    // Ingestion job files are created in the same order as the extracted entries
+    const queuedEntries = extracted.files.map((file, index) => ({
+      entry: file.entryName,
+      status: 'queued',
+      fileId: job.files[index] ? job.files[index].id : null
+    }));
+
+    console.log(`✅ Queued ingestion job ${job.id} for "${jobData.title}"`);
     console.log(`==========================================\n`);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      processed: results.length,
-      failed: errors.length,
-      results: results,
-      errors: errors
+      message: `${extracted.files.length} resume(s) from the archive queued for processing, ${skippedEntries.length} skipped`,
+      jobId: job.id,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+      eventsUrl: `${req.baseUrl}/bulk/${job.id}/events`,
+      entries: [...queuedEntries, ...skippedEntries],
+      data: job
     });
   } catch (error) {
-    const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.error(`\n❌ BULK UPLOAD FAILED after ${totalTime}s`);
+    console.error(`\n❌ ZIP UPLOAD FAILED`);
     console.error('Error:', error.message);
     console.error('Stack:', error.stack);
     console.log(`==========================================\n`);
+    await removeUploadedFiles(req.file ? [req.file, ...extractedFiles] : extractedFiles);
+    res.status(500).json({
+      error: 'Failed to process archive',
+      message: error.message
+    });
+  }
+});
+
+// Get ingestion job progress, per-file results and errors (all authenticated users can view)
+router.get('/jobs/:id', authenticate, async (req, res) => {
+  try {
+    const job = await getIngestionJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Ingestion job not found' });
+    }
+
+    // Make sure someone is draining the queue (serverless instances have no long-running worker).
+    // Any instance can take a file: its bytes are stored with the job, not only on the instance that received it
+    if (job.status !== 'completed') {
+      kickWorker();
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching ingestion job:', error);
     res.status(500).json({
-      error: 'Failed to process resumes',
+      error: 'Failed to fetch ingestion job',
       message: error.message
     });
   }
 });
 
+// Get a short-lived token for the event stream of an ingestion job (all authenticated users can view)
+// EventSource cannot send an Authorization header; pass this token as ?access_token= instead of the login token
+router.post('/bulk/:batchId/stream-token', authenticate, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const exists = await queryOne('SELECT id FROM ingestion_jobs WHERE id = ?', [batchId]);
+    if (!exists) {
+      return res.status(404).json({ error: 'Ingestion job not found' });
+    }
+
+    const { token, expiresIn } = createStreamToken(req.user.id, batchId);
+    res.json({
+      success: true,
+      data: {
+        token,
+        expires_in: expiresIn,
+        eventsUrl: `${req.baseUrl}/bulk/${batchId}/events?access_token=${encodeURIComponent(token)}`
+      }
+    });
+  } catch (error) {
+    console.error('Error creating stream token:', error);
+    res.status(500).json({
+      error: 'Failed to create stream token',
+      message: error.message
+    });
+  }
+});
+
+// Progress key of an ingestion file: the events stream sends an event whenever it changes
+const fileProgressKey = (status, stage) => (status === 'processing' ? `processing:${stage}` : status);
+
+// Events for the files of a job read from the database whose progress differs from what the stream already sent
+function fileEventsFromJob(job, sentProgress) {
+  const events = [];
+  for (const file of job.files) {
+    const key = fileProgressKey(file.status, file.stage);
+    if (sentProgress.get(file.id) === key || file.status === 'queued') {
+      continue;
+    }
+    sentProgress.set(file.id, key);
+    const eventBase = { jobId: job.id, fileId: file.id, fileName: file.file_name };
+    if (file.status === 'processing') {
+      events.push({ type: 'file_stage', data: { ...eventBase, stage: file.stage, details: {} } });
+    } else if (file.status === 'completed') {
+      events.push({
+        type: 'file_completed',
+        data: { ...eventBase, resumeId: file.resume_id, evaluationId: file.evaluation_id, ...file.result }
+      });
+    } else if (file.status === 'failed') {
+      events.push({ type: 'file_failed', data: { ...eventBase, stage: file.stage, error: file.error_msg } });
+    }
+  }
+  return events;
+}
+
+const jobCompletedEvent = (job) => ({
+  jobId: job.id,
+  total_files: job.total_files,
+  processed_files: job.processed_files,
+  failed_files: job.failed_files
+});
+
+// Stream ingestion job progress as Server-Sent Events (all authenticated users can view)
+// Authenticated with the Authorization header, or ?access_token= holding a token from POST /bulk/:batchId/stream-token.
+// Events published by this instance's worker are sent as they happen; the job is also re-read from the database
+// every SSE_POLL_MS so files processed by other instances are reported, and the stream closes once the job completes.
+router.get('/bulk/:batchId/events', authenticateStream, async (req, res) => {
+  const { batchId } = req.params;
+  let cleanup = () => {};
+
+  try {
+    const exists = await queryOne('SELECT id FROM ingestion_jobs WHERE id = ?', [batchId]);
+    if (!exists) {
+      return res.status(404).json({ error: 'Ingestion job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    // File ID → progress key last sent, so polled changes already published in-process are not sent twice
+    const sentProgress = new Map();
+
+    const sendEvent = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const finish = (data) => {
+      if (closed) {
+        return;
+      }
+      sendEvent('job_completed', data);
+      cleanup();
+      res.end();
+    };
+
+    // Subscribe before reading the snapshot so no event is lost in between
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    const unsubscribe = subscribeToJob(batchId, ({ type, data }) => {
+      if (type === 'job_completed') {
+        return finish(data);
+      }
+      if (type === 'file_stage') {
+        sentProgress.set(data.fileId, fileProgressKey('processing', data.stage));
+      } else if (type === 'file_completed') {
+        sentProgress.set(data.fileId, 'completed');
+      } else if (type === 'file_failed') {
+        sentProgress.set(data.fileId, 'failed');
+      }
+      sendEvent(type, data);
+    });
+
+    let polling = false;
+    const poll = setInterval(async () => {
+      if (polling || closed) {
+        return;
+      }
+      polling = true;
+      try {
+        const job = await getIngestionJob(batchId);
+        if (closed || !job) {
+          return;
+        }
+        for (const event of fileEventsFromJob(job, sentProgress)) {
+          sendEvent(event.type, event.data);
+        }
+        if (job.status === 'completed') {
+          finish(jobCompletedEvent(job));
+        }
+      } catch (error) {
+        console.error('Error polling ingestion job progress:', error.message);
+      } finally {
+        polling = false;
+      }
+    }, SSE_POLL_MS);
+
+    cleanup = () => {
+      closed = true;
+      clearInterval(heartbeat);
+      clearInterval(poll);
+      unsubscribe();
+    };
+    req.on('close', () => cleanup());
+
+    const job = await getIngestionJob(batchId);
+    for (const file of job.files) {
+      sentProgress.set(file.id, fileProgressKey(file.status, file.stage));
+    }
+    sendEvent('snapshot', job);
+
+    if (job.status === 'completed') {
+      return finish(jobCompletedEvent(job));
+    }
+
+    kickWorker();
+  } catch (error) {
+    console.error('Error streaming ingestion job events:', error);
+    cleanup();
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'Failed to stream ingestion job events',
+        message: error.message
+      });
+    }
+    res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+    res.end();
+  }
+});
+
 // Upload file to Talygen API and store response
 router.post('/talygen', authenticate, requireWriteAccess, uploadMemory.single('file'), handleMulterError, async (req, res) => {
   const startTime = Date.now();
@@ -710,6 +615,37 @@ router.post('/talygen', authenticate, requireWriteAccess, uploadMemory.single('f
     const fileBuffer = req.file.buffer; // File is in memory as buffer
     const fileName = req.file.originalname;
     const fileMimetype = req.file.mimetype;
+    const contentHash = hashBuffer(fileBuffer);
+
+    // The same file was already stored in Talygen - return that upload instead of storing it twice
+    const identicalUpload = await queryOne(
+      `SELECT * FROM file_uploads
+       WHERE content_hash = ? AND file_path IS NOT NULL
+       ORDER BY created_at DESC LIMIT 1`,
+      [contentHash]
+    );
+    if (identicalUpload) {
+      console.log(`♻️  Identical file already uploaded (ID: ${identicalUpload.id}), reusing it`);
+      console.log(`==========================================\n`);
+      return res.json({
+        success: true,
+        message: 'Identical file was already uploaded to Talygen - reused the existing upload',
+        reusedIdenticalFile: true,
+        data: {
+          id: identicalUpload.id,
+          originalFileName: identicalUpload.original_file_name,
+          fileName: identicalUpload.file_name,
+          filePath: identicalUpload.file_path,
+          fileThumbPath: identicalUpload.file_thumb_path,
+          fileSize: identicalUpload.file_size,
+          uploadStatus: identicalUpload.upload_status,
+          createdAt: identicalUpload.created_at
+        },
+        apiResponse: typeof identicalUpload.api_response === 'string'
+          ? JSON.parse(identicalUpload.api_response)
+          : identicalUpload.api_response
+      });
+    }
 
     console.log(`📤 Uploading file to Talygen API: ${fileName} (${(fileBuffer.length / 1024).toFixed(2)} KB)`);
 
@@ -749,8 +685,8 @@ router.post('/talygen', authenticate, requireWriteAccess, uploadMemory.single('f
     const result = await query(
       `INSERT INTO file_uploads (
         resume_id, original_file_name, file_name, file_path, file_thumb_path, folder_id,
-        file_type, file_size, file_id, upload_status, error_msg, api_response
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        file_type, file_size, file_id, upload_status, error_msg, api_response, content_hash
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         null, // Standalone upload, not linked to a resume
         fileName,
@@ -763,7 +699,8 @@ router.post('/talygen', authenticate, requireWriteAccess, uploadMemory.single('f
         JSON.stringify(apiResponse.FileId || apiResponse.FileID || null),
         apiResponse.UploadStatus || null,
         apiResponse.ErrorMsg || null,
-        JSON.stringify(apiResponse)
+        JSON.stringify(apiResponse),
+        contentHash
       ]
     );
 
@@ -782,6 +719,7 @@ router.post('/talygen', authenticate, requireWriteAccess, uploadMemory.single('f
     res.json({
       success: true,
       message: 'File uploaded successfully to Talygen',
+      reusedIdenticalFile: false,
       data: {
         id: savedUpload.id,
         originalFileName: savedUpload.original_file_name,
@@ -848,6 +786,11 @@ router.get('/talygen/:id/download', authenticate, async (req, res) => {
       '.doc': 'application/msword',
       '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
       '.txt': 'text/plain',
+      '.rtf': 'application/rtf',
+      '.odt': 'application/vnd.oasis.opendocument.text',
+      '.html': 'text/html',
+      '.htm': 'text/html',
+      '.md': 'text/markdown',
       '.png': 'image/png',
       '.jpg': 'image/jpeg',
       '.jpeg': 'image/jpeg'
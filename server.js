@@ -6,7 +6,11 @@ const uploadRoutes = require('./routes/upload');
 const resumeRoutes = require('./routes/resumes');
 const jobDescriptionRoutes = require('./routes/jobDescriptions');
 const evaluationRoutes = require('./routes/evaluations');
+const candidateRoutes = require('./routes/candidates');
+const skillRoutes = require('./routes/skills');
+const settingsRoutes = require('./routes/settings');
 const authRoutes = require('./routes/auth');
+const { startIngestionWorker } = require('./utils/ingestionQueue');
 
 dotenv.config();
 
@@ -24,6 +28,9 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/resumes', resumeRoutes);
 app.use('/api/job-descriptions', jobDescriptionRoutes);
 app.use('/api/evaluations', evaluationRoutes);
+app.use('/api/candidates', candidateRoutes);
+app.use('/api/skills', skillRoutes);
+app.use('/api/settings', settingsRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -66,5 +73,7 @@ app.use((error, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  // Resume any queued bulk uploads left over from a previous run
+  startIngestionWorker();
 });
 
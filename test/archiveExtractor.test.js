@@ -0,0 +1,89 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { inflateEntry, extractResumesFromZip } = require('../utils/archiveExtractor');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-extractor-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Entries as read back from a written archive, so headers and compressed data are real
+function zipEntries(files, { method } = {}) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  if (method !== undefined) {
+    zip.getEntries().forEach(entry => { entry.header.method = method; });
+  }
+  return new AdmZip(zip.toBuffer()).getEntries();
+}
+
+test('inflateEntry unpacks deflated and stored entries', () => {
+  const text = 'Jane Doe\nSenior Engineer\n'.repeat(20);
+  const [entry] = zipEntries({ 'resume.txt': text });
+  assert.equal(entry.header.method, 8);
+  assert.equal(inflateEntry(entry, 1024 * 1024).data.toString(), text);
+
+  const random = crypto.randomBytes(256);
+  const [stored] = zipEntries({ 'photo.bin': random }, { method: 0 });
+  assert.equal(stored.header.method, 0);
+  assert.deepEqual(inflateEntry(stored, 1024 * 1024), { data: random, reason: null });
+});
+
+test('inflateEntry stops at the size limit whatever the header says', () => {
+  const [entry] = zipEntries({ 'resume.txt': crypto.randomBytes(1024 * 1024).toString('hex') });
+  entry.header.size = 10;
+
+  assert.deepEqual(inflateEntry(entry, 1024 * 1024), { data: null, reason: 'File too large. Maximum file size is 1MB.' });
+  // Within the limit, a size that does not match the header is treated as corruption
+  assert.deepEqual(inflateEntry(entry, 4 * 1024 * 1024), { data: null, reason: 'Could not decompress entry: corrupted data' });
+});
+
+test('inflateEntry rejects suspicious ratios, encrypted entries and unknown methods', () => {
+  const [bomb] = zipEntries({ 'resume.txt': Buffer.alloc(1024 * 1024) });
+  assert.deepEqual(inflateEntry(bomb, 10 * 1024 * 1024), { data: null, reason: 'Suspicious compression ratio' });
+
+  const [encrypted] = zipEntries({ 'resume.txt': 'secret' });
+  encrypted.header.flags |= 1;
+  assert.deepEqual(inflateEntry(encrypted, 1024), { data: null, reason: 'Encrypted entries are not supported' });
+
+  const [bzip] = zipEntries({ 'resume.txt': 'text' });
+  bzip.header.method = 12;
+  assert.deepEqual(inflateEntry(bzip, 1024), { data: null, reason: 'Unsupported compression method (12)' });
+});
+
+test('extractResumesFromZip writes supported resumes and reports skipped entries', async () => {
+  const zip = new AdmZip();
+  zip.addFile('cvs/jane.txt', Buffer.from('Jane Doe resume'));
+  zip.addFile('__MACOSX/cvs/._jane.txt', Buffer.from('junk'));
+  zip.addFile('cvs/photo.png', Buffer.from('png'));
+  zip.addFile('cvs/more.zip', Buffer.from('zip'));
+  zip.addFile('cvs/empty.txt', Buffer.alloc(0));
+  const zipPath = path.join(tempDir, 'upload.zip');
+  zip.writeZip(zipPath);
+
+  const destDir = path.join(tempDir, 'extracted');
+  const { files, skipped } = await extractResumesFromZip(zipPath, destDir);
+
+  assert.equal(files.length, 1);
+  assert.equal(files[0].originalname, 'jane.txt');
+  assert.equal(files[0].entryName, 'cvs/jane.txt');
+  assert.equal(path.dirname(files[0].path), destDir);
+  assert.equal(fs.readFileSync(files[0].path, 'utf8'), 'Jane Doe resume');
+  const reasons = Object.fromEntries(skipped.map(entry => [entry.entryName, entry.reason]));
+  assert.deepEqual(Object.keys(reasons).sort(), ['__MACOSX/cvs/._jane.txt', 'cvs/empty.txt', 'cvs/more.zip', 'cvs/photo.png']);
+  assert.match(reasons['cvs/photo.png'], /^Unsupported file type/);
+  assert.equal(reasons['cvs/more.zip'], 'Nested archives are not supported');
+  assert.equal(reasons['cvs/empty.txt'], 'Empty file');
+});
+
+test('extractResumesFromZip rejects archives it cannot read', async () => {
+  const badPath = path.join(tempDir, 'bad.zip');
+  fs.writeFileSync(badPath, 'not a zip');
+  await assert.rejects(extractResumesFromZip(badPath, path.join(tempDir, 'bad')), /Invalid or corrupted ZIP archive/);
+});
@@ -0,0 +1,137 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const { mergeResumes, revertMerge } = require('../utils/candidateMerge');
+
+const CREATED_AT = new Date('2026-01-05T09:30:00.000Z');
+
+const resumes = {
+  1: {
+    id: 1, parent_id: null, candidate_id: 10, name: 'Jane Doe', location: 'Austin',
+    email: 'jane@old.example', email_key: 'jane@old.example', phone: '4155552671', phone_key: '4155552671'
+  },
+  2: {
+    id: 2, parent_id: null, candidate_id: 20, name: 'Jane Doe', location: null,
+    email: 'jane@new.example', email_key: 'jane@new.example', phone: null, phone_key: null
+  }
+};
+const candidates = {
+  10: {
+    id: 10, name: 'Jane Doe', email: 'jane@old.example', phone: '4155552671', location: 'Austin',
+    emails: '["jane@old.example"]', phones: '["4155552671"]', created_at: CREATED_AT
+  },
+  20: {
+    id: 20, name: 'Jane Doe', email: 'jane@new.example', phone: null, location: null,
+    emails: '["jane@new.example"]', phones: '[]', created_at: CREATED_AT
+  }
+};
+// Uploaded after the merge and linked to the primary
+const laterResume = { id: 3, parent_id: 1, candidate_id: 10, name: 'Jane Doe', email: 'jane@later.example', phone: null };
+
+let calls;
+let logRow;
+
+// Answers the reads of a merge and its revert from the fixtures above and records every statement
+function fakeDatabase(sql, params) {
+  calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+  if (/^SELECT (id|id, parent_id|\*) FROM resumes\s+WHERE id IN/.test(sql)) {
+    return params.filter((id, index) => params.indexOf(id) === index && resumes[id]).map(id => resumes[id]);
+  }
+  if (sql.startsWith('SELECT * FROM resumes WHERE candidate_id = ?')) {
+    return [laterResume];
+  }
+  if (sql.startsWith('SELECT * FROM candidates WHERE id')) {
+    return params.filter(id => candidates[id]).map(id => ({ ...candidates[id] }));
+  }
+  if (sql.includes('FROM candidate_evaluations')) {
+    return [{ id: 100, resume_id: 2, job_description_id: 5 }];
+  }
+  if (sql.includes('INSERT INTO resume_merge_log')) {
+    const [primaryId, resumeIds, fieldChoices, snapshot] = params;
+    logRow = { id: 7, action: 'merge', primary_id: primaryId, resume_ids: resumeIds, field_choices: fieldChoices, snapshot, reverted_at: null };
+    return { insertId: 7 };
+  }
+  if (sql.startsWith('SELECT * FROM resume_merge_log WHERE id = ?')) {
+    return logRow ? [logRow] : [];
+  }
+  if (sql.startsWith('SELECT * FROM resume_merge_log WHERE id > ?')) {
+    return [];
+  }
+  return { affectedRows: 1 };
+}
+
+const writes = (prefix) => calls.filter(call => call.sql.startsWith(prefix));
+
+beforeEach(() => {
+  database.reset();
+  calls = [];
+  logRow = null;
+  database.query = async (sql, params) => fakeDatabase(sql, params);
+  database.queryOne = async (sql, params) => resumes[params[0]] || null;
+});
+
+test('mergeResumes links the cluster, applies field choices and logs the previous state', async () => {
+  const result = await mergeResumes({ primaryId: 1, resumeIds: [2], fieldChoices: { email: 2 }, userId: 'u1' });
+
+  assert.deepEqual(result, {
+    logId: 7,
+    rootId: 1,
+    candidateId: 10,
+    mergedResumeIds: [2],
+    fieldsUpdated: { email: 2 },
+    movedEvaluations: [100],
+    keptEvaluations: []
+  });
+  assert.deepEqual(writes('UPDATE resumes SET email = ?, email_key = ? WHERE id = ?')[0].params,
+    ['jane@new.example', 'jane@new.example', 1]);
+  assert.deepEqual(writes('DELETE FROM candidates')[0].params, [20]);
+
+  const snapshot = JSON.parse(logRow.snapshot);
+  assert.deepEqual(snapshot.parents, [{ id: 2, parent_id: null }]);
+  assert.deepEqual(snapshot.fields, { email: 'jane@old.example', email_key: 'jane@old.example' });
+  assert.deepEqual(snapshot.evaluations, [{ id: 100, resume_id: 2 }]);
+  assert.deepEqual(snapshot.candidates, [{ id: 2, candidate_id: 20 }]);
+  assert.equal(snapshot.candidate.email, 'jane@old.example');
+  assert.deepEqual(snapshot.absorbedCandidates.map(candidate => candidate.id), [20]);
+});
+
+test('revertMerge writes back the state the merge snapshot captured', async () => {
+  await mergeResumes({ primaryId: 1, resumeIds: [2], fieldChoices: { email: 2 } });
+  calls = [];
+
+  const result = await revertMerge(7, { userId: 'u2' });
+
+  assert.deepEqual(result, { logId: 7, action: 'merge', restoredResumeIds: [2], restoredEvaluations: [100] });
+
+  const { id, created_at: createdAt, ...absorbed } = candidates[20];
+  assert.deepEqual(writes('INSERT INTO candidates')[0].params, [id, ...Object.values(absorbed), createdAt]);
+  assert.deepEqual(writes('UPDATE resumes SET parent_id = ?')[0].params, [null, 2]);
+  assert.deepEqual(writes('UPDATE resumes SET email = ?, email_key = ? WHERE id = ?')[0].params,
+    ['jane@old.example', 'jane@old.example', 1]);
+  assert.deepEqual(writes('UPDATE candidate_evaluations SET resume_id = ?')[0].params, [2, 100]);
+  assert.deepEqual(writes('UPDATE resumes SET candidate_id = ?')[0].params, [20, 2]);
+
+  const [restored, laterContacts] = writes('UPDATE candidates');
+  assert.deepEqual(restored.params, ['Jane Doe', 'jane@old.example', '4155552671', 'Austin',
+    '["jane@old.example"]', '["4155552671"]', 10]);
+  // The resume attached after the merge keeps its contacts on the restored candidate
+  assert.deepEqual(laterContacts.params.slice(4), ['["jane@old.example","jane@later.example"]', '["4155552671"]', 10]);
+
+  assert.deepEqual(writes('UPDATE resume_merge_log')[0].params, ['u2', 7]);
+});
+
+test('revertMerge refuses entries that are reverted or blocked by a later change', async () => {
+  await assert.rejects(revertMerge(99), (error) => error.status === 404);
+
+  await mergeResumes({ primaryId: 1, resumeIds: [2] });
+  logRow.reverted_at = new Date();
+  await assert.rejects(revertMerge(7), /already been reverted/);
+
+  logRow.reverted_at = null;
+  calls = [];
+  database.query = async (sql, params) => (sql.startsWith('SELECT * FROM resume_merge_log WHERE id > ?')
+    ? [{ id: 8, action: 'unmerge', primary_id: 1, resume_ids: '[2]', snapshot: '{}' }]
+    : fakeDatabase(sql, params));
+  await assert.rejects(revertMerge(7), (error) => error.status === 409 && /log ID: 8/.test(error.message));
+  assert.deepEqual(calls.filter(call => !call.sql.startsWith('SELECT')), []);
+});
@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const { uniqueContacts, assignCandidate, refreshCandidateContacts } = require('../utils/candidateService');
+
+let statements;
+
+const writes = (prefix) => statements.filter(statement => statement.sql.trim().startsWith(prefix));
+
+beforeEach(() => {
+  database.reset();
+  statements = [];
+});
+
+test('uniqueContacts keeps the first spelling of contacts that normalize alike', () => {
+  assert.deepEqual(
+    uniqueContacts(
+      ['jane.doe@gmail.com', ' JaneDoe+jobs@gmail.com ', null, 'jane@work.example', ''],
+      ['+1 (415) 555-2671', '4155552671', '123', '+44 20 7946 0958']
+    ),
+    {
+      emails: ['jane.doe@gmail.com', 'jane@work.example'],
+      phones: ['+1 (415) 555-2671', '+44 20 7946 0958']
+    }
+  );
+});
+
+test('assignCandidate creates a candidate for a resume without a parent', async () => {
+  database.query = async (sql, params) => {
+    statements.push({ sql, params });
+    return sql.includes('INSERT INTO candidates') ? { insertId: 50 } : { affectedRows: 1 };
+  };
+
+  const result = await assignCandidate({ id: 7, parent_id: null, name: 'Jane Doe', email: 'Jane@Example.com', phone: '4155552671', location: null });
+
+  assert.deepEqual(result, { candidateId: 50, created: true });
+  assert.deepEqual(writes('INSERT INTO candidates')[0].params,
+    ['Jane Doe', 'jane@example.com', '4155552671', null, '["jane@example.com"]', '["4155552671"]']);
+  assert.deepEqual(writes('UPDATE resumes SET candidate_id')[0].params, [50, 7]);
+  assert.deepEqual(writes('UPDATE candidate_evaluations')[0].params, [7]);
+});
+
+test('assignCandidate attaches a linked resume to its parent\'s candidate and adds its contacts', async () => {
+  database.query = async (sql, params) => {
+    statements.push({ sql, params });
+    if (sql.startsWith('SELECT * FROM resumes')) {
+      return [{ id: 1, parent_id: null, candidate_id: 10 }];
+    }
+    if (sql.startsWith('SELECT * FROM candidates')) {
+      return [{ id: 10, name: 'Jane Doe', email: 'jane@old.example', emails: '["jane@old.example"]', phones: '[]' }];
+    }
+    return { affectedRows: 1 };
+  };
+
+  const result = await assignCandidate({ id: 2, parent_id: 1, name: 'Jane D.', email: 'jane@new.example', phone: '4155552671' });
+
+  assert.deepEqual(result, { candidateId: 10, created: false });
+  assert.equal(writes('INSERT INTO candidates').length, 0);
+  const contacts = writes('UPDATE candidates')[0].params;
+  assert.deepEqual(contacts.slice(4), ['["jane@old.example","jane@new.example"]', '["4155552671"]', 10]);
+  assert.deepEqual(writes('UPDATE resumes SET candidate_id')[0].params, [10, 2]);
+});
+
+test('refreshCandidateContacts drops the contacts of detached resumes but keeps ones added by hand', async () => {
+  database.query = async (sql, params) => {
+    statements.push({ sql, params });
+    if (sql.startsWith('SELECT * FROM candidates')) {
+      return [{
+        id: 10,
+        email: 'gone@example.com',
+        phone: '4155552671',
+        emails: '["gone@example.com","jane@example.com","manual@example.com"]',
+        phones: '["4155552671","2125550000"]'
+      }];
+    }
+    if (sql.startsWith('SELECT email, phone FROM resumes')) {
+      return [{ email: 'jane@example.com', phone: '+14155552671' }];
+    }
+    return { affectedRows: 1 };
+  };
+
+  await refreshCandidateContacts(10, [{ email: 'gone@example.com', phone: '2125550000' }]);
+
+  assert.deepEqual(writes('UPDATE candidates')[0].params, [
+    'jane@example.com',
+    '+14155552671',
+    '["jane@example.com","manual@example.com"]',
+    '["+14155552671"]',
+    10
+  ]);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const {
+  normalizeEmailAddress,
+  normalizePhoneNumber,
+  extractProfileUrls,
+  normalizeContacts,
+  backfillContacts
+} = require('../utils/contactNormalizer');
+
+test('normalizeEmailAddress lowercases, strips mailto and brackets, and validates', () => {
+  assert.deepEqual(normalizeEmailAddress(' mailto:Jane.Doe@Example.COM '), { value: 'jane.doe@example.com', valid: true });
+  assert.deepEqual(normalizeEmailAddress('<jane@example.com>.'), { value: 'jane@example.com', valid: true });
+  assert.deepEqual(normalizeEmailAddress('jane at example'), { value: 'jane at example', valid: false });
+  assert.deepEqual(normalizeEmailAddress(null), { value: null, valid: true });
+});
+
+test('normalizePhoneNumber converts to E.164 in the given region', () => {
+  assert.deepEqual(normalizePhoneNumber('(415) 555-2671', 'US'), { value: '+14155552671', valid: true });
+  assert.deepEqual(normalizePhoneNumber('098765 43210', 'IN'), { value: '+919876543210', valid: true });
+  assert.deepEqual(normalizePhoneNumber('+44 20 7946 0958', 'US'), { value: '+442079460958', valid: true });
+});
+
+test('normalizePhoneNumber uses the first valid number and keeps invalid input as written', () => {
+  assert.deepEqual(normalizePhoneNumber('Mobile: 415-555-2671 / 415-555-0000', 'US'), { value: '+14155552671', valid: true });
+  assert.deepEqual(normalizePhoneNumber(' 12345 ', 'US'), { value: '12345', valid: false });
+  assert.deepEqual(normalizePhoneNumber('', 'US'), { value: null, valid: true });
+});
+
+test('extractProfileUrls finds LinkedIn, GitHub and portfolio links', () => {
+  const urls = extractProfileUrls('linkedin.com/in/jane-doe, github.com/about github.com/janedoe. Site: www.janedoe.dev/.');
+  assert.deepEqual(urls, {
+    linkedin_url: 'https://www.linkedin.com/in/jane-doe',
+    github_url: 'https://github.com/janedoe',
+    portfolio_url: 'https://www.janedoe.dev'
+  });
+  assert.deepEqual(extractProfileUrls('https://www.google.com/search'), { linkedin_url: null, github_url: null, portfolio_url: null });
+});
+
+test('normalizeContacts flags invalid and missing contact details', () => {
+  assert.deepEqual(normalizeContacts({ email: 'bad', phone: '1' }, '').contact_flags, [
+    { field: 'email', issue: 'invalid_format', value: 'bad' },
+    { field: 'phone', issue: 'invalid_number', value: '1' }
+  ]);
+  assert.deepEqual(normalizeContacts({}, '').contact_flags, [{ field: 'contact', issue: 'missing', value: null }]);
+});
+
+test('backfillContacts updates the resumes and rebuilds their candidates\' contacts', async () => {
+  const updates = [];
+  database.query = async (sql, params) => {
+    if (/FROM resumes WHERE id > \?/.test(sql)) {
+      return [
+        { id: 1, candidate_id: 7, email: 'Jane@Example.com', phone: '(415) 555-2671', summary: '', raw_text: '' },
+        { id: 2, candidate_id: null, email: null, phone: null, summary: '', raw_text: '' }
+      ];
+    }
+    if (/SELECT \* FROM candidates/.test(sql)) {
+      return [{ id: 7, email: 'Jane@Example.com', phone: '(415) 555-2671', emails: '["Jane@Example.com"]', phones: '["(415) 555-2671"]' }];
+    }
+    if (/FROM resumes WHERE candidate_id/.test(sql)) {
+      return [{ email: 'jane@example.com', phone: '+14155552671' }];
+    }
+    updates.push([sql.replace(/\s+/g, ' ').trim(), params]);
+    return { affectedRows: 1 };
+  };
+
+  const result = await backfillContacts({ limit: 2 });
+  database.reset();
+
+  assert.deepEqual(result, { processed: 2, flagged: 1, candidates_refreshed: 1, next_after_id: 2 });
+  const candidateUpdate = updates.find(([sql]) => sql.startsWith('UPDATE candidates'));
+  assert.deepEqual(candidateUpdate[1], ['jane@example.com', '+14155552671', '["jane@example.com"]', '["+14155552671"]', 7]);
+});
@@ -0,0 +1,111 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const {
+  normalizeEmail,
+  normalizePhone,
+  contactKeys,
+  nameSimilarity,
+  scoreDuplicateCandidate,
+  findDuplicateCandidates
+} = require('../utils/duplicateChecker');
+
+beforeEach(() => database.reset());
+
+test('normalizeEmail and normalizePhone reduce contacts to their lookup keys', () => {
+  assert.equal(normalizeEmail(' J.Doe+jobs@GoogleMail.com '), 'jdoe@gmail.com');
+  assert.equal(normalizeEmail('j.doe+jobs@example.com'), 'j.doe@example.com');
+  assert.equal(normalizeEmail('not an email'), null);
+  assert.equal(normalizePhone('+1 (415) 555-2671'), '4155552671');
+  assert.equal(normalizePhone('555-2671'), '5552671');
+  assert.equal(normalizePhone('12345'), null);
+  assert.deepEqual(contactKeys({ email: 'Jane@Example.com', phone: null }), { email_key: 'jane@example.com', phone_key: null });
+});
+
+test('nameSimilarity tolerates nicknames, initials and accents', () => {
+  assert.equal(nameSimilarity('John Smith', 'john  SMITH'), 1);
+  assert.equal(nameSimilarity('José García', 'Jose Garcia'), 1);
+  assert.equal(nameSimilarity('Bob Jones', 'Robert Jones'), 0.95);
+  assert.equal(nameSimilarity('J. Smith', 'John Smith'), 0.875);
+  assert.equal(nameSimilarity('Dr. John Smith Jr.', 'John Smith'), 1);
+});
+
+test('nameSimilarity keeps different surnames and missing names low', () => {
+  assert.ok(nameSimilarity('John Smith', 'John Brown') < 0.5);
+  assert.ok(nameSimilarity('Smith', 'John Smith') < 0.8);
+  assert.equal(nameSimilarity('', 'John Smith'), 0);
+  assert.equal(nameSimilarity(null, null), 0);
+});
+
+test('scoreDuplicateCandidate combines contact, name and history evidence', () => {
+  const parsed = {
+    name: 'Bob Jones',
+    email: 'bob.jones+cv@gmail.com',
+    phone: '(415) 555-2671',
+    experience: '[{"company":"Acme Inc."},{"company":"Globex"}]',
+    education: '[{"institution":"MIT"}]'
+  };
+  const existing = {
+    name: 'Robert Jones',
+    email: 'bobjones@gmail.com',
+    phone: '+1 415 555 2671',
+    experience: '[{"company":"ACME"},{"company":"Globex Corporation"}]',
+    education: '[{"institution":"Stanford"}]'
+  };
+
+  const { confidence, reasons } = scoreDuplicateCandidate(parsed, existing);
+  assert.equal(confidence, 0.995);
+  assert.deepEqual(reasons, [
+    'Same email address (alias)',
+    'Same phone number',
+    'Similar name (95%)',
+    'Shared employers: ACME, Globex Corporation'
+  ]);
+});
+
+test('scoreDuplicateCandidate penalizes conflicting contacts and names', () => {
+  const sameName = scoreDuplicateCandidate(
+    { name: 'John Smith', email: 'john@a.com', phone: '4155552671' },
+    { name: 'John Smith', email: 'jsmith@b.com', phone: '2125550000' }
+  );
+  assert.equal(sameName.confidence, 0.3);
+  assert.deepEqual(sameName.reasons, ['Same name', 'Different email and phone number']);
+
+  const sameEmployer = scoreDuplicateCandidate(
+    { name: 'John Smith', experience: '[{"company":"Acme"}]' },
+    { name: 'Mary Brown', experience: '[{"company":"Acme LLC"}]' }
+  );
+  assert.equal(sameEmployer.confidence, 0);
+  assert.deepEqual(sameEmployer.reasons, ['Shared employer: Acme LLC', 'Different name']);
+});
+
+test('findDuplicateCandidates looks up stored contact keys and the surname separately', async () => {
+  const lookups = [];
+  database.query = async (sql, params) => {
+    lookups.push({ sql, params });
+    if (sql.includes('email_key = ?')) {
+      return [{ id: 4, parent_id: 2, name: 'Jane Doe', email: 'jane.doe@example.com', phone: null }];
+    }
+    if (sql.includes('LOWER(name) LIKE ?')) {
+      return [
+        { id: 4, parent_id: 2, name: 'Jane Doe', email: 'jane.doe@example.com', phone: null },
+        { id: 6, parent_id: null, name: 'Jane Doe', email: null, phone: null }
+      ];
+    }
+    return [];
+  };
+
+  const matches = await findDuplicateCandidates(
+    { name: 'Jane Doe', email: 'Jane.Doe+x@example.com', phone: '555-2671' },
+    { excludeResumeIds: [9] }
+  );
+
+  assert.deepEqual(lookups.map(lookup => lookup.params), [
+    ['jane.doe@example.com', 9],
+    ['%5552671', 9],
+    ['%doe%', 9]
+  ]);
+  assert.match(lookups[1].sql, /phone_key LIKE \?/);
+  assert.ok(lookups.every(lookup => /id NOT IN \(\?\)/.test(lookup.sql)));
+  assert.deepEqual(matches.map(match => [match.resumeId, match.rootId, match.autoLink]), [[4, 2, true], [6, 6, false]]);
+});
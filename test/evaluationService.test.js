@@ -0,0 +1,95 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const { parsedDataFromResume, saveEvaluation, evaluateStoredResume } = require('../utils/evaluationService');
+
+const JOB = {
+  id: '5',
+  title: 'Backend Engineer',
+  description: 'Build payment APIs in Go',
+  requirements: 'Go, Kafka, PostgreSQL',
+  knockout_rules: null
+};
+
+const RESUME = {
+  id: 12,
+  name: 'Jane Doe',
+  email: ' Jane@Example.com ',
+  phone: '4155552671',
+  skills: '["Go","Kafka","PostgreSQL"]',
+  experience: '[{"position":"Backend Engineer","company":"Acme","duration":"2018 - 2024"}]',
+  education: '[]',
+  certifications: null,
+  total_experience: 6,
+  raw_text: 'Jane Doe. Backend engineer with six years of Go, Kafka and PostgreSQL.'
+};
+
+// Serves the evaluation lookups; `existing` is the row found before the upsert
+function serveEvaluations(existing) {
+  const writes = [];
+  database.query = async (sql, params) => {
+    writes.push({ sql, params });
+    return { affectedRows: 1 };
+  };
+  database.queryOne = async (sql) => {
+    if (sql.startsWith('SELECT id FROM candidate_evaluations')) {
+      return existing;
+    }
+    if (sql.startsWith('SELECT * FROM candidate_evaluations')) {
+      return { id: existing ? existing.id : 31, resume_id: RESUME.id, job_description_id: 5 };
+    }
+    return null;
+  };
+  return writes;
+}
+
+const MATCH = {
+  overall_match: 80, skills_match: 90, skills_details: '', experience_match: 70, experience_details: '',
+  education_match: 60, education_details: '', status: 'shortlisted', match_engine: 'heuristic'
+};
+
+beforeEach(() => database.reset());
+
+test('parsedDataFromResume parses the stored JSON columns', () => {
+  const parsed = parsedDataFromResume(RESUME);
+  assert.deepEqual(parsed.skills, ['Go', 'Kafka', 'PostgreSQL']);
+  assert.equal(parsed.experience[0].company, 'Acme');
+  assert.deepEqual(parsed.certifications, []);
+});
+
+test('saveEvaluation reports a first evaluation as created and a re-score as not', async () => {
+  let writes = serveEvaluations(null);
+  const first = await saveEvaluation({ resumeId: 12, jobData: JOB, parsedData: parsedDataFromResume(RESUME), resumeText: 'text', matchResults: MATCH });
+  assert.equal(first.created, true);
+  assert.equal(first.evaluation.id, 31);
+  assert.match(writes[0].sql, /ON DUPLICATE KEY UPDATE/);
+  assert.deepEqual(writes[0].params.slice(0, 6), [12, 5, 12, 'Jane Doe', '4155552671', 'jane@example.com']);
+
+  writes = serveEvaluations({ id: 30 });
+  const again = await saveEvaluation({ resumeId: 12, jobData: JOB, parsedData: parsedDataFromResume(RESUME), resumeText: 'text', matchResults: MATCH });
+  assert.equal(again.created, false);
+  assert.equal(again.evaluation.id, 30);
+});
+
+test('evaluateStoredResume scores the stored text and upserts the evaluation', async () => {
+  const writes = serveEvaluations(null);
+
+  const { evaluation, created, matchResults } = await evaluateStoredResume(RESUME, JOB, { engine: 'heuristic' });
+
+  assert.equal(created, true);
+  assert.equal(evaluation.id, 31);
+  assert.equal(matchResults.match_engine, 'heuristic');
+  const upsert = writes.find(write => write.sql.includes('INSERT INTO candidate_evaluations'));
+  assert.equal(upsert.params[6], RESUME.raw_text);
+  assert.equal(upsert.params[8], matchResults.overall_match);
+});
+
+test('evaluateStoredResume rejects resumes without stored text and knocks out before matching', async () => {
+  await assert.rejects(evaluateStoredResume({ ...RESUME, raw_text: '  ' }, JOB), (error) => error.status === 422);
+
+  serveEvaluations(null);
+  const knockout = { ...JOB, knockout_rules: JSON.stringify([{ type: 'skills', all_of: ['Rust'] }]) };
+  const { matchResults } = await evaluateStoredResume(RESUME, knockout, { engine: 'llm' });
+  assert.equal(matchResults.match_engine, 'knockout');
+  assert.equal(matchResults.status, 'rejected');
+});
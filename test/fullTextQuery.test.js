@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBooleanQuery, buildSnippets } = require('../utils/fullTextQuery');
+
+test('parseBooleanQuery requires adjacent terms and AND operands', () => {
+  assert.equal(parseBooleanQuery('kubernetes aws').against, '+kubernetes +aws');
+  assert.equal(parseBooleanQuery('kubernetes AND aws').against, '+kubernetes +aws');
+});
+
+test('parseBooleanQuery renders OR groups and exclusions', () => {
+  assert.equal(parseBooleanQuery('kubernetes AND (aws OR gcp) -intern').against, '+kubernetes +(aws gcp) -intern');
+  assert.equal(parseBooleanQuery('java NOT junior').against, '+java -junior');
+});
+
+test('parseBooleanQuery keeps phrases and prefixes, and splits dotted words like MySQL', () => {
+  assert.equal(parseBooleanQuery('"machine learning" devops*').against, '+"machine learning" +devops*');
+  assert.equal(parseBooleanQuery('node.js').against, '"node js"');
+});
+
+test('parseBooleanQuery returns only the terms that are not excluded', () => {
+  const { terms } = parseBooleanQuery('react -angular');
+  assert.deepEqual(terms, [{ type: 'term', word: 'react', prefix: false }]);
+});
+
+test('parseBooleanQuery rejects queries that cannot be run', () => {
+  for (const input of ['', '-intern', 'a OR -b', 'java)']) {
+    assert.throws(() => parseBooleanQuery(input), (error) => error.status === 400, input);
+  }
+});
+
+test('buildSnippets wraps matches in <mark> and escapes the rest', () => {
+  const { terms } = parseBooleanQuery('kubernetes');
+  assert.deepEqual(
+    buildSnippets('Ran <b>Kubernetes</b> clusters', terms),
+    ['Ran &lt;b&gt;<mark>Kubernetes</mark>&lt;/b&gt; clusters']
+  );
+});
+
+test('buildSnippets matches whole words and prefixes only', () => {
+  assert.deepEqual(buildSnippets('Javascript and Java', parseBooleanQuery('java').terms), ['Javascript and <mark>Java</mark>']);
+  assert.deepEqual(buildSnippets('Javascript', parseBooleanQuery('java*').terms), ['<mark>Javascript</mark>']);
+});
+
+test('buildSnippets limits the number of snippets and marks cut text', () => {
+  const text = Array.from({ length: 5 }, (_, index) => `section ${index} mentions aws ${'x'.repeat(100)}`).join(' ');
+  const snippets = buildSnippets(text, parseBooleanQuery('aws').terms, { maxSnippets: 2, radius: 10 });
+  assert.equal(snippets.length, 2);
+  assert.ok(snippets.every(snippet => snippet.includes('<mark>aws</mark>')));
+  assert.ok(snippets[0].endsWith('…'));
+});
+
+test('buildSnippets returns nothing without text or terms', () => {
+  assert.deepEqual(buildSnippets('', parseBooleanQuery('aws').terms), []);
+  assert.deepEqual(buildSnippets('aws', []), []);
+});
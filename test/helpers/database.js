@@ -0,0 +1,26 @@
+// In-memory stand-in for config/database so unit tests never open a MySQL connection.
+// Require it before the module under test; tests set query/queryOne to return the rows they need.
+const databasePath = require.resolve('../../config/database');
+
+const database = {
+  query: async () => [],
+  queryOne: async () => null,
+  reset() {
+    database.query = async () => [];
+    database.queryOne = async () => null;
+  }
+};
+
+require.cache[databasePath] = {
+  id: databasePath,
+  filename: databasePath,
+  loaded: true,
+  exports: {
+    pool: null,
+    query: (sql, params) => database.query(sql, params),
+    queryOne: (sql, params) => database.queryOne(sql, params),
+    withTransaction: (work) => work((sql, params) => database.query(sql, params))
+  }
+};
+
+module.exports = database;
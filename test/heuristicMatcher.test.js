@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/database');
+const { matchResumeHeuristically, findKnownSkills } = require('../utils/heuristicMatcher');
+const { buildTaxonomy } = require('../utils/skillTaxonomy');
+
+const JOB = 'Senior backend engineer. Requires 5+ years of experience with Node.js, Docker and AWS. Bachelor degree in computer science.';
+
+test('findKnownSkills matches skills with punctuation as whole words', () => {
+  assert.deepEqual(findKnownSkills('Built Node.js and C# services on AWS'), ['Node.js', 'C#', 'AWS']);
+  assert.deepEqual(findKnownSkills('Golang and Javanese'), []);
+});
+
+test('a resume covering the job scores high and is accepted', () => {
+  const result = matchResumeHeuristically('Engineer with Node.js Docker AWS', JOB, {
+    skills: ['Node.js', 'Docker', 'AWS'],
+    total_experience: 6,
+    education: [{ degree: 'B.Tech', field: 'Computer Science' }]
+  });
+  assert.equal(result.experience_match, 100);
+  assert.equal(result.education_match, 100);
+  assert.match(result.skills_details, /Missing skills: none/);
+  assert.equal(result.status, 'accepted');
+  assert.equal(result.rejection_reason, '');
+});
+
+test('an unrelated resume is rejected with a reason', () => {
+  const result = matchResumeHeuristically('Sales representative', JOB, { skills: ['Excel'], total_experience: 1, education: [] });
+  assert.equal(result.skills_match, 0);
+  assert.equal(result.experience_match, 20);
+  assert.equal(result.status, 'rejected');
+  assert.ok(result.rejection_reason);
+});
+
+test('structured requirements replace the job text and a child skill covers its parent', () => {
+  const taxonomy = buildTaxonomy([
+    { id: 1, name: 'JavaScript', parent_id: null },
+    { id: 2, name: 'React', parent_id: 1 },
+    { id: 3, name: 'Go', parent_id: null }
+  ], []);
+  const result = matchResumeHeuristically('', 'Any text', { skills: ['React'], total_experience: 12 }, {
+    taxonomy,
+    requirements: {
+      must_have_skills: ['JavaScript'],
+      preferred_skills: ['Go'],
+      min_experience_years: 3,
+      max_experience_years: 8,
+      required_degree_level: 3
+    }
+  });
+  assert.match(result.skills_details, /Matched must-have skills: JavaScript\./);
+  assert.match(result.skills_details, /Preferred skills matched: none \(0 of 1\)/);
+  // 4 years above the range costs 40 points
+  assert.equal(result.experience_match, 60);
+  assert.match(result.education_details, /the job asks for Master's/);
+});
+
+test('the job scoring weights and thresholds are applied', () => {
+  const result = matchResumeHeuristically('Engineer', JOB, { total_experience: 6, education: [{ degree: 'B.Tech' }] }, {
+    scoring: { weights: { skills: 0, experience: 0, education: 100 }, thresholds: { accept: 100, pending: 90 } }
+  });
+  assert.equal(result.overall_match, 100);
+  assert.equal(result.status, 'accepted');
+});
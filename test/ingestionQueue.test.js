@@ -0,0 +1,109 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('./helpers/database');
+const { createIngestionJob, kickWorker } = require('../utils/ingestionQueue');
+const { subscribeToJob } = require('../utils/ingestionEvents');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-queue-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+beforeEach(() => database.reset());
+
+test('createIngestionJob stores the job and the bytes of its files in one transaction', async () => {
+  const filePath = path.join(tempDir, 'jane.txt');
+  fs.writeFileSync(filePath, 'Jane Doe resume');
+
+  const statements = [];
+  database.query = async (sql, params) => {
+    statements.push({ sql, params });
+    if (sql.includes('FROM ingestion_job_files')) {
+      return [{ id: 1, file_name: 'jane.txt', status: 'queued', stage: 'queued', result: null }];
+    }
+    return { affectedRows: 1 };
+  };
+  database.queryOne = async (sql, params) => (sql.includes('FROM ingestion_jobs')
+    ? { id: params[0], status: 'queued', total_files: 1, processed_files: 0, failed_files: 0 }
+    : null);
+
+  const job = await createIngestionJob({
+    files: [{ path: filePath, originalname: 'jane.txt', mimetype: 'text/plain', contentHash: 'abc' }],
+    jobDescriptionId: '5',
+    userId: 'u1'
+  });
+
+  const [jobInsert, fileInsert] = statements;
+  assert.match(jobInsert.sql, /INSERT INTO ingestion_jobs/);
+  assert.deepEqual(jobInsert.params, [job.id, 5, 'u1', 1, true]);
+  assert.match(fileInsert.sql, /INSERT INTO ingestion_job_files/);
+  assert.deepEqual(fileInsert.params, [job.id, 'jane.txt', filePath, Buffer.from('Jane Doe resume'), 'text/plain', 15, 'abc']);
+  assert.equal(job.progress, 0);
+  assert.deepEqual(job.files.map(file => file.file_name), ['jane.txt']);
+});
+
+test('createIngestionJob queues nothing when a file cannot be read', async () => {
+  const statements = [];
+  database.query = async (sql) => {
+    statements.push(sql);
+    return { affectedRows: 1 };
+  };
+
+  await assert.rejects(createIngestionJob({
+    files: [{ path: path.join(tempDir, 'missing.pdf'), originalname: 'missing.pdf' }],
+    jobDescriptionId: 5
+  }), { code: 'ENOENT' });
+  assert.deepEqual(statements, []);
+});
+
+test('the worker fails a file whose job description is gone and completes the job', async () => {
+  const jobFile = {
+    id: 11, job_id: 'job-1', file_name: 'jane.txt', file_path: path.join(tempDir, 'gone.txt'),
+    mimetype: 'text/plain', content_hash: null, status: 'queued', attempts: 0, started_at: null
+  };
+  let claimed = false;
+  const updates = [];
+  database.queryOne = async (sql) => {
+    if (sql.includes('FROM ingestion_job_files') && sql.includes("status = 'queued'")) {
+      const next = claimed ? null : jobFile;
+      claimed = true;
+      return next;
+    }
+    if (sql.includes('SELECT job_description_id')) {
+      return { job_description_id: 5, evaluate_reused: 1 };
+    }
+    if (sql.includes('COUNT(*)')) {
+      return { count: 0 };
+    }
+    if (sql.includes('SELECT total_files')) {
+      return { total_files: 1, processed_files: 0, failed_files: 1 };
+    }
+    return null;
+  };
+  database.query = async (sql, params) => {
+    updates.push({ sql, params });
+    return { affectedRows: 1 };
+  };
+
+  const events = [];
+  const completed = new Promise(resolve => {
+    const unsubscribe = subscribeToJob('job-1', (event) => {
+      events.push(event);
+      if (event.type === 'job_completed') {
+        unsubscribe();
+        resolve();
+      }
+    });
+  });
+  kickWorker();
+  await completed;
+
+  assert.deepEqual(events.map(event => event.type), ['file_failed', 'job_completed']);
+  assert.equal(events[0].data.error, 'Job description not found');
+  assert.equal(events[0].data.stage, 'queued');
+  assert.deepEqual(updates[0].params, [11, 'queued', 0]);
+  const failed = updates.find(update => update.sql.includes("status = 'failed'"));
+  assert.deepEqual(failed.params, ['Job description not found', 11, 1]);
+});
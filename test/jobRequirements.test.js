@@ -0,0 +1,98 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const {
+  parseRequirementsInput,
+  requirementsFromJob,
+  hasRequirements,
+  describeRequirements
+} = require('../utils/jobRequirements');
+
+const isBadRequest = (error) => error.status === 400;
+
+beforeEach(() => {
+  database.reset();
+  database.query = async (sql) => {
+    if (sql.includes('FROM skills')) {
+      return [{ id: 1, name: 'JavaScript', category: 'Language', parent_id: null }];
+    }
+    if (sql.includes('FROM skill_aliases')) {
+      return [{ skill_id: 1, alias: 'JS' }];
+    }
+    return [];
+  };
+});
+
+test('parseRequirementsInput normalizes the fields given and leaves the others out', async () => {
+  const values = await parseRequirementsInput({
+    must_have_skills: 'JS, Go, Go',
+    preferred_skills: ['javascript', 'Kafka'],
+    min_experience_years: '3.25',
+    required_degree_level: 'bachelor',
+    seniority: 'Senior',
+    employment_type: 'Full-time',
+    location: '  Pune  '
+  });
+
+  assert.deepEqual(values, {
+    must_have_skills: ['JavaScript', 'Go'],
+    preferred_skills: ['Kafka'],
+    min_experience_years: 3.3,
+    required_degree_level: 2,
+    seniority: 'senior',
+    location: 'Pune',
+    employment_type: 'full_time'
+  });
+});
+
+test('parseRequirementsInput clears blank fields', async () => {
+  assert.deepEqual(
+    await parseRequirementsInput({ must_have_skills: '', min_experience_years: null, required_degree_level: '', remote_policy: ' ' }),
+    { must_have_skills: [], min_experience_years: null, required_degree_level: null, remote_policy: null }
+  );
+});
+
+test('parseRequirementsInput rejects invalid fields', async () => {
+  await assert.rejects(parseRequirementsInput({ must_have_skills: [1, 2] }), isBadRequest);
+  await assert.rejects(parseRequirementsInput({ min_experience_years: '60' }), /between 0 and 50/);
+  await assert.rejects(parseRequirementsInput({ required_degree_level: 'wizard' }), isBadRequest);
+  await assert.rejects(parseRequirementsInput({ remote_policy: 'sometimes' }), /remote_policy must be one of onsite, hybrid, remote/);
+  await assert.rejects(parseRequirementsInput({ location: 42 }), isBadRequest);
+  await assert.rejects(parseRequirementsInput({ min_experience_years: 5, max_experience_years: 2 }), /cannot be greater/);
+});
+
+test('parseRequirementsInput checks the experience range against the stored requirements on update', async () => {
+  await assert.rejects(parseRequirementsInput({ min_experience_years: 8 }, { max_experience_years: 5 }), /cannot be greater/);
+  assert.deepEqual(
+    await parseRequirementsInput({ max_experience_years: null }, { min_experience_years: 8, max_experience_years: 5 }),
+    { max_experience_years: null }
+  );
+});
+
+test('requirementsFromJob reads a stored job and describeRequirements lists what is set', () => {
+  const empty = requirementsFromJob({ must_have_skills: null, min_experience_years: null });
+  assert.equal(hasRequirements(empty), false);
+  assert.equal(describeRequirements(empty), '');
+
+  const requirements = requirementsFromJob({
+    must_have_skills: '["Go","Kafka"]',
+    preferred_skills: '[]',
+    min_experience_years: '3.0',
+    max_experience_years: null,
+    required_degree_level: 3,
+    remote_policy: 'hybrid',
+    employment_type: 'full_time'
+  });
+
+  assert.equal(hasRequirements(requirements), true);
+  assert.deepEqual(requirements.must_have_skills, ['Go', 'Kafka']);
+  assert.equal(requirements.min_experience_years, 3);
+  assert.equal(requirements.seniority, null);
+  assert.equal(describeRequirements(requirements), [
+    '- Must-have skills: Go, Kafka',
+    '- Experience: at least 3 years',
+    "- Minimum degree: Master's",
+    '- Work arrangement: hybrid',
+    '- Employment type: full-time'
+  ].join('\n'));
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+process.env.LLM_PROVIDER = 'mock';
+delete process.env.LLM_MODEL;
+delete process.env.LLM_FALLBACK_MODELS;
+require('./helpers/database');
+const { extractJobRequirements } = require('../utils/jobRequirementsExtractor');
+
+test('extractJobRequirements proposes requirements in the shape of a job description', async () => {
+  const result = await extractJobRequirements({
+    title: 'Senior Backend Engineer',
+    description: [
+      'Hybrid, full-time role.',
+      'Requirements:',
+      '- 5+ years of Go and Kubernetes',
+      '- Bachelor of Science in Computer Science',
+      'Nice to have:',
+      '- Kafka, Go'
+    ].join('\n')
+  });
+
+  assert.deepEqual(result, {
+    requirements: {
+      must_have_skills: ['Go', 'Kubernetes'],
+      preferred_skills: ['Kafka'],
+      min_experience_years: 5,
+      max_experience_years: null,
+      required_degree_level: 2,
+      seniority: 'senior',
+      location: null,
+      remote_policy: 'hybrid',
+      employment_type: 'full_time'
+    },
+    warnings: [],
+    model: 'mock/mock-1'
+  });
+});
+
+test('extractJobRequirements drops values the model got wrong with a warning', async () => {
+  const reversed = await extractJobRequirements({ description: 'Contract role. 8 to 3 years of Python.' });
+  assert.equal(reversed.requirements.min_experience_years, 8);
+  assert.equal(reversed.requirements.max_experience_years, null);
+  assert.equal(reversed.requirements.employment_type, 'contract');
+  assert.deepEqual(reversed.warnings, ['max_experience_years is below min_experience_years (value removed)']);
+
+  const outOfRange = await extractJobRequirements({ description: '70 years of Python.' });
+  assert.equal(outOfRange.requirements.min_experience_years, null);
+  assert.deepEqual(outOfRange.requirements.must_have_skills, ['Python']);
+  assert.deepEqual(outOfRange.warnings, ['min_experience_years must be <= 50 (value removed)']);
+});
+
+test('extractJobRequirements needs a description', async () => {
+  await assert.rejects(extractJobRequirements({ title: 'Engineer', description: '  ' }), { status: 400, message: 'description is required' });
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const { parseKnockoutRules, evaluateKnockouts, knockoutMatchResults, MAX_KNOCKOUT_RULES } = require('../utils/knockoutRules');
+
+// Skills taxonomy with "golang" as an alias of Go
+database.query = async (sql) => {
+  if (/FROM skills\b/.test(sql)) {
+    return [{ id: 1, name: 'Go', category: null, parent_id: null }, { id: 2, name: 'Kubernetes', category: null, parent_id: null }];
+  }
+  if (/FROM skill_aliases/.test(sql)) {
+    return [{ skill_id: 1, alias: 'golang' }];
+  }
+  return [];
+};
+
+test('parseKnockoutRules normalizes rules', async () => {
+  const rules = await parseKnockoutRules([
+    { type: 'min_experience', years: '4.56' },
+    { type: 'location', any_of: [' India ', 'India', ''] },
+    { type: 'skills', all_of: ['golang', 'kubernetes'] },
+    { type: 'min_degree', level: "Master's" }
+  ]);
+  assert.deepEqual(rules, [
+    { type: 'min_experience', years: 4.6 },
+    { type: 'location', any_of: ['India'] },
+    { type: 'skills', all_of: ['Go', 'Kubernetes'] },
+    { type: 'min_degree', level: 3 }
+  ]);
+});
+
+test('parseKnockoutRules treats empty values as no rules', async () => {
+  assert.deepEqual(await parseKnockoutRules(null), []);
+  assert.deepEqual(await parseKnockoutRules([]), []);
+});
+
+test('parseKnockoutRules rejects invalid rules with 400', async () => {
+  const invalid = [
+    'min_experience',
+    [{ type: 'unknown' }],
+    [{ type: 'min_experience', years: 0 }],
+    [{ type: 'location', any_of: [] }],
+    [{ type: 'certification', any_of: 'AWS' }],
+    [{ type: 'min_degree', level: 'kindergarten' }],
+    Array.from({ length: MAX_KNOCKOUT_RULES + 1 }, () => ({ type: 'min_experience', years: 1 }))
+  ];
+  for (const rules of invalid) {
+    await assert.rejects(parseKnockoutRules(rules), (error) => error.status === 400);
+  }
+});
+
+test('evaluateKnockouts reports each failed rule', () => {
+  const rules = [
+    { type: 'min_experience', years: 5 },
+    { type: 'location', any_of: ['India'] },
+    { type: 'certification', any_of: ['CKA'] },
+    { type: 'skills', all_of: ['Go', 'Kubernetes'] },
+    { type: 'min_degree', level: 3 }
+  ];
+  const failures = evaluateKnockouts(rules, {
+    total_experience: '3.5',
+    location: 'Indianapolis, USA',
+    certifications: '[]',
+    skills: '["go"]',
+    education: '[{"degree":"B.Sc"}]'
+  }, 'Resume text');
+
+  assert.deepEqual(failures.map(failure => [failure.rule, failure.reason]), [
+    [0, 'experience_below_minimum'],
+    [1, 'location_not_allowed'],
+    [2, 'certification_missing'],
+    [3, 'skills_missing'],
+    [4, 'degree_below_minimum']
+  ]);
+  assert.deepEqual(failures[3].actual, ['Go']);
+  assert.equal(failures[4].actual, "Bachelor's");
+});
+
+test('evaluateKnockouts passes rules that hold and skips rules the resume cannot answer', () => {
+  const rules = JSON.stringify([
+    { type: 'min_experience', years: 5 },
+    { type: 'location', any_of: ['India'] },
+    { type: 'certification', any_of: ['CKA'] },
+    { type: 'min_degree', level: 3 }
+  ]);
+  assert.deepEqual(evaluateKnockouts(rules, { location: 'Pune, India', education: '[]' }, 'Certified Kubernetes Administrator (CKA)'), []);
+});
+
+test('knockoutMatchResults rejects with zero scores and the failure messages', () => {
+  const failures = [{ rule: 0, type: 'min_experience', reason: 'experience_below_minimum', message: '2 years of experience, at least 5 required' }];
+  const results = knockoutMatchResults(failures);
+  assert.equal(results.status, 'rejected');
+  assert.equal(results.overall_match, 0);
+  assert.equal(results.match_engine, 'knockout');
+  assert.equal(results.rejection_reason, 'Knockout: 2 years of experience, at least 5 required');
+  assert.equal(results.knockout_failures, failures);
+});
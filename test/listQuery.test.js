@@ -0,0 +1,92 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const { DEFAULT_LIMIT, parseListQuery, runListQuery } = require('../utils/listQuery');
+
+const SPEC = {
+  columns: { id: 'r.id', name: 'r.name', skills: 'r.skills', raw_text: 'r.raw_text', created_at: 'r.created_at' },
+  exclude: ['raw_text'],
+  json: { skills: [] },
+  sortable: ['created_at', 'name', 'id'],
+  defaultSort: '-created_at',
+  from: 'resumes r'
+};
+
+const isBadRequest = (error) => error.status === 400;
+
+beforeEach(() => database.reset());
+
+test('parseListQuery applies the defaults and leaves excluded fields out', () => {
+  const list = parseListQuery({}, SPEC);
+  assert.equal(list.limit, DEFAULT_LIMIT);
+  assert.equal(list.offset, 0);
+  assert.deepEqual(list.sort, { field: 'created_at', direction: 'DESC' });
+  assert.deepEqual(list.fields, ['id', 'name', 'skills', 'created_at']);
+  assert.equal(list.cursor, null);
+});
+
+test('parseListQuery validates limit, offset, sort and fields', () => {
+  assert.throws(() => parseListQuery({ limit: '0' }, SPEC), isBadRequest);
+  assert.throws(() => parseListQuery({ limit: '500' }, SPEC), isBadRequest);
+  assert.throws(() => parseListQuery({ offset: '-1' }, SPEC), isBadRequest);
+  assert.throws(() => parseListQuery({ sort: 'raw_text' }, SPEC), isBadRequest);
+  assert.throws(() => parseListQuery({ fields: 'id,password' }, SPEC), isBadRequest);
+  assert.deepEqual(parseListQuery({ fields: 'name, raw_text,name' }, SPEC).fields, ['name', 'raw_text']);
+});
+
+test('parseListQuery rejects malformed cursors, cursors of another sort and cursor with offset', () => {
+  assert.throws(() => parseListQuery({ cursor: 'not-a-cursor' }, SPEC), isBadRequest);
+  assert.throws(() => parseListQuery({ cursor: Buffer.from('[1,2]').toString('base64url') }, SPEC), isBadRequest);
+
+  const nameCursor = Buffer.from(JSON.stringify(['name', 'Ann', 3])).toString('base64url');
+  assert.throws(() => parseListQuery({ cursor: nameCursor }, SPEC), /different sort order/);
+  assert.throws(() => parseListQuery({ cursor: nameCursor, sort: 'name', offset: '10' }, SPEC), /either cursor or offset/);
+  assert.deepEqual(parseListQuery({ cursor: nameCursor, sort: 'name' }, SPEC).cursor, { value: 'Ann', id: 3 });
+});
+
+test('a next_cursor from runListQuery continues after the last row, dates included', async () => {
+  const createdAt = new Date('2026-03-01T10:00:00.000Z');
+  let pageSql = null;
+  database.queryOne = async () => ({ total: 5 });
+  database.query = async (sql, params) => {
+    pageSql = { sql, params };
+    return [
+      { id: 9, name: 'A', skills: '["Go"]', created_at: new Date('2026-03-02T10:00:00.000Z') },
+      { id: 7, name: 'B', skills: null, created_at: createdAt },
+      { id: 4, name: 'C', skills: '[]', created_at: createdAt }
+    ];
+  };
+
+  const first = await runListQuery(parseListQuery({ limit: '2' }, SPEC), SPEC);
+  assert.equal(first.total, 5);
+  assert.deepEqual(first.data.map(row => row.skills), [['Go'], []]);
+  assert.equal(first.pagination.has_more, true);
+  assert.equal(first.pagination.next_offset, 2);
+  assert.match(pageSql.sql, /ORDER BY r\.created_at DESC, r\.id DESC\s+LIMIT 3/);
+
+  const next = parseListQuery({ limit: '2', cursor: first.pagination.next_cursor }, SPEC);
+  assert.deepEqual(next.cursor, { value: createdAt, id: 7 });
+
+  const second = await runListQuery(next, SPEC);
+  assert.match(pageSql.sql, /\(r\.created_at < \? OR \(r\.created_at = \? AND r\.id < \?\) OR r\.created_at IS NULL\)/);
+  assert.deepEqual(pageSql.params, [createdAt, createdAt, 7]);
+  assert.equal(second.pagination.offset, null);
+  assert.equal(second.pagination.next_offset, null);
+});
+
+test('a cursor on a NULL sort value continues among the NULL rows', async () => {
+  let pageSql = null;
+  database.query = async (sql, params) => {
+    pageSql = { sql, params };
+    return [];
+  };
+  const cursor = Buffer.from(JSON.stringify(['name', null, 12])).toString('base64url');
+
+  await runListQuery(parseListQuery({ sort: 'name', cursor }, SPEC), SPEC);
+  assert.match(pageSql.sql, /\(\(r\.name IS NULL AND r\.id > \?\) OR r\.name IS NOT NULL\)/);
+  assert.deepEqual(pageSql.params, [12]);
+
+  const descending = Buffer.from(JSON.stringify(['-name', null, 12])).toString('base64url');
+  await runListQuery(parseListQuery({ sort: '-name', cursor: descending }, SPEC), SPEC);
+  assert.match(pageSql.sql, /\(r\.name IS NULL AND r\.id < \?\)/);
+});
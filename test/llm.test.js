@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+process.env.LLM_PROVIDER = 'mock';
+delete process.env.LLM_MODEL;
+delete process.env.LLM_FALLBACK_MODELS;
+require('./helpers/database');
+const { getLLMProvider, generateJSON, generateValidatedJSON, parseJSONResponse } = require('../utils/llm');
+const { createOpenAIProvider } = require('../utils/llm/openaiProvider');
+
+const RESUME_TEXT = [
+  'Jane Doe',
+  'jane.doe@example.com | +1 415 555 2671',
+  'Backend engineer with 7 years building payment systems in Go and Kafka.',
+  'Bachelor of Science in Computer Science',
+  'AWS Certified Solutions Architect'
+].join('\n');
+
+test('parseJSONResponse takes the JSON object out of fences and prose', () => {
+  assert.deepEqual(parseJSONResponse('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(parseJSONResponse('Here you go: {"a": {"b": [1, 2]}} Hope it helps'), { a: { b: [1, 2] } });
+  assert.throws(() => parseJSONResponse('   '), /Empty or invalid JSON/);
+  assert.throws(() => parseJSONResponse('{"a": }'), /Failed to parse JSON response/);
+});
+
+test('the mock provider answers deterministically from the task input', async () => {
+  assert.equal(getLLMProvider().name, 'mock');
+
+  const first = await generateJSON('ignored', { task: 'parse_resume', input: { resumeText: RESUME_TEXT, fileName: 'jane.pdf' } });
+  const second = await generateJSON('also ignored', { task: 'parse_resume', input: { resumeText: RESUME_TEXT, fileName: 'jane.pdf' } });
+
+  assert.deepEqual(first, second);
+  assert.equal(first.provider, 'mock');
+  assert.equal(first.model, 'mock-1');
+  assert.equal(first.data.name, 'Jane Doe');
+  assert.equal(first.data.email, 'jane.doe@example.com');
+  assert.equal(first.data.total_experience, 7);
+  assert.deepEqual(first.data.certifications, ['AWS Certified Solutions Architect']);
+});
+
+test('generateJSON reports when every model failed', async () => {
+  await assert.rejects(
+    generateJSON('prompt', { task: 'summarize' }),
+    /All models failed\. Last error: Mock LLM provider does not support task "summarize"/
+  );
+});
+
+test('generateValidatedJSON asks for one repair and sanitizes what is still invalid', async () => {
+  const inputs = [];
+  const check = (data) => {
+    inputs.push(data);
+    return { data, errors: data.name === 'Jane Doe' ? [{ text: 'name must be uppercase' }] : [] };
+  };
+  const sanitize = ({ data, errors }) => ({ data: { ...data, name: null }, warnings: errors.map(error => error.text) });
+
+  const result = await generateValidatedJSON('prompt', {
+    task: 'parse_resume',
+    input: { resumeText: RESUME_TEXT },
+    check,
+    sanitize
+  });
+
+  assert.equal(inputs.length, 2);
+  assert.equal(result.repaired, false);
+  assert.equal(result.data.name, null);
+  assert.deepEqual(result.warnings, ['name must be uppercase']);
+});
+
+test('the OpenAI-compatible provider posts chat completions and reports API errors with their status', async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+      if (JSON.parse(body).model === 'missing-model') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: 'model not found' } }));
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: '{"ok":true}' } }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const provider = createOpenAIProvider({
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+      apiKey: 'secret',
+      jsonMode: true,
+      requestTimeoutMs: 5000
+    });
+
+    assert.equal(await provider.generateText('Return JSON', { model: 'local-model' }), '{"ok":true}');
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.equal(requests[0].authorization, 'Bearer secret');
+    assert.deepEqual(requests[0].body, {
+      model: 'local-model',
+      temperature: 0,
+      messages: [{ role: 'user', content: 'Return JSON' }],
+      response_format: { type: 'json_object' }
+    });
+
+    await assert.rejects(
+      provider.generateText('Return JSON', { model: 'missing-model' }),
+      /OpenAI-compatible API error 404: model not found/
+    );
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
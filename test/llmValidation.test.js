@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/database');
+const {
+  normalizeDate,
+  checkParsedResume,
+  sanitizeParsedResume,
+  checkMatchData,
+  checkJobRequirements,
+  sanitizeJobRequirements
+} = require('../utils/llmValidation');
+
+test('normalizeDate understands the usual date spellings', () => {
+  const cases = [
+    ['Jan 2020', '2020-01'],
+    ['September, 2019', '2019-09'],
+    ["Mar '21", '2021-03'],
+    ['2020-01-15', '2020-01'],
+    ['01/2020', '2020-01'],
+    ['25/12/2020', '2020-12'],
+    [2015, '2015'],
+    ['current', 'Present'],
+    ['Till date', 'Present']
+  ];
+  for (const [input, expected] of cases) {
+    assert.equal(normalizeDate(input), expected, String(input));
+  }
+  assert.equal(normalizeDate(''), null);
+  assert.equal(normalizeDate('sometime'), 'sometime');
+});
+
+test('checkParsedResume coerces types before validating', () => {
+  const { data, errors } = checkParsedResume({
+    name: ' Jane ',
+    email: 'MAILTO:Jane@Example.com',
+    skills: 'Go, SQL, go',
+    certifications: null,
+    total_experience: '5.456 years',
+    experience: [{ company: 'Acme', start_date: 'Jan 2020', endDate: 'current' }],
+    education: { institution: 'MIT', year: 2015 }
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(data.name, 'Jane');
+  assert.equal(data.email, 'jane@example.com');
+  assert.deepEqual(data.skills, ['Go', 'SQL']);
+  assert.deepEqual(data.certifications, []);
+  assert.equal(data.total_experience, 5.46);
+  assert.deepEqual(data.experience, [{ company: 'Acme', startDate: '2020-01', endDate: 'Present' }]);
+  assert.deepEqual(data.education, [{ institution: 'MIT', year: '2015' }]);
+});
+
+test('sanitizeParsedResume removes invalid values and drops unidentifiable entries with warnings', () => {
+  const { data, warnings } = sanitizeParsedResume(checkParsedResume({
+    email: 'not an email',
+    skills: [],
+    certifications: [],
+    experience: [{ company: '', position: null }, { position: 'Developer', startDate: 'garbage' }],
+    education: []
+  }));
+  assert.equal(data.email, null);
+  assert.deepEqual(data.experience, [{ position: 'Developer', startDate: null, endDate: null }]);
+  assert.deepEqual(warnings, [
+    'email must be a valid email address (value removed)',
+    'experience[0] dropped: must have a company or position',
+    'experience[1].startDate must be a date in YYYY-MM format or "Present" (value removed)'
+  ]);
+});
+
+test('checkMatchData accepts percentage strings and reports out-of-range scores', () => {
+  const { data, errors } = checkMatchData({
+    overall_match: '85%',
+    skills_match: 90,
+    experience_match: 80,
+    education_match: 120,
+    skills_details: 'a',
+    experience_details: 'b',
+    education_details: 'c',
+    status: ' Accepted '
+  });
+  assert.equal(data.overall_match, 85);
+  assert.equal(data.status, 'accepted');
+  assert.deepEqual(errors.map(error => error.text), ['education_match must be <= 100']);
+});
+
+test('job requirements are coerced and unknown values removed', () => {
+  const checked = checkJobRequirements({
+    must_have_skills: 'Go, Kubernetes',
+    preferred_skills: [''],
+    min_experience_years: '5+ years',
+    required_degree_level: "Bachelor's",
+    seniority: 'Senior',
+    remote_policy: 'Remote-first',
+    employment_type: 'Full-time'
+  });
+  const { data, warnings } = sanitizeJobRequirements(checked);
+  assert.deepEqual(data, {
+    must_have_skills: ['Go', 'Kubernetes'],
+    preferred_skills: [],
+    min_experience_years: 5,
+    required_degree_level: 2,
+    seniority: 'senior',
+    remote_policy: null,
+    employment_type: 'full_time'
+  });
+  assert.deepEqual(warnings, ['remote_policy must be equal to one of the allowed values (value removed)']);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/database');
+const { ocrPdf } = require('../utils/ocr');
+const { extractResumeText } = require('../utils/resumeParser');
+
+// Single-page PDF with the given lines as its text layer (none for a page without text, like a scan)
+function buildPdf(lines = []) {
+  const text = lines.map((line, index) => `BT /F1 11 Tf 72 ${720 - index * 14} Td (${line}) Tj ET`).join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${Buffer.byteLength(text)} >>\nstream\n${text}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf);
+}
+
+function writePdf(lines) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-')), 'resume.pdf');
+  fs.writeFileSync(filePath, buildPdf(lines));
+  return filePath;
+}
+
+test('a PDF with a text layer is read without OCR', async () => {
+  const filePath = writePdf([
+    'Jane Doe - Senior Backend Engineer',
+    'Eight years building payment systems in Go and Kafka'
+  ]);
+  try {
+    const result = await extractResumeText(filePath, 'application/pdf');
+    assert.equal(result.method, 'text');
+    assert.equal(result.confidence, 100);
+    assert.match(result.text, /Senior Backend Engineer/);
+  } finally {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  }
+});
+
+test('a PDF without a text layer goes through OCR and fails when nothing is recognized', async () => {
+  const blank = buildPdf();
+  const ocr = await ocrPdf(blank);
+  assert.equal(ocr.pages, 1);
+  assert.equal(ocr.text, '');
+
+  const filePath = writePdf();
+  try {
+    await assert.rejects(
+      extractResumeText(filePath, 'application/pdf'),
+      /PDF file: The PDF appears to be a scanned image and OCR found no readable text/
+    );
+  } finally {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffParsedResumes } = require('../utils/resumeDiff');
+
+test('identical snapshots have no changes, ignoring case, spacing and number formatting', () => {
+  const before = { name: 'Jane Doe', total_experience: '5.00', skills: '["Go","SQL"]' };
+  const after = { name: ' jane doe ', total_experience: 5, skills: ['sql', 'go'] };
+  assert.deepEqual(diffParsedResumes(before, after), {});
+});
+
+test('scalar fields report before and after', () => {
+  assert.deepEqual(
+    diffParsedResumes({ location: 'Pune', summary: '' }, { location: 'Bangalore', summary: 'Backend engineer' }, ['location', 'summary']),
+    { location: { before: 'Pune', after: 'Bangalore' }, summary: { before: null, after: 'Backend engineer' } }
+  );
+});
+
+test('string lists report added and removed items', () => {
+  assert.deepEqual(
+    diffParsedResumes({ skills: ['Go', 'SQL'] }, { skills: ['Go', 'Kubernetes'] }, ['skills']),
+    { skills: { added: ['Kubernetes'], removed: ['SQL'] } }
+  );
+});
+
+test('experience entries are matched by company and position', () => {
+  const before = {
+    experience: [
+      { company: 'Acme', position: 'Engineer', endDate: '2022-01' },
+      { company: 'Initech', position: 'Intern' }
+    ]
+  };
+  const after = {
+    experience: [
+      { company: 'ACME', position: 'engineer', endDate: 'Present' },
+      { company: 'Globex', position: 'Lead' }
+    ]
+  };
+  assert.deepEqual(diffParsedResumes(before, after, ['experience']), {
+    experience: {
+      added: [{ company: 'Globex', position: 'Lead' }],
+      removed: [{ company: 'Initech', position: 'Intern' }],
+      changed: [{
+        entry: { company: 'ACME', position: 'engineer', endDate: 'Present' },
+        changes: { endDate: { before: '2022-01', after: 'Present' } }
+      }]
+    }
+  });
+});
+
+test('only the requested fields are compared', () => {
+  assert.deepEqual(diffParsedResumes({ name: 'A', skills: ['Go'] }, { name: 'B', skills: [] }, ['name']), { name: { before: 'A', after: 'B' } });
+});
@@ -0,0 +1,68 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+process.env.LLM_PROVIDER = 'mock';
+delete process.env.EMBEDDING_PROVIDER;
+delete process.env.EMBEDDING_MODEL;
+const database = require('./helpers/database');
+const { createLocalEmbeddingProvider } = require('../utils/embeddings/localProvider');
+const { buildEmbeddingText, semanticSearch } = require('../utils/resumeEmbeddings');
+
+const local = createLocalEmbeddingProvider();
+
+beforeEach(() => database.reset());
+
+test('buildEmbeddingText joins the summary, experience entries and skills', () => {
+  const text = buildEmbeddingText({
+    summary: 'Backend engineer',
+    experience: '[{"position":"Engineer","company":"Acme","description":"Built   payment APIs"}]',
+    skills: '["Go","Kafka"]',
+    raw_text: 'ignored'
+  });
+  assert.equal(text, 'Backend engineer\nEngineer at Acme: Built payment APIs\nSkills: Go, Kafka');
+  assert.equal(buildEmbeddingText({ raw_text: 'Only raw text' }), 'Only raw text');
+});
+
+test('semanticSearch pages through stored embeddings and keeps the most similar', async () => {
+  const [queryVector] = await local.embed(['built payment systems at scale']);
+  const [closeVector] = await local.embed(['built payment systems for banks']);
+  const [otherVector] = await local.embed(['pottery and gardening']);
+
+  const rows = [];
+  for (let id = 1; id <= 1200; id++) {
+    const vector = id === 700 ? queryVector : id === 1100 ? closeVector : otherVector;
+    rows.push({ resume_id: id, embedding: JSON.stringify(vector) });
+  }
+
+  const pages = [];
+  database.query = async (sql, params) => {
+    if (sql.includes('FROM resume_embeddings')) {
+      const afterId = params[2];
+      pages.push(afterId);
+      return rows.filter(row => row.resume_id > afterId).slice(0, 500);
+    }
+    if (sql.includes('FROM resumes WHERE id IN')) {
+      return params.map(id => ({ id, name: `Resume ${id}`, skills: '[]' }));
+    }
+    return [];
+  };
+  database.queryOne = async () => ({ count: 3 });
+
+  const result = await semanticSearch('built payment systems at scale', { limit: 2 });
+
+  assert.deepEqual(pages, [0, 500, 1000]);
+  assert.deepEqual(result.data.map(resume => resume.id), [700, 1100]);
+  assert.equal(result.data[0].similarity, 1);
+  assert.ok(result.data[1].similarity < 1);
+  assert.equal(result.provider, 'local');
+  assert.equal(result.unindexed, 3);
+});
+
+test('semanticSearch drops results below min_similarity and rejects an empty query', async () => {
+  const [vector] = await local.embed(['pottery and gardening']);
+  database.query = async (sql) => (sql.includes('FROM resume_embeddings') ? [{ resume_id: 1, embedding: JSON.stringify(vector) }] : []);
+
+  const result = await semanticSearch('distributed payment systems', { minSimilarity: 0.5 });
+  assert.deepEqual(result.data, []);
+
+  await assert.rejects(semanticSearch('  '), (error) => error.status === 400);
+});
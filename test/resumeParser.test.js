@@ -0,0 +1,58 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/database');
+const { extractResumeText } = require('../utils/resumeParser');
+
+const ODT = 'application/vnd.oasis.opendocument.text';
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-parser-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function writeOdt(name, contentXml) {
+  const zip = new AdmZip();
+  zip.addFile('mimetype', Buffer.from(ODT));
+  zip.addFile('content.xml', Buffer.from(contentXml));
+  const filePath = path.join(tempDir, name);
+  zip.writeZip(filePath);
+  return filePath;
+}
+
+test('extractResumeText reads the text of an OpenDocument file', async () => {
+  const filePath = writeOdt('jane.odt', '<office:text><text:h>Jane Doe</text:h><text:p>Go developer</text:p></office:text>');
+
+  assert.deepEqual(await extractResumeText(filePath, ODT), { text: 'Jane Doe\nGo developer', method: 'text', confidence: 100 });
+});
+
+test('extractResumeText refuses an OpenDocument content.xml that inflates past the limit', async () => {
+  const filePath = writeOdt('bomb.odt', `<office:text>${' '.repeat(30 * 1024 * 1024)}</office:text>`);
+
+  await assert.rejects(
+    extractResumeText(filePath, ODT),
+    /^Error: Error extracting text from ODT file: OpenDocument content.xml rejected: File too large/
+  );
+});
+
+test('extractResumeText sniffs .doc files that are really RTF', async () => {
+  const filePath = writeFile('renamed.doc', '{\\rtf1\\ansi Jane Doe\\par Go developer}');
+
+  const { text } = await extractResumeText(filePath, 'application/msword');
+  assert.equal(text, 'Jane Doe\nGo developer');
+
+  const garbage = writeFile('garbage.doc', 'neither Word nor RTF');
+  await assert.rejects(extractResumeText(garbage, 'application/msword'), /DOC file: File is not a valid Word document/);
+});
+
+test('extractResumeText rejects unsupported types and documents without text', async () => {
+  await assert.rejects(extractResumeText(writeFile('photo.png', 'png'), 'image/png'), /Unsupported file type \(image\/png\)/);
+  await assert.rejects(extractResumeText(writeFile('blank.md', '  \n# \n'), 'text/markdown'), /contains no readable text/);
+});
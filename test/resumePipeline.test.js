@@ -0,0 +1,79 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.LLM_PROVIDER = 'mock';
+const database = require('./helpers/database');
+const { hashFile, hashBuffer } = require('../utils/fileHash');
+const { processResumeFile } = require('../utils/resumePipeline');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-pipeline-'));
+const JOB = { id: 5, title: 'Backend Engineer', description: 'Go', requirements: null, knockout_rules: null };
+const STORED = {
+  id: 3, parent_id: 1, name: 'Jane Doe', email: 'jane@example.com', content_hash: 'abc',
+  skills: '["Go"]', experience: '[]', education: '[]', certifications: '[]', raw_text: 'Jane Doe, Go developer'
+};
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+beforeEach(() => database.reset());
+
+function upload(content = 'Jane Doe resume') {
+  const filePath = path.join(tempDir, `upload-${Date.now()}-${Math.random()}.txt`);
+  fs.writeFileSync(filePath, content);
+  return { path: filePath, originalname: 'jane.txt', mimetype: 'text/plain', contentHash: 'abc' };
+}
+
+test('hashFile and hashBuffer agree on the SHA-256 of the contents', async () => {
+  const file = upload('same bytes');
+  const expected = '58100dc8fc06562ce3e578231dc948e083520ee49c4b4ee5a5a28bb4b4003feb';
+  assert.equal(hashBuffer(Buffer.from('same bytes')), expected);
+  assert.equal(await hashFile(file.path), expected);
+  await assert.rejects(hashFile(path.join(tempDir, 'missing.txt')), { code: 'ENOENT' });
+});
+
+test('an identical file reuses the stored resume and its evaluation without parsing', async () => {
+  const lookups = [];
+  database.queryOne = async (sql, params) => {
+    lookups.push({ sql, params });
+    if (sql.includes('WHERE content_hash = ?')) {
+      return STORED;
+    }
+    if (sql.includes('FROM candidate_evaluations')) {
+      return { id: 40, overall_match: '81.50', skills_match: '90', experience_match: '70', education_match: '60', status: 'shortlisted', match_engine: 'llm', knockout_failures: null };
+    }
+    return null;
+  };
+  const stages = [];
+  const file = upload();
+
+  const result = await processResumeFile(file, JOB, { onStage: async (stage) => stages.push(stage) });
+
+  assert.equal(result.reusedIdenticalFile, true);
+  assert.equal(result.data.id, 3);
+  assert.deepEqual(result.data.skills, ['Go']);
+  assert.equal(result.isDuplicate, true);
+  assert.equal(result.parentId, 1);
+  assert.equal(result.evaluation.id, 40);
+  assert.equal(result.matchScores.overall_match, 81.5);
+  assert.deepEqual(result.matchScores.knockout_failures, []);
+  assert.deepEqual(stages, ['reused', 'matched']);
+  assert.deepEqual(lookups[0].params, ['abc']);
+  assert.equal(fs.existsSync(file.path), false);
+});
+
+test('a reused resume is not evaluated when evaluateReused is false', async () => {
+  const lookups = [];
+  database.queryOne = async (sql) => {
+    lookups.push(sql);
+    return sql.includes('WHERE content_hash = ?') ? STORED : null;
+  };
+
+  const result = await processResumeFile(upload(), JOB, { evaluateReused: false });
+
+  assert.equal(result.reusedIdenticalFile, true);
+  assert.equal(result.evaluation, null);
+  assert.equal(result.matchScores, null);
+  assert.equal(lookups.length, 1);
+});
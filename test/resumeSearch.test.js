@@ -0,0 +1,113 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const { parseSearchFilters, searchResumes } = require('../utils/resumeSearch');
+
+const isBadRequest = (error) => error.status === 400;
+
+// Skills taxonomy rows, and whatever `rows` returns for every other query
+function serve(rows = () => []) {
+  const queries = [];
+  database.query = async (sql, params) => {
+    queries.push({ sql, params });
+    if (sql.includes('FROM skills')) {
+      return [{ id: 1, name: 'JavaScript', category: 'Language', parent_id: null }];
+    }
+    if (sql.includes('FROM skill_aliases')) {
+      return [{ skill_id: 1, alias: 'JS' }];
+    }
+    return rows(sql, params);
+  };
+  return queries;
+}
+
+beforeEach(() => database.reset());
+
+test('parseSearchFilters reads lists, canonical skills and ranges', async () => {
+  serve();
+  const filters = await parseSearchFilters({
+    q: ' jane ',
+    skills: ['JS, Go', 'kafka'],
+    skills_mode: 'any',
+    min_experience: '3',
+    location: 'Pune,Remote',
+    degree: 'bachelor',
+    certifications: 'AWS',
+    uploaded_from: '2026-01-01'
+  });
+
+  assert.equal(filters.q, 'jane');
+  assert.deepEqual(filters.skills, ['JavaScript', 'Go', 'kafka']);
+  assert.equal(filters.skillsMode, 'any');
+  assert.equal(filters.minExperience, 3);
+  assert.equal(filters.maxExperience, null);
+  assert.deepEqual(filters.locations, ['Pune', 'Remote']);
+  assert.equal(filters.degree, 2);
+  assert.deepEqual(filters.certifications, ['AWS']);
+  assert.equal(filters.uploadedFrom, '2026-01-01');
+  assert.equal(filters.text, null);
+});
+
+test('parseSearchFilters rejects invalid filters', async () => {
+  serve();
+  await assert.rejects(parseSearchFilters({ skills_mode: 'some' }), isBadRequest);
+  await assert.rejects(parseSearchFilters({ min_experience: '-1' }), isBadRequest);
+  await assert.rejects(parseSearchFilters({ min_experience: '5', max_experience: '2' }), /cannot be greater/);
+  await assert.rejects(parseSearchFilters({ degree: 'wizard' }), isBadRequest);
+  await assert.rejects(parseSearchFilters({ uploaded_from: '01/02/2026' }), isBadRequest);
+  await assert.rejects(parseSearchFilters({ uploaded_from: '2026-02-01', uploaded_to: '2026-01-01' }), /cannot be after/);
+});
+
+test('searchResumes filters, counts and facets in SQL', async () => {
+  const queries = serve((sql) => {
+    if (sql.includes('COUNT(DISTINCT resumes.id)')) {
+      return [{ value: 'JavaScript', count: 2 }];
+    }
+    if (sql.includes('TRIM(location) as value')) {
+      return [{ value: 'Pune', count: '2' }];
+    }
+    if (sql.includes('degree_level as level')) {
+      return [{ level: 2, count: 2 }];
+    }
+    if (sql.startsWith('SELECT id as `id`')) {
+      return [{ id: 4, name: 'Jane Doe', skills: '["JavaScript"]', degree_level: 2 }];
+    }
+    return [];
+  });
+  database.queryOne = async () => ({ total: 1 });
+
+  const filters = await parseSearchFilters({ skills: 'js', location: 'Pune', degree: '2' });
+  const result = await searchResumes(filters, { fields: 'id,name,skills,degree_level' });
+
+  assert.equal(result.total, 1);
+  assert.deepEqual(result.data, [{ id: 4, name: 'Jane Doe', skills: ['JavaScript'], degree_level: 2, degree_label: "Bachelor's" }]);
+  assert.deepEqual(result.facets.skills, [{ value: 'JavaScript', count: 2 }]);
+  assert.deepEqual(result.facets.locations, [{ value: 'Pune', count: 2 }]);
+  assert.equal(result.facets.degrees.find(degree => degree.level === 2).count, 2);
+  assert.equal(result.facets.degrees.find(degree => degree.level === 4).count, 0);
+
+  const page = queries.find(entry => entry.sql.startsWith('SELECT id as `id`'));
+  assert.match(page.sql, /WHERE \(JSON_CONTAINS\(skills, JSON_QUOTE\(\?\)\)\) AND \(location LIKE \?\) AND degree_level >= \?\s+ORDER BY created_at DESC, id DESC/);
+  assert.deepEqual(page.params.slice(0, 3), ['JavaScript', '%Pune%', 2]);
+});
+
+test('a full-text search sorts by relevance and adds snippets of the matching text', async () => {
+  const queries = serve((sql) => {
+    if (sql.startsWith('SELECT id, raw_text FROM resumes')) {
+      return [{ id: 4, raw_text: 'Ran Kubernetes clusters on AWS for five years' }];
+    }
+    if (sql.startsWith('SELECT id as `id`')) {
+      return [{ id: 4, name: 'Jane Doe' }];
+    }
+    return [];
+  });
+  database.queryOne = async () => ({ total: 1 });
+
+  const filters = await parseSearchFilters({ text: 'kubernetes AND aws' });
+  const result = await searchResumes(filters, { fields: 'id,name' });
+
+  const page = queries.find(entry => entry.sql.startsWith('SELECT id as `id`'));
+  assert.match(page.sql, /ORDER BY MATCH\(raw_text\) AGAINST\('\+kubernetes \+aws' IN BOOLEAN MODE\) DESC/);
+  assert.equal(result.data[0].snippets.length, 1);
+  assert.match(result.data[0].snippets[0], /<mark>Kubernetes<\/mark>/);
+});
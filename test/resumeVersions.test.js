@@ -0,0 +1,44 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const { getResumeVersions } = require('../utils/resumeVersions');
+
+const version = (id, fields) => ({
+  id, parent_id: id === 1 ? null : 1, file_name: `cv-${id}.pdf`, name: 'Jane Doe', location: 'Pune',
+  skills: '["Go"]', experience: '[{"company":"Acme","position":"Engineer"}]', education: '[]',
+  certifications: null, total_experience: '4.00', created_at: new Date(`2026-0${id}-01T00:00:00Z`), ...fields
+});
+
+beforeEach(() => database.reset());
+
+test('getResumeVersions lists the chain of any of its resumes with changes since the previous version', async () => {
+  let chainParams = null;
+  database.queryOne = async (sql, params) => ({ id: Number(params[0]), parent_id: 1 });
+  database.query = async (sql, params) => {
+    chainParams = params;
+    return [
+      version(1),
+      version(2, { location: 'Bangalore', total_experience: '5.00', skills: '["Go","Kubernetes"]' }),
+      version(3, { location: 'bangalore ', total_experience: 5, skills: '["kubernetes","go"]' })
+    ];
+  };
+
+  const { rootId, versions } = await getResumeVersions('3');
+
+  assert.equal(rootId, 1);
+  assert.deepEqual(chainParams, [1, 1]);
+  assert.deepEqual(versions.map(entry => entry.version), [1, 2, 3]);
+  assert.deepEqual(versions[1].skills, ['Go', 'Kubernetes']);
+  assert.deepEqual(versions[0].certifications, []);
+  assert.equal(versions[0].changes, null);
+  assert.deepEqual(versions[1].changes, {
+    skills: { added: ['Kubernetes'], removed: [] },
+    location: { before: 'Pune', after: 'Bangalore' },
+    total_experience: { before: 4, after: 5 }
+  });
+  assert.deepEqual(versions[2].changes, {});
+});
+
+test('getResumeVersions returns null for an unknown resume', async () => {
+  assert.equal(await getResumeVersions(99), null);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/database');
+const {
+  DEFAULT_SCORING,
+  normalizeWeights,
+  scoringFromJob,
+  computeOverallMatch,
+  statusForScore
+} = require('../utils/scoringConfig');
+
+test('computeOverallMatch is the weighted average of the sub-scores', () => {
+  const scores = { skills_match: 80, experience_match: 60, education_match: 100 };
+  assert.equal(computeOverallMatch(scores, DEFAULT_SCORING.weights), 74);
+  assert.equal(computeOverallMatch(scores, { skills: 1, experience: 1, education: 1 }), 80);
+});
+
+test('computeOverallMatch treats missing sub-scores as 0 and rounds to two decimals', () => {
+  assert.equal(computeOverallMatch({ skills_match: 100 }, { skills: 1, experience: 2, education: 0 }), 33.33);
+  assert.equal(computeOverallMatch({ skills_match: 100 }, { skills: 0, experience: 0, education: 0 }), 0);
+});
+
+test('statusForScore uses the accept and pending thresholds inclusively', () => {
+  const thresholds = { accept: 70, pending: 50 };
+  assert.equal(statusForScore(70, thresholds), 'accepted');
+  assert.equal(statusForScore(69.99, thresholds), 'pending');
+  assert.equal(statusForScore(50, thresholds), 'pending');
+  assert.equal(statusForScore(49.99, thresholds), 'rejected');
+});
+
+test('normalizeWeights scales weights to percentages', () => {
+  assert.deepEqual(normalizeWeights({ skills: 3, experience: 5, education: 2 }), { skills: 30, experience: 50, education: 20 });
+});
+
+test('normalizeWeights rejects missing, negative and all-zero weights', () => {
+  for (const weights of [null, { skills: 1, experience: 1 }, { skills: -1, experience: 1, education: 1 }, { skills: 0, experience: 0, education: 0 }]) {
+    assert.throws(() => normalizeWeights(weights), (error) => error.status === 400, JSON.stringify(weights));
+  }
+});
+
+test('scoringFromJob overrides the default only where the job sets a value', () => {
+  const defaults = { weights: { skills: 50, experience: 40, education: 10 }, thresholds: { accept: 70, pending: 50 } };
+  assert.deepEqual(scoringFromJob({}, defaults), defaults);
+  assert.deepEqual(
+    scoringFromJob({ scoring_weights: '{"skills":20,"experience":20,"education":60}', accept_threshold: '80.00', pending_threshold: null }, defaults),
+    { weights: { skills: 20, experience: 20, education: 60 }, thresholds: { accept: 80, pending: 50 } }
+  );
+});
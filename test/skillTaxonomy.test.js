@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/database');
+const { buildTaxonomy, normalizeSkillKey } = require('../utils/skillTaxonomy');
+
+const taxonomy = buildTaxonomy(
+  [
+    { id: 1, name: 'JavaScript', category: 'Language', parent_id: null },
+    { id: 2, name: 'React', category: 'Framework', parent_id: 1 },
+    { id: 3, name: 'Next.js', category: 'Framework', parent_id: 2 },
+    { id: 4, name: 'Node.js', category: 'Runtime', parent_id: 1 },
+    { id: 5, name: 'Java', category: 'Language', parent_id: null }
+  ],
+  [
+    { skill_id: 1, alias: 'JS' },
+    { skill_id: 1, alias: 'ECMAScript' },
+    { skill_id: 2, alias: 'React JS' },
+    { skill_id: 4, alias: 'Node' },
+    // An alias that is another skill's name does not take it over
+    { skill_id: 1, alias: 'Java' }
+  ]
+);
+
+test('normalizeSkillKey ignores case, separators and surrounding punctuation', () => {
+  assert.equal(normalizeSkillKey(' React_JS, '), 'react js');
+  assert.equal(normalizeSkillKey('react-js'), normalizeSkillKey('React JS'));
+});
+
+test('canonicalize maps names and aliases to the canonical name and keeps unknown skills', () => {
+  assert.equal(taxonomy.canonicalize('js'), 'JavaScript');
+  assert.equal(taxonomy.canonicalize('react-js'), 'React');
+  assert.equal(taxonomy.canonicalize('Java'), 'Java');
+  assert.equal(taxonomy.canonicalize(' Haskell '), 'Haskell');
+});
+
+test('canonicalizeList removes duplicates after canonicalizing', () => {
+  assert.deepEqual(taxonomy.canonicalizeList(['JS', 'javascript', 'ECMAScript', 'React', 'Haskell', '']), ['JavaScript', 'React', 'Haskell']);
+  assert.deepEqual(taxonomy.canonicalizeList(null), []);
+});
+
+test('findInText finds names and aliases as whole words, each skill once', () => {
+  assert.deepEqual(taxonomy.findInText('Built Node services and a Next.js app').sort(), ['JavaScript', 'Next.js', 'Node.js']);
+  assert.deepEqual(taxonomy.findInText('React, ECMAScript and more React'), ['JavaScript', 'React']);
+  assert.deepEqual(taxonomy.findInText('Javanese'), []);
+});
+
+test('withAncestors adds every parent skill once', () => {
+  assert.deepEqual(taxonomy.withAncestors(['Next.js', 'Node']), ['Next.js', 'Node.js', 'React', 'JavaScript']);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { htmlToText, odtXmlToText, markdownToText, rtfToText } = require('../utils/textConverters');
+
+test('htmlToText keeps block structure and drops scripts, styles and comments', () => {
+  const html = '<html><head><title>CV</title><style>p { color: red }</style></head>' +
+    '<body><!-- generated --><h1>Jane&nbsp;Doe</h1><p>Engineer &amp; lead<br>Austin</p>' +
+    '<ul><li>Go</li><li>Kafka &#x2013; streams</li></ul><script>alert(1)</script>' +
+    '<table><tr><td>2020</td><td>Acme</td></tr></table></body></html>';
+
+  assert.equal(htmlToText(html), 'Jane Doe\nEngineer & lead\nAustin\n\n• Go\n\n• Kafka – streams\n\n2020 Acme');
+});
+
+test('odtXmlToText expands spaces, tabs, line breaks and list items', () => {
+  const xml = '<office:text><text:h>Jane Doe</text:h><text:p>Skills:<text:s text:c="3"/>Go<text:tab/>SQL</text:p>' +
+    '<text:list><text:list-item><text:p>Led &quot;Atlas&quot;<text:line-break/>2019–2021</text:p></text:list-item></text:list>' +
+    '</office:text>';
+
+  assert.equal(odtXmlToText(xml), 'Jane Doe\nSkills: Go SQL\n• Led "Atlas"\n2019–2021');
+});
+
+test('markdownToText removes markup but keeps link targets', () => {
+  const markdown = [
+    '# Jane Doe',
+    '> **Senior** _engineer_',
+    '',
+    '---',
+    '- [GitHub](https://github.com/jane)',
+    '- <https://jane.dev>',
+    '* Built `payments` API ![logo](logo.png)',
+    '```',
+    'code'
+  ].join('\n');
+
+  assert.equal(markdownToText(markdown), 'Jane Doe\nSenior engineer\n\n• GitHub (https://github.com/jane)\n• https://jane.dev\n• Built payments API logo\n\ncode');
+});
+
+test('rtfToText decodes escapes and skips formatting destinations', () => {
+  const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\*\\generator Writer}' +
+    '\\pard Jos\\\'e9 Garc\\u237?a\\par Skills:\\tab Go\\~\\endash\\~SQL\\par{\\info{\\title CV}}\\{x\\}}';
+
+  assert.equal(rtfToText(rtf), 'José García\nSkills: Go – SQL\n{x}');
+  assert.throws(() => rtfToText('plain text'), /not a valid RTF document/);
+});
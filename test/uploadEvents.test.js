@@ -0,0 +1,106 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+process.env.SSE_POLL_MS = '20';
+const database = require('./helpers/database');
+const uploadRoutes = require('../routes/upload');
+const { createStreamToken } = require('../middleware/auth');
+const { publishJobEvent } = require('../utils/ingestionEvents');
+
+const JOB_ID = 'job-1';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api/upload', uploadRoutes);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/upload`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => database.reset());
+
+const jobState = (status, file) => ({
+  job: { id: JOB_ID, status, total_files: 1, processed_files: file.status === 'completed' ? 1 : 0, failed_files: 0 },
+  files: [{ id: 1, file_name: 'jane.pdf', resume_id: null, evaluation_id: null, result: null, error_msg: null, ...file }]
+});
+
+// Serves the job from `states`, one state per read of the job; the last state stays.
+// `onRead` runs before a state is served, as a worker on this instance would publish in between
+function serveJob(states, onRead = () => {}) {
+  let reads = 0;
+  let current = states[0];
+  database.queryOne = async (sql) => {
+    if (sql.includes('FROM users')) {
+      return { id: 'u1', email: 'viewer@example.com', role: 'viewer', full_name: 'Viewer' };
+    }
+    if (sql.startsWith('SELECT id FROM ingestion_jobs')) {
+      return { id: JOB_ID };
+    }
+    if (sql.startsWith('SELECT * FROM ingestion_jobs')) {
+      onRead(reads);
+      current = states[Math.min(reads++, states.length - 1)];
+      return current.job;
+    }
+    return null;
+  };
+  database.query = async (sql) => (sql.includes('FROM ingestion_job_files') ? current.files : { affectedRows: 1 });
+}
+
+async function readEvents(jobId = JOB_ID) {
+  const { token } = createStreamToken('u1', jobId);
+  const response = await fetch(`${baseUrl}/bulk/${jobId}/events?access_token=${token}`, { signal: AbortSignal.timeout(5000) });
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  const body = await response.text();
+  return body.split('\n\n')
+    .filter(block => block.startsWith('event:'))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { type: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+test('the event stream reports progress read from the database and closes when the job completes', async () => {
+  serveJob([
+    jobState('processing', { status: 'queued', stage: 'queued' }),
+    jobState('processing', { status: 'processing', stage: 'parsing' }),
+    jobState('processing', { status: 'processing', stage: 'matching' }),
+    jobState('completed', { status: 'completed', stage: 'done', resume_id: 42, result: { name: 'Jane Doe' } })
+  ], (reads) => {
+    // The stage change of the third state is published in-process first, so polling must not repeat it
+    if (reads === 2) {
+      publishJobEvent(JOB_ID, 'file_stage', { fileId: 1, fileName: 'jane.pdf', stage: 'matching', details: {} });
+    }
+  });
+
+  const events = await readEvents();
+
+  assert.deepEqual(events.map(event => event.type), ['snapshot', 'file_stage', 'file_stage', 'file_completed', 'job_completed']);
+  assert.deepEqual(events.slice(1, 3).map(event => event.data.stage), ['parsing', 'matching']);
+  assert.equal(events[3].data.resumeId, 42);
+  assert.equal(events[3].data.name, 'Jane Doe');
+  assert.deepEqual(events[4].data, { jobId: JOB_ID, total_files: 1, processed_files: 1, failed_files: 0 });
+});
+
+test('the event stream of a completed job sends the snapshot and closes', async () => {
+  serveJob([jobState('completed', { status: 'failed', stage: 'parsing', error_msg: 'Unreadable file' })]);
+
+  const events = await readEvents();
+
+  assert.deepEqual(events.map(event => event.type), ['snapshot', 'job_completed']);
+  assert.equal(events[0].data.files[0].error_msg, 'Unreadable file');
+});
+
+test('the event stream rejects a token issued for another job', async () => {
+  serveJob([jobState('processing', { status: 'queued', stage: 'queued' })]);
+  const { token } = createStreamToken('u1', 'job-2');
+
+  const response = await fetch(`${baseUrl}/bulk/${JOB_ID}/events?access_token=${token}`);
+
+  assert.equal(response.status, 401);
+});
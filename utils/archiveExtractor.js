@@ -0,0 +1,196 @@
+const AdmZip = require('adm-zip');
+const { crc32 } = require('adm-zip/util');
+const path = require('path');
+const zlib = require('zlib');
+const fsPromises = require('fs').promises;
+const { getResumeMimeType, ALLOWED_RESUME_TYPES_LABEL } = require('./fileTypes');
+
+// Files and folders created by operating systems / archivers that never contain resumes
+const JUNK_FOLDERS = ['__MACOSX'];
+const JUNK_FILES = ['.ds_store', 'thumbs.db', 'desktop.ini'];
+
+// ZIP compression methods that can be unpacked
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Highest uncompressed-to-compressed size ratio accepted for an entry. Resumes compress
+// far less than this; zip bombs (megabytes of zeros) compress a thousand times or more.
+const MAX_COMPRESSION_RATIO = 100;
+
+const isTooCompressed = (size, compressedSize) => size > MAX_COMPRESSION_RATIO * Math.max(compressedSize, 1);
+
+const tooLargeReason = (maxSize) => `File too large. Maximum file size is ${Math.round(maxSize / (1024 * 1024))}MB.`;
+
+/**
+ * Get the reason a ZIP entry should be skipped as junk, or null if it looks like a real file
+ * @param {string} entryName - Full entry path inside the archive
+ * @returns {string|null}
+ */
+function getJunkReason(entryName) {
+  const segments = entryName.split(/[\\/]/).filter(Boolean);
+  const baseName = segments[segments.length - 1] || '';
+
+  if (segments.some(segment => JUNK_FOLDERS.includes(segment))) {
+    return 'macOS metadata folder';
+  }
+  if (JUNK_FILES.includes(baseName.toLowerCase())) {
+    return 'System file';
+  }
+  if (baseName.startsWith('.')) {
+    return 'Hidden file';
+  }
+  return null;
+}
+
+/**
+ * Decompress one archive entry without ever producing more than maxSize bytes,
+ * whatever sizes its headers declare
+ * @param {object} entry - adm-zip entry
+ * @param {number} maxSize - Maximum uncompressed size in bytes
+ * @returns {{ data: Buffer|null, reason: string|null }} reason is set when the entry is rejected
+ */
+function inflateEntry(entry, maxSize) {
+  const { header } = entry;
+  if (header.encrypted) {
+    return { data: null, reason: 'Encrypted entries are not supported' };
+  }
+  if (header.method !== METHOD_STORED && header.method !== METHOD_DEFLATED) {
+    return { data: null, reason: `Unsupported compression method (${header.method})` };
+  }
+
+  const compressed = entry.getCompressedData();
+  let data;
+  if (header.method === METHOD_STORED) {
+    data = compressed;
+  } else {
+    try {
+      // Inflation stops one byte past the limit, so an oversized entry is detected without being unpacked
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: maxSize + 1 });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        return { data: null, reason: tooLargeReason(maxSize) };
+      }
+      return { data: null, reason: `Could not decompress entry: ${error.message}` };
+    }
+  }
+
+  if (data.length > maxSize) {
+    return { data: null, reason: tooLargeReason(maxSize) };
+  }
+  if (isTooCompressed(data.length, compressed.length)) {
+    return { data: null, reason: 'Suspicious compression ratio' };
+  }
+  if (data.length !== header.size || (crc32(data) >>> 0) !== (header.crc >>> 0)) {
+    return { data: null, reason: 'Could not decompress entry: corrupted data' };
+  }
+  return { data, reason: null };
+}
+
+/**
+ * Unpack the resumes contained in a ZIP archive.
+ * Nested folders are flattened, junk entries and unsupported file types are skipped and reported.
+ * Entries are written with generated names so archive paths can never escape destDir.
+ * @param {string} zipPath - Path of the uploaded archive
+ * @param {string} destDir - Directory the extracted resumes are written to
+ * @param {object} [options]
+ * @param {number} [options.maxEntries] - Maximum number of resumes to extract
+ * @param {number} [options.maxEntrySize] - Maximum uncompressed size of a single resume in bytes
+ * @param {number} [options.maxTotalSize] - Maximum uncompressed size of all extracted resumes in bytes
+ * @returns {Promise<{files: Array<object>, skipped: Array<object>}>} Extracted files (multer-like) and skipped entries
+ */
+async function extractResumesFromZip(zipPath, destDir, options = {}) {
+  const {
+    maxEntries = 200,
+    maxEntrySize = 10 * 1024 * 1024,
+    maxTotalSize = 200 * 1024 * 1024
+  } = options;
+
+  let zip;
+  try {
+    zip = new AdmZip(zipPath);
+  } catch (error) {
+    throw new Error(`Invalid or corrupted ZIP archive: ${error.message}`);
+  }
+
+  await fsPromises.mkdir(destDir, { recursive: true });
+
+  const files = [];
+  const skipped = [];
+  let totalSize = 0;
+
+  for (const entry of zip.getEntries()) {
+    const entryName = entry.entryName;
+
+    if (entry.isDirectory) {
+      continue;
+    }
+
+    const junkReason = getJunkReason(entryName);
+    if (junkReason) {
+      skipped.push({ entryName, reason: junkReason });
+      continue;
+    }
+
+    const originalname = path.basename(entryName);
+
+    if (path.extname(originalname).toLowerCase() === '.zip') {
+      skipped.push({ entryName, reason: 'Nested archives are not supported' });
+      continue;
+    }
+
+    const mimetype = getResumeMimeType(originalname);
+    if (!mimetype) {
+      skipped.push({ entryName, reason: `Unsupported file type. Only ${ALLOWED_RESUME_TYPES_LABEL} files are allowed.` });
+      continue;
+    }
+
+    if (files.length >= maxEntries) {
+      skipped.push({ entryName, reason: `Archive contains more than ${maxEntries} resumes` });
+      continue;
+    }
+
+    // Header sizes can be forged: they are only used to reject early, inflateEntry enforces the real limits
+    if (entry.header.size > maxEntrySize) {
+      skipped.push({ entryName, reason: tooLargeReason(maxEntrySize) });
+      continue;
+    }
+    if (isTooCompressed(entry.header.size, entry.header.compressedSize)) {
+      skipped.push({ entryName, reason: 'Suspicious compression ratio' });
+      continue;
+    }
+
+    const { data, reason } = inflateEntry(entry, maxEntrySize);
+    if (reason) {
+      skipped.push({ entryName, reason });
+      continue;
+    }
+    if (data.length === 0) {
+      skipped.push({ entryName, reason: 'Empty file' });
+      continue;
+    }
+    if (totalSize + data.length > maxTotalSize) {
+      skipped.push({ entryName, reason: 'Archive exceeds the maximum total uncompressed size' });
+      continue;
+    }
+    totalSize += data.length;
+
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const filePath = path.join(destDir, `resume_${uniqueSuffix}${path.extname(originalname)}`);
+    await fsPromises.writeFile(filePath, data);
+
+    files.push({
+      path: filePath,
+      originalname,
+      mimetype,
+      size: data.length,
+      entryName
+    });
+  }
+
+  return { files, skipped };
+}
+
+module.exports = {
+  inflateEntry,
+  extractResumesFromZip
+};
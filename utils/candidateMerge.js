@@ -0,0 +1,498 @@
+const { query, queryOne, withTransaction } = require('../config/database');
+const {
+  assignCandidate,
+  addResumeContacts,
+  createCandidateFromResume,
+  syncEvaluationCandidates,
+  refreshCandidateContacts
+} = require('./candidateService');
+const { safeParseJSON } = require('./json');
+const { httpError } = require('./httpError');
+const { placeholders } = require('./sql');
+
+// Resume fields whose winning value can be picked from any resume in a merge
+const MERGEABLE_FIELDS = [
+  'name', 'email', 'phone', 'location', 'summary', 'total_experience',
+  'skills', 'experience', 'education', 'certifications'
+];
+
+const JSON_FIELDS = ['skills', 'experience', 'education', 'certifications'];
+
+// Stored columns computed from a mergeable field: degree_level from education, the duplicate check keys from email and phone
+const DERIVED_FIELDS = {
+  education: ['degree_level'],
+  email: ['email_key'],
+  phone: ['phone_key']
+};
+
+// Candidate columns captured before a merge changes them
+const CANDIDATE_FIELDS = ['name', 'email', 'phone', 'location', 'emails', 'phones'];
+// Resume fields that are also part of the candidate identity
+const IDENTITY_FIELDS = ['name', 'email', 'phone', 'location'];
+
+// Stored column value (JSON columns as strings) so it can be written back unchanged
+const columnValue = (resume, field) => {
+  const value = resume[field] ?? null;
+  if (JSON_FIELDS.includes(field) && value !== null && typeof value !== 'string') {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+// Cluster rows are locked so a concurrent merge or upload cannot change them between the snapshot and the update
+async function loadClusterMembers(rootIds, run) {
+  return run(
+    `SELECT * FROM resumes
+     WHERE id IN (${placeholders(rootIds)}) OR parent_id IN (${placeholders(rootIds)})
+     ORDER BY id ASC
+     FOR UPDATE`,
+    [...rootIds, ...rootIds]
+  );
+}
+
+const candidateSnapshot = (candidate) =>
+  Object.fromEntries(['id', ...CANDIDATE_FIELDS, 'created_at'].map(field => [field, candidate[field] ?? null]));
+
+const parseLogEntry = (entry) => ({
+  ...entry,
+  resume_ids: safeParseJSON(entry.resume_ids, []),
+  field_choices: safeParseJSON(entry.field_choices, {}),
+  snapshot: safeParseJSON(entry.snapshot, {})
+});
+
+/**
+ * Merge resumes into one candidate. The whole duplicate cluster of every given resume is linked under
+ * the primary resume, which becomes the cluster root. Evaluations of the merged resumes move to the
+ * primary unless it already has one for the same job (those stay on their resume and are reported).
+ * All resumes and evaluations move to the primary's candidate; the other candidates are removed.
+ * The previous links, field values, candidates and evaluation owners are logged so the merge can be reverted.
+ * @param {object} params
+ * @param {number|string} params.primaryId - Resume that represents the merged candidate
+ * @param {Array<number|string>} params.resumeIds - Resumes to merge into the primary
+ * @param {object} [params.fieldChoices] - { field: resumeId } picking which resume's value wins for a field
+ * @param {string} [params.userId] - User who performed the merge
+ * @returns {Promise<object>} { logId, rootId, candidateId, mergedResumeIds, fieldsUpdated, movedEvaluations, keptEvaluations }
+ * @throws {Error} With status 400 for invalid input, 404 if a resume does not exist
+ */
+async function mergeResumes({ primaryId, resumeIds, fieldChoices = {}, userId = null }) {
+  const primary = parseInt(primaryId);
+  if (isNaN(primary)) {
+    throw httpError('primary_id is required', 400);
+  }
+  const others = [...new Set((resumeIds || []).map(id => parseInt(id)))].filter(id => id !== primary);
+  if (others.length === 0 || others.some(isNaN)) {
+    throw httpError('resume_ids must list at least one other resume ID', 400);
+  }
+
+  const requestedIds = [primary, ...others];
+  const requested = await query(
+    `SELECT id FROM resumes WHERE id IN (${placeholders(requestedIds)})`,
+    requestedIds
+  );
+  const missing = requestedIds.filter(id => !requested.some(resume => resume.id === id));
+  if (missing.length > 0) {
+    throw httpError(`Resume(s) not found: ${missing.join(', ')}`, 404);
+  }
+
+  // Resumes stored before candidates existed get one now; this is not part of the merge itself
+  await assignCandidate(await queryOne('SELECT * FROM resumes WHERE id = ?', [primary]));
+
+  // Everything the snapshot records is read on the transaction connection and locked,
+  // so the logged "before" state is the one the merge actually overwrites
+  const result = await withTransaction(async (run) => {
+    const links = await run(
+      `SELECT id, parent_id FROM resumes WHERE id IN (${placeholders(requestedIds)}) FOR UPDATE`,
+      requestedIds
+    );
+    if (links.length < requestedIds.length) {
+      throw httpError('Resume(s) not found', 404);
+    }
+    const rootIds = [...new Set(links.map(resume => resume.parent_id || resume.id))];
+    const members = await loadClusterMembers(rootIds, run);
+    const memberById = new Map(members.map(resume => [resume.id, resume]));
+    const primaryResume = memberById.get(primary);
+    const candidateId = primaryResume.candidate_id;
+
+    const choices = {};
+    for (const [field, sourceId] of Object.entries(fieldChoices || {})) {
+      if (!MERGEABLE_FIELDS.includes(field)) {
+        throw httpError(`Field "${field}" cannot be merged. Allowed: ${MERGEABLE_FIELDS.join(', ')}`, 400);
+      }
+      const source = parseInt(sourceId);
+      if (!memberById.has(source)) {
+        throw httpError(`field_choices.${field} must be one of the merged resume IDs`, 400);
+      }
+      if (source !== primary) {
+        choices[field] = source;
+      }
+    }
+
+    const relinked = members.filter(resume => resume.id !== primary && resume.parent_id !== primary);
+    if (relinked.length === 0 && !primaryResume.parent_id && Object.keys(choices).length === 0) {
+      throw httpError('Resumes are already merged', 400);
+    }
+
+    // Derived columns follow the field they are computed from
+    const written = { ...choices };
+    for (const [field, derived] of Object.entries(DERIVED_FIELDS)) {
+      if (choices[field]) {
+        derived.forEach(column => { written[column] = choices[field]; });
+      }
+    }
+
+    const memberIds = members.map(resume => resume.id);
+    const [candidate] = await run('SELECT * FROM candidates WHERE id = ? FOR UPDATE', [candidateId]);
+    const absorbedCandidateIds = [...new Set(members.map(resume => resume.candidate_id))]
+      .filter(id => id && id !== candidateId);
+    const absorbedCandidates = absorbedCandidateIds.length > 0
+      ? await run(`SELECT * FROM candidates WHERE id IN (${placeholders(absorbedCandidateIds)}) FOR UPDATE`, absorbedCandidateIds)
+      : [];
+
+    const evaluations = await run(
+      `SELECT id, resume_id, job_description_id FROM candidate_evaluations
+       WHERE resume_id IN (${placeholders(memberIds)})
+       ORDER BY overall_match DESC, id ASC
+       FOR UPDATE`,
+      memberIds
+    );
+
+    // The primary keeps its own evaluations; otherwise the best scoring one per job follows the merge
+    const jobsCovered = new Set(evaluations.filter(e => e.resume_id === primary).map(e => e.job_description_id));
+    const movedEvaluations = [];
+    const keptEvaluations = [];
+    for (const evaluation of evaluations) {
+      if (evaluation.resume_id === primary) continue;
+      if (jobsCovered.has(evaluation.job_description_id)) {
+        keptEvaluations.push(evaluation);
+      } else {
+        jobsCovered.add(evaluation.job_description_id);
+        movedEvaluations.push(evaluation);
+      }
+    }
+
+    const snapshot = {
+      parents: members
+        .filter(resume => resume.id === primary ? resume.parent_id : resume.parent_id !== primary)
+        .map(resume => ({ id: resume.id, parent_id: resume.parent_id || null })),
+      fields: Object.fromEntries(Object.keys(written).map(field => [field, columnValue(primaryResume, field)])),
+      evaluations: movedEvaluations.map(evaluation => ({ id: evaluation.id, resume_id: evaluation.resume_id })),
+      candidates: members
+        .filter(resume => resume.candidate_id !== candidateId)
+        .map(resume => ({ id: resume.id, candidate_id: resume.candidate_id || null })),
+      candidate: candidateSnapshot(candidate),
+      absorbedCandidates: absorbedCandidates.map(candidateSnapshot)
+    };
+
+    const mergedResumeIds = memberIds.filter(id => id !== primary);
+
+    if (primaryResume.parent_id) {
+      await run('UPDATE resumes SET parent_id = NULL WHERE id = ?', [primary]);
+    }
+    if (relinked.length > 0) {
+      const relinkedIds = relinked.map(resume => resume.id);
+      await run(
+        `UPDATE resumes SET parent_id = ? WHERE id IN (${placeholders(relinkedIds)})`,
+        [primary, ...relinkedIds]
+      );
+    }
+
+    const fields = Object.keys(written);
+    if (fields.length > 0) {
+      await run(
+        `UPDATE resumes SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(field => columnValue(memberById.get(written[field]), field)), primary]
+      );
+    }
+
+    for (const evaluation of movedEvaluations) {
+      await run('UPDATE candidate_evaluations SET resume_id = ? WHERE id = ?', [primary, evaluation.id]);
+    }
+
+    await run(
+      `UPDATE resumes SET candidate_id = ? WHERE id IN (${placeholders(memberIds)})`,
+      [candidateId, ...memberIds]
+    );
+    await syncEvaluationCandidates(memberIds, run);
+    if (absorbedCandidateIds.length > 0) {
+      await run(`DELETE FROM candidates WHERE id IN (${placeholders(absorbedCandidateIds)})`, absorbedCandidateIds);
+    }
+
+    // The chosen identity becomes the candidate's; every merged resume's contacts are kept on it
+    const identityFields = fields.filter(field => IDENTITY_FIELDS.includes(field));
+    if (identityFields.length > 0) {
+      await run(
+        `UPDATE candidates SET ${identityFields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...identityFields.map(field => columnValue(memberById.get(choices[field]), field)), candidateId]
+      );
+    }
+    for (const member of members) {
+      await addResumeContacts(candidateId, member, run);
+    }
+
+    const inserted = await run(
+      `INSERT INTO resume_merge_log (action, primary_id, resume_ids, field_choices, snapshot, performed_by)
+       VALUES ('merge', ?, ?, ?, ?, ?)`,
+      [primary, JSON.stringify(mergedResumeIds), JSON.stringify(choices), JSON.stringify(snapshot), userId]
+    );
+    return {
+      logId: inserted.insertId,
+      rootId: primary,
+      candidateId,
+      mergedResumeIds,
+      fieldsUpdated: choices,
+      movedEvaluations: movedEvaluations.map(evaluation => evaluation.id),
+      keptEvaluations: keptEvaluations.map(evaluation => evaluation.id)
+    };
+  });
+
+  console.log(`🔗 Merged resume(s) ${result.mergedResumeIds.join(', ')} into ${primary} (log ID: ${result.logId})`);
+
+  return result;
+}
+
+/**
+ * Detach a wrongly linked resume from its duplicate cluster. The resume gets a candidate of its own and
+ * evaluations that an earlier merge moved from it to the cluster root are moved back to it.
+ * The change is logged and can be reverted.
+ * @param {number|string} resumeId - Linked (child) resume
+ * @param {object} [options]
+ * @param {string} [options.userId] - User who performed the unmerge
+ * @returns {Promise<object>} { logId, resumeId, previousParentId, candidateId, movedEvaluations }
+ * @throws {Error} With status 404 if the resume does not exist, 400 if it is not linked to a parent
+ */
+async function unmergeResume(resumeId, options = {}) {
+  // The resume, its previous candidate and the evaluations to move back are read and locked on the
+  // transaction connection, so the logged snapshot is the state this unmerge overwrites
+  const result = await withTransaction(async (run) => {
+    const [resume] = await run('SELECT * FROM resumes WHERE id = ? FOR UPDATE', [resumeId]);
+    if (!resume) {
+      throw httpError('Resume not found', 404);
+    }
+    if (!resume.parent_id) {
+      throw httpError('Resume is not linked to another resume', 400);
+    }
+    const rootId = resume.parent_id;
+
+    // Evaluations merged from this resume into the root that are still there and have no clash on this resume
+    const merges = (await run(
+      `SELECT * FROM resume_merge_log
+       WHERE action = 'merge' AND primary_id = ? AND reverted_at IS NULL`,
+      [rootId]
+    )).map(parseLogEntry);
+    const mergedEvaluationIds = merges.flatMap(entry => (entry.snapshot.evaluations || [])
+      .filter(evaluation => evaluation.resume_id === resume.id)
+      .map(evaluation => evaluation.id));
+
+    let movedEvaluations = [];
+    if (mergedEvaluationIds.length > 0) {
+      movedEvaluations = await run(
+        `SELECT ce.id FROM candidate_evaluations ce
+         WHERE ce.id IN (${placeholders(mergedEvaluationIds)}) AND ce.resume_id = ?
+           AND NOT EXISTS (
+             SELECT 1 FROM candidate_evaluations own
+             WHERE own.resume_id = ? AND own.job_description_id = ce.job_description_id
+           )
+         FOR UPDATE`,
+        [...mergedEvaluationIds, rootId, resume.id]
+      );
+    }
+
+    const [previousCandidate = null] = resume.candidate_id
+      ? await run('SELECT * FROM candidates WHERE id = ? FOR UPDATE', [resume.candidate_id])
+      : [];
+
+    await run('UPDATE resumes SET parent_id = NULL WHERE id = ?', [resume.id]);
+    for (const evaluation of movedEvaluations) {
+      await run('UPDATE candidate_evaluations SET resume_id = ? WHERE id = ?', [resume.id, evaluation.id]);
+    }
+
+    const newCandidateId = await createCandidateFromResume(resume, run);
+    await run('UPDATE resumes SET candidate_id = ? WHERE id = ?', [newCandidateId, resume.id]);
+    await syncEvaluationCandidates([resume.id], run);
+    if (previousCandidate) {
+      await refreshCandidateContacts(previousCandidate.id, [resume], run);
+    }
+
+    const snapshot = {
+      parents: [{ id: resume.id, parent_id: rootId }],
+      fields: {},
+      evaluations: movedEvaluations.map(evaluation => ({ id: evaluation.id, resume_id: rootId })),
+      candidates: [{ id: resume.id, candidate_id: resume.candidate_id || null }],
+      candidate: previousCandidate ? candidateSnapshot(previousCandidate) : null,
+      createdCandidateId: newCandidateId
+    };
+    const inserted = await run(
+      `INSERT INTO resume_merge_log (action, primary_id, resume_ids, field_choices, snapshot, performed_by)
+       VALUES ('unmerge', ?, ?, NULL, ?, ?)`,
+      [rootId, JSON.stringify([resume.id]), JSON.stringify(snapshot), options.userId || null]
+    );
+    return {
+      logId: inserted.insertId,
+      resumeId: resume.id,
+      previousParentId: rootId,
+      candidateId: newCandidateId,
+      movedEvaluations: movedEvaluations.map(evaluation => evaluation.id)
+    };
+  });
+
+  console.log(`✂️  Unmerged resume ${result.resumeId} from ${result.previousParentId} (log ID: ${result.logId})`);
+
+  return result;
+}
+
+/**
+ * Undo a logged merge or unmerge by restoring the links, field values, candidates and evaluation owners
+ * captured before it. Later changes to the same resumes have to be reverted first.
+ * @param {number|string} logId - resume_merge_log ID
+ * @param {object} [options]
+ * @param {string} [options.userId] - User who performed the revert
+ * @returns {Promise<object>} { logId, action, restoredResumeIds, restoredEvaluations }
+ * @throws {Error} With status 404 if the log entry does not exist, 409 if it cannot be reverted
+ */
+async function revertMerge(logId, options = {}) {
+  // The entry, its resumes and the later log entries are all read with locks on the transaction connection:
+  // a concurrent merge of the same resumes either commits first and blocks the revert, or waits for it
+  const entry = await withTransaction(async (run) => {
+    const [row] = await run('SELECT * FROM resume_merge_log WHERE id = ? FOR UPDATE', [logId]);
+    if (!row) {
+      throw httpError('Merge log entry not found', 404);
+    }
+    // A concurrent revert of the same entry waits on the lock above and then finds it reverted
+    if (row.reverted_at) {
+      throw httpError('This change has already been reverted', 409);
+    }
+    const entry = parseLogEntry(row);
+    const involved = [...new Set([entry.primary_id, ...entry.resume_ids])];
+    await run(`SELECT id FROM resumes WHERE id IN (${placeholders(involved)}) FOR UPDATE`, involved);
+
+    const later = (await run(
+      'SELECT * FROM resume_merge_log WHERE id > ? AND reverted_at IS NULL ORDER BY id DESC FOR UPDATE',
+      [entry.id]
+    )).map(parseLogEntry);
+    const blocking = later.find(other => [other.primary_id, ...other.resume_ids].some(id => involved.includes(id)));
+    if (blocking) {
+      throw httpError(`Revert the later ${blocking.action} (log ID: ${blocking.id}) of these resumes first`, 409);
+    }
+
+    const {
+      parents = [], fields = {}, evaluations = [], candidates = [],
+      candidate = null, absorbedCandidates = [], createdCandidateId = null
+    } = entry.snapshot;
+
+    for (const removed of absorbedCandidates) {
+      await run(
+        `INSERT INTO candidates (id, ${CANDIDATE_FIELDS.join(', ')}, created_at)
+         VALUES (?, ${placeholders(CANDIDATE_FIELDS)}, ?)`,
+        [removed.id, ...CANDIDATE_FIELDS.map(field => removed[field]), new Date(removed.created_at)]
+      );
+    }
+    for (const link of parents) {
+      await run('UPDATE resumes SET parent_id = ? WHERE id = ?', [link.parent_id, link.id]);
+    }
+    const fieldNames = Object.keys(fields);
+    if (fieldNames.length > 0) {
+      await run(
+        `UPDATE resumes SET ${fieldNames.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...fieldNames.map(field => fields[field]), entry.primary_id]
+      );
+    }
+    for (const evaluation of evaluations) {
+      await run('UPDATE candidate_evaluations SET resume_id = ? WHERE id = ?', [evaluation.resume_id, evaluation.id]);
+    }
+    for (const link of candidates) {
+      await run('UPDATE resumes SET candidate_id = ? WHERE id = ?', [link.candidate_id, link.id]);
+    }
+    await syncEvaluationCandidates(involved, run);
+    if (candidate) {
+      await run(
+        `UPDATE candidates SET ${CANDIDATE_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...CANDIDATE_FIELDS.map(field => candidate[field]), candidate.id]
+      );
+      // Resumes attached to the candidate after the change (e.g. later uploads linked to the primary)
+      // are not in the snapshot; their contacts are added back to the restored candidate
+      const attached = await run(
+        `SELECT * FROM resumes WHERE candidate_id = ? AND id NOT IN (${placeholders(involved)})`,
+        [candidate.id, ...involved]
+      );
+      for (const resume of attached) {
+        await addResumeContacts(candidate.id, resume, run);
+      }
+    }
+    if (createdCandidateId) {
+      await run(
+        'DELETE FROM candidates WHERE id = ? AND NOT EXISTS (SELECT 1 FROM resumes WHERE candidate_id = ?)',
+        [createdCandidateId, createdCandidateId]
+      );
+    }
+    await run(
+      'UPDATE resume_merge_log SET reverted_at = NOW(), reverted_by = ? WHERE id = ?',
+      [options.userId || null, entry.id]
+    );
+    return entry;
+  });
+
+  console.log(`↩️  Reverted ${entry.action} (log ID: ${entry.id})`);
+
+  const { parents = [], evaluations = [] } = entry.snapshot;
+  return {
+    logId: entry.id,
+    action: entry.action,
+    restoredResumeIds: parents.map(link => link.id),
+    restoredEvaluations: evaluations.map(evaluation => evaluation.id)
+  };
+}
+
+/**
+ * Get the full duplicate cluster of a resume: the root, every linked resume, their evaluations
+ * and the merge log of the cluster.
+ * @param {number|string} resumeId - Any resume in the cluster
+ * @returns {Promise<object|null>} { rootId, resumes, evaluations, history }, or null if the resume does not exist
+ */
+async function getCandidateCluster(resumeId) {
+  const resume = await queryOne('SELECT id, parent_id FROM resumes WHERE id = ?', [resumeId]);
+  if (!resume) {
+    return null;
+  }
+  const rootId = resume.parent_id || resume.id;
+
+  const resumes = await query(
+    `SELECT id, file_name, name, email, phone, location, total_experience, parent_id, candidate_id, created_at
+     FROM resumes
+     WHERE id = ? OR parent_id = ?
+     ORDER BY parent_id IS NOT NULL, created_at ASC, id ASC`,
+    [rootId, rootId]
+  );
+  const memberIds = resumes.map(member => member.id);
+
+  const evaluations = await query(
+    `SELECT ce.id, ce.resume_id, ce.job_description_id, jd.title AS job_title,
+            ce.overall_match, ce.status, ce.created_at
+     FROM candidate_evaluations ce
+     LEFT JOIN job_descriptions jd ON ce.job_description_id = jd.id
+     WHERE ce.resume_id IN (${placeholders(memberIds)})
+     ORDER BY ce.overall_match DESC`,
+    memberIds
+  );
+
+  const history = await query(
+    `SELECT * FROM resume_merge_log
+     WHERE primary_id IN (${placeholders(memberIds)}) OR JSON_OVERLAPS(resume_ids, CAST(? AS JSON))
+     ORDER BY created_at DESC, id DESC`,
+    [...memberIds, JSON.stringify(memberIds)]
+  );
+
+  return {
+    rootId,
+    resumes: resumes.map(member => ({ ...member, is_root: member.id === rootId })),
+    evaluations,
+    history: history.map(parseLogEntry)
+  };
+}
+
+module.exports = {
+  MERGEABLE_FIELDS,
+  mergeResumes,
+  unmergeResume,
+  revertMerge,
+  getCandidateCluster
+};
@@ -0,0 +1,236 @@
+const { query, queryOne } = require('../config/database');
+const { normalizeEmail, normalizePhone } = require('./duplicateChecker');
+const { safeParseJSON } = require('./json');
+const { placeholders } = require('./sql');
+
+// Maximum number of resumes attached to candidates per backfill request
+const MAX_BACKFILL_BATCH = 500;
+
+const asList = (value) => {
+  const parsed = safeParseJSON(value, []);
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+/**
+ * Combine contact lists, keeping the first spelling of values that normalize to the same email/phone
+ * @param {Array<string>} emails
+ * @param {Array<string>} phones
+ * @returns {{emails: Array<string>, phones: Array<string>}}
+ */
+function uniqueContacts(emails, phones) {
+  const dedupe = (values, normalize) => {
+    const seen = new Map();
+    for (const value of values) {
+      const trimmed = typeof value === 'string' ? value.trim() : '';
+      const key = trimmed && normalize(trimmed);
+      if (key && !seen.has(key)) {
+        seen.set(key, trimmed);
+      }
+    }
+    return [...seen.values()];
+  };
+  return {
+    emails: dedupe(emails, normalizeEmail),
+    phones: dedupe(phones, normalizePhone)
+  };
+}
+
+/**
+ * Create a candidate with the identity of a resume
+ * @param {object} resume - Row from resumes (name, email, phone, location)
+ * @param {function} [run] - Query executor (defaults to query, pass a transaction's executor)
+ * @returns {Promise<number>} New candidate ID
+ */
+async function createCandidateFromResume(resume, run = query) {
+  const email = resume.email ? resume.email.toLowerCase().trim() : null;
+  const contacts = uniqueContacts([email], [resume.phone]);
+  const result = await run(
+    `INSERT INTO candidates (name, email, phone, location, emails, phones)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      resume.name || null,
+      email,
+      resume.phone || null,
+      resume.location || null,
+      JSON.stringify(contacts.emails),
+      JSON.stringify(contacts.phones)
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Add a resume's email and phone to a candidate's known contacts and fill identity fields the candidate lacks
+ * @param {number} candidateId - Candidate ID
+ * @param {object} resume - Row from resumes
+ * @param {function} [run] - Query executor
+ */
+async function addResumeContacts(candidateId, resume, run = query) {
+  const [candidate] = await run('SELECT * FROM candidates WHERE id = ?', [candidateId]);
+  if (!candidate) {
+    return;
+  }
+  const email = resume.email ? resume.email.toLowerCase().trim() : null;
+  const contacts = uniqueContacts(
+    [...asList(candidate.emails), email],
+    [...asList(candidate.phones), resume.phone]
+  );
+  await run(
+    `UPDATE candidates
+     SET name = COALESCE(name, ?), email = COALESCE(email, ?), phone = COALESCE(phone, ?),
+         location = COALESCE(location, ?), emails = ?, phones = ?
+     WHERE id = ?`,
+    [
+      resume.name || null,
+      email,
+      resume.phone || null,
+      resume.location || null,
+      JSON.stringify(contacts.emails),
+      JSON.stringify(contacts.phones),
+      candidateId
+    ]
+  );
+}
+
+/**
+ * Point the evaluations of resumes at the candidate their resume belongs to
+ * @param {Array<number>} resumeIds - Resume IDs
+ * @param {function} [run] - Query executor
+ */
+async function syncEvaluationCandidates(resumeIds, run = query) {
+  if (resumeIds.length === 0) {
+    return;
+  }
+  await run(
+    `UPDATE candidate_evaluations ce
+     JOIN resumes r ON r.id = ce.resume_id
+     SET ce.candidate_id = r.candidate_id
+     WHERE ce.resume_id IN (${placeholders(resumeIds)})`,
+    resumeIds
+  );
+}
+
+/**
+ * Attach a resume to a candidate: the candidate of its parent resume (duplicate link), or a new one.
+ * The resume's contacts are added to the candidate and its evaluations follow.
+ * @param {object} resume - Row from resumes
+ * @param {function} [run] - Query executor
+ * @returns {Promise<{candidateId: number, created: boolean}>}
+ */
+async function assignCandidate(resume, run = query) {
+  if (resume.candidate_id) {
+    return { candidateId: resume.candidate_id, created: false };
+  }
+
+  let candidateId = null;
+  if (resume.parent_id) {
+    const [parent] = await run('SELECT * FROM resumes WHERE id = ?', [resume.parent_id]);
+    if (parent) {
+      ({ candidateId } = await assignCandidate(parent, run));
+      await addResumeContacts(candidateId, resume, run);
+    }
+  }
+
+  const created = !candidateId;
+  if (created) {
+    candidateId = await createCandidateFromResume(resume, run);
+  }
+
+  await run('UPDATE resumes SET candidate_id = ? WHERE id = ?', [candidateId, resume.id]);
+  await syncEvaluationCandidates([resume.id], run);
+  return { candidateId, created };
+}
+
+/**
+ * Rebuild a candidate's known emails and phones from the resumes still attached to it.
+ * Values added by hand are kept unless they came from one of the detached resumes; a kept value
+ * that an attached resume also has takes the resume's spelling (e.g. its E.164 phone).
+ * @param {number} candidateId - Candidate ID
+ * @param {Array<object>} detachedResumes - Resumes, or earlier versions of resumes, whose contacts no longer belong to the candidate
+ * @param {function} [run] - Query executor
+ */
+async function refreshCandidateContacts(candidateId, detachedResumes, run = query) {
+  const [candidate] = await run('SELECT * FROM candidates WHERE id = ?', [candidateId]);
+  if (!candidate) {
+    return;
+  }
+  const resumes = await run('SELECT email, phone FROM resumes WHERE candidate_id = ?', [candidateId]);
+  const normalizedSet = (values, normalize) => new Set(values.map(normalize).filter(Boolean));
+  const attachedEmails = normalizedSet(resumes.map(resume => resume.email), normalizeEmail);
+  const attachedPhones = normalizedSet(resumes.map(resume => resume.phone), normalizePhone);
+  const detachedEmails = normalizedSet(detachedResumes.map(resume => resume.email), normalizeEmail);
+  const detachedPhones = normalizedSet(detachedResumes.map(resume => resume.phone), normalizePhone);
+
+  const keepEmail = (email) => attachedEmails.has(normalizeEmail(email)) || !detachedEmails.has(normalizeEmail(email));
+  const keepPhone = (phone) => attachedPhones.has(normalizePhone(phone)) || !detachedPhones.has(normalizePhone(phone));
+
+  const spellings = (values, normalize) => new Map(values.map(value => [normalize(value), value]).filter(([key]) => key));
+  const emailSpellings = spellings(resumes.map(resume => resume.email), normalizeEmail);
+  const phoneSpellings = spellings(resumes.map(resume => resume.phone), normalizePhone);
+  const respellEmail = (email) => emailSpellings.get(normalizeEmail(email)) || email;
+  const respellPhone = (phone) => phoneSpellings.get(normalizePhone(phone)) || phone;
+
+  const contacts = uniqueContacts(
+    [...asList(candidate.emails).filter(keepEmail).map(respellEmail), ...resumes.map(resume => resume.email)],
+    [...asList(candidate.phones).filter(keepPhone).map(respellPhone), ...resumes.map(resume => resume.phone)]
+  );
+  await run(
+    `UPDATE candidates
+     SET email = ?, phone = ?, emails = ?, phones = ?
+     WHERE id = ?`,
+    [
+      candidate.email && keepEmail(candidate.email) ? respellEmail(candidate.email) : contacts.emails[0] || null,
+      candidate.phone && keepPhone(candidate.phone) ? respellPhone(candidate.phone) : contacts.phones[0] || null,
+      JSON.stringify(contacts.emails),
+      JSON.stringify(contacts.phones),
+      candidateId
+    ]
+  );
+}
+
+/**
+ * Attach resumes stored before candidates existed. Cluster roots are handled before linked resumes,
+ * so repeated calls walk through everything; stop when remaining reaches 0.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Resumes per batch (max MAX_BACKFILL_BATCH)
+ * @returns {Promise<{processed: number, created: number, remaining: number}>}
+ */
+async function backfillCandidates(options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_BACKFILL_BATCH);
+
+  const resumes = await query(
+    `SELECT * FROM resumes
+     WHERE candidate_id IS NULL
+     ORDER BY parent_id IS NOT NULL, id ASC
+     LIMIT ${limit}`
+  );
+
+  let created = 0;
+  for (const resume of resumes) {
+    // An earlier resume of this batch may already have attached this one through its parent chain
+    const current = await queryOne('SELECT * FROM resumes WHERE id = ?', [resume.id]);
+    if (!current || current.candidate_id) {
+      continue;
+    }
+    const result = await assignCandidate(current);
+    if (result.created) {
+      created++;
+    }
+  }
+
+  const { remaining } = await queryOne('SELECT COUNT(*) AS remaining FROM resumes WHERE candidate_id IS NULL');
+  console.log(`👤 Candidate backfill: ${resumes.length} resume(s) processed, ${created} candidate(s) created, ${remaining} remaining`);
+
+  return { processed: resumes.length, created, remaining: parseInt(remaining) };
+}
+
+module.exports = {
+  MAX_BACKFILL_BATCH,
+  uniqueContacts,
+  createCandidateFromResume,
+  addResumeContacts,
+  assignCandidate,
+  syncEvaluationCandidates,
+  refreshCandidateContacts,
+  backfillCandidates
+};
@@ -0,0 +1,212 @@
+const { parsePhoneNumberFromString, findPhoneNumbersInText, isSupportedCountry } = require('libphonenumber-js');
+const { query } = require('../config/database');
+const { refreshCandidateContacts } = require('./candidateService');
+const { contactKeys } = require('./duplicateChecker');
+
+// Region assumed for phone numbers written without a country code (ISO 3166 code, e.g. US, IN, GB)
+const DEFAULT_PHONE_REGION = (() => {
+  const region = (process.env.DEFAULT_PHONE_REGION || 'US').trim().toUpperCase();
+  if (!isSupportedCountry(region)) {
+    console.error(`⚠️  Unsupported DEFAULT_PHONE_REGION "${region}", using US`);
+    return 'US';
+  }
+  return region;
+})();
+
+// Maximum number of resumes normalized per backfill request
+const MAX_BACKFILL_BATCH = 500;
+
+const EMAIL_PATTERN = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*\.[a-z]{2,}$/;
+
+const LINKEDIN_PATTERN = /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/(?:in|pub)\/([a-z0-9\-_%.]+)/i;
+const GITHUB_PATTERN = /(?:https?:\/\/)?(?:www\.)?github\.com\/([a-z0-9](?:[a-z0-9-]{0,38}))(?![a-z0-9-])/i;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()"'|,;]+/gi;
+
+// github.com paths that are not user profiles
+const GITHUB_RESERVED = new Set(['about', 'features', 'orgs', 'settings', 'topics', 'explore', 'marketplace', 'pricing', 'login', 'join']);
+
+// Hosts that are never a candidate's own portfolio
+const NOT_PORTFOLIO_HOSTS = [
+  'linkedin.com', 'github.com', 'google.com', 'facebook.com', 'twitter.com', 'x.com', 'instagram.com',
+  'youtube.com', 'gmail.com', 'outlook.com', 'yahoo.com'
+];
+
+const trimUrl = (value) => value.replace(/[.,;:)\]}>'"]+$/, '').replace(/\/+$/, '');
+
+/**
+ * Lowercase and validate an email address ("mailto:" and surrounding brackets are removed)
+ * @param {string} email
+ * @returns {{ value: string|null, valid: boolean }}
+ */
+function normalizeEmailAddress(email) {
+  if (!email || typeof email !== 'string') {
+    return { value: null, valid: true };
+  }
+  const value = email.trim().replace(/^mailto:/i, '').replace(/^[<(\s]+|[>)\s.,;]+$/g, '').toLowerCase();
+  if (!value) {
+    return { value: null, valid: true };
+  }
+  return { value, valid: EMAIL_PATTERN.test(value) };
+}
+
+/**
+ * Convert a phone number to E.164 (+14155552671). Numbers without a country code are read
+ * in DEFAULT_PHONE_REGION; when the field holds several numbers the first valid one is used.
+ * @param {string} phone
+ * @param {string} [region]
+ * @returns {{ value: string|null, valid: boolean }} The E.164 number, or the trimmed input when it is not a valid number
+ */
+function normalizePhoneNumber(phone, region = DEFAULT_PHONE_REGION) {
+  if (phone === null || phone === undefined || String(phone).trim() === '') {
+    return { value: null, valid: true };
+  }
+  const raw = String(phone).trim();
+  const parsed = parsePhoneNumberFromString(raw, region);
+  if (parsed && parsed.isValid()) {
+    return { value: parsed.number, valid: true };
+  }
+  const found = findPhoneNumbersInText(raw, region).find(match => match.number.isValid());
+  if (found) {
+    return { value: found.number.number, valid: true };
+  }
+  return { value: raw, valid: false };
+}
+
+/**
+ * LinkedIn, GitHub and portfolio URLs mentioned in a resume
+ * @param {string} text - Resume text (and any parsed fields that may hold links)
+ * @returns {{ linkedin_url: string|null, github_url: string|null, portfolio_url: string|null }}
+ */
+function extractProfileUrls(text) {
+  const source = String(text || '');
+
+  const linkedin = source.match(LINKEDIN_PATTERN);
+  const github = [...source.matchAll(new RegExp(GITHUB_PATTERN.source, 'gi'))]
+    .map(match => match[1])
+    .find(user => !GITHUB_RESERVED.has(user.toLowerCase()));
+
+  let portfolio = null;
+  for (const match of source.matchAll(URL_PATTERN)) {
+    let url;
+    try {
+      url = new URL(trimUrl(match[0].startsWith('www.') ? `https://${match[0]}` : match[0]));
+    } catch (e) {
+      continue;
+    }
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    if (!host.includes('.') || NOT_PORTFOLIO_HOSTS.some(excluded => host === excluded || host.endsWith(`.${excluded}`))) {
+      continue;
+    }
+    portfolio = trimUrl(url.toString());
+    break;
+  }
+
+  return {
+    linkedin_url: linkedin ? `https://www.linkedin.com/in/${trimUrl(linkedin[1])}` : null,
+    github_url: github ? `https://github.com/${github}` : null,
+    portfolio_url: portfolio
+  };
+}
+
+/**
+ * Normalize the contact details of a parsed resume: E.164 phone, validated lowercase email,
+ * and profile URLs from the resume text. Invalid values are kept as written and listed in contact_flags.
+ * @param {object} parsedData - Parsed resume (email, phone, summary)
+ * @param {string} resumeText - Extracted resume text
+ * @returns {object} { email, phone, linkedin_url, github_url, portfolio_url, contact_flags }
+ */
+function normalizeContacts(parsedData, resumeText) {
+  const email = normalizeEmailAddress(parsedData.email);
+  const phone = normalizePhoneNumber(parsedData.phone);
+
+  const flags = [];
+  if (!email.valid) {
+    flags.push({ field: 'email', issue: 'invalid_format', value: email.value });
+  }
+  if (!phone.valid) {
+    flags.push({ field: 'phone', issue: 'invalid_number', value: phone.value });
+  }
+  if (!email.value && !phone.value) {
+    flags.push({ field: 'contact', issue: 'missing', value: null });
+  }
+
+  return {
+    email: email.value,
+    phone: phone.value,
+    ...extractProfileUrls(`${resumeText || ''}\n${parsedData.summary || ''}`),
+    contact_flags: flags
+  };
+}
+
+/**
+ * Normalize contact details of stored resumes, walking by ID. The candidates of the batch's resumes get their
+ * email, phone and contact lists rebuilt from the normalized values.
+ * @param {object} [options]
+ * @param {number} [options.afterId] - Continue after this resume ID
+ * @param {number} [options.limit] - Resumes per batch (max MAX_BACKFILL_BATCH)
+ * @returns {Promise<object>} { processed, flagged, candidates_refreshed, next_after_id }
+ */
+async function backfillContacts(options = {}) {
+  const afterId = parseInt(options.afterId) || 0;
+  const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_BACKFILL_BATCH);
+
+  const resumes = await query(
+    `SELECT id, candidate_id, email, phone, summary, raw_text FROM resumes WHERE id > ? ORDER BY id ASC LIMIT ${limit}`,
+    [afterId]
+  );
+
+  let flagged = 0;
+  // Contacts as stored before this batch, per candidate: values that normalization changed are replaced
+  const previousContacts = new Map();
+  for (const resume of resumes) {
+    const contacts = normalizeContacts(resume, resume.raw_text);
+    const keys = contactKeys(contacts);
+    if (contacts.contact_flags.length > 0) {
+      flagged++;
+    }
+    await query(
+      `UPDATE resumes
+       SET email = ?, phone = ?, email_key = ?, phone_key = ?,
+           linkedin_url = ?, github_url = ?, portfolio_url = ?, contact_flags = ?
+       WHERE id = ?`,
+      [
+        contacts.email,
+        contacts.phone,
+        keys.email_key,
+        keys.phone_key,
+        contacts.linkedin_url,
+        contacts.github_url,
+        contacts.portfolio_url,
+        JSON.stringify(contacts.contact_flags),
+        resume.id
+      ]
+    );
+    if (resume.candidate_id) {
+      const previous = previousContacts.get(resume.candidate_id) || [];
+      previousContacts.set(resume.candidate_id, [...previous, { email: resume.email, phone: resume.phone }]);
+    }
+  }
+
+  for (const [candidateId, previous] of previousContacts) {
+    await refreshCandidateContacts(candidateId, previous);
+  }
+
+  console.log(`📇 Contact backfill: ${resumes.length} resume(s) normalized, ${flagged} with contact issues, ${previousContacts.size} candidate(s) refreshed`);
+
+  return {
+    processed: resumes.length,
+    flagged,
+    candidates_refreshed: previousContacts.size,
+    next_after_id: resumes.length === limit ? resumes[resumes.length - 1].id : null
+  };
+}
+
+module.exports = {
+  DEFAULT_PHONE_REGION,
+  MAX_BACKFILL_BATCH,
+  normalizeEmailAddress,
+  normalizePhoneNumber,
+  extractProfileUrls,
+  normalizeContacts,
+  backfillContacts
+};
@@ -0,0 +1,87 @@
+const { safeParseJSON } = require('./json');
+
+// Ordered degree levels used to compare a candidate's education with a job's requirement
+
+// Short forms need their dots (B.E., M.A.) so ordinary words such as "be" and "ma" don't match
+const DEGREE_LEVELS = [
+  { level: 1, label: 'Diploma / Associate', pattern: /\b(diploma|associate'?s? degree|associate of (arts|science|applied science))(?![a-z])/i },
+  { level: 2, label: "Bachelor's", pattern: /\b(bachelor'?s?|undergraduate degree|b\.s\.|b\.?sc|b\.a\.|b\.e\.|b\.?tech|b\.?eng|bca|bba|b\.com)(?![a-z])/i },
+  { level: 3, label: "Master's", pattern: /\b(master'?s?|postgraduate degree|graduate degree|m\.s\.|m\.?sc|m\.a\.|m\.e\.|m\.?tech|m\.?eng|mca|mba|m\.com)(?![a-z])/i },
+  { level: 4, label: 'Doctorate', pattern: /\b(ph\.?\s?d|doctorate|doctoral|d\.phil)(?![a-z])/i }
+];
+
+// Names accepted wherever a degree level is given by hand (API filters, job requirements)
+const DEGREE_LEVEL_NAMES = {
+  diploma: 1,
+  associate: 1,
+  bachelor: 2,
+  bachelors: 2,
+  master: 3,
+  masters: 3,
+  doctorate: 4,
+  phd: 4
+};
+
+/**
+ * Degree level from a name ("master", "Bachelor's", "PhD") or a level number (1-4)
+ * @param {string|number} value
+ * @returns {number|null} Level, or null when the value is not a known degree level
+ */
+function parseDegreeLevel(value) {
+  const key = String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const level = DEGREE_LEVEL_NAMES[key] || parseInt(key);
+  return DEGREE_LEVELS.some(degree => degree.level === level) ? level : null;
+}
+
+/**
+ * Highest degree level mentioned in a piece of text
+ * @param {string} text - Degree name, education line or job description
+ * @returns {{level: number, label: string}|null} Level (1 = diploma ... 4 = doctorate) or null when none is found
+ */
+function detectDegreeLevel(text) {
+  if (!text) {
+    return null;
+  }
+  for (let i = DEGREE_LEVELS.length - 1; i >= 0; i--) {
+    if (DEGREE_LEVELS[i].pattern.test(text)) {
+      return { level: DEGREE_LEVELS[i].level, label: DEGREE_LEVELS[i].label };
+    }
+  }
+  return null;
+}
+
+/**
+ * Highest degree level across parsed education entries
+ * @param {Array<object|string>} education - Parsed education entries ({ degree, field, ... })
+ * @returns {{level: number, label: string}|null}
+ */
+function highestDegreeLevel(education) {
+  let highest = null;
+  for (const entry of Array.isArray(education) ? education : []) {
+    const text = typeof entry === 'string' ? entry : [entry?.degree, entry?.field].filter(Boolean).join(' ');
+    const detected = detectDegreeLevel(text);
+    if (detected && (!highest || detected.level > highest.level)) {
+      highest = detected;
+    }
+  }
+  return highest;
+}
+
+/**
+ * Value of resumes.degree_level: the level of the highest degree across the education entries
+ * @param {Array<object|string>|string} education - Parsed entries or the stored JSON column
+ * @returns {number|null}
+ */
+function degreeLevelColumn(education) {
+  const highest = highestDegreeLevel(safeParseJSON(education, []));
+  return highest ? highest.level : null;
+}
+
+module.exports = {
+  DEGREE_LEVELS,
+  DEGREE_LEVEL_NAMES,
+  parseDegreeLevel,
+  detectDegreeLevel,
+  highestDegreeLevel,
+  degreeLevelColumn
+};
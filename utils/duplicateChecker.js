@@ -1,61 +1,375 @@
-const { queryOne } = require('../config/database');
+const { query } = require('../config/database');
+const { safeParseJSON } = require('./json');
+const { placeholders } = require('./sql');
+
+// Candidates at or above this confidence are linked automatically through parent_id
+const AUTO_LINK_THRESHOLD = parseFloat(process.env.DUPLICATE_AUTO_LINK_THRESHOLD) || 0.85;
+// Candidates below this confidence are not reported at all
+const MIN_CONFIDENCE = parseFloat(process.env.DUPLICATE_MIN_CONFIDENCE) || 0.5;
+
+// Maximum number of stored resumes matched on surname alone per lookup
+// (email and phone matches are always all scored)
+const MAX_NAME_CANDIDATES = 200;
+
+// Evidence weights, combined as independent signals: 1 - (1 - a)(1 - b)...
+const WEIGHTS = {
+  email: 0.9,
+  phone: 0.8,
+  name: 0.6,
+  employer: 0.3,
+  employers: 0.45,
+  institution: 0.2
+};
+// Subtracted when both resumes have an email and a phone and neither matches
+const CONTACT_CONFLICT_PENALTY = 0.3;
+// Subtracted when both resumes have a full name and the names clearly differ
+const NAME_CONFLICT_PENALTY = 0.3;
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Common short forms of first names -> full names they can stand for
+const NICKNAMES = {
+  jon: ['jonathan', 'john'], johnny: ['john', 'jonathan'], jack: ['john'],
+  bob: ['robert'], rob: ['robert'], bobby: ['robert'], bill: ['william'], will: ['william'], liam: ['william'],
+  mike: ['michael'], mick: ['michael'], jim: ['james'], jimmy: ['james'], dave: ['david'],
+  dan: ['daniel'], danny: ['daniel'], tom: ['thomas'], tommy: ['thomas'], chris: ['christopher', 'christina', 'christine'],
+  matt: ['matthew'], nick: ['nicholas'], alex: ['alexander', 'alexandra'], andy: ['andrew'], drew: ['andrew'],
+  tony: ['anthony'], steve: ['steven', 'stephen'], joe: ['joseph'], joey: ['joseph'], ben: ['benjamin'],
+  sam: ['samuel', 'samantha'], greg: ['gregory'], jeff: ['jeffrey'], ken: ['kenneth'], larry: ['lawrence'],
+  ed: ['edward'], ted: ['edward', 'theodore'], pete: ['peter'], rick: ['richard'], dick: ['richard'],
+  rich: ['richard'], charlie: ['charles'], chuck: ['charles'], fred: ['frederick'], ron: ['ronald'],
+  tim: ['timothy'], vince: ['vincent'], zach: ['zachary'], kate: ['katherine', 'catherine'],
+  katie: ['katherine', 'catherine'], cathy: ['catherine'], liz: ['elizabeth'], beth: ['elizabeth'],
+  betty: ['elizabeth'], jen: ['jennifer'], jenny: ['jennifer'], sue: ['susan'], pat: ['patricia', 'patrick'],
+  meg: ['margaret'], maggie: ['margaret'], peggy: ['margaret'], abby: ['abigail'], becky: ['rebecca'],
+  vicky: ['victoria'], mandy: ['amanda'], jess: ['jessica'], debbie: ['deborah'], val: ['valerie']
+};
+
+const COMPANY_SUFFIXES = /\b(inc|llc|ltd|limited|pvt|private|corp|corporation|co|company|gmbh|plc|technologies|technology|solutions)\b/g;
 
 /**
- * Check for duplicate resume based on email or email + name combination
- * Returns the ID of the oldest matching record if duplicate is found
- * @param {Object} parsedData - Parsed resume data
- * @returns {Promise<number|null>} - Parent ID if duplicate found, null otherwise
+ * Canonical form of an email address: lowercase, "+tag" removed, and for Gmail dots in the local part removed
+ * @param {string} email
+ * @returns {string|null}
  */
-async function findDuplicateResume(parsedData) {
-  try {
-    const email = parsedData.email?.toLowerCase().trim();
-    const name = parsedData.name?.toLowerCase().trim();
+function normalizeEmail(email) {
+  if (!email || typeof email !== 'string' || !email.includes('@')) {
+    return null;
+  }
+  const [rawLocal, rawDomain] = email.toLowerCase().trim().split('@');
+  let local = rawLocal.split('+')[0];
+  let domain = rawDomain;
+  if (GMAIL_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+  return local ? `${local}@${domain}` : null;
+}
 
-    if (!email && !name) {
-      // Can't check for duplicates without email or name
-      return null;
-    }
+/**
+ * Digits of a phone number without country code / trunk prefix (last 10 digits)
+ * @param {string} phone
+ * @returns {string|null} Null when fewer than 7 digits are present
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 7) {
+    return null;
+  }
+  return digits.slice(-10);
+}
+
+function nameTokens(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z\s'-]/g, ' ')
+    .split(/[\s'-]+/)
+    .filter(token => token.length > 0 && !['mr', 'mrs', 'ms', 'dr', 'jr', 'sr', 'ii', 'iii'].includes(token));
+}
+
+/**
+ * Jaro-Winkler similarity of two strings (0-1)
+ */
+function jaroWinkler(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if (!a || !b) {
+    return 0;
+  }
 
-    let duplicate = null;
+  const matchDistance = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
 
-    if (email) {
-      // Check by email first (most reliable) - case-insensitive
-      duplicate = await queryOne(
-        'SELECT id, email, name, created_at FROM resumes WHERE LOWER(email) = ? ORDER BY created_at ASC LIMIT 1',
-        [email]
-      );
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchDistance);
+    const end = Math.min(i + matchDistance + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches++;
+        break;
+      }
     }
+  }
+  if (matches === 0) {
+    return 0;
+  }
 
-    if (!duplicate && name) {
-      // Fallback to name if no email match - case-insensitive
-      duplicate = await queryOne(
-        'SELECT id, email, name, created_at FROM resumes WHERE LOWER(name) = ? ORDER BY created_at ASC LIMIT 1',
-        [name]
-      );
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (aMatches[i]) {
+      while (!bMatches[k]) {
+        k++;
+      }
+      if (a[i] !== b[k]) {
+        transpositions++;
+      }
+      k++;
     }
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+function firstNameSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if ((NICKNAMES[a] || []).includes(b) || (NICKNAMES[b] || []).includes(a)) {
+    return 0.9;
+  }
+  // "J Smith" vs "John Smith"
+  if ((a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b))) {
+    return 0.75;
+  }
+  return jaroWinkler(a, b);
+}
+
+/**
+ * Similarity of two person names (0-1), tolerant to nicknames, initials and middle names
+ * @param {string} nameA
+ * @param {string} nameB
+ * @returns {number}
+ */
+function nameSimilarity(nameA, nameB) {
+  const a = nameTokens(nameA);
+  const b = nameTokens(nameB);
+  if (a.length === 0 || b.length === 0) {
+    return 0;
+  }
+  if (a.length === 1 || b.length === 1) {
+    return jaroWinkler(a.join(' '), b.join(' ')) * 0.8;
+  }
+
+  const lastName = jaroWinkler(a[a.length - 1], b[b.length - 1]);
+  const firstName = firstNameSimilarity(a[0], b[0]);
+  // Different surnames are a strong signal of different people
+  if (lastName < 0.85) {
+    return Math.min(firstName, lastName) * 0.5;
+  }
+  return Math.round((lastName * 0.5 + firstName * 0.5) * 1000) / 1000;
+}
+
+const normalizeCompany = (company) => String(company || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(COMPANY_SUFFIXES, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
 
-    if (duplicate) {
-      return duplicate.id;
+// Values of `key` present in both entry lists, as spelled in listB
+function sharedValues(listA, listB, key) {
+  const valuesA = new Set(safeParseJSON(listA, []).map(entry => normalizeCompany(entry?.[key])).filter(Boolean));
+  const shared = new Map();
+  for (const entry of safeParseJSON(listB, [])) {
+    const normalized = normalizeCompany(entry?.[key]);
+    if (normalized && valuesA.has(normalized) && !shared.has(normalized)) {
+      shared.set(normalized, String(entry[key]).trim());
     }
+  }
+  return [...shared.values()];
+}
 
-    // If we have both email and name, also check for name match with same email
-    // This handles cases where email might be slightly different but name matches
-    if (email && name) {
-      const nameMatch = await queryOne(
-        'SELECT id, email, name, created_at FROM resumes WHERE LOWER(name) = ? ORDER BY created_at ASC LIMIT 1',
-        [name]
-      );
-
-      if (nameMatch) {
-        // Check if the email also matches (case-insensitive)
-        const existingEmail = nameMatch.email?.toLowerCase().trim();
-        if (existingEmail && existingEmail === email) {
-          return nameMatch.id;
-        }
-      }
+/**
+ * Score how likely a stored resume belongs to the same person as newly parsed data
+ * @param {object} parsedData - Parsed resume data (name, email, phone, experience, education)
+ * @param {object} existing - Row from resumes
+ * @returns {{confidence: number, reasons: Array<string>}} Confidence 0-1 and the signals behind it
+ */
+function scoreDuplicateCandidate(parsedData, existing) {
+  const reasons = [];
+  const evidence = [];
+
+  const emailA = normalizeEmail(parsedData.email);
+  const emailB = normalizeEmail(existing.email);
+  const emailMatches = !!emailA && emailA === emailB;
+  if (emailMatches) {
+    const exact = String(parsedData.email).toLowerCase().trim() === String(existing.email).toLowerCase().trim();
+    evidence.push(WEIGHTS.email);
+    reasons.push(exact ? 'Same email address' : 'Same email address (alias)');
+  }
+
+  const phoneA = normalizePhone(parsedData.phone);
+  const phoneB = normalizePhone(existing.phone);
+  const phoneMatches = !!phoneA && !!phoneB && (phoneA.endsWith(phoneB) || phoneB.endsWith(phoneA));
+  if (phoneMatches) {
+    evidence.push(WEIGHTS.phone);
+    reasons.push('Same phone number');
+  }
+
+  const similarity = nameSimilarity(parsedData.name, existing.name);
+  if (similarity >= 0.8) {
+    evidence.push(WEIGHTS.name * similarity);
+    reasons.push(similarity === 1 ? 'Same name' : `Similar name (${Math.round(similarity * 100)}%)`);
+  }
+
+  const employers = sharedValues(parsedData.experience, existing.experience, 'company');
+  if (employers.length > 0) {
+    evidence.push(employers.length > 1 ? WEIGHTS.employers : WEIGHTS.employer);
+    reasons.push(`Shared employer${employers.length > 1 ? 's' : ''}: ${employers.join(', ')}`);
+  }
+
+  const institutions = sharedValues(parsedData.education, existing.education, 'institution');
+  if (institutions.length > 0) {
+    evidence.push(WEIGHTS.institution);
+    reasons.push(`Shared institution: ${institutions.join(', ')}`);
+  }
+
+  let confidence = 1 - evidence.reduce((remaining, weight) => remaining * (1 - weight), 1);
+
+  const contactConflict = !emailMatches && !phoneMatches &&
+    emailA && emailB && phoneA && phoneB;
+  if (contactConflict && confidence > 0) {
+    confidence -= CONTACT_CONFLICT_PENALTY;
+    reasons.push('Different email and phone number');
+  }
+
+  const nameConflict = nameTokens(parsedData.name).length > 1 && nameTokens(existing.name).length > 1 && similarity < 0.5;
+  if (nameConflict && confidence > 0) {
+    confidence -= NAME_CONFLICT_PENALTY;
+    reasons.push('Different name');
+  }
+
+  return {
+    confidence: Math.round(Math.max(0, Math.min(1, confidence)) * 1000) / 1000,
+    reasons
+  };
+}
+
+/**
+ * Indexed lookup keys of a resume's contacts, stored in resumes.email_key and resumes.phone_key
+ * @param {object} contacts - { email, phone }
+ * @returns {{email_key: string|null, phone_key: string|null}}
+ */
+function contactKeys({ email, phone }) {
+  return {
+    email_key: normalizeEmail(email),
+    phone_key: normalizePhone(phone)
+  };
+}
+
+/**
+ * Find stored resumes that probably belong to the same candidate
+ * @param {object} parsedData - Parsed resume data (name, email, phone, experience, education)
+ * @param {object} [options]
+ * @param {Array<number>} [options.excludeResumeIds] - Resumes to leave out (e.g. the resume itself)
+ * @returns {Promise<Array<object>>} Matches sorted by confidence:
+ *   { resumeId, rootId, name, email, phone, confidence, reasons, autoLink }
+ *   rootId is the resume new duplicates are linked to (the match's own parent, if it has one)
+ */
+async function findDuplicateCandidates(parsedData, options = {}) {
+  const excluded = (options.excludeResumeIds || []).map(id => parseInt(id)).filter(id => !isNaN(id));
+
+  // Email, phone and surname are looked up separately so that a common surname
+  // cannot crowd exact email or phone matches out of the limited name lookup
+  const lookup = (condition, params, limit = null) => {
+    let sql = `
+      SELECT id, parent_id, name, email, phone, experience, education, created_at
+      FROM resumes
+      WHERE ${condition}`;
+    if (excluded.length > 0) {
+      sql += ` AND id NOT IN (${placeholders(excluded)})`;
     }
+    sql += ' ORDER BY created_at ASC';
+    if (limit) {
+      sql += ` LIMIT ${limit}`;
+    }
+    return query(sql, [...params, ...excluded]);
+  };
 
-    return null;
+  const lookups = [];
+
+  const { email_key: emailKey, phone_key: phoneKey } = contactKeys(parsedData);
+  if (emailKey) {
+    lookups.push(lookup('email_key = ?', [emailKey]));
+  }
+
+  if (phoneKey) {
+    // A number without its area code (fewer than 10 digits) can only be matched as a suffix, which scans the index
+    lookups.push(phoneKey.length === 10
+      ? lookup('phone_key = ?', [phoneKey])
+      : lookup('phone_key LIKE ?', [`%${phoneKey}`]));
+  }
+
+  const tokens = nameTokens(parsedData.name);
+  const surname = tokens[tokens.length - 1];
+  if (surname && surname.length > 1) {
+    // % and _ in the name are matched literally
+    const pattern = `%${surname.replace(/[\\%_]/g, '\\$&')}%`;
+    lookups.push(lookup('LOWER(name) LIKE ?', [pattern], MAX_NAME_CANDIDATES));
+  }
+
+  if (lookups.length === 0) {
+    // Can't check for duplicates without email, phone or name
+    return [];
+  }
+
+  const rowsById = new Map();
+  for (const rows of await Promise.all(lookups)) {
+    rows.forEach(row => rowsById.set(row.id, row));
+  }
+  const rows = [...rowsById.values()];
+
+  return rows
+    .map(row => {
+      const { confidence, reasons } = scoreDuplicateCandidate(parsedData, row);
+      return {
+        resumeId: row.id,
+        rootId: row.parent_id || row.id,
+        name: row.name,
+        email: row.email,
+        phone: row.phone,
+        confidence,
+        reasons,
+        autoLink: confidence >= AUTO_LINK_THRESHOLD
+      };
+    })
+    .filter(match => match.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence || a.rootId - b.rootId);
+}
+
+/**
+ * Check for a duplicate resume of the same candidate
+ * Returns the ID the new resume should be linked to, only when the best match is above the auto-link threshold
+ * @param {Object} parsedData - Parsed resume data
+ * @returns {Promise<number|null>} - Parent ID if duplicate found, null otherwise
+ */
+async function findDuplicateResume(parsedData) {
+  try {
+    const matches = await findDuplicateCandidates(parsedData);
+    return matches.length > 0 && matches[0].autoLink ? matches[0].rootId : null;
   } catch (error) {
     console.error('Error in findDuplicateResume:', error);
     return null;
@@ -63,5 +377,12 @@ async function findDuplicateResume(parsedData) {
 }
 
 module.exports = {
+  AUTO_LINK_THRESHOLD,
+  normalizeEmail,
+  normalizePhone,
+  contactKeys,
+  nameSimilarity,
+  scoreDuplicateCandidate,
+  findDuplicateCandidates,
   findDuplicateResume
 };
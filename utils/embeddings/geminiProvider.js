@@ -0,0 +1,30 @@
+const { getGeminiClient } = require('../../config/gemini');
+
+/**
+ * Google Gemini embeddings (e.g. text-embedding-004)
+ * @param {object} [config]
+ * @param {number} [config.requestTimeoutMs] - Request timeout
+ * @returns {object} Embedding provider
+ */
+function createGeminiEmbeddingProvider(config = {}) {
+  return {
+    name: 'gemini',
+
+    async embed(texts, { model }) {
+      const embeddingModel = getGeminiClient().getGenerativeModel(
+        { model },
+        { timeout: config.requestTimeoutMs }
+      );
+      const vectors = [];
+      for (const text of texts) {
+        const result = await embeddingModel.embedContent(text);
+        vectors.push(result.embedding.values);
+      }
+      return vectors;
+    }
+  };
+}
+
+module.exports = {
+  createGeminiEmbeddingProvider
+};
@@ -0,0 +1,46 @@
+const llmConfig = require('../../config/llm');
+const { createLocalEmbeddingProvider } = require('./localProvider');
+const { createGeminiEmbeddingProvider } = require('./geminiProvider');
+const { createOpenAIEmbeddingProvider } = require('./openaiProvider');
+
+// Every provider exposes embed(texts, { model }) -> Promise<Array<Array<number>>>, one vector per text
+const PROVIDER_FACTORIES = {
+  local: () => createLocalEmbeddingProvider(),
+  gemini: () => createGeminiEmbeddingProvider({ requestTimeoutMs: llmConfig.requestTimeoutMs }),
+  openai: () => createOpenAIEmbeddingProvider({ ...llmConfig.openai, requestTimeoutMs: llmConfig.requestTimeoutMs })
+};
+
+let provider = null;
+
+/**
+ * Get the configured embedding provider (EMBEDDING_PROVIDER: local, gemini or openai)
+ * @returns {object} Embedding provider
+ */
+function getEmbeddingProvider() {
+  if (!provider) {
+    const factory = PROVIDER_FACTORIES[llmConfig.embeddings.provider];
+    if (!factory) {
+      throw new Error(`Unknown embedding provider "${llmConfig.embeddings.provider}". Supported providers: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    provider = factory();
+    console.log(`🧭 Embedding provider: ${provider.name} (model: ${llmConfig.embeddings.model})`);
+  }
+  return provider;
+}
+
+/**
+ * Embed texts with the configured provider and model
+ * @param {Array<string>} texts
+ * @returns {Promise<{vectors: Array<Array<number>>, provider: string, model: string}>}
+ */
+async function embedTexts(texts) {
+  const embedder = getEmbeddingProvider();
+  const model = llmConfig.embeddings.model;
+  const vectors = await embedder.embed(texts, { model });
+  return { vectors, provider: embedder.name, model };
+}
+
+module.exports = {
+  getEmbeddingProvider,
+  embedTexts
+};
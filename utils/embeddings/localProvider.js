@@ -0,0 +1,73 @@
+// Offline embeddings for tests and local development (the default only with LLM_PROVIDER=mock).
+// Words and word pairs are hashed into a fixed-size vector (feature hashing), so texts that share
+// vocabulary end up close together. It captures overlapping wording rather than meaning;
+// use the gemini or openai provider (or a local Ollama embedding model) for real semantic search.
+
+const DIMENSIONS = 384;
+
+// Words too common to say anything about a candidate
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'i', 'in', 'is', 'it',
+  'of', 'on', 'or', 'our', 'the', 'to', 'was', 'were', 'with', 'we', 'my', 'me', 'this', 'that', 'using'
+]);
+
+// FNV-1a, 32 bit
+function hash(value) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Light stemming so "payments"/"payment" and "scaling"/"scaled" share a feature
+function stem(word) {
+  return word.replace(/(ing|ed|es|s)$/, match => (word.length - match.length >= 4 ? '' : match));
+}
+
+/**
+ * Embed one text as an L2-normalized vector
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+function embedText(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}+#]+/u)
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(stem);
+
+  const counts = new Map();
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+  words.forEach((word, i) => {
+    add(word, 1);
+    if (i > 0) {
+      add(`${words[i - 1]} ${word}`, 0.5);
+    }
+  });
+
+  const vector = new Array(DIMENSIONS).fill(0);
+  for (const [feature, count] of counts) {
+    const h = hash(feature);
+    // The top bit picks the sign so unrelated features cancel out instead of piling up
+    vector[h % DIMENSIONS] += (h & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+function createLocalEmbeddingProvider() {
+  return {
+    name: 'local',
+
+    async embed(texts) {
+      return texts.map(embedText);
+    }
+  };
+}
+
+module.exports = {
+  createLocalEmbeddingProvider
+};
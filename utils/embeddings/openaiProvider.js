@@ -0,0 +1,45 @@
+const axios = require('axios');
+
+/**
+ * Embeddings from any OpenAI-compatible /embeddings endpoint (OpenAI, Ollama, vLLM, LM Studio...)
+ * @param {object} config
+ * @param {string} config.baseUrl - API base URL, e.g. https://api.openai.com/v1 or http://localhost:11434/v1
+ * @param {string} [config.apiKey] - Bearer token (local servers usually don't need one)
+ * @param {number} [config.requestTimeoutMs] - Request timeout
+ * @returns {object} Embedding provider
+ */
+function createOpenAIEmbeddingProvider(config) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  return {
+    name: 'openai',
+
+    async embed(texts, { model }) {
+      try {
+        const response = await axios.post(`${config.baseUrl}/embeddings`, { model, input: texts }, {
+          headers,
+          timeout: config.requestTimeoutMs
+        });
+        const data = response.data?.data;
+        if (!Array.isArray(data) || data.length !== texts.length) {
+          throw new Error('OpenAI-compatible API returned no embeddings');
+        }
+        // Results carry their input index; don't rely on the order
+        return [...data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+      } catch (error) {
+        if (error.response) {
+          const detail = error.response.data?.error?.message || error.response.statusText || 'Request failed';
+          throw new Error(`OpenAI-compatible API error ${error.response.status}: ${detail}`);
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIEmbeddingProvider
+};
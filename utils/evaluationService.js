@@ -0,0 +1,181 @@
+const { matchResumeWithJobDescription } = require('./resumeMatcher');
+const { query, queryOne } = require('../config/database');
+const { requirementsFromJob } = require('./jobRequirements');
+const { resolveScoring } = require('./scoringConfig');
+const { evaluateKnockouts, knockoutMatchResults } = require('./knockoutRules');
+const { safeParseJSON } = require('./json');
+const { httpError } = require('./httpError');
+
+/**
+ * Build the job description text that is sent to the matcher and stored on the evaluation
+ * @param {object} jobData - Row from job_descriptions
+ * @returns {string}
+ */
+function buildJobDescriptionText(jobData) {
+  return `${jobData.title}\n\n${jobData.description}\n\n${jobData.requirements || ''}`;
+}
+
+/**
+ * Build the parsed resume data expected by the matcher from a stored resumes row
+ * @param {object} resume - Row from resumes
+ * @returns {object}
+ */
+function parsedDataFromResume(resume) {
+  return {
+    name: resume.name,
+    email: resume.email,
+    phone: resume.phone,
+    location: resume.location,
+    skills: safeParseJSON(resume.skills, []),
+    experience: safeParseJSON(resume.experience, []),
+    education: safeParseJSON(resume.education, []),
+    certifications: safeParseJSON(resume.certifications, []),
+    summary: resume.summary,
+    total_experience: resume.total_experience
+  };
+}
+
+/**
+ * Score a resume for a job: its knockout rules first, then the matcher with the job's structured
+ * requirements and scoring. A knocked-out resume is rejected without calling the matcher.
+ * @param {object} params
+ * @param {string} params.resumeText - Resume text
+ * @param {object} params.parsedData - Parsed resume data
+ * @param {object} params.jobData - Row from job_descriptions
+ * @param {string} [params.engine] - Match engine: 'auto', 'llm' or 'heuristic'
+ * @returns {Promise<object>} Match results; match_engine is 'knockout' and knockout_failures lists the failed rules when knocked out
+ */
+async function scoreResumeForJob({ resumeText, parsedData, jobData, engine }) {
+  const failures = evaluateKnockouts(jobData.knockout_rules, parsedData, resumeText);
+  if (failures.length > 0) {
+    console.log(`   ⛔ Knocked out by ${failures.length} rule(s) of job ${jobData.id}: ${failures.map(failure => failure.reason).join(', ')}`);
+    return knockoutMatchResults(failures);
+  }
+
+  return await matchResumeWithJobDescription(
+    resumeText,
+    buildJobDescriptionText(jobData),
+    parsedData,
+    { engine, requirements: requirementsFromJob(jobData), scoring: await resolveScoring(jobData) }
+  );
+}
+
+/**
+ * Insert or update the evaluation of a resume for a job (unique per resume_id + job_description_id)
+ * @param {object} params
+ * @param {number} params.resumeId - Resume ID
+ * @param {object} params.jobData - Row from job_descriptions
+ * @param {object} params.parsedData - Parsed resume data (name, phone, email)
+ * @param {string} params.resumeText - Resume text the match was computed from
+ * @param {object} params.matchResults - Output of scoreResumeForJob
+ * @returns {Promise<{evaluation: object, created: boolean}>} Saved evaluation and whether it is new
+ */
+async function saveEvaluation({ resumeId, jobData, parsedData, resumeText, matchResults }) {
+  const normalizedEmail = parsedData.email ? parsedData.email.toLowerCase().trim() : null;
+
+  // affectedRows cannot tell an insert from an unchanged update (mysql2 sets FOUND_ROWS), so check first
+  const existing = await queryOne(
+    'SELECT id FROM candidate_evaluations WHERE resume_id = ? AND job_description_id = ?',
+    [resumeId, parseInt(jobData.id)]
+  );
+
+  await query(
+    `INSERT INTO candidate_evaluations (
+      resume_id, job_description_id, candidate_id, candidate_name, contact_number, email,
+      resume_text, job_description, overall_match, skills_match, skills_details,
+      experience_match, experience_details, education_match, education_details,
+      status, rejection_reason, match_engine, match_model, knockout_failures
+    ) VALUES (?, ?, (SELECT candidate_id FROM resumes WHERE id = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      candidate_id = VALUES(candidate_id),
+      candidate_name = VALUES(candidate_name),
+      contact_number = VALUES(contact_number),
+      email = VALUES(email),
+      resume_text = VALUES(resume_text),
+      job_description = VALUES(job_description),
+      overall_match = VALUES(overall_match),
+      skills_match = VALUES(skills_match),
+      skills_details = VALUES(skills_details),
+      experience_match = VALUES(experience_match),
+      experience_details = VALUES(experience_details),
+      education_match = VALUES(education_match),
+      education_details = VALUES(education_details),
+      status = VALUES(status),
+      rejection_reason = VALUES(rejection_reason),
+      match_engine = VALUES(match_engine),
+      match_model = VALUES(match_model),
+      knockout_failures = VALUES(knockout_failures)`,
+    [
+      resumeId,
+      parseInt(jobData.id),
+      resumeId,
+      parsedData.name || null,
+      parsedData.phone || null,
+      normalizedEmail,
+      resumeText,
+      buildJobDescriptionText(jobData),
+      matchResults.overall_match,
+      matchResults.skills_match,
+      matchResults.skills_details,
+      matchResults.experience_match,
+      matchResults.experience_details,
+      matchResults.education_match,
+      matchResults.education_details,
+      matchResults.status,
+      matchResults.rejection_reason || null,
+      matchResults.match_engine || 'llm',
+      matchResults.match_model || null,
+      matchResults.knockout_failures ? JSON.stringify(matchResults.knockout_failures) : null
+    ]
+  );
+
+  const evaluation = await queryOne(
+    'SELECT * FROM candidate_evaluations WHERE resume_id = ? AND job_description_id = ?',
+    [resumeId, parseInt(jobData.id)]
+  );
+
+  return { evaluation, created: !existing };
+}
+
+/**
+ * Score a stored resume against a job description and upsert the evaluation
+ * @param {object} resume - Row from resumes (must have raw_text)
+ * @param {object} jobData - Row from job_descriptions
+ * @param {object} [options]
+ * @param {string} [options.engine] - Match engine: 'auto', 'llm' or 'heuristic'
+ * @returns {Promise<{evaluation: object, created: boolean, matchResults: object}>}
+ */
+async function evaluateStoredResume(resume, jobData, options = {}) {
+  if (!resume.raw_text || !resume.raw_text.trim()) {
+    throw httpError('Resume has no stored raw text to evaluate', 422);
+  }
+
+  const parsedData = parsedDataFromResume(resume);
+
+  console.log(`🎯 Matching resume ${resume.id} with job description ${jobData.id} ("${jobData.title}")...`);
+  const matchResults = await scoreResumeForJob({
+    resumeText: resume.raw_text,
+    parsedData,
+    jobData,
+    engine: options.engine
+  });
+  console.log(`📊 Match scores (${matchResults.match_engine}) - Overall: ${matchResults.overall_match}%, Skills: ${matchResults.skills_match}%, Experience: ${matchResults.experience_match}%, Education: ${matchResults.education_match}%`);
+
+  const { evaluation, created } = await saveEvaluation({
+    resumeId: resume.id,
+    jobData,
+    parsedData,
+    resumeText: resume.raw_text,
+    matchResults
+  });
+
+  return { evaluation, created, matchResults };
+}
+
+module.exports = {
+  buildJobDescriptionText,
+  parsedDataFromResume,
+  scoreResumeForJob,
+  saveEvaluation,
+  evaluateStoredResume
+};
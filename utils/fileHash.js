@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// SHA-256 of the raw file contents, used to recognize identical uploads
+
+/**
+ * Hash a file on disk
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} Hex encoded SHA-256 digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Hash an in-memory file
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+module.exports = {
+  hashFile,
+  hashBuffer
+};
@@ -0,0 +1,104 @@
+const path = require('path');
+
+// Resume file types accepted by the upload routes, keyed by file extension
+const RESUME_MIME_TYPES_BY_EXTENSION = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+  '.rtf': 'application/rtf',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown'
+};
+
+const ALLOWED_RESUME_MIME_TYPES = [...new Set(Object.values(RESUME_MIME_TYPES_BY_EXTENSION))];
+
+// Alternative mimetypes reported by some browsers / operating systems for the same formats
+const RESUME_MIME_TYPE_ALIASES = {
+  'text/rtf': 'application/rtf',
+  'application/x-rtf': 'application/rtf',
+  'text/richtext': 'application/rtf',
+  'application/xhtml+xml': 'text/html',
+  'text/x-markdown': 'text/markdown'
+};
+
+// Mimetypes that say nothing about the format, in which case the file extension decides
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// Human readable list used in validation error messages
+const ALLOWED_RESUME_TYPES_LABEL = 'PDF, DOC, DOCX, TXT, RTF, ODT, HTML, and Markdown';
+
+// Browsers report ZIP archives with different mimetypes depending on the OS
+const ZIP_MIME_TYPES = [
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/x-zip'
+];
+
+/**
+ * Check if a mimetype is an accepted resume type
+ * @param {string} mimetype
+ * @returns {boolean}
+ */
+function isAllowedResumeType(mimetype) {
+  return ALLOWED_RESUME_MIME_TYPES.includes(mimetype);
+}
+
+/**
+ * Get the resume mimetype for a file name based on its extension
+ * @param {string} fileName
+ * @returns {string|null} Mimetype, or null if the extension is not an accepted resume type
+ */
+function getResumeMimeType(fileName) {
+  const ext = path.extname(fileName || '').toLowerCase();
+  return RESUME_MIME_TYPES_BY_EXTENSION[ext] || null;
+}
+
+/**
+ * Resolve the canonical resume mimetype of an uploaded file.
+ * Aliases are mapped to their canonical type and generic binary mimetypes fall back to the file extension.
+ * @param {object} file - Multer file ({ originalname, mimetype })
+ * @returns {string|null} Canonical mimetype, or null if the file is not an accepted resume type
+ */
+function resolveResumeMimeType(file) {
+  const mimetype = (file.mimetype || '').toLowerCase();
+
+  if (isAllowedResumeType(mimetype)) {
+    return mimetype;
+  }
+  if (RESUME_MIME_TYPE_ALIASES[mimetype]) {
+    return RESUME_MIME_TYPE_ALIASES[mimetype];
+  }
+  // Formats without a registered mimetype (e.g. Markdown on Windows) arrive as a generic binary stream
+  if (GENERIC_MIME_TYPES.includes(mimetype)) {
+    return getResumeMimeType(file.originalname);
+  }
+  return null;
+}
+
+/**
+ * Check if an uploaded file is a ZIP archive
+ * @param {object} file - Multer file ({ originalname, mimetype })
+ * @returns {boolean}
+ */
+function isZipArchive(file) {
+  if (ZIP_MIME_TYPES.includes(file.mimetype)) {
+    return true;
+  }
+  // Some clients send archives as a generic binary stream
+  return GENERIC_MIME_TYPES.includes(file.mimetype || '') &&
+    path.extname(file.originalname || '').toLowerCase() === '.zip';
+}
+
+module.exports = {
+  ALLOWED_RESUME_MIME_TYPES,
+  ALLOWED_RESUME_TYPES_LABEL,
+  ZIP_MIME_TYPES,
+  isAllowedResumeType,
+  getResumeMimeType,
+  resolveResumeMimeType,
+  isZipArchive
+};
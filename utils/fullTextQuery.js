@@ -0,0 +1,224 @@
+const { httpError } = require('./httpError');
+const { escapeRegExp } = require('./regex');
+
+// Translates user boolean queries ("kubernetes AND (aws OR gcp) -intern") into MySQL FULLTEXT
+// boolean mode syntax and highlights the matched terms in the resume text
+
+// Snippets returned per resume and characters of context on each side of a match
+const DEFAULT_SNIPPETS = 3;
+const SNIPPET_RADIUS = 60;
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// MySQL splits indexed text on anything that is not a letter, digit or underscore
+const splitWords = (value) => value.split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+
+function tokenize(input) {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|"([^"]*)"?|([-+])|([^\s()"]+))/gy;
+  const text = input.trim();
+  let match;
+  while (pattern.lastIndex < text.length && (match = pattern.exec(text)) !== null) {
+    if (match[1]) tokens.push({ type: '(' });
+    else if (match[2]) tokens.push({ type: ')' });
+    else if (match[3] !== undefined) tokens.push({ type: 'phrase', value: match[3] });
+    else if (match[4]) tokens.push({ type: match[4] === '-' ? 'NOT' : '+' });
+    else if (/^(AND|OR|NOT)$/i.test(match[5])) tokens.push({ type: match[5].toUpperCase() });
+    else tokens.push({ type: 'word', value: match[5] });
+  }
+  return tokens;
+}
+
+// A word or phrase as search words; "node.js" becomes the phrase "node js" like MySQL indexes it
+function toTerm(token) {
+  const prefix = token.type === 'word' && token.value.endsWith('*');
+  const words = splitWords(token.value);
+  if (words.length === 0) {
+    return null;
+  }
+  if (token.type === 'phrase' || words.length > 1) {
+    return { type: 'phrase', words };
+  }
+  return { type: 'term', word: words[0], prefix };
+}
+
+function parse(tokens) {
+  let position = 0;
+  const peek = () => tokens[position];
+
+  // orExpr := andExpr (OR andExpr)*
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      position++;
+      children.push(parseAnd());
+    }
+    const kept = children.filter(Boolean);
+    return kept.length > 1 ? { type: 'or', children: kept } : kept[0] || null;
+  }
+
+  // andExpr := unary ((AND)? unary)*, adjacent terms are required together
+  function parseAnd() {
+    const children = [];
+    while (peek() && !['OR', ')'].includes(peek().type)) {
+      if (peek().type === 'AND' || peek().type === '+') {
+        position++;
+        continue;
+      }
+      children.push(parseUnary());
+    }
+    const kept = children.filter(Boolean);
+    return kept.length > 1 ? { type: 'and', children: kept } : kept[0] || null;
+  }
+
+  function parseUnary() {
+    const token = tokens[position++];
+    if (token.type === 'NOT') {
+      if (!peek() || ['OR', ')', 'AND'].includes(peek().type)) {
+        return null;
+      }
+      const child = parseUnary();
+      if (!child) return null;
+      return child.type === 'not' ? child.child : { type: 'not', child };
+    }
+    if (token.type === '(') {
+      const group = parseOr();
+      if (peek() && peek().type === ')') {
+        position++;
+      }
+      return group;
+    }
+    if (token.type === ')') {
+      throw httpError('Unbalanced parentheses in search query', 400);
+    }
+    return toTerm(token);
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw httpError('Unbalanced parentheses in search query', 400);
+  }
+  return tree;
+}
+
+function renderOperand(node) {
+  return node.type === 'and' || node.type === 'or' ? `(${render(node)})` : render(node);
+}
+
+function render(node) {
+  switch (node.type) {
+    case 'term':
+      return `${node.word}${node.prefix ? '*' : ''}`;
+    case 'phrase':
+      return `"${node.words.join(' ')}"`;
+    case 'and':
+      if (node.children.every(child => child.type === 'not')) {
+        throw httpError('A search query (or group) cannot only exclude terms', 400);
+      }
+      return node.children
+        .map(child => (child.type === 'not' ? `-${renderOperand(child.child)}` : `+${renderOperand(child)}`))
+        .join(' ');
+    case 'or':
+      if (node.children.some(child => child.type === 'not')) {
+        throw httpError('Exclusions cannot be OR alternatives; use "a -b" instead of "a OR -b"', 400);
+      }
+      return node.children.map(renderOperand).join(' ');
+    default:
+      throw httpError('A search query cannot only exclude terms', 400);
+  }
+}
+
+// Terms and phrases that are not excluded, for highlighting
+function positiveTerms(node, terms = []) {
+  if (!node || node.type === 'not') {
+    return terms;
+  }
+  if (node.type === 'and' || node.type === 'or') {
+    node.children.forEach(child => positiveTerms(child, terms));
+  } else {
+    terms.push(node);
+  }
+  return terms;
+}
+
+/**
+ * Parse a boolean search query. Supports AND (or adjacent terms), OR, NOT or a leading "-",
+ * parentheses, "quoted phrases" and trailing * for prefixes.
+ * @param {string} input - e.g. 'kubernetes AND (aws OR gcp) -intern'
+ * @returns {{ against: string, terms: Array<object> }} MySQL boolean mode query and the highlightable terms
+ * @throws {Error} With status 400 when the query is empty or cannot be run
+ */
+function parseBooleanQuery(input) {
+  const tree = parse(tokenize(String(input || '')));
+  if (!tree) {
+    throw httpError('Search query has no searchable words', 400);
+  }
+  const against = render(tree);
+  return { against, terms: positiveTerms(tree) };
+}
+
+function termPattern(term) {
+  const body = term.type === 'phrase'
+    ? term.words.map(escapeRegExp).join('[^\\p{L}\\p{N}_]+')
+    : `${escapeRegExp(term.word)}${term.prefix ? '[\\p{L}\\p{N}_]*' : ''}`;
+  return `(?<![\\p{L}\\p{N}_])${body}(?![\\p{L}\\p{N}_])`;
+}
+
+const clean = (value) => escapeHtml(value.replace(/\s+/g, ' '));
+
+/**
+ * Snippets of text around the matched terms, HTML-escaped with the matches wrapped in <mark>
+ * @param {string} text - Resume raw_text
+ * @param {Array<object>} terms - From parseBooleanQuery
+ * @param {object} [options]
+ * @param {number} [options.maxSnippets]
+ * @param {number} [options.radius] - Characters of context on each side
+ * @returns {Array<string>}
+ */
+function buildSnippets(text, terms, options = {}) {
+  const maxSnippets = options.maxSnippets || DEFAULT_SNIPPETS;
+  const radius = options.radius || SNIPPET_RADIUS;
+  if (!text || !terms || terms.length === 0) {
+    return [];
+  }
+
+  // Longest terms first so a phrase wins over one of its words
+  const sorted = [...terms].sort((a, b) => render(b).length - render(a).length);
+  const pattern = new RegExp(sorted.map(termPattern).join('|'), 'giu');
+  const matches = [...text.matchAll(pattern)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+  const snippets = [];
+  let covered = 0;
+  for (const match of matches) {
+    if (snippets.length >= maxSnippets) break;
+    if (match.start < covered) continue;
+
+    // Widen to whole words without repeating the previous snippet
+    let start = Math.max(covered, match.start - radius);
+    let end = Math.min(text.length, match.end + radius);
+    while (start > covered && /\S/.test(text[start - 1])) start--;
+    while (end < text.length && /\S/.test(text[end])) end++;
+
+    let snippet = '';
+    let cursor = start;
+    for (const inner of matches) {
+      if (inner.start < cursor || inner.end > end) continue;
+      snippet += `${clean(text.slice(cursor, inner.start))}<mark>${clean(text.slice(inner.start, inner.end))}</mark>`;
+      cursor = inner.end;
+    }
+    snippet += clean(text.slice(cursor, end));
+
+    snippets.push(`${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`);
+    covered = end;
+  }
+  return snippets;
+}
+
+module.exports = {
+  parseBooleanQuery,
+  buildSnippets
+};
@@ -0,0 +1,262 @@
+const { DEGREE_LEVELS, detectDegreeLevel, highestDegreeLevel } = require('./degreeLevels');
+const { DEFAULT_SCORING, computeOverallMatch, statusForScore } = require('./scoringConfig');
+const { escapeRegExp } = require('./regex');
+
+// Local scoring engine used when the LLM is unavailable or explicitly requested.
+// Same output shape as the LLM matcher, same weights and status thresholds (the job's scoring,
+// 50/40/10 and 70/50 by default), so evaluations from both engines can be compared.
+
+const KNOWN_SKILLS = [
+  'JavaScript', 'TypeScript', 'Node.js', 'React', 'Angular', 'Vue', 'Python', 'Java', 'Spring', 'Kotlin',
+  'C#', '.NET', 'C++', 'Go', 'Rust', 'Ruby', 'Rails', 'PHP', 'Laravel', 'Swift', 'SQL', 'MySQL',
+  'PostgreSQL', 'MongoDB', 'Redis', 'Elasticsearch', 'Kafka', 'Docker', 'Kubernetes', 'AWS', 'Azure', 'GCP',
+  'Terraform', 'Linux', 'Git', 'GraphQL', 'REST', 'HTML', 'CSS', 'Machine Learning', 'TensorFlow', 'PyTorch',
+  'Pandas', 'Excel', 'Salesforce', 'SAP', 'Agile', 'Scrum', 'Jira', 'Project Management', 'Communication',
+  'Leadership'
+];
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'across', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'being', 'both', 'but', 'by', 'can', 'candidate', 'candidates', 'could', 'do', 'does', 'each', 'etc', 'for',
+  'from', 'has', 'have', 'having', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'including', 'into', 'is', 'it',
+  'its', 'job', 'just', 'least', 'like', 'looking', 'may', 'more', 'most', 'must', 'nice', 'not', 'of', 'on',
+  'or', 'other', 'our', 'out', 'over', 'plus', 'preferred', 'required', 'requirements', 'responsibilities',
+  'role', 'seeking', 'she', 'should', 'so', 'some', 'such', 'team', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'under', 'up', 'us', 'using', 'very',
+  'was', 'we', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'will', 'with', 'within',
+  'work', 'would', 'year', 'years', 'you', 'your'
+]);
+
+// Number of job description keywords considered for keyword coverage
+const MAX_KEYWORDS = 40;
+
+// Word-boundary match that also works for skills such as "C#", ".NET" and "Node.js"
+function mentions(lowerText, term) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(term.toLowerCase())}(?![a-z0-9])`).test(lowerText);
+}
+
+/**
+ * Known skills mentioned in a piece of text
+ * @param {string} text
+ * @returns {Array<string>} Skills in their canonical spelling
+ */
+function findKnownSkills(text) {
+  const lowerText = (text || '').toLowerCase();
+  return KNOWN_SKILLS.filter(skill => mentions(lowerText, skill));
+}
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token) && !/^\d+$/.test(token));
+}
+
+/**
+ * Weight job description terms with TF-IDF. The job description's sentences are the documents,
+ * so boilerplate words repeated across every sentence weigh less than specific requirements.
+ * @param {string} jobDescription
+ * @returns {Map<string, number>} term -> weight, limited to the top MAX_KEYWORDS terms
+ */
+function weightJobKeywords(jobDescription) {
+  const sentences = (jobDescription || '').split(/[\n\r]+|[.;!?](?:\s+|$)/).filter(sentence => sentence.trim());
+  const documentFrequency = new Map();
+  const termFrequency = new Map();
+
+  for (const sentence of sentences) {
+    const tokens = tokenize(sentence);
+    for (const token of tokens) {
+      termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+    }
+    for (const token of new Set(tokens)) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+
+  const weights = [...termFrequency.entries()].map(([term, tf]) => {
+    const idf = Math.log((sentences.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+    return [term, (1 + Math.log(tf)) * idf];
+  });
+  weights.sort((a, b) => b[1] - a[1]);
+
+  return new Map(weights.slice(0, MAX_KEYWORDS));
+}
+
+function scoreSkills(resumeText, jobDescription, parsedResumeData, taxonomy, requirements) {
+  // With the skills taxonomy, synonyms count as the same skill and a child skill covers its parent
+  const findSkills = (text) => (taxonomy ? taxonomy.findInText(text) : findKnownSkills(text));
+  const mustHaveSkills = requirements?.must_have_skills || [];
+  const preferredSkills = requirements?.preferred_skills || [];
+  const structured = mustHaveSkills.length + preferredSkills.length > 0;
+  const requiredSkills = structured ? mustHaveSkills : findSkills(jobDescription);
+  const listedSkills = [...(parsedResumeData.skills || []), ...findSkills(resumeText)];
+  const candidateSkills = new Set(
+    (taxonomy ? taxonomy.withAncestors(listedSkills) : listedSkills).map(skill => String(skill).toLowerCase().trim())
+  );
+  const matchedSkills = requiredSkills.filter(skill => candidateSkills.has(skill.toLowerCase()));
+  const missingSkills = requiredSkills.filter(skill => !matchedSkills.includes(skill));
+
+  const keywords = weightJobKeywords(jobDescription);
+  const resumeTokens = new Set(tokenize(`${resumeText} ${(parsedResumeData.skills || []).join(' ')}`));
+  let totalWeight = 0;
+  let matchedWeight = 0;
+  for (const [term, weight] of keywords) {
+    totalWeight += weight;
+    if (resumeTokens.has(term)) {
+      matchedWeight += weight;
+    }
+  }
+  const keywordCoverage = totalWeight > 0 ? matchedWeight / totalWeight : 0;
+
+  if (structured) {
+    // Skills set by the hiring manager: a must-have counts twice as much as a preferred skill
+    const matchedPreferred = preferredSkills.filter(skill => candidateSkills.has(skill.toLowerCase()));
+    const coverage = (matchedSkills.length * 2 + matchedPreferred.length) / (mustHaveSkills.length * 2 + preferredSkills.length);
+    const details = [
+      mustHaveSkills.length > 0
+        ? `Matched must-have skills: ${matchedSkills.join(', ') || 'none'}. Missing must-have skills: ${missingSkills.join(', ') || 'none'}.`
+        : '',
+      preferredSkills.length > 0
+        ? `Preferred skills matched: ${matchedPreferred.join(', ') || 'none'} (${matchedPreferred.length} of ${preferredSkills.length}).`
+        : '',
+      `Job description keyword coverage: ${Math.round(keywordCoverage * 100)}%.`
+    ];
+    return { score: coverage * 70 + keywordCoverage * 30, details: details.filter(Boolean).join(' ') };
+  }
+
+  const score = requiredSkills.length > 0
+    ? (matchedSkills.length / requiredSkills.length) * 70 + keywordCoverage * 30
+    : keywordCoverage * 100;
+
+  const details = requiredSkills.length > 0
+    ? `Matched skills: ${matchedSkills.join(', ') || 'none'}. Missing skills: ${missingSkills.join(', ') || 'none'}. ` +
+      `Job description keyword coverage: ${Math.round(keywordCoverage * 100)}%.`
+    : `No known skills listed in the job description. Job description keyword coverage: ${Math.round(keywordCoverage * 100)}%.`;
+
+  return { score, details };
+}
+
+// Smallest "N years" / "N+ years" / "N-M years" figure in the job description
+function requiredYears(jobDescription) {
+  const figures = [...(jobDescription || '').matchAll(/(\d+(?:\.\d+)?)\s*\+?\s*(?:(?:-|–|to)\s*\d+(?:\.\d+)?\s*)?\+?\s*(?:years|yrs)/gi)]
+    .map(match => parseFloat(match[1]))
+    .filter(years => years > 0 && years <= 30);
+  return figures.length > 0 ? Math.min(...figures) : null;
+}
+
+function candidateYears(resumeText, parsedResumeData) {
+  const parsed = parseFloat(parsedResumeData.total_experience);
+  if (!isNaN(parsed)) {
+    return parsed;
+  }
+  const figures = [...(resumeText || '').matchAll(/(\d+(?:\.\d+)?)\s*\+?\s*(?:years|yrs)/gi)]
+    .map(match => parseFloat(match[1]))
+    .filter(years => years <= 50);
+  return figures.length > 0 ? Math.max(...figures) : 0;
+}
+
+function scoreExperience(resumeText, jobDescription, parsedResumeData, requirements) {
+  const maximum = requirements?.max_experience_years ?? null;
+  const required = requirements?.min_experience_years ?? (maximum === null ? requiredYears(jobDescription) : 0);
+  const years = candidateYears(resumeText, parsedResumeData);
+
+  if (maximum !== null) {
+    // Below the range scores like a minimum; above it costs 10 points per extra year, at most 40
+    let score = years >= required ? 100 : (years / required) * 100;
+    if (years > maximum) {
+      score = 100 - Math.min(40, (years - maximum) * 10);
+    }
+    return {
+      score,
+      details: required > 0
+        ? `Candidate has ${years} years of experience; the job asks for ${required} to ${maximum}.`
+        : `Candidate has ${years} years of experience; the job asks for at most ${maximum}.`
+    };
+  }
+
+  if (required === null) {
+    return {
+      score: years > 0 ? Math.min(100, 60 + years * 8) : 50,
+      details: `Candidate has ${years} years of experience. The job description does not state a minimum.`
+    };
+  }
+
+  return {
+    score: years >= required ? 100 : (years / required) * 100,
+    details: `Candidate has ${years} years of experience; the job asks for at least ${required}.`
+  };
+}
+
+function scoreEducation(resumeText, jobDescription, parsedResumeData, requirements) {
+  const required = requirements?.required_degree_level
+    ? DEGREE_LEVELS.find(degree => degree.level === requirements.required_degree_level)
+    : detectDegreeLevel(jobDescription);
+  const candidate = highestDegreeLevel(parsedResumeData.education) || detectDegreeLevel(resumeText);
+  const candidateLabel = candidate ? candidate.label : 'no recognized degree';
+
+  if (!required) {
+    return {
+      score: candidate ? 100 : 70,
+      details: `Highest degree: ${candidateLabel}. The job description does not state a degree requirement.`
+    };
+  }
+
+  let score = 20;
+  if (candidate) {
+    const gap = required.level - candidate.level;
+    score = gap <= 0 ? 100 : (gap === 1 ? 60 : 30);
+  }
+
+  return {
+    score,
+    details: `Highest degree: ${candidateLabel}; the job asks for ${required.label}.`
+  };
+}
+
+const roundScore = (value) => Math.round(Math.max(0, Math.min(100, value)) * 100) / 100;
+
+/**
+ * Score a resume against a job description without an LLM
+ * @param {string} resumeText - Full text content of the resume
+ * @param {string} jobDescription - Job description text
+ * @param {object} parsedResumeData - Parsed resume data (skills, education, total_experience, ...)
+ * @param {object} [options]
+ * @param {object} [options.taxonomy] - Skills taxonomy (getSkillTaxonomy); the built-in skill list is used without it
+ * @param {object} [options.requirements] - Structured job requirements (requirementsFromJob); scored instead of
+ *   the skills, years and degree read from the job description text
+ * @param {object} [options.scoring] - Weights and thresholds (resolveScoring); DEFAULT_SCORING when omitted
+ * @returns {object} Match scores and details, same shape as matchResumeWithJobDescription
+ */
+function matchResumeHeuristically(resumeText, jobDescription, parsedResumeData = {}, options = {}) {
+  const skills = scoreSkills(resumeText, jobDescription, parsedResumeData, options.taxonomy, options.requirements);
+  const experience = scoreExperience(resumeText, jobDescription, parsedResumeData, options.requirements);
+  const education = scoreEducation(resumeText, jobDescription, parsedResumeData, options.requirements);
+
+  const skillsMatch = roundScore(skills.score);
+  const experienceMatch = roundScore(experience.score);
+  const educationMatch = roundScore(education.score);
+  const scoring = options.scoring || DEFAULT_SCORING;
+  const overallMatch = roundScore(computeOverallMatch(
+    { skills_match: skillsMatch, experience_match: experienceMatch, education_match: educationMatch },
+    scoring.weights
+  ));
+  const status = statusForScore(overallMatch, scoring.thresholds);
+
+  return {
+    overall_match: overallMatch,
+    skills_match: skillsMatch,
+    skills_details: skills.details,
+    experience_match: experienceMatch,
+    experience_details: experience.details,
+    education_match: educationMatch,
+    education_details: education.details,
+    status,
+    rejection_reason: status === 'rejected' ? 'Overall match score below acceptable threshold' : ''
+  };
+}
+
+module.exports = {
+  findKnownSkills,
+  matchResumeHeuristically
+};
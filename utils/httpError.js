@@ -0,0 +1,15 @@
+/**
+ * Error carrying the HTTP status a route should answer with (routes respond with error.status || 500)
+ * @param {string} message
+ * @param {number} status - e.g. 400, 404, 409
+ * @returns {Error}
+ */
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = {
+  httpError
+};
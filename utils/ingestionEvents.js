@@ -0,0 +1,40 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus for ingestion job progress.
+// Only subscribers on the same server instance as the worker receive events.
+const ingestionEvents = new EventEmitter();
+ingestionEvents.setMaxListeners(0); // One listener per open SSE connection
+
+/**
+ * Publish a progress event for an ingestion job
+ * @param {string} jobId - Ingestion job ID
+ * @param {string} type - Event type (file_stage, file_completed, file_failed, job_completed)
+ * @param {object} data - Event payload
+ */
+function publishJobEvent(jobId, type, data = {}) {
+  ingestionEvents.emit(`job:${jobId}`, {
+    type,
+    data: {
+      jobId,
+      ...data,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * Subscribe to progress events of an ingestion job
+ * @param {string} jobId - Ingestion job ID
+ * @param {function} listener - Called with ({ type, data }) for every event
+ * @returns {function} Unsubscribe function
+ */
+function subscribeToJob(jobId, listener) {
+  const eventName = `job:${jobId}`;
+  ingestionEvents.on(eventName, listener);
+  return () => ingestionEvents.off(eventName, listener);
+}
+
+module.exports = {
+  publishJobEvent,
+  subscribeToJob
+};
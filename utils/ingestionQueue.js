@@ -0,0 +1,350 @@
+const fsPromises = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { processResumeFile } = require('./resumePipeline');
+const { publishJobEvent } = require('./ingestionEvents');
+const { query, queryOne, withTransaction } = require('../config/database');
+const { safeParseJSON } = require('./json');
+
+// Number of files processed in parallel by this server instance
+const WORKER_CONCURRENCY = Math.max(1, parseInt(process.env.INGESTION_CONCURRENCY) || 1);
+
+// A file still "processing" after this many minutes is assumed to have lost its worker
+// (restart, crashed or frozen serverless instance) and is claimed again
+const STALE_CLAIM_MINUTES = Math.max(1, parseInt(process.env.INGESTION_STALE_MINUTES) || 15);
+
+// Claims per file before a file whose worker keeps disappearing is marked failed
+const MAX_FILE_ATTEMPTS = 3;
+
+// Columns of a queued file the worker needs, without the stored upload bytes
+const FILE_COLUMNS = 'id, job_id, file_name, file_path, mimetype, content_hash, status, attempts, started_at';
+
+let activeWorkers = 0;
+
+/**
+ * Create an ingestion job for a set of uploaded files and wake the worker.
+ * The bytes of every file are stored with the job, so any server instance can process it.
+ * @param {object} params
+ * @param {Array<object>} params.files - Files saved by multer ({ path, originalname, mimetype, size, contentHash })
+ * @param {number|string} params.jobDescriptionId - Job description every file is matched against
+ * @param {string} [params.userId] - User who queued the job
+ * @param {boolean} [params.evaluateReused] - Evaluate files identical to an already stored resume (default true)
+ * @returns {Promise<object>} The created job with its files
+ */
+async function createIngestionJob({ files, jobDescriptionId, userId = null, evaluateReused = true }) {
+  const jobId = uuidv4();
+
+  const contents = [];
+  for (const file of files) {
+    contents.push(await fsPromises.readFile(file.path));
+  }
+
+  // The job and its files become visible together, so a worker can never finish the job
+  // before all of its files are queued
+  await withTransaction(async (run) => {
+    await run(
+      `INSERT INTO ingestion_jobs (id, job_description_id, created_by, status, total_files, evaluate_reused)
+       VALUES (?, ?, ?, 'queued', ?, ?)`,
+      [jobId, parseInt(jobDescriptionId), userId, files.length, evaluateReused]
+    );
+    for (const [index, file] of files.entries()) {
+      const content = contents[index];
+      await run(
+        `INSERT INTO ingestion_job_files (job_id, file_name, file_path, file_content, mimetype, file_size, content_hash, status, stage)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'queued', 'queued')`,
+        [jobId, file.originalname, file.path, content, file.mimetype, file.size || content.length, file.contentHash || null]
+      );
+    }
+  });
+
+  console.log(`📥 Ingestion job ${jobId} queued with ${files.length} file(s)`);
+  kickWorker();
+
+  return getIngestionJob(jobId);
+}
+
+/**
+ * Get an ingestion job with per-file progress, results and errors
+ * @param {string} jobId - Ingestion job ID
+ * @returns {Promise<object|null>} Job or null if not found
+ */
+async function getIngestionJob(jobId) {
+  const job = await queryOne('SELECT * FROM ingestion_jobs WHERE id = ?', [jobId]);
+  if (!job) {
+    return null;
+  }
+
+  const files = await query(
+    `SELECT id, file_name, status, stage, attempts, resume_id, evaluation_id, result, error_msg,
+            started_at, completed_at
+     FROM ingestion_job_files
+     WHERE job_id = ?
+     ORDER BY id ASC`,
+    [jobId]
+  );
+
+  const finished = job.processed_files + job.failed_files;
+
+  return {
+    ...job,
+    progress: job.total_files > 0 ? Math.round((finished / job.total_files) * 100) : 100,
+    files: files.map(file => ({
+      ...file,
+      result: safeParseJSON(file.result, null)
+    }))
+  };
+}
+
+/**
+ * Start draining the queue if this instance has spare worker slots.
+ * Safe to call as often as needed; it never runs more than WORKER_CONCURRENCY loops.
+ */
+function kickWorker() {
+  while (activeWorkers < WORKER_CONCURRENCY) {
+    activeWorkers++;
+    drainQueue()
+      .catch(error => {
+        console.error('❌ Ingestion worker error:', error.message);
+      })
+      .finally(() => {
+        activeWorkers--;
+      });
+  }
+}
+
+/**
+ * Start the worker. Call once when the long-running server starts; files interrupted by a
+ * previous run are claimed again once their claim is older than STALE_CLAIM_MINUTES.
+ */
+function startIngestionWorker() {
+  kickWorker();
+}
+
+async function drainQueue() {
+  // Keep claiming files until the queue is empty
+  while (true) {
+    const file = await claimNextFile();
+    if (!file) {
+      return;
+    }
+    await processJobFile(file);
+  }
+}
+
+// Atomically move the oldest queued (or stale) file to "processing" so that concurrent workers never share a file.
+// Every claim increments attempts; the worker only records its result while attempts still holds its claim.
+async function claimNextFile() {
+  while (true) {
+    const next = await queryOne(
+      `SELECT ${FILE_COLUMNS} FROM ingestion_job_files
+       WHERE status = 'queued'
+          OR (status = 'processing' AND started_at < NOW() - INTERVAL ? MINUTE)
+       ORDER BY id ASC LIMIT 1`,
+      [STALE_CLAIM_MINUTES]
+    );
+    if (!next) {
+      return null;
+    }
+
+    if (next.status === 'processing') {
+      console.log(`🔁 Ingestion file ${next.id} (${next.file_name}) has been processing for over ${STALE_CLAIM_MINUTES} minutes`);
+      if (next.attempts >= MAX_FILE_ATTEMPTS) {
+        await failAbandonedFile(next);
+        continue;
+      }
+    }
+
+    const claim = await query(
+      `UPDATE ingestion_job_files SET status = 'processing', stage = 'queued', started_at = NOW(), attempts = attempts + 1
+       WHERE id = ? AND status = ? AND attempts = ?`,
+      [next.id, next.status, next.attempts]
+    );
+    if (claim.affectedRows === 1) {
+      await query(
+        `UPDATE ingestion_jobs SET status = 'processing', started_at = COALESCE(started_at, NOW())
+         WHERE id = ? AND status = 'queued'`,
+        [next.job_id]
+      );
+      return { ...next, attempts: next.attempts + 1 };
+    }
+    // Another worker claimed it first, try the next one
+  }
+}
+
+// A file whose worker disappeared MAX_FILE_ATTEMPTS times is not retried again
+async function failAbandonedFile(jobFile) {
+  const message = `Processing was interrupted ${jobFile.attempts} times`;
+  const result = await query(
+    `UPDATE ingestion_job_files SET status = 'failed', error_msg = ?, file_content = NULL, completed_at = NOW()
+     WHERE id = ? AND status = 'processing' AND attempts = ?`,
+    [message, jobFile.id, jobFile.attempts]
+  );
+  if (result.affectedRows === 1) {
+    console.error(`   ❌ Giving up on ${jobFile.file_name}: ${message}`);
+    await query('UPDATE ingestion_jobs SET failed_files = failed_files + 1 WHERE id = ?', [jobFile.job_id]);
+    publishJobEvent(jobFile.job_id, 'file_failed', { fileId: jobFile.id, fileName: jobFile.file_name, stage: 'queued', error: message });
+    await finalizeJobIfDone(jobFile.job_id);
+  }
+}
+
+/**
+ * Local path of a claimed file. The upload is only on disk on the instance that received it,
+ * so other instances write the stored bytes to their temp directory first.
+ * @returns {Promise<string>}
+ */
+async function materializeJobFile(jobFile) {
+  try {
+    await fsPromises.access(jobFile.file_path);
+    return jobFile.file_path;
+  } catch (e) {
+    // Not on this instance
+  }
+  const row = await queryOne('SELECT file_content FROM ingestion_job_files WHERE id = ?', [jobFile.id]);
+  if (!row || !row.file_content) {
+    throw new Error('The uploaded file is no longer available');
+  }
+  const dir = path.join(os.tmpdir(), 'ats-ingestion');
+  await fsPromises.mkdir(dir, { recursive: true });
+  const localPath = path.join(dir, `${jobFile.id}-${path.basename(jobFile.file_path)}`);
+  await fsPromises.writeFile(localPath, row.file_content);
+  return localPath;
+}
+
+async function processJobFile(jobFile) {
+  const fileStartTime = Date.now();
+  const eventBase = { fileId: jobFile.id, fileName: jobFile.file_name };
+  let currentStage = 'queued';
+  let filePath = null;
+  console.log(`[Job ${jobFile.job_id}] Processing: ${jobFile.file_name}`);
+
+  try {
+    const ingestionJob = await queryOne(
+      'SELECT job_description_id, evaluate_reused FROM ingestion_jobs WHERE id = ?',
+      [jobFile.job_id]
+    );
+    const jobData = ingestionJob ? await queryOne(
+      'SELECT * FROM job_descriptions WHERE id = ?',
+      [ingestionJob.job_description_id]
+    ) : null;
+
+    if (!jobData) {
+      throw new Error('Job description not found');
+    }
+
+    filePath = await materializeJobFile(jobFile);
+    const result = await processResumeFile(
+      {
+        path: filePath,
+        storedPath: jobFile.file_path,
+        originalname: jobFile.file_name,
+        mimetype: jobFile.mimetype,
+        contentHash: jobFile.content_hash
+      },
+      jobData,
+      {
+        evaluateReused: !!ingestionJob.evaluate_reused,
+        onStage: async (stage, details = {}) => {
+          currentStage = stage;
+          publishJobEvent(jobFile.job_id, 'file_stage', { ...eventBase, stage, details });
+          await query(
+            'UPDATE ingestion_job_files SET stage = ? WHERE id = ?',
+            [stage, jobFile.id]
+          );
+        }
+      }
+    );
+
+    // Keep a compact summary - the full resume is available through /api/resumes/:id
+    const summary = {
+      name: result.data.name,
+      email: result.data.email,
+      isDuplicate: result.isDuplicate,
+      parentId: result.parentId,
+      reusedIdenticalFile: result.reusedIdenticalFile,
+      matchScores: result.matchScores,
+      talygenUpload: result.talygenUpload
+    };
+
+    const saved = await query(
+      `UPDATE ingestion_job_files
+       SET status = 'completed', stage = 'done', resume_id = ?, evaluation_id = ?, result = ?, file_content = NULL,
+           completed_at = NOW()
+       WHERE id = ? AND attempts = ?`,
+      [result.data.id, result.evaluation ? result.evaluation.id : null, JSON.stringify(summary), jobFile.id, jobFile.attempts]
+    );
+    if (saved.affectedRows === 0) {
+      // The claim went stale and another worker took the file over; its result is the one recorded
+      console.log(`   ⚠️  Claim on ${jobFile.file_name} was taken over, result not recorded`);
+      return;
+    }
+    await query(
+      'UPDATE ingestion_jobs SET processed_files = processed_files + 1 WHERE id = ?',
+      [jobFile.job_id]
+    );
+
+    publishJobEvent(jobFile.job_id, 'file_completed', {
+      ...eventBase,
+      resumeId: result.data.id,
+      evaluationId: result.evaluation ? result.evaluation.id : null,
+      ...summary
+    });
+
+    const fileProcessingTime = ((Date.now() - fileStartTime) / 1000).toFixed(2);
+    console.log(`   ✅ SUCCESS - Completed in ${fileProcessingTime}s\n`);
+  } catch (error) {
+    console.error(`   ❌ ERROR processing ${jobFile.file_name}:`, error.message);
+
+    const failed = await query(
+      `UPDATE ingestion_job_files SET status = 'failed', error_msg = ?, file_content = NULL, completed_at = NOW()
+       WHERE id = ? AND attempts = ?`,
+      [error.message, jobFile.id, jobFile.attempts]
+    );
+    if (failed.affectedRows === 0) {
+      return;
+    }
+    publishJobEvent(jobFile.job_id, 'file_failed', { ...eventBase, stage: currentStage, error: error.message });
+    await query(
+      'UPDATE ingestion_jobs SET failed_files = failed_files + 1 WHERE id = ?',
+      [jobFile.job_id]
+    );
+  } finally {
+    // The copy written by materializeJobFile; the original upload is left to the route that saved it
+    if (filePath && filePath !== jobFile.file_path) {
+      await fsPromises.unlink(filePath).catch(() => {});
+    }
+  }
+
+  await finalizeJobIfDone(jobFile.job_id);
+}
+
+async function finalizeJobIfDone(jobId) {
+  const remaining = await queryOne(
+    `SELECT COUNT(*) as count FROM ingestion_job_files
+     WHERE job_id = ? AND status IN ('queued', 'processing')`,
+    [jobId]
+  );
+
+  if (remaining.count === 0) {
+    const result = await query(
+      `UPDATE ingestion_jobs SET status = 'completed', completed_at = NOW()
+       WHERE id = ? AND status <> 'completed'`,
+      [jobId]
+    );
+    if (result.affectedRows === 1) {
+      const job = await queryOne(
+        'SELECT total_files, processed_files, failed_files FROM ingestion_jobs WHERE id = ?',
+        [jobId]
+      );
+      publishJobEvent(jobId, 'job_completed', job);
+      console.log(`🏁 Ingestion job ${jobId} completed`);
+    }
+  }
+}
+
+module.exports = {
+  createIngestionJob,
+  getIngestionJob,
+  kickWorker,
+  startIngestionWorker
+};
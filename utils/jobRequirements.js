@@ -0,0 +1,217 @@
+const { canonicalizeSkills } = require('./skillTaxonomy');
+const { DEGREE_LEVELS, DEGREE_LEVEL_NAMES, parseDegreeLevel } = require('./degreeLevels');
+const { safeParseJSON } = require('./json');
+const { httpError } = require('./httpError');
+
+// Structured requirements of a job description, set by the hiring manager alongside the free text.
+// The matchers score against these first and only fall back to reading the free text for what is not set.
+
+const REMOTE_POLICIES = ['onsite', 'hybrid', 'remote'];
+const EMPLOYMENT_TYPES = ['full_time', 'part_time', 'contract', 'internship', 'temporary'];
+const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'lead', 'principal', 'executive'];
+
+// Columns of job_descriptions holding the structured requirements
+const REQUIREMENT_FIELDS = [
+  'must_have_skills',
+  'preferred_skills',
+  'min_experience_years',
+  'max_experience_years',
+  'required_degree_level',
+  'seniority',
+  'location',
+  'remote_policy',
+  'employment_type'
+];
+
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+// A skills list given as an array or a comma-separated string
+async function toSkillList(value, field) {
+  if (isBlank(value)) {
+    return [];
+  }
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+    throw httpError(`${field} must be an array of skill names`, 400);
+  }
+  return canonicalizeSkills([...new Set(items.map(item => item.trim()).filter(Boolean))]);
+}
+
+function toYears(value, field) {
+  if (isBlank(value)) {
+    return null;
+  }
+  const years = Number(value);
+  if (!Number.isFinite(years) || years < 0 || years > 50) {
+    throw httpError(`${field} must be a number of years between 0 and 50`, 400);
+  }
+  return Math.round(years * 10) / 10;
+}
+
+function toOneOf(value, allowed, field) {
+  if (isBlank(value)) {
+    return null;
+  }
+  // "Full-time", "full time" and "fulltime" all mean full_time
+  const key = String(value).trim().toLowerCase().replace(/[\s_-]+/g, '');
+  const match = allowed.find(item => item.replace(/_/g, '') === key);
+  if (!match) {
+    throw httpError(`${field} must be one of ${allowed.join(', ')}`, 400);
+  }
+  return match;
+}
+
+/**
+ * Validate the structured requirement fields of a job description request body.
+ * Only fields present in the body are returned, so an update leaves the others as they are;
+ * null or an empty string clears a field.
+ * @param {object} body - req.body
+ * @param {object} [existing] - Current requirements (requirementsFromJob) when updating
+ * @returns {Promise<object>} Column values to store, e.g. { must_have_skills: ['Node.js'], min_experience_years: 3 }
+ * @throws {Error} With status 400 when a field is invalid
+ */
+async function parseRequirementsInput(body, existing = {}) {
+  const values = {};
+  const given = (field) => body[field] !== undefined;
+
+  if (given('must_have_skills')) {
+    values.must_have_skills = await toSkillList(body.must_have_skills, 'must_have_skills');
+  }
+  if (given('preferred_skills')) {
+    values.preferred_skills = await toSkillList(body.preferred_skills, 'preferred_skills');
+  }
+  if (values.must_have_skills && values.preferred_skills) {
+    // A skill that is required is not also a nice-to-have
+    const required = new Set(values.must_have_skills.map(skill => skill.toLowerCase()));
+    values.preferred_skills = values.preferred_skills.filter(skill => !required.has(skill.toLowerCase()));
+  }
+
+  if (given('min_experience_years')) {
+    values.min_experience_years = toYears(body.min_experience_years, 'min_experience_years');
+  }
+  if (given('max_experience_years')) {
+    values.max_experience_years = toYears(body.max_experience_years, 'max_experience_years');
+  }
+  const min = 'min_experience_years' in values ? values.min_experience_years : existing.min_experience_years;
+  const max = 'max_experience_years' in values ? values.max_experience_years : existing.max_experience_years;
+  if (min !== null && min !== undefined && max !== null && max !== undefined && min > max) {
+    throw httpError('min_experience_years cannot be greater than max_experience_years', 400);
+  }
+
+  if (given('required_degree_level')) {
+    if (isBlank(body.required_degree_level)) {
+      values.required_degree_level = null;
+    } else {
+      values.required_degree_level = parseDegreeLevel(body.required_degree_level);
+      if (!values.required_degree_level) {
+        throw httpError(`required_degree_level must be one of ${Object.keys(DEGREE_LEVEL_NAMES).join(', ')} or a level from 1 to 4`, 400);
+      }
+    }
+  }
+
+  if (given('seniority')) {
+    values.seniority = toOneOf(body.seniority, SENIORITY_LEVELS, 'seniority');
+  }
+
+  if (given('location')) {
+    if (!isBlank(body.location) && typeof body.location !== 'string') {
+      throw httpError('location must be a string', 400);
+    }
+    values.location = isBlank(body.location) ? null : body.location.trim().substring(0, 255);
+  }
+  if (given('remote_policy')) {
+    values.remote_policy = toOneOf(body.remote_policy, REMOTE_POLICIES, 'remote_policy');
+  }
+  if (given('employment_type')) {
+    values.employment_type = toOneOf(body.employment_type, EMPLOYMENT_TYPES, 'employment_type');
+  }
+
+  return values;
+}
+
+/**
+ * Structured requirements of a stored job description, in the form the matchers take
+ * @param {object} jobData - Row from job_descriptions
+ * @returns {object} { must_have_skills, preferred_skills, min_experience_years, max_experience_years,
+ *   required_degree_level, seniority, location, remote_policy, employment_type }
+ */
+function requirementsFromJob(jobData) {
+  const years = (value) => (value === null || value === undefined || isNaN(parseFloat(value)) ? null : parseFloat(value));
+  return {
+    must_have_skills: safeParseJSON(jobData.must_have_skills, []) || [],
+    preferred_skills: safeParseJSON(jobData.preferred_skills, []) || [],
+    min_experience_years: years(jobData.min_experience_years),
+    max_experience_years: years(jobData.max_experience_years),
+    required_degree_level: jobData.required_degree_level ? parseInt(jobData.required_degree_level) : null,
+    seniority: jobData.seniority || null,
+    location: jobData.location || null,
+    remote_policy: jobData.remote_policy || null,
+    employment_type: jobData.employment_type || null
+  };
+}
+
+/**
+ * Whether any structured requirement is set
+ * @param {object} requirements - From requirementsFromJob
+ * @returns {boolean}
+ */
+function hasRequirements(requirements) {
+  return Boolean(requirements) && REQUIREMENT_FIELDS.some(field => {
+    const value = requirements[field];
+    return Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined;
+  });
+}
+
+/**
+ * Plain-text list of the structured requirements, one per line (used in the LLM prompt)
+ * @param {object} requirements - From requirementsFromJob
+ * @returns {string} Empty when nothing is set
+ */
+function describeRequirements(requirements) {
+  if (!hasRequirements(requirements)) {
+    return '';
+  }
+  const lines = [];
+  if (requirements.must_have_skills.length > 0) {
+    lines.push(`- Must-have skills: ${requirements.must_have_skills.join(', ')}`);
+  }
+  if (requirements.preferred_skills.length > 0) {
+    lines.push(`- Preferred (nice-to-have) skills: ${requirements.preferred_skills.join(', ')}`);
+  }
+  const { min_experience_years: min, max_experience_years: max } = requirements;
+  if (min !== null && max !== null) {
+    lines.push(`- Experience: ${min} to ${max} years`);
+  } else if (min !== null) {
+    lines.push(`- Experience: at least ${min} years`);
+  } else if (max !== null) {
+    lines.push(`- Experience: at most ${max} years`);
+  }
+  if (requirements.required_degree_level) {
+    const degree = DEGREE_LEVELS.find(item => item.level === requirements.required_degree_level);
+    lines.push(`- Minimum degree: ${degree ? degree.label : requirements.required_degree_level}`);
+  }
+  if (requirements.seniority) {
+    lines.push(`- Seniority: ${requirements.seniority}`);
+  }
+  if (requirements.location) {
+    lines.push(`- Location: ${requirements.location}`);
+  }
+  if (requirements.remote_policy) {
+    lines.push(`- Work arrangement: ${requirements.remote_policy}`);
+  }
+  if (requirements.employment_type) {
+    lines.push(`- Employment type: ${requirements.employment_type.replace('_', '-')}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  REMOTE_POLICIES,
+  EMPLOYMENT_TYPES,
+  SENIORITY_LEVELS,
+  REQUIREMENT_FIELDS,
+  parseRequirementsInput,
+  requirementsFromJob,
+  hasRequirements,
+  describeRequirements
+};
@@ -0,0 +1,116 @@
+const { generateValidatedJSON } = require('./llm');
+const { checkJobRequirements, sanitizeJobRequirements } = require('./llmValidation');
+const {
+  REMOTE_POLICIES,
+  EMPLOYMENT_TYPES,
+  SENIORITY_LEVELS,
+  REQUIREMENT_FIELDS,
+  parseRequirementsInput,
+  requirementsFromJob
+} = require('./jobRequirements');
+const { httpError } = require('./httpError');
+
+// Longest job description text sent to the LLM; pasted postings rarely come close
+const MAX_JOB_TEXT = 20000;
+
+/**
+ * Propose structured requirements for a job description from its text. Nothing is saved:
+ * the proposal is returned for HR to review and send with POST or PUT /api/job-descriptions.
+ * @param {object} jobText
+ * @param {string} [jobText.title]
+ * @param {string} jobText.description - Pasted job description
+ * @param {string} [jobText.requirements]
+ * @returns {Promise<object>} { requirements, warnings, model } - requirements in the same shape as a job description's fields
+ * @throws {Error} With status 400 when there is no description, 502 when the proposal cannot be used
+ */
+async function extractJobRequirements({ title, description, requirements }) {
+  if (typeof description !== 'string' || !description.trim()) {
+    throw httpError('description is required', 400);
+  }
+  const text = [title, description, requirements]
+    .filter(part => typeof part === 'string' && part.trim())
+    .map(part => part.trim())
+    .join('\n\n')
+    .substring(0, MAX_JOB_TEXT);
+
+  const prompt = `You are an experienced technical recruiter. Read the job description below and extract the hiring requirements it states.
+
+JOB DESCRIPTION:
+${text}
+
+Return a JSON object with exactly these fields:
+{
+  "must_have_skills": [<skills, tools or technologies the posting requires>],
+  "preferred_skills": [<skills the posting lists as preferred, nice to have, a plus or a bonus>],
+  "min_experience_years": <minimum years of experience required, or null>,
+  "max_experience_years": <maximum years of experience, only if the posting states an upper bound or a range, or null>,
+  "required_degree_level": <minimum degree required: "diploma", "bachelor", "master", "doctorate", or null>,
+  "seniority": <one of ${SENIORITY_LEVELS.map(level => `"${level}"`).join(', ')}, or null>,
+  "location": <city / region / country of the job, or null>,
+  "remote_policy": <one of ${REMOTE_POLICIES.map(policy => `"${policy}"`).join(', ')}, or null>,
+  "employment_type": <one of ${EMPLOYMENT_TYPES.map(type => `"${type}"`).join(', ')}, or null>
+}
+
+IMPORTANT INSTRUCTIONS:
+1. Only extract what the posting states; use null (or an empty array) instead of guessing
+2. Use short skill names ("Kubernetes", "React", "Stakeholder management"), not sentences
+3. A skill belongs in exactly one list; when unsure whether it is required, put it in preferred_skills
+4. A degree "or equivalent experience" is still the degree level it names
+5. Return ONLY valid JSON, no additional text or markdown formatting`;
+
+  let result;
+  try {
+    result = await generateValidatedJSON(prompt, {
+      task: 'extract_job_requirements',
+      input: { text },
+      label: 'requirement extraction',
+      check: checkJobRequirements,
+      sanitize: sanitizeJobRequirements
+    });
+  } catch (error) {
+    throw new Error(`Error extracting job requirements: ${error.message}. Please check your API key and network connection.`);
+  }
+
+  const warnings = [...result.warnings];
+  const data = result.data;
+  if (data.min_experience_years !== null && data.max_experience_years !== null
+    && data.min_experience_years > data.max_experience_years) {
+    warnings.push('max_experience_years is below min_experience_years (value removed)');
+    data.max_experience_years = null;
+  }
+
+  // Checked and canonicalized the same way as requirements entered by hand. A field the model got wrong
+  // is the model's error, not the caller's, so it is dropped with a warning instead of failing with 400.
+  const accepted = {};
+  for (const field of REQUIREMENT_FIELDS) {
+    if (data[field] === undefined) {
+      continue;
+    }
+    try {
+      await parseRequirementsInput({ [field]: data[field] });
+      accepted[field] = data[field];
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      warnings.push(`${error.message} (value removed)`);
+    }
+  }
+
+  let proposed;
+  try {
+    proposed = await parseRequirementsInput(accepted);
+  } catch (error) {
+    throw error.status === 400 ? httpError(`The model proposed invalid requirements: ${error.message}`, 502) : error;
+  }
+
+  return {
+    requirements: { ...requirementsFromJob({}), ...proposed },
+    warnings,
+    model: `${result.provider}/${result.model}`
+  };
+}
+
+module.exports = {
+  extractJobRequirements
+};
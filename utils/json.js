@@ -0,0 +1,26 @@
+// JSON helpers shared by the routes and utils
+
+/**
+ * Safely parse a JSON column. mysql2 returns JSON columns as strings; values that are
+ * already parsed are returned as they are.
+ * @param {*} value - JSON string, parsed value, null or undefined
+ * @param {*} [defaultValue] - Returned for null, undefined and invalid JSON
+ * @returns {*}
+ */
+const safeParseJSON = (value, defaultValue = null) => {
+  if (value === null || value === undefined) {
+    return defaultValue;
+  }
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return defaultValue;
+    }
+  }
+  return value;
+};
+
+module.exports = {
+  safeParseJSON
+};
@@ -0,0 +1,204 @@
+const { canonicalizeSkills } = require('./skillTaxonomy');
+const { DEGREE_LEVELS, DEGREE_LEVEL_NAMES, parseDegreeLevel, detectDegreeLevel, highestDegreeLevel } = require('./degreeLevels');
+const { safeParseJSON } = require('./json');
+const { httpError } = require('./httpError');
+const { escapeRegExp } = require('./regex');
+
+// Knockout rules: hard requirements of a job checked against the parsed resume before any scoring.
+// A resume that fails one is rejected without calling the matcher. Rules that need a value the
+// resume does not state (no total experience, no location, no recognized degree) are not applied, so the resume is scored as usual.
+//
+//   { "type": "min_experience", "years": 5 }
+//   { "type": "location", "any_of": ["India", "United States"] }
+//   { "type": "certification", "any_of": ["AWS Certified Solutions Architect"] }
+//   { "type": "skills", "all_of": ["Kubernetes", "Go"] }
+//   { "type": "min_degree", "level": "bachelor" }
+
+const KNOCKOUT_TYPES = ['min_experience', 'location', 'certification', 'skills', 'min_degree'];
+
+// Most rules one job can have
+const MAX_KNOCKOUT_RULES = 20;
+
+// Whole-word, case-insensitive match ("India" matches "Pune, India" but not "Indiana")
+const mentions = (text, term) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+
+function toTermList(value, path) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw httpError(`${path} must be an array of strings`, 400);
+  }
+  const terms = [...new Set(value.map(item => item.trim()).filter(Boolean))];
+  if (terms.length === 0) {
+    throw httpError(`${path} must not be empty`, 400);
+  }
+  return terms;
+}
+
+/**
+ * Validate the knockout rules of a job description
+ * @param {Array<object>|null} value - Rules from the request body; null or an empty array removes every rule
+ * @returns {Promise<Array<object>>} Normalized rules (skills canonicalized, degree names turned into levels)
+ * @throws {Error} With status 400 when a rule is invalid
+ */
+async function parseKnockoutRules(value) {
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw httpError('knockout_rules must be an array of rules', 400);
+  }
+  if (value.length > MAX_KNOCKOUT_RULES) {
+    throw httpError(`A job can have at most ${MAX_KNOCKOUT_RULES} knockout rules`, 400);
+  }
+
+  const rules = [];
+  for (const [index, rule] of value.entries()) {
+    const path = `knockout_rules[${index}]`;
+    if (!rule || typeof rule !== 'object' || !KNOCKOUT_TYPES.includes(rule.type)) {
+      throw httpError(`${path}.type must be one of ${KNOCKOUT_TYPES.join(', ')}`, 400);
+    }
+
+    if (rule.type === 'min_experience') {
+      const years = Number(rule.years);
+      if (rule.years === null || rule.years === '' || !Number.isFinite(years) || years <= 0 || years > 50) {
+        throw httpError(`${path}.years must be a number of years between 0 and 50`, 400);
+      }
+      rules.push({ type: rule.type, years: Math.round(years * 10) / 10 });
+    } else if (rule.type === 'location' || rule.type === 'certification') {
+      rules.push({ type: rule.type, any_of: toTermList(rule.any_of, `${path}.any_of`) });
+    } else if (rule.type === 'skills') {
+      rules.push({ type: rule.type, all_of: await canonicalizeSkills(toTermList(rule.all_of, `${path}.all_of`)) });
+    } else if (rule.type === 'min_degree') {
+      const level = parseDegreeLevel(rule.level);
+      if (!level) {
+        throw httpError(`${path}.level must be one of ${Object.keys(DEGREE_LEVEL_NAMES).join(', ')} or a level from 1 to 4`, 400);
+      }
+      rules.push({ type: rule.type, level });
+    }
+  }
+  return rules;
+}
+
+const degreeLabel = (level) => (DEGREE_LEVELS.find(degree => degree.level === level) || {}).label || null;
+
+// Each check returns a failure ({ reason, expected, actual, message }), or null when the rule passes or cannot be applied
+const CHECKS = {
+  min_experience(rule, parsedData) {
+    const years = parseFloat(parsedData.total_experience);
+    if (isNaN(years) || years >= rule.years) {
+      return null;
+    }
+    return {
+      reason: 'experience_below_minimum',
+      expected: rule.years,
+      actual: years,
+      message: `${years} years of experience, at least ${rule.years} required`
+    };
+  },
+
+  location(rule, parsedData) {
+    const location = typeof parsedData.location === 'string' ? parsedData.location.trim() : '';
+    if (!location || rule.any_of.some(term => mentions(location, term))) {
+      return null;
+    }
+    return {
+      reason: 'location_not_allowed',
+      expected: rule.any_of,
+      actual: location,
+      message: `Located in ${location}, must be in ${rule.any_of.join(' or ')}`
+    };
+  },
+
+  certification(rule, parsedData, resumeText) {
+    const certifications = safeParseJSON(parsedData.certifications, []) || [];
+    const text = `${certifications.join('\n')}\n${resumeText || ''}`;
+    if (rule.any_of.some(term => mentions(text, term))) {
+      return null;
+    }
+    return {
+      reason: 'certification_missing',
+      expected: rule.any_of,
+      actual: certifications,
+      message: `None of the required certifications: ${rule.any_of.join(', ')}`
+    };
+  },
+
+  skills(rule, parsedData) {
+    const skills = new Set((safeParseJSON(parsedData.skills, []) || []).map(skill => String(skill).toLowerCase().trim()));
+    const missing = rule.all_of.filter(skill => !skills.has(skill.toLowerCase()));
+    if (missing.length === 0) {
+      return null;
+    }
+    return {
+      reason: 'skills_missing',
+      expected: rule.all_of,
+      actual: rule.all_of.filter(skill => !missing.includes(skill)),
+      message: `Missing required skills: ${missing.join(', ')}`
+    };
+  },
+
+  min_degree(rule, parsedData, resumeText) {
+    // No recognized degree is more often a missed education section than no degree at all
+    const degree = highestDegreeLevel(safeParseJSON(parsedData.education, [])) || detectDegreeLevel(resumeText);
+    if (!degree || degree.level >= rule.level) {
+      return null;
+    }
+    return {
+      reason: 'degree_below_minimum',
+      expected: degreeLabel(rule.level),
+      actual: degree.label,
+      message: `Highest degree ${degree.label}, at least ${degreeLabel(rule.level)} required`
+    };
+  }
+};
+
+/**
+ * Check a resume against a job's knockout rules
+ * @param {Array<object>|string} rules - job_descriptions.knockout_rules
+ * @param {object} parsedData - Parsed resume data (total_experience, location, certifications, skills, education)
+ * @param {string} [resumeText] - Resume text, searched for certifications and degrees as well
+ * @returns {Array<object>} One failure per failed rule: { rule, type, reason, expected, actual, message }; empty when the resume passes
+ */
+function evaluateKnockouts(rules, parsedData, resumeText = '') {
+  const list = safeParseJSON(rules, []) || [];
+  const failures = [];
+  list.forEach((rule, index) => {
+    const check = CHECKS[rule?.type];
+    const failure = check ? check(rule, parsedData, resumeText) : null;
+    if (failure) {
+      failures.push({ rule: index, type: rule.type, ...failure });
+    }
+  });
+  return failures;
+}
+
+/**
+ * Match results for a knocked-out resume, in the shape of matchResumeWithJobDescription.
+ * Nothing was scored, so every score is 0.
+ * @param {Array<object>} failures - From evaluateKnockouts
+ * @returns {object}
+ */
+function knockoutMatchResults(failures) {
+  const details = 'Not scored: the resume failed a knockout rule of this job.';
+  return {
+    overall_match: 0,
+    skills_match: 0,
+    skills_details: details,
+    experience_match: 0,
+    experience_details: details,
+    education_match: 0,
+    education_details: details,
+    status: 'rejected',
+    rejection_reason: `Knockout: ${failures.map(failure => failure.message).join('; ')}`,
+    knockout_failures: failures,
+    match_engine: 'knockout',
+    match_model: null
+  };
+}
+
+module.exports = {
+  KNOCKOUT_TYPES,
+  MAX_KNOCKOUT_RULES,
+  parseKnockoutRules,
+  evaluateKnockouts,
+  knockoutMatchResults
+};
@@ -0,0 +1,177 @@
+const { query, queryOne } = require('../config/database');
+const { safeParseJSON } = require('./json');
+const { httpError } = require('./httpError');
+
+// Pagination, sorting and sparse field selection shared by the list endpoints
+// ?limit=50&offset=100 or ?limit=50&cursor=<next_cursor>, ?sort=-created_at, ?fields=id,name,email
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Cursors hold the sort key and ID of the last row; dates are tagged so they come back as dates
+function encodeCursor(sortField, value, id) {
+  const encoded = value instanceof Date ? { date: value.toISOString() } : value;
+  return Buffer.from(JSON.stringify([sortField, encoded, id])).toString('base64url');
+}
+
+function decodeCursor(cursor, sortField) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (e) {
+    decoded = null;
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 3) {
+    throw httpError('Invalid cursor', 400);
+  }
+  const [field, value, id] = decoded;
+  if (field !== sortField) {
+    throw httpError('The cursor belongs to a different sort order; start again without a cursor', 400);
+  }
+  return { value: value && value.date ? new Date(value.date) : value, id };
+}
+
+/**
+ * Read pagination, sort and fields from a request query string
+ * @param {object} params - req.query
+ * @param {object} spec - List definition
+ * @param {object} spec.columns - Selectable fields: { name: SQL expression }
+ * @param {Array<string>} [spec.exclude] - Fields left out unless requested with ?fields= (large text columns)
+ * @param {Array<string>} spec.sortable - Fields allowed in ?sort=
+ * @param {string} spec.defaultSort - e.g. '-created_at' (leading "-" sorts descending)
+ * @returns {object} Parsed list options for runListQuery
+ * @throws {Error} With status 400 when a parameter is invalid
+ */
+function parseListQuery(params, spec) {
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : parseInt(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw httpError(`limit must be between 1 and ${MAX_LIMIT}`, 400);
+  }
+
+  const offset = params.offset === undefined ? 0 : parseInt(params.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw httpError('offset must be a non-negative integer', 400);
+  }
+  if (offset > 0 && params.cursor) {
+    throw httpError('Use either cursor or offset, not both', 400);
+  }
+
+  const sortParam = typeof params.sort === 'string' && params.sort.trim() ? params.sort.trim() : spec.defaultSort;
+  const sortField = sortParam.replace(/^[-+]/, '');
+  if (!spec.sortable.includes(sortField)) {
+    throw httpError(`sort must be one of ${spec.sortable.join(', ')} (prefix with "-" for descending)`, 400);
+  }
+  const sort = { field: sortField, direction: sortParam.startsWith('-') ? 'DESC' : 'ASC' };
+
+  let fields;
+  if (typeof params.fields === 'string' && params.fields.trim()) {
+    fields = [...new Set(params.fields.split(',').map(field => field.trim()).filter(Boolean))];
+    const unknown = fields.filter(field => !spec.columns[field]);
+    if (unknown.length > 0) {
+      throw httpError(`Unknown field(s): ${unknown.join(', ')}. Available: ${Object.keys(spec.columns).join(', ')}`, 400);
+    }
+  } else {
+    const excluded = spec.exclude || [];
+    fields = Object.keys(spec.columns).filter(field => !excluded.includes(field));
+  }
+
+  return {
+    limit,
+    offset,
+    sort,
+    fields,
+    cursor: params.cursor ? decodeCursor(params.cursor, `${sort.direction === 'DESC' ? '-' : ''}${sortField}`) : null
+  };
+}
+
+// Rows after the cursor in sort order, ID breaking ties. MySQL sorts NULLs first ascending and last descending.
+function cursorCondition(list, spec) {
+  const column = spec.columns[list.sort.field];
+  const idColumn = spec.columns.id;
+  const { value, id } = list.cursor;
+  const after = list.sort.direction === 'DESC' ? '<' : '>';
+
+  if (column === idColumn) {
+    return { sql: `${idColumn} ${after} ?`, params: [id] };
+  }
+  if (value === null) {
+    return list.sort.direction === 'ASC'
+      ? { sql: `((${column} IS NULL AND ${idColumn} > ?) OR ${column} IS NOT NULL)`, params: [id] }
+      : { sql: `(${column} IS NULL AND ${idColumn} < ?)`, params: [id] };
+  }
+  return list.sort.direction === 'ASC'
+    ? { sql: `(${column} > ? OR (${column} = ? AND ${idColumn} > ?))`, params: [value, value, id] }
+    : { sql: `(${column} < ? OR (${column} = ? AND ${idColumn} < ?) OR ${column} IS NULL)`, params: [value, value, id] };
+}
+
+/**
+ * Run a paginated list query and the matching total count
+ * @param {object} list - From parseListQuery
+ * @param {object} spec - Same spec as parseListQuery, plus:
+ * @param {string} spec.from - FROM clause, including joins (e.g. 'resumes r LEFT JOIN ...')
+ * @param {object} [spec.json] - Fields stored as JSON, parsed in the returned rows: { name: value when NULL }
+ * @param {function} [spec.mapRow] - Applied to each returned row after JSON parsing; the row holds only the requested fields
+ * @param {object} [filter]
+ * @param {Array<string>} [filter.conditions] - WHERE conditions joined with AND
+ * @param {Array} [filter.params] - Parameters of the conditions
+ * @returns {Promise<object>} { data, total, pagination: { limit, offset, has_more, next_cursor, next_offset } }
+ */
+async function runListQuery(list, spec, filter = {}) {
+  const conditions = [...(filter.conditions || [])];
+  const params = [...(filter.params || [])];
+  const where = (items) => (items.length > 0 ? `WHERE ${items.join(' AND ')}` : '');
+
+  const totalRow = await queryOne(`SELECT COUNT(*) as total FROM ${spec.from} ${where(conditions)}`, params);
+
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (list.cursor) {
+    const condition = cursorCondition(list, spec);
+    pageConditions.push(condition.sql);
+    pageParams.push(...condition.params);
+  }
+
+  // id and the sort field are needed for the next cursor even when not requested
+  const selected = [...new Set(['id', list.sort.field, ...list.fields])];
+  const sortColumn = spec.columns[list.sort.field];
+  const rows = await query(
+    `SELECT ${selected.map(field => `${spec.columns[field]} as \`${field}\``).join(', ')}
+     FROM ${spec.from}
+     ${where(pageConditions)}
+     ORDER BY ${sortColumn} ${list.sort.direction}${sortColumn === spec.columns.id ? '' : `, ${spec.columns.id} ${list.sort.direction}`}
+     LIMIT ${list.limit + 1}${list.offset > 0 ? ` OFFSET ${list.offset}` : ''}`,
+    pageParams
+  );
+
+  const hasMore = rows.length > list.limit;
+  const page = rows.slice(0, list.limit);
+  const last = page[page.length - 1];
+
+  const json = spec.json || {};
+  const data = page.map(row => {
+    const item = {};
+    for (const field of list.fields) {
+      item[field] = field in json ? safeParseJSON(row[field], json[field]) : row[field];
+    }
+    return spec.mapRow ? spec.mapRow(item) : item;
+  });
+
+  return {
+    data,
+    total: totalRow ? Number(totalRow.total) : 0,
+    pagination: {
+      limit: list.limit,
+      offset: list.cursor ? null : list.offset,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(`${list.sort.direction === 'DESC' ? '-' : ''}${list.sort.field}`, last[list.sort.field], last.id) : null,
+      next_offset: hasMore && !list.cursor ? list.offset + list.limit : null
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  runListQuery
+};
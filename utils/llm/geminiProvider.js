@@ -0,0 +1,27 @@
+const { getGeminiClient } = require('../../config/gemini');
+
+/**
+ * Google Gemini provider
+ * @param {object} [config]
+ * @param {number} [config.requestTimeoutMs] - Request timeout
+ * @returns {object} LLM provider
+ */
+function createGeminiProvider(config = {}) {
+  return {
+    name: 'gemini',
+
+    async generateText(prompt, { model }) {
+      const generativeModel = getGeminiClient().getGenerativeModel(
+        { model },
+        { timeout: config.requestTimeoutMs }
+      );
+      const result = await generativeModel.generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    }
+  };
+}
+
+module.exports = {
+  createGeminiProvider
+};
@@ -0,0 +1,199 @@
+const llmConfig = require('../../config/llm');
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createMockProvider } = require('./mockProvider');
+
+// Every provider exposes generateText(prompt, { model, task, input, json }) -> Promise<string>
+const PROVIDER_FACTORIES = {
+  gemini: () => createGeminiProvider({ requestTimeoutMs: llmConfig.requestTimeoutMs }),
+  openai: () => createOpenAIProvider({ ...llmConfig.openai, requestTimeoutMs: llmConfig.requestTimeoutMs }),
+  mock: () => createMockProvider()
+};
+
+let provider = null;
+
+/**
+ * Get the configured LLM provider (LLM_PROVIDER: gemini, openai or mock)
+ * @returns {object} LLM provider
+ */
+function getLLMProvider() {
+  if (!provider) {
+    const factory = PROVIDER_FACTORIES[llmConfig.provider];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${llmConfig.provider}". Supported providers: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    provider = factory();
+    console.log(`🤖 LLM provider: ${provider.name} (models: ${llmConfig.models.join(', ')})`);
+  }
+  return provider;
+}
+
+// Helper function to retry API calls with exponential backoff
+async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+  let lastError;
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      lastError = error;
+      const isNetworkError = error.message && (
+        error.message.includes('fetch failed') ||
+        error.message.includes('ECONNRESET') ||
+        error.message.includes('ECONNREFUSED') ||
+        error.message.includes('ETIMEDOUT') ||
+        error.message.includes('network') ||
+        error.message.includes('timeout')
+      );
+
+      // Only retry on network errors, not on API errors (400, 401, 403, etc.)
+      if (!isNetworkError || attempt === maxRetries) {
+        throw error;
+      }
+
+      const delay = baseDelay * Math.pow(2, attempt - 1);
+      console.log(`   ⚠️  Attempt ${attempt}/${maxRetries} failed, retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  throw lastError;
+}
+
+// Remove null bytes and other control characters (except \n, \r, \t) that can corrupt JSON
+const stripControlChars = (text) => text.replace(/[\x00-\x08\x0B-\x0C\x0E-\x1F]/g, '');
+
+/**
+ * Extract and parse the JSON object from a model response
+ * @param {string} text - Raw model output
+ * @returns {object} Parsed JSON
+ */
+function parseJSONResponse(text) {
+  let jsonText = stripControlChars((text || '').trim());
+
+  // Remove markdown code blocks if present
+  jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+
+  // Try to extract JSON from the response
+  const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    jsonText = stripControlChars(jsonMatch[0]);
+  }
+
+  // Validate that we have valid JSON text before parsing
+  if (!jsonText || jsonText.trim().length === 0) {
+    throw new Error('Empty or invalid JSON response from LLM provider');
+  }
+
+  try {
+    return JSON.parse(jsonText);
+  } catch (parseError) {
+    // Log the problematic JSON for debugging
+    console.error(`   ❌ JSON Parse Error: ${parseError.message}`);
+    console.error(`   ❌ JSON text length: ${jsonText.length}`);
+    console.error(`   ❌ JSON preview (first 500 chars): ${jsonText.substring(0, 500)}`);
+    throw new Error(`Failed to parse JSON response: ${parseError.message}. Response may contain invalid characters.`);
+  }
+}
+
+/**
+ * Send a prompt to the configured provider and parse the JSON response.
+ * Models from LLM_MODEL / LLM_FALLBACK_MODELS are tried in order until one returns valid JSON.
+ * @param {string} prompt - Prompt text
+ * @param {object} options
+ * @param {string} options.task - Task name (e.g. 'parse_resume', 'match_resume'); the mock provider answers from it
+ * @param {object} [options.input] - Structured task input (used by the mock provider)
+ * @param {string} [options.label] - Label used in log messages
+ * @returns {Promise<{data: object, provider: string, model: string}>} Parsed JSON and the model that produced it
+ * @throws {Error} "All models failed. Last error: ..." when no model returned valid JSON
+ */
+async function generateJSON(prompt, { task, input = {}, label = task } = {}) {
+  const llm = getLLMProvider();
+  let lastError = null;
+
+  // Try each model until one works
+  for (const model of llmConfig.models) {
+    try {
+      console.log(`   🔄 Trying ${llm.name} model for ${label}: ${model}`);
+
+      // Retry API call with exponential backoff
+      const text = await retryWithBackoff(
+        () => llm.generateText(prompt, { model, task, input, json: true }),
+        3,
+        2000
+      );
+      console.log(`   ✅ Got ${label} response from ${model}`);
+
+      return { data: parseJSONResponse(text), provider: llm.name, model };
+    } catch (error) {
+      lastError = error;
+      const errorMsg = error.message || 'Unknown error';
+
+      if (errorMsg.includes('404') || errorMsg.includes('not found')) {
+        console.log(`   ⚠️  Model ${model} not available, trying next model...`);
+      } else {
+        console.log(`   ⚠️  Error with ${model}: ${errorMsg}, trying next model...`);
+      }
+    }
+  }
+
+  // If all models failed, throw the last error with more context
+  const errorDetails = lastError?.message || 'Unknown error';
+  console.error(`   ❌ All models failed for ${label}. Last error: ${errorDetails}`);
+  throw new Error(`All models failed. Last error: ${errorDetails}`);
+}
+
+function buildRepairPrompt(prompt, previous, errors) {
+  return `${prompt}
+
+Your previous response did not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${JSON.stringify(previous, null, 2)}
+
+Return the corrected JSON only. Keep every value that was already valid and use null for values that are not available.`;
+}
+
+/**
+ * generateJSON plus schema validation. When the response fails validation the model is asked once
+ * to repair it; whatever is still invalid afterwards is removed by the sanitizer and reported as warnings.
+ * @param {string} prompt - Prompt text
+ * @param {object} options - Same as generateJSON, plus:
+ * @param {function} options.check - (data) => { data, errors: [{ text }] } coerces and validates
+ * @param {function} options.sanitize - ({ data, errors }) => { data, warnings } removes what is still invalid
+ * @returns {Promise<{data: object, warnings: Array<string>, repaired: boolean, provider: string, model: string}>}
+ */
+async function generateValidatedJSON(prompt, { task, input = {}, label = task, check, sanitize } = {}) {
+  let response = await generateJSON(prompt, { task, input, label });
+  let checked = check(response.data);
+  let repaired = false;
+
+  if (checked.errors.length > 0) {
+    console.log(`   ⚠️  ${label} response failed validation (${checked.errors.length} error(s)), asking for a repair...`);
+    try {
+      const repairResponse = await generateJSON(
+        buildRepairPrompt(prompt, checked.data, checked.errors.map(error => error.text)),
+        { task, input: { ...input, repair: true }, label: `${label} repair` }
+      );
+      const repairChecked = check(repairResponse.data);
+      // Keep the repaired response only if it is actually better
+      if (repairChecked.errors.length < checked.errors.length) {
+        response = repairResponse;
+        checked = repairChecked;
+        repaired = true;
+      }
+      console.log(`   ${repaired ? '✅' : '⚠️ '} Repair ${repaired ? 'accepted' : 'did not help'} (${checked.errors.length} error(s) remaining)`);
+    } catch (error) {
+      console.log(`   ⚠️  Repair request failed: ${error.message}`);
+    }
+  }
+
+  const { data, warnings } = sanitize(checked);
+  return { data, warnings, repaired, provider: response.provider, model: response.model };
+}
+
+module.exports = {
+  getLLMProvider,
+  generateJSON,
+  generateValidatedJSON,
+  parseJSONResponse
+};
@@ -0,0 +1,108 @@
+// Deterministic offline provider for local development and tests.
+// It never looks at the prompt - it builds the response from the structured task input,
+// so the same input always produces the same output and no API key or network is needed.
+
+const { findKnownSkills, matchResumeHeuristically } = require('../heuristicMatcher');
+const { detectDegreeLevel } = require('../degreeLevels');
+
+function parseResume({ resumeText = '', fileName = null }) {
+  const lines = resumeText.split('\n').map(line => line.trim()).filter(Boolean);
+  const email = (resumeText.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i) || [null])[0];
+  const phone = (resumeText.match(/\+?\d[\d\s().-]{8,}\d/) || [null])[0];
+  const name = lines.find(line =>
+    !line.includes('@') && !/\d/.test(line) && line.split(/\s+/).length <= 5
+  ) || null;
+
+  const yearMatches = [...resumeText.matchAll(/(\d+(?:\.\d+)?)\+?\s*(?:years|yrs)/gi)]
+    .map(match => parseFloat(match[1]))
+    .filter(years => years < 60);
+
+  return {
+    name,
+    email,
+    phone: phone ? phone.trim() : null,
+    location: null,
+    skills: findKnownSkills(resumeText),
+    experience: [],
+    total_experience: yearMatches.length > 0 ? Math.max(...yearMatches) : null,
+    education: lines
+      .filter(line => detectDegreeLevel(line))
+      .slice(0, 3)
+      .map(line => ({ institution: null, degree: line, field: null, year: null })),
+    summary: (lines.find(line => line.split(/\s+/).length >= 8) || '').substring(0, 300) || null,
+    certifications: lines.filter(line => /certifi/i.test(line)).slice(0, 5),
+    fileName
+  };
+}
+
+// Matching uses the same local scoring engine as the offline fallback
+function matchResume({ resumeText = '', jobDescription = '', parsedResumeData = {}, requirements = null, scoring = null }) {
+  return matchResumeHeuristically(resumeText, jobDescription, parsedResumeData, { requirements, scoring });
+}
+
+// Skills on lines under a "preferred" / "nice to have" heading, or mentioning one, are preferred
+const PREFERRED_PATTERN = /\b(preferred|nice[\s-]to[\s-]have|bonus|a plus|desirable)\b/i;
+const REQUIRED_PATTERN = /\b(required|requirements|must[\s-]have|qualifications|you have)\b/i;
+
+function extractJobRequirements({ text = '' }) {
+  const mustHave = new Set();
+  const preferred = new Set();
+  let inPreferredSection = false;
+  for (const line of text.split('\n')) {
+    if (PREFERRED_PATTERN.test(line)) {
+      inPreferredSection = true;
+    } else if (REQUIRED_PATTERN.test(line)) {
+      inPreferredSection = false;
+    }
+    for (const skill of findKnownSkills(line)) {
+      (inPreferredSection ? preferred : mustHave).add(skill);
+    }
+  }
+
+  const range = text.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)\s*(?:years|yrs)/i);
+  const minimum = text.match(/(\d+(?:\.\d+)?)\s*\+?\s*(?:years|yrs)/i);
+  const degree = detectDegreeLevel(text);
+  const seniority = (text.match(/\b(intern|junior|senior|lead|principal)\b/i) || [null])[0];
+  const remote = text.match(/\b(remote|hybrid|on[\s-]?site)\b/i);
+  const employment = text.match(/\b(full[\s-]?time|part[\s-]?time|contract|internship|temporary)\b/i);
+
+  return {
+    must_have_skills: [...mustHave],
+    preferred_skills: [...preferred].filter(skill => !mustHave.has(skill)),
+    min_experience_years: range ? parseFloat(range[1]) : (minimum ? parseFloat(minimum[1]) : null),
+    max_experience_years: range ? parseFloat(range[2]) : null,
+    required_degree_level: degree ? degree.level : null,
+    seniority: seniority ? seniority.toLowerCase() : null,
+    location: null,
+    remote_policy: remote ? remote[1] : null,
+    employment_type: employment ? employment[1] : null
+  };
+}
+
+const TASK_HANDLERS = {
+  parse_resume: parseResume,
+  match_resume: matchResume,
+  extract_job_requirements: extractJobRequirements
+};
+
+/**
+ * Deterministic mock provider
+ * @returns {object} LLM provider
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async generateText(prompt, { task, input = {} }) {
+      const handler = TASK_HANDLERS[task];
+      if (!handler) {
+        throw new Error(`Mock LLM provider does not support task "${task}"`);
+      }
+      return JSON.stringify(handler(input));
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
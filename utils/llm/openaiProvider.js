@@ -0,0 +1,55 @@
+const axios = require('axios');
+
+/**
+ * Provider for any OpenAI-compatible chat completions endpoint (OpenAI, Azure proxies, Ollama, vLLM, LM Studio...)
+ * @param {object} config
+ * @param {string} config.baseUrl - API base URL, e.g. https://api.openai.com/v1 or http://localhost:11434/v1
+ * @param {string} [config.apiKey] - Bearer token (local servers usually don't need one)
+ * @param {boolean} [config.jsonMode] - Ask the server for a JSON object response
+ * @param {number} [config.requestTimeoutMs] - Request timeout
+ * @returns {object} LLM provider
+ */
+function createOpenAIProvider(config) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  return {
+    name: 'openai',
+
+    async generateText(prompt, { model, json = true }) {
+      const body = {
+        model,
+        temperature: 0,
+        messages: [{ role: 'user', content: prompt }]
+      };
+      if (json && config.jsonMode) {
+        body.response_format = { type: 'json_object' };
+      }
+
+      try {
+        const response = await axios.post(`${config.baseUrl}/chat/completions`, body, {
+          headers,
+          timeout: config.requestTimeoutMs
+        });
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+          throw new Error('OpenAI-compatible API returned no message content');
+        }
+        return content;
+      } catch (error) {
+        if (error.response) {
+          // Keep the status code in the message so callers can tell API errors from network errors
+          const detail = error.response.data?.error?.message || error.response.statusText || 'Request failed';
+          throw new Error(`OpenAI-compatible API error ${error.response.status}: ${detail}`);
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIProvider
+};
@@ -0,0 +1,476 @@
+const Ajv = require('ajv');
+const { REMOTE_POLICIES, EMPLOYMENT_TYPES, SENIORITY_LEVELS } = require('./jobRequirements');
+const { parseDegreeLevel } = require('./degreeLevels');
+
+// JSON-Schema validation of LLM parse, match and job requirement extraction output.
+// check*() coerces types and normalizes dates, then reports what still violates the schema.
+// Coercion is done here rather than by Ajv, which would also rewrite values inside failing anyOf branches.
+// sanitize*() fixes the rest by removing invalid values and dropping invalid list entries.
+
+// Partial dates are kept as YYYY when the month is unknown
+const DATE_PATTERN = '^(\\d{4}(-(0[1-9]|1[0-2]))?|Present)$';
+const EMAIL_PATTERN = '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$';
+
+const nullableString = { type: ['string', 'null'] };
+const nullableDate = { type: ['string', 'null'], pattern: DATE_PATTERN };
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+const EXPERIENCE_ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    company: nullableString,
+    position: nullableString,
+    duration: nullableString,
+    description: nullableString,
+    startDate: nullableDate,
+    endDate: nullableDate
+  },
+  anyOf: [
+    { required: ['company'], properties: { company: nonEmptyString } },
+    { required: ['position'], properties: { position: nonEmptyString } }
+  ]
+};
+
+const EDUCATION_ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    institution: nullableString,
+    degree: nullableString,
+    field: nullableString,
+    year: nullableString
+  },
+  anyOf: [
+    { required: ['institution'], properties: { institution: nonEmptyString } },
+    { required: ['degree'], properties: { degree: nonEmptyString } }
+  ]
+};
+
+const RESUME_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: nullableString,
+    email: { type: ['string', 'null'], pattern: EMAIL_PATTERN },
+    phone: nullableString,
+    location: nullableString,
+    summary: nullableString,
+    fileName: nullableString,
+    skills: { type: 'array', items: nonEmptyString },
+    certifications: { type: 'array', items: nonEmptyString },
+    experience: { type: 'array', items: EXPERIENCE_ENTRY_SCHEMA },
+    education: { type: 'array', items: EDUCATION_ENTRY_SCHEMA },
+    total_experience: { type: ['number', 'null'], minimum: 0, maximum: 70 }
+  },
+  required: ['skills', 'experience', 'education', 'certifications']
+};
+
+const score = { type: 'number', minimum: 0, maximum: 100 };
+
+const MATCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    overall_match: score,
+    skills_match: score,
+    experience_match: score,
+    education_match: score,
+    skills_details: { type: 'string' },
+    experience_details: { type: 'string' },
+    education_details: { type: 'string' },
+    status: { type: 'string', enum: ['accepted', 'pending', 'rejected'] },
+    rejection_reason: nullableString
+  },
+  required: [
+    'overall_match', 'skills_match', 'experience_match', 'education_match',
+    'skills_details', 'experience_details', 'education_details', 'status'
+  ]
+};
+
+const years = { type: ['number', 'null'], minimum: 0, maximum: 50 };
+const nullableEnum = (values) => ({ type: ['string', 'null'], enum: [...values, null] });
+
+const JOB_REQUIREMENTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    must_have_skills: { type: 'array', items: nonEmptyString },
+    preferred_skills: { type: 'array', items: nonEmptyString },
+    min_experience_years: years,
+    max_experience_years: years,
+    required_degree_level: { type: ['integer', 'null'], minimum: 1, maximum: 4 },
+    seniority: nullableEnum(SENIORITY_LEVELS),
+    location: nullableString,
+    remote_policy: nullableEnum(REMOTE_POLICIES),
+    employment_type: nullableEnum(EMPLOYMENT_TYPES)
+  },
+  required: ['must_have_skills', 'preferred_skills']
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateResume = ajv.compile(RESUME_SCHEMA);
+const validateMatch = ajv.compile(MATCH_SCHEMA);
+const validateJobRequirements = ajv.compile(JOB_REQUIREMENTS_SCHEMA);
+const ENTRY_VALIDATORS = {
+  experience: ajv.compile(EXPERIENCE_ENTRY_SCHEMA),
+  education: ajv.compile(EDUCATION_ENTRY_SCHEMA)
+};
+const ENTRY_REQUIREMENTS = {
+  experience: 'must have a company or position',
+  education: 'must have an institution or degree'
+};
+
+const LIST_FIELDS = ['skills', 'certifications', 'experience', 'education'];
+const RESUME_STRING_FIELDS = ['name', 'email', 'phone', 'location', 'summary', 'fileName'];
+const SCORE_FIELDS = ['overall_match', 'skills_match', 'experience_match', 'education_match'];
+const REQUIREMENT_LIST_FIELDS = ['must_have_skills', 'preferred_skills'];
+const REQUIREMENT_ENUM_FIELDS = { seniority: SENIORITY_LEVELS, remote_policy: REMOTE_POLICIES, employment_type: EMPLOYMENT_TYPES };
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+
+const pad = (month) => String(month).padStart(2, '0');
+const isMonth = (month) => month >= 1 && month <= 12;
+
+/**
+ * Normalize a resume date to YYYY-MM (or YYYY, or "Present")
+ * @param {*} value - Date as returned by the LLM ("Jan 2020", "2020-01-15", "01/2020", 2020, "current"...)
+ * @returns {*} Normalized date, null for empty values, or the original value when it can't be understood
+ */
+function normalizeDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    value = String(value);
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const text = value.trim().replace(/\s+/g, ' ');
+  let match;
+
+  if (/^(present|current|currently|now|ongoing|today|till date|to date|till now)$/i.test(text)) {
+    return 'Present';
+  }
+  if ((match = text.match(/^(\d{4})$/))) {
+    return match[1];
+  }
+  if ((match = text.match(/^(\d{4})[-/.](\d{1,2})(?:[-/.]\d{1,2})?(?:T.*)?$/)) && isMonth(+match[2])) {
+    return `${match[1]}-${pad(+match[2])}`;
+  }
+  if ((match = text.match(/^(\d{1,2})[-/.](\d{4})$/)) && isMonth(+match[1])) {
+    return `${match[2]}-${pad(+match[1])}`;
+  }
+  if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+    // Day-first when the first number can't be a month, month-first (US style) otherwise
+    const month = +match[1] > 12 ? +match[2] : +match[1];
+    if (isMonth(month)) {
+      return `${match[3]}-${pad(month)}`;
+    }
+  }
+  if ((match = text.match(/^([a-z]+)\.?(?: \d{1,2})?,? '?(\d{4}|\d{2})$/i))) {
+    const month = MONTHS[match[1].toLowerCase().substring(0, 4)] || MONTHS[match[1].toLowerCase().substring(0, 3)];
+    if (month) {
+      const year = match[2].length === 2 ? `20${match[2]}` : match[2];
+      return `${year}-${pad(month)}`;
+    }
+  }
+  return value;
+}
+
+// Lists sometimes come back as a comma separated string or as objects with a name
+function coerceStringList(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (typeof value === 'string') {
+    value = value.split(/[,;\n]/);
+  }
+  if (!Array.isArray(value)) {
+    return value;
+  }
+
+  const seen = new Set();
+  const result = [];
+  for (const item of value) {
+    const text = item && typeof item === 'object' && typeof item.name === 'string' ? item.name : item;
+    const normalized = typeof text === 'string' ? text.trim() : text;
+    const key = typeof normalized === 'string' ? normalized.toLowerCase() : null;
+    if (key !== null && (key === '' || seen.has(key))) {
+      continue;
+    }
+    if (key !== null) {
+      seen.add(key);
+    }
+    result.push(normalized);
+  }
+  return result;
+}
+
+function coerceEntryList(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    return typeof value === 'object' ? [value] : value;
+  }
+  return value;
+}
+
+// Trim strings (empty -> null) and turn numbers into strings, e.g. a graduation year of 2015
+function trimStrings(entry, fields) {
+  for (const [key, value] of Object.entries(entry)) {
+    if (typeof value === 'number' && fields.includes(key)) {
+      entry[key] = String(value);
+    } else if (typeof value === 'string') {
+      entry[key] = value.trim() === '' ? null : value.trim();
+    }
+  }
+  return entry;
+}
+
+function coerceParsedResume(raw) {
+  const data = raw && typeof raw === 'object' && !Array.isArray(raw) ? { ...raw } : {};
+
+  if (Array.isArray(data.location)) {
+    data.location = data.location.filter(Boolean).join(', ');
+  }
+  trimStrings(data, RESUME_STRING_FIELDS);
+  if (typeof data.email === 'string') {
+    data.email = data.email.replace(/^mailto:/i, '').toLowerCase();
+  }
+
+  data.skills = coerceStringList(data.skills);
+  data.certifications = coerceStringList(data.certifications);
+  data.experience = coerceEntryList(data.experience);
+  data.education = coerceEntryList(data.education);
+
+  if (Array.isArray(data.experience)) {
+    data.experience = data.experience.map(entry => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return entry;
+      }
+      const normalized = trimStrings({ ...entry }, Object.keys(EXPERIENCE_ENTRY_SCHEMA.properties));
+      // Accept snake_case dates as well
+      normalized.startDate = normalizeDate(normalized.startDate ?? normalized.start_date);
+      normalized.endDate = normalizeDate(normalized.endDate ?? normalized.end_date);
+      delete normalized.start_date;
+      delete normalized.end_date;
+      return normalized;
+    });
+  }
+
+  if (Array.isArray(data.education)) {
+    data.education = data.education.map(entry =>
+      entry && typeof entry === 'object' && !Array.isArray(entry)
+        ? trimStrings({ ...entry }, Object.keys(EDUCATION_ENTRY_SCHEMA.properties))
+        : entry
+    );
+  }
+
+  if (typeof data.total_experience === 'string') {
+    const years = parseFloat(data.total_experience);
+    data.total_experience = isNaN(years) ? null : years;
+  }
+  if (typeof data.total_experience === 'number') {
+    data.total_experience = Math.round(data.total_experience * 100) / 100;
+  }
+
+  return data;
+}
+
+// JSON pointer ("/experience/2/startDate") -> ['experience', '2', 'startDate']
+const pathSegments = (instancePath) => instancePath.split('/').filter(Boolean);
+
+const describePath = (segments) => segments
+  .map((segment, index) => (/^\d+$/.test(segment) ? `[${segment}]` : `${index > 0 ? '.' : ''}${segment}`))
+  .join('') || 'response';
+
+function describeError(error) {
+  const segments = pathSegments(error.instancePath);
+  const field = segments[segments.length - 1] || '';
+  let message = error.message;
+
+  if (error.keyword === 'type') {
+    message = `must be ${[].concat(error.params.type).join(' or ')}`;
+  } else if (error.keyword === 'pattern' && /date$/i.test(field)) {
+    message = 'must be a date in YYYY-MM format or "Present"';
+  } else if (error.keyword === 'pattern' && field === 'email') {
+    message = 'must be a valid email address';
+  } else if (error.keyword === 'anyOf' && ENTRY_REQUIREMENTS[segments[0]]) {
+    message = ENTRY_REQUIREMENTS[segments[0]];
+  }
+  return { segments, message, text: `${describePath(segments)} ${message}` };
+}
+
+// anyOf reports every failed branch as well; only the anyOf error itself is useful
+function collectErrors(validate) {
+  return (validate.errors || [])
+    .filter(error => !error.schemaPath.includes('/anyOf/'))
+    .map(describeError);
+}
+
+/**
+ * Coerce and validate parsed resume data from the LLM
+ * @param {object} raw - Parsed JSON
+ * @returns {{data: object, errors: Array<object>}} Coerced data and remaining schema errors ({ segments, message, text })
+ */
+function checkParsedResume(raw) {
+  const data = coerceParsedResume(raw);
+  validateResume(data);
+  return { data, errors: collectErrors(validateResume) };
+}
+
+/**
+ * Remove whatever still violates the resume schema after checkParsedResume
+ * @param {{data: object, errors: Array<object>}} checked - Output of checkParsedResume
+ * @returns {{data: object, warnings: Array<string>}} Valid data and a description of each fix
+ */
+function sanitizeParsedResume({ data, errors }) {
+  const warnings = [];
+  const droppedEntries = new Map(LIST_FIELDS.map(field => [field, new Set()]));
+
+  for (const error of errors) {
+    const [field, index, prop] = error.segments;
+
+    if (!field) {
+      continue;
+    }
+    if (index === undefined) {
+      data[field] = LIST_FIELDS.includes(field) ? [] : null;
+      warnings.push(`${error.text} (value removed)`);
+    } else if (prop === undefined && droppedEntries.has(field)) {
+      if (!droppedEntries.get(field).has(index)) {
+        droppedEntries.get(field).add(index);
+        warnings.push(`${describePath([field, index])} dropped: ${error.message}`);
+      }
+    } else if (data[field]?.[index] && typeof data[field][index] === 'object') {
+      data[field][index][prop] = null;
+      warnings.push(`${error.text} (value removed)`);
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (!Array.isArray(data[field])) {
+      continue;
+    }
+    data[field] = data[field].filter((entry, index) => {
+      if (droppedEntries.get(field).has(String(index))) {
+        return false;
+      }
+      // Removing an invalid value can leave an entry without its identifying fields
+      if (ENTRY_VALIDATORS[field] && !ENTRY_VALIDATORS[field](entry)) {
+        warnings.push(`${describePath([field, String(index)])} dropped: ${ENTRY_REQUIREMENTS[field]}`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  return { data, warnings };
+}
+
+/**
+ * Coerce and validate match output from the LLM
+ * @param {object} raw - Parsed JSON
+ * @returns {{data: object, errors: Array<object>}}
+ */
+function checkMatchData(raw) {
+  const data = raw && typeof raw === 'object' && !Array.isArray(raw) ? { ...raw } : {};
+  if (typeof data.status === 'string') {
+    data.status = data.status.trim().toLowerCase();
+  }
+  for (const field of SCORE_FIELDS) {
+    if (typeof data[field] === 'string' && data[field].trim() !== '' && !isNaN(Number(data[field].replace('%', '')))) {
+      data[field] = Number(data[field].replace('%', ''));
+    }
+  }
+  validateMatch(data);
+  return { data, errors: collectErrors(validateMatch) };
+}
+
+// "Full-time" -> full_time, "On-site" -> onsite; unknown values are left for the schema to reject
+function coerceEnum(value, allowed) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const key = value.trim().toLowerCase().replace(/[\s_-]+/g, '');
+  if (key === '') {
+    return null;
+  }
+  return allowed.find(item => item.replace(/_/g, '') === key) || value;
+}
+
+function coerceJobRequirements(raw) {
+  const data = raw && typeof raw === 'object' && !Array.isArray(raw) ? { ...raw } : {};
+  trimStrings(data, []);
+
+  for (const field of REQUIREMENT_LIST_FIELDS) {
+    data[field] = coerceStringList(data[field]);
+  }
+  // "5+ years" -> 5
+  for (const field of ['min_experience_years', 'max_experience_years']) {
+    if (typeof data[field] === 'string') {
+      const value = parseFloat(data[field]);
+      data[field] = isNaN(value) ? data[field] : value;
+    }
+  }
+  if (typeof data.required_degree_level === 'string') {
+    data.required_degree_level = parseDegreeLevel(data.required_degree_level) || data.required_degree_level;
+  }
+  for (const [field, allowed] of Object.entries(REQUIREMENT_ENUM_FIELDS)) {
+    data[field] = coerceEnum(data[field], allowed);
+  }
+  return data;
+}
+
+/**
+ * Coerce and validate structured job requirements extracted by the LLM
+ * @param {object} raw - Parsed JSON
+ * @returns {{data: object, errors: Array<object>}}
+ */
+function checkJobRequirements(raw) {
+  const data = coerceJobRequirements(raw);
+  validateJobRequirements(data);
+  return { data, errors: collectErrors(validateJobRequirements) };
+}
+
+/**
+ * Remove whatever still violates the job requirements schema after checkJobRequirements
+ * @param {{data: object, errors: Array<object>}} checked - Output of checkJobRequirements
+ * @returns {{data: object, warnings: Array<string>}}
+ */
+function sanitizeJobRequirements({ data, errors }) {
+  const warnings = [];
+  const droppedSkills = new Map(REQUIREMENT_LIST_FIELDS.map(field => [field, new Set()]));
+
+  for (const error of errors) {
+    const [field, index] = error.segments;
+    if (!field) {
+      continue;
+    }
+    if (droppedSkills.has(field) && index !== undefined) {
+      droppedSkills.get(field).add(Number(index));
+      warnings.push(`${describePath([field, index])} dropped: ${error.message}`);
+    } else {
+      data[field] = droppedSkills.has(field) ? [] : null;
+      warnings.push(`${error.text} (value removed)`);
+    }
+  }
+
+  for (const [field, dropped] of droppedSkills) {
+    if (Array.isArray(data[field])) {
+      data[field] = data[field].filter((skill, index) => !dropped.has(index));
+    }
+  }
+
+  return { data, warnings };
+}
+
+module.exports = {
+  normalizeDate,
+  checkParsedResume,
+  sanitizeParsedResume,
+  checkMatchData,
+  checkJobRequirements,
+  sanitizeJobRequirements
+};
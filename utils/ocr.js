@@ -0,0 +1,98 @@
+const { createWorker } = require('tesseract.js');
+const bundledEnglish = require('@tesseract.js-data/eng');
+
+// Offline OCR for scanned PDFs: pages are rendered with MuPDF (WebAssembly) and recognized with Tesseract.
+// Nothing is downloaded at runtime - the English model ships with @tesseract.js-data/eng.
+// Other languages can be used by pointing OCR_LANG_PATH at a folder of <lang>.traineddata.gz files.
+const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || bundledEnglish.langPath;
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 10;
+
+// Render scale relative to 72 DPI - 3x (216 DPI) keeps resume-sized fonts legible without huge bitmaps
+const RENDER_SCALE = 3;
+
+let mupdfModule = null;
+
+// mupdf is published as an ES module only
+async function loadMupdf() {
+  if (!mupdfModule) {
+    mupdfModule = await import('mupdf');
+  }
+  return mupdfModule;
+}
+
+/**
+ * Render the pages of a PDF to grayscale PNG images
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @param {number} maxPages - Maximum number of pages to render
+ * @returns {Promise<Array<Buffer>>} One PNG per page
+ */
+async function renderPdfPages(dataBuffer, maxPages) {
+  const mupdf = await loadMupdf();
+  const document = mupdf.Document.openDocument(dataBuffer, 'application/pdf');
+  const pageCount = Math.min(document.countPages(), maxPages);
+  const images = [];
+
+  for (let i = 0; i < pageCount; i++) {
+    const page = document.loadPage(i);
+    const pixmap = page.toPixmap(
+      mupdf.Matrix.scale(RENDER_SCALE, RENDER_SCALE),
+      mupdf.ColorSpace.DeviceGray,
+      false, // no alpha
+      true // include annotations
+    );
+    images.push(Buffer.from(pixmap.asPNG()));
+    pixmap.destroy();
+    page.destroy();
+  }
+
+  document.destroy();
+  return images;
+}
+
+/**
+ * Run OCR over every page of a scanned PDF
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @returns {Promise<{text: string, confidence: number, pages: number}>} Recognized text and mean confidence (0-100)
+ */
+async function ocrPdf(dataBuffer) {
+  const images = await renderPdfPages(dataBuffer, OCR_MAX_PAGES);
+  if (images.length === 0) {
+    return { text: '', confidence: 0, pages: 0 };
+  }
+
+  const worker = await createWorker(OCR_LANGUAGE, 1, {
+    langPath: OCR_LANG_PATH,
+    gzip: true,
+    cacheMethod: 'none' // Model is read from disk, don't write a copy into the working directory
+  });
+
+  try {
+    const pageTexts = [];
+    let weightedConfidence = 0;
+    let totalCharacters = 0;
+
+    for (const image of images) {
+      const { data } = await worker.recognize(image);
+      const text = (data.text || '').trim();
+      pageTexts.push(text);
+
+      // Weight each page's confidence by how much text it contributed
+      const characters = text.replace(/\s/g, '').length;
+      weightedConfidence += (data.confidence || 0) * characters;
+      totalCharacters += characters;
+    }
+
+    return {
+      text: pageTexts.join('\n\n'),
+      confidence: totalCharacters > 0 ? Math.round((weightedConfidence / totalCharacters) * 100) / 100 : 0,
+      pages: images.length
+    };
+  } finally {
+    await worker.terminate();
+  }
+}
+
+module.exports = {
+  ocrPdf
+};
@@ -0,0 +1,12 @@
+// Regular expression helpers shared by the utils
+
+/**
+ * Escape a literal string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegExp
+};
@@ -0,0 +1,117 @@
+const { safeParseJSON } = require('./json');
+
+// Field-level comparison of two parsed resume snapshots
+
+const SCALAR_FIELDS = ['name', 'email', 'phone', 'location', 'summary', 'total_experience'];
+const STRING_LIST_FIELDS = ['skills', 'certifications'];
+
+const normalizeString = (value) => String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+
+// Experience entries are identified by company + position, education entries by institution + degree
+const ENTRY_KEYS = {
+  experience: entry => `${normalizeString(entry.company)}|${normalizeString(entry.position)}`,
+  education: entry => `${normalizeString(entry.institution)}|${normalizeString(entry.degree)}`
+};
+
+const asArray = (value) => {
+  const parsed = safeParseJSON(value, []);
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+function scalarValue(field, value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (field === 'total_experience') {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : Math.round(number * 100) / 100;
+  }
+  return String(value).trim();
+}
+
+function diffStringList(before, after) {
+  const beforeMap = new Map(asArray(before).map(item => [normalizeString(item), item]));
+  const afterMap = new Map(asArray(after).map(item => [normalizeString(item), item]));
+
+  const added = [...afterMap.keys()].filter(key => !beforeMap.has(key)).map(key => afterMap.get(key));
+  const removed = [...beforeMap.keys()].filter(key => !afterMap.has(key)).map(key => beforeMap.get(key));
+
+  return added.length || removed.length ? { added, removed } : null;
+}
+
+function diffEntryList(field, before, after) {
+  const keyOf = ENTRY_KEYS[field];
+  const beforeEntries = asArray(before).filter(entry => entry && typeof entry === 'object');
+  const afterEntries = asArray(after).filter(entry => entry && typeof entry === 'object');
+  const beforeMap = new Map(beforeEntries.map(entry => [keyOf(entry), entry]));
+  const afterMap = new Map(afterEntries.map(entry => [keyOf(entry), entry]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, entry] of afterMap) {
+    if (!beforeMap.has(key)) {
+      added.push(entry);
+      continue;
+    }
+    const previous = beforeMap.get(key);
+    const fieldChanges = {};
+    for (const prop of new Set([...Object.keys(previous), ...Object.keys(entry)])) {
+      if (normalizeString(previous[prop]) !== normalizeString(entry[prop])) {
+        fieldChanges[prop] = { before: previous[prop] ?? null, after: entry[prop] ?? null };
+      }
+    }
+    if (Object.keys(fieldChanges).length > 0) {
+      changed.push({ entry, changes: fieldChanges });
+    }
+  }
+
+  for (const [key, entry] of beforeMap) {
+    if (!afterMap.has(key)) {
+      removed.push(entry);
+    }
+  }
+
+  return added.length || removed.length || changed.length ? { added, removed, changed } : null;
+}
+
+/**
+ * Compare two parsed resume snapshots (resume rows or parser output)
+ * @param {object} before - Previous snapshot
+ * @param {object} after - New snapshot
+ * @param {Array<string>} [fields] - Fields to compare (defaults to every parsed field)
+ * @returns {object} Map of changed field -> change description. Empty object when nothing changed.
+ *   Scalars: { before, after }; skills/certifications: { added, removed };
+ *   experience/education: { added, removed, changed }
+ */
+function diffParsedResumes(before, after, fields = null) {
+  const fieldsToCompare = fields || [...SCALAR_FIELDS, ...STRING_LIST_FIELDS, ...Object.keys(ENTRY_KEYS)];
+  const changes = {};
+
+  for (const field of fieldsToCompare) {
+    let change = null;
+
+    if (STRING_LIST_FIELDS.includes(field)) {
+      change = diffStringList(before[field], after[field]);
+    } else if (ENTRY_KEYS[field]) {
+      change = diffEntryList(field, before[field], after[field]);
+    } else {
+      const previous = scalarValue(field, before[field]);
+      const current = scalarValue(field, after[field]);
+      if (normalizeString(previous) !== normalizeString(current)) {
+        change = { before: previous, after: current };
+      }
+    }
+
+    if (change) {
+      changes[field] = change;
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  diffParsedResumes
+};
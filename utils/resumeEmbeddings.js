@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { query, queryOne } = require('../config/database');
+const llmConfig = require('../config/llm');
+const { embedTexts } = require('./embeddings');
+const { safeParseJSON } = require('./json');
+const { httpError } = require('./httpError');
+const { placeholders } = require('./sql');
+
+// Maximum number of resumes embedded per backfill request
+const MAX_BACKFILL_BATCH = 100;
+
+// Longest text sent to the embedding model; summaries and experience rarely come close
+const MAX_EMBEDDING_TEXT = 8000;
+
+const DEFAULT_RESULTS = 20;
+const MAX_RESULTS = 100;
+
+// Stored embeddings read per query while ranking, so only one batch of vectors is in memory at a time
+const SEARCH_BATCH_SIZE = 500;
+
+// Resume fields returned with semantic search results
+const RESULT_FIELDS = ['id', 'name', 'email', 'phone', 'location', 'skills', 'summary', 'total_experience', 'parent_id', 'candidate_id', 'created_at'];
+
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Text embedded for a resume: the summary, each experience entry and the skills.
+ * Falls back to the start of raw_text when the parse has neither a summary nor experience.
+ * @param {object} resume - Resume row or parsed resume
+ * @returns {string}
+ */
+function buildEmbeddingText(resume) {
+  const experience = safeParseJSON(resume.experience, []) || [];
+  const skills = safeParseJSON(resume.skills, []) || [];
+
+  const parts = [];
+  if (resume.summary) {
+    parts.push(resume.summary);
+  }
+  for (const entry of Array.isArray(experience) ? experience : []) {
+    const role = [entry?.position, entry?.company].filter(Boolean).join(' at ');
+    const line = [role, entry?.description].filter(Boolean).join(': ');
+    if (line) {
+      parts.push(line);
+    }
+  }
+  if (parts.length === 0 && resume.raw_text) {
+    parts.push(resume.raw_text);
+  }
+  if (skills.length > 0) {
+    parts.push(`Skills: ${skills.join(', ')}`);
+  }
+  return parts.join('\n').replace(/[ \t]+/g, ' ').trim().substring(0, MAX_EMBEDDING_TEXT);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Keep the `size` most similar results seen so far in a min-heap, so ranking needs O(size)
+ * memory however many embeddings are compared
+ * @param {number} size
+ * @returns {object} { push(item), sorted() } - items are { resumeId, similarity }
+ */
+function createTopK(size) {
+  const heap = [];
+  const swap = (i, j) => {
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+  };
+  const siftDown = (i) => {
+    while (true) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].similarity < heap[smallest].similarity) {
+        smallest = left;
+      }
+      if (right < heap.length && heap[right].similarity < heap[smallest].similarity) {
+        smallest = right;
+      }
+      if (smallest === i) {
+        return;
+      }
+      swap(i, smallest);
+      i = smallest;
+    }
+  };
+
+  return {
+    push(item) {
+      if (heap.length < size) {
+        heap.push(item);
+        // Sift up
+        let i = heap.length - 1;
+        while (i > 0 && heap[(i - 1) >> 1].similarity > heap[i].similarity) {
+          swap(i, (i - 1) >> 1);
+          i = (i - 1) >> 1;
+        }
+      } else if (item.similarity > heap[0].similarity) {
+        heap[0] = item;
+        siftDown(0);
+      }
+    },
+    sorted() {
+      return [...heap].sort((a, b) => b.similarity - a.similarity);
+    }
+  };
+}
+
+async function saveEmbedding(resumeId, text, embedding) {
+  await query(
+    `INSERT INTO resume_embeddings (resume_id, provider, model, dimensions, text_hash, embedding)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       provider = VALUES(provider),
+       model = VALUES(model),
+       dimensions = VALUES(dimensions),
+       text_hash = VALUES(text_hash),
+       embedding = VALUES(embedding)`,
+    [resumeId, embedding.provider, embedding.model, embedding.vector.length, hashText(text), JSON.stringify(embedding.vector)]
+  );
+}
+
+// An embedding is current when it was made by the configured model from the same text
+const isCurrent = (stored, text, embeddingInfo) => stored
+  && stored.provider === embeddingInfo.provider
+  && stored.model === embeddingInfo.model
+  && stored.text_hash === hashText(text);
+
+/**
+ * Create or refresh the embedding of one resume. Nothing is sent to the provider when the
+ * stored embedding was made by the configured model from the same text.
+ * @param {object} resume - Resume row (id, summary, experience, skills, raw_text)
+ * @returns {Promise<boolean>} Whether a new embedding was stored
+ */
+async function indexResumeEmbedding(resume) {
+  const text = buildEmbeddingText(resume);
+  if (!text) {
+    return false;
+  }
+  const stored = await queryOne('SELECT provider, model, text_hash FROM resume_embeddings WHERE resume_id = ?', [resume.id]);
+  if (isCurrent(stored, text, llmConfig.embeddings)) {
+    return false;
+  }
+  const { vectors: [vector], provider, model } = await embedTexts([text]);
+  await saveEmbedding(resume.id, text, { provider, model, vector });
+  return true;
+}
+
+/**
+ * Embed stored resumes that have no current embedding, walking by ID
+ * @param {object} [options]
+ * @param {number} [options.afterId] - Continue after this resume ID
+ * @param {number} [options.limit] - Resumes per batch (max MAX_BACKFILL_BATCH)
+ * @returns {Promise<object>} { processed, embedded, next_after_id }
+ */
+async function backfillResumeEmbeddings(options = {}) {
+  const afterId = parseInt(options.afterId) || 0;
+  const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), MAX_BACKFILL_BATCH);
+
+  const resumes = await query(
+    `SELECT r.id, r.summary, r.experience, r.skills, r.raw_text,
+            e.provider, e.model, e.text_hash
+     FROM resumes r
+     LEFT JOIN resume_embeddings e ON e.resume_id = r.id
+     WHERE r.id > ?
+     ORDER BY r.id ASC
+     LIMIT ${limit}`,
+    [afterId]
+  );
+
+  const pending = resumes
+    .map(resume => ({ resume, text: buildEmbeddingText(resume) }))
+    .filter(({ resume, text }) => text && !isCurrent(resume.provider ? resume : null, text, llmConfig.embeddings));
+
+  if (pending.length > 0) {
+    const { vectors, provider, model } = await embedTexts(pending.map(item => item.text));
+    for (let i = 0; i < pending.length; i++) {
+      await saveEmbedding(pending[i].resume.id, pending[i].text, { provider, model, vector: vectors[i] });
+    }
+  }
+
+  console.log(`🧭 Embedding backfill: ${resumes.length} resume(s) processed, ${pending.length} embedded`);
+
+  return {
+    processed: resumes.length,
+    embedded: pending.length,
+    next_after_id: resumes.length === limit ? resumes[resumes.length - 1].id : null
+  };
+}
+
+/**
+ * Rank resumes by cosine similarity between the query and their stored embeddings.
+ * Only embeddings made by the configured model are compared.
+ * This is an exact scan: every stored embedding is read and compared on each query (in batches of
+ * SEARCH_BATCH_SIZE, so memory stays flat), which keeps up with tens of thousands of resumes.
+ * Beyond that, move the vectors to a store with an approximate nearest-neighbour index.
+ * @param {string} text - What to look for, e.g. "built payment systems at scale"
+ * @param {object} [options]
+ * @param {number} [options.limit] - Results to return (max MAX_RESULTS)
+ * @param {number} [options.minSimilarity] - Drop results below this similarity (-1 to 1)
+ * @returns {Promise<object>} { data, provider, model, unindexed }
+ */
+async function semanticSearch(text, options = {}) {
+  const queryText = typeof text === 'string' ? text.trim() : '';
+  if (!queryText) {
+    throw httpError('query is required', 400);
+  }
+  const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_RESULTS, 1), MAX_RESULTS);
+  const minSimilarity = options.minSimilarity !== undefined && options.minSimilarity !== null && options.minSimilarity !== ''
+    ? Number(options.minSimilarity)
+    : -1;
+  if (!Number.isFinite(minSimilarity)) {
+    throw httpError('min_similarity must be a number', 400);
+  }
+
+  const { vectors: [queryVector], provider, model } = await embedTexts([queryText.substring(0, MAX_EMBEDDING_TEXT)]);
+
+  // Walk the embeddings in batches by resume ID, keeping only the best `limit` matches
+  const topK = createTopK(limit);
+  let afterId = 0;
+  while (true) {
+    const batch = await query(
+      `SELECT resume_id, embedding FROM resume_embeddings
+       WHERE provider = ? AND model = ? AND resume_id > ?
+       ORDER BY resume_id ASC
+       LIMIT ${SEARCH_BATCH_SIZE}`,
+      [provider, model, afterId]
+    );
+    for (const row of batch) {
+      const vector = safeParseJSON(row.embedding, []);
+      if (vector.length !== queryVector.length) {
+        continue;
+      }
+      const similarity = cosineSimilarity(queryVector, vector);
+      if (similarity >= minSimilarity) {
+        topK.push({ resumeId: row.resume_id, similarity });
+      }
+    }
+    if (batch.length < SEARCH_BATCH_SIZE) {
+      break;
+    }
+    afterId = batch[batch.length - 1].resume_id;
+  }
+  const ranked = topK.sorted();
+
+  const unindexed = await queryOne(
+    `SELECT COUNT(*) as count
+     FROM resumes r
+     LEFT JOIN resume_embeddings e ON e.resume_id = r.id AND e.provider = ? AND e.model = ?
+     WHERE e.resume_id IS NULL`,
+    [provider, model]
+  );
+
+  let data = [];
+  if (ranked.length > 0) {
+    const resumes = await query(
+      `SELECT ${RESULT_FIELDS.join(', ')} FROM resumes WHERE id IN (${placeholders(ranked)})`,
+      ranked.map(item => item.resumeId)
+    );
+    const resumesById = new Map(resumes.map(resume => [resume.id, resume]));
+    data = ranked
+      .filter(item => resumesById.has(item.resumeId))
+      .map(item => {
+        const resume = resumesById.get(item.resumeId);
+        return {
+          ...resume,
+          skills: safeParseJSON(resume.skills, []),
+          similarity: Math.round(item.similarity * 10000) / 10000
+        };
+      });
+  }
+
+  return {
+    data,
+    provider,
+    model,
+    unindexed: unindexed ? Number(unindexed.count) : 0
+  };
+}
+
+module.exports = {
+  MAX_BACKFILL_BATCH,
+  buildEmbeddingText,
+  indexResumeEmbedding,
+  backfillResumeEmbeddings,
+  semanticSearch
+};
@@ -1,16 +1,80 @@
-const genAI = require('../config/gemini');
+const { generateValidatedJSON } = require('./llm');
+const { checkMatchData } = require('./llmValidation');
+const { matchResumeHeuristically } = require('./heuristicMatcher');
+const { getSkillTaxonomy } = require('./skillTaxonomy');
+const { describeRequirements } = require('./jobRequirements');
+const { DEFAULT_SCORING, computeOverallMatch, statusForScore } = require('./scoringConfig');
+
+// auto: LLM first, local heuristic engine if every model fails; llm: LLM only; heuristic: no LLM call
+const MATCH_ENGINES = ['auto', 'llm', 'heuristic'];
+const DEFAULT_MATCH_ENGINE = MATCH_ENGINES.includes(process.env.MATCH_ENGINE) ? process.env.MATCH_ENGINE : 'auto';
 
 /**
  * Compare resume with job description and generate match scores
  * @param {string} resumeText - Full text content of the resume
  * @param {string} jobDescription - Job description text
  * @param {object} parsedResumeData - Parsed resume data (name, email, skills, experience, education, etc.)
- * @returns {Promise<object>} Match scores and details
+ * @param {object} [options]
+ * @param {string} [options.engine] - 'auto', 'llm' or 'heuristic' (defaults to MATCH_ENGINE, then 'auto')
+ * @param {object} [options.requirements] - Structured job requirements (requirementsFromJob); both engines
+ *   score against them ahead of the job description text
+ * @param {object} [options.scoring] - Weights and thresholds (resolveScoring); DEFAULT_SCORING when omitted.
+ *   overall_match and status are always recomputed from the sub-scores with these
+ * @returns {Promise<object>} Match scores and details, plus match_engine ('llm' or 'heuristic') and match_model
  */
-async function matchResumeWithJobDescription(resumeText, jobDescription, parsedResumeData) {
-  // List of models to try in order (using available models)
-  const modelsToTry = ['gemini-2.5-flash-lite'];
-  
+async function matchResumeWithJobDescription(resumeText, jobDescription, parsedResumeData, options = {}) {
+  const engine = options.engine || DEFAULT_MATCH_ENGINE;
+  if (!MATCH_ENGINES.includes(engine)) {
+    throw new Error(`Unknown match engine "${engine}". Supported engines: ${MATCH_ENGINES.join(', ')}`);
+  }
+
+  const requirements = options.requirements || null;
+  const scoring = options.scoring || DEFAULT_SCORING;
+
+  if (engine === 'heuristic') {
+    return await matchWithHeuristics(resumeText, jobDescription, parsedResumeData, requirements, scoring);
+  }
+
+  try {
+    return await matchWithLLM(resumeText, jobDescription, parsedResumeData, requirements, scoring);
+  } catch (error) {
+    if (engine === 'llm') {
+      throw error;
+    }
+    console.log(`   ⚠️  LLM matching unavailable (${error.message}), falling back to heuristic matcher`);
+    return await matchWithHeuristics(resumeText, jobDescription, parsedResumeData, requirements, scoring);
+  }
+}
+
+async function matchWithHeuristics(resumeText, jobDescription, parsedResumeData, requirements, scoring) {
+  let taxonomy = null;
+  try {
+    taxonomy = await getSkillTaxonomy();
+  } catch (error) {
+    console.log(`   ⚠️  Skills taxonomy unavailable (${error.message}), using the built-in skill list`);
+  }
+  const matchData = validateAndNormalizeMatchData(
+    matchResumeHeuristically(resumeText, jobDescription, parsedResumeData, {
+      taxonomy: taxonomy && taxonomy.size > 0 ? taxonomy : null,
+      requirements,
+      scoring
+    }),
+    scoring
+  );
+  return { ...matchData, match_engine: 'heuristic', match_model: null };
+}
+
+async function matchWithLLM(resumeText, jobDescription, parsedResumeData, requirements, scoring) {
+  const { weights, thresholds } = scoring;
+  const structuredRequirements = describeRequirements(requirements);
+  const requirementsSection = structuredRequirements
+    ? `
+
+STRUCTURED REQUIREMENTS (set by the hiring manager; they take precedence over the job description text):
+${structuredRequirements}
+Score skills_match mainly on the must-have skills: each missing must-have skill lowers it substantially, and preferred skills only add credit. Score experience_match against the stated years and education_match against the minimum degree. Name every missing must-have skill in skills_details.`
+    : '';
+
   const prompt = `You are an expert HR recruiter evaluating a candidate's resume against a job description. Analyze the resume and job description, then provide a comprehensive matching score and detailed analysis.
 
 RESUME INFORMATION:
@@ -27,7 +91,7 @@ FULL RESUME TEXT:
 ${resumeText}
 
 JOB DESCRIPTION:
-${jobDescription}
+${jobDescription}${requirementsSection}
 
 Please analyze and provide a JSON response with the following structure:
 {
@@ -48,142 +112,47 @@ IMPORTANT INSTRUCTIONS:
 3. For skills_match: Compare technical skills, tools, frameworks, and soft skills mentioned in the job description with those in the resume
 4. For experience_match: Consider years of experience, relevant industry experience, role similarity, and achievements
 5. For education_match: Consider degree level, field of study, and institution quality
-6. For overall_match: Calculate a weighted average (skills: 50%, experience: 40%, education: 10%)
+6. For overall_match: Calculate a weighted average (skills: ${weights.skills}%, experience: ${weights.experience}%, education: ${weights.education}%)
 7. Set status as:
-   - "accepted" if overall_match >= 70
-   - "pending" if overall_match >= 50 and < 70
-   - "rejected" if overall_match < 50
+   - "accepted" if overall_match >= ${thresholds.accept}
+   - "pending" if overall_match >= ${thresholds.pending} and < ${thresholds.accept}
+   - "rejected" if overall_match < ${thresholds.pending}
 8. Provide detailed, actionable feedback in the details fields
 9. Return ONLY valid JSON, no additional text or markdown formatting`;
 
-  // Helper function to retry API calls with exponential backoff
-  async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
-    let lastError;
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        return await fn();
-      } catch (error) {
-        lastError = error;
-        const isNetworkError = error.message && (
-          error.message.includes('fetch failed') ||
-          error.message.includes('ECONNRESET') ||
-          error.message.includes('ETIMEDOUT') ||
-          error.message.includes('network') ||
-          error.message.includes('timeout')
-        );
-        
-        // Only retry on network errors, not on API errors (400, 401, 403, etc.)
-        if (!isNetworkError || attempt === maxRetries) {
-          throw error;
-        }
-        
-        const delay = baseDelay * Math.pow(2, attempt - 1);
-        console.log(`   ⚠️  Attempt ${attempt}/${maxRetries} failed, retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-    throw lastError;
+  let result;
+  try {
+    result = await generateValidatedJSON(prompt, {
+      task: 'match_resume',
+      input: { resumeText, jobDescription, parsedResumeData, requirements, scoring },
+      label: 'matching',
+      check: checkMatchData,
+      // Out-of-range scores, bad statuses and missing details are fixed by validateAndNormalizeMatchData
+      sanitize: ({ data, errors }) => ({ data, warnings: errors.map(error => error.text) })
+    });
+  } catch (error) {
+    throw new Error(`Error matching resume with job description: ${error.message}. Please check your API key and network connection.`);
   }
 
-  let lastError = null;
-  
-  // Try each model until one works
-  for (const modelName of modelsToTry) {
-    try {
-      console.log(`   🔄 Trying model for matching: ${modelName}`);
-      
-      const model = genAI.getGenerativeModel({ model: modelName });
-      
-      // Retry API call with exponential backoff
-      const result = await retryWithBackoff(async () => {
-        return await model.generateContent(prompt);
-      }, 3, 2000);
-      
-      const response = await result.response;
-      const text = response.text();
-      console.log(`   ✅ Got matching response from ${modelName}`);
-
-      // Clean the response to extract JSON
-      let jsonText = text.trim();
-      
-      // Remove null bytes and other control characters that can corrupt JSON
-      // Replace null bytes (\u0000) and other problematic control characters
-      jsonText = jsonText.replace(/\u0000/g, ''); // Remove null bytes
-      jsonText = jsonText.replace(/[\x00-\x08\x0B-\x0C\x0E-\x1F]/g, ''); // Remove other control chars except \n, \r, \t
-      
-      // Remove markdown code blocks if present
-      jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-      
-      // Try to extract JSON from the response
-      const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        jsonText = jsonMatch[0];
-        // Clean again after extraction in case the match included some control chars
-        jsonText = jsonText.replace(/\u0000/g, '').replace(/[\x00-\x08\x0B-\x0C\x0E-\x1F]/g, '');
-      }
-
-      // Validate that we have valid JSON text before parsing
-      if (!jsonText || jsonText.trim().length === 0) {
-        throw new Error('Empty or invalid JSON response from Gemini API');
-      }
-
-      let matchData;
-      try {
-        matchData = JSON.parse(jsonText);
-      } catch (parseError) {
-        // Log the problematic JSON for debugging
-        console.error(`   ❌ JSON Parse Error: ${parseError.message}`);
-        console.error(`   ❌ JSON text length: ${jsonText.length}`);
-        console.error(`   ❌ JSON preview (first 500 chars): ${jsonText.substring(0, 500)}`);
-        throw new Error(`Failed to parse JSON response: ${parseError.message}. Response may contain invalid characters.`);
-      }
-      
-      // Validate and normalize the data
-      matchData = validateAndNormalizeMatchData(matchData);
-      
-      console.log(`   ✅ Successfully matched resume with ${modelName}`);
-
-      return matchData;
-    } catch (error) {
-      lastError = error;
-      const errorMsg = error.message || 'Unknown error';
-      
-      // If it's a 404 (model not found), try the next model
-      if (errorMsg.includes('404') || errorMsg.includes('not found')) {
-        console.log(`   ⚠️  Model ${modelName} not available, trying next model...`);
-        continue;
-      }
-      
-      // If it's a network error, try the next model
-      if (errorMsg.includes('fetch failed') || errorMsg.includes('network') || errorMsg.includes('ECONNRESET') || errorMsg.includes('ETIMEDOUT')) {
-        console.log(`   ⚠️  Network error with ${modelName}: ${errorMsg}, trying next model...`);
-        continue;
-      }
-      
-      // For API errors (401, 403, etc.), log and try next model
-      if (errorMsg.includes('401') || errorMsg.includes('403') || errorMsg.includes('429')) {
-        console.log(`   ⚠️  API error with ${modelName}: ${errorMsg}, trying next model...`);
-        continue;
-      }
-      
-      // For other errors, log and try next model
-      console.log(`   ⚠️  Error with ${modelName}: ${errorMsg}, trying next model...`);
-      continue;
-    }
+  if (result.warnings.length > 0) {
+    console.log(`   ⚠️  Match warnings: ${result.warnings.join('; ')}`);
   }
-  
-  // If all models failed, throw the last error with more context
-  const errorDetails = lastError?.message || 'Unknown error';
-  console.error(`   ❌ All models failed for matching. Last error: ${errorDetails}`);
-  throw new Error(`Error matching resume with job description: All models failed. Last error: ${errorDetails}. Please check your API key and network connection.`);
+
+  // Validate and normalize the data
+  return {
+    ...validateAndNormalizeMatchData(result.data, scoring),
+    match_engine: 'llm',
+    match_model: `${result.provider}/${result.model}`
+  };
 }
 
 /**
- * Validate and normalize match data
+ * Validate and normalize match data. overall_match is recomputed from the sub-scores with the
+ * scoring weights rather than taken from the model, and status follows the scoring thresholds.
  */
-function validateAndNormalizeMatchData(matchData) {
+function validateAndNormalizeMatchData(matchData, scoring = DEFAULT_SCORING) {
   // Ensure all numeric fields are valid numbers between 0-100
-  const numericFields = ['overall_match', 'skills_match', 'experience_match', 'education_match'];
+  const numericFields = ['skills_match', 'experience_match', 'education_match'];
   
   numericFields.forEach(field => {
     if (matchData[field] !== null && matchData[field] !== undefined) {
@@ -199,24 +168,19 @@ function validateAndNormalizeMatchData(matchData) {
     }
   });
 
-  // Ensure status is valid
-  const validStatuses = ['accepted', 'pending', 'rejected'];
-  if (!validStatuses.includes(matchData.status)) {
-    // Auto-determine status based on overall_match
-    if (matchData.overall_match >= 70) {
-      matchData.status = 'accepted';
-    } else if (matchData.overall_match >= 50) {
-      matchData.status = 'pending';
-    } else {
-      matchData.status = 'rejected';
-    }
+  const reportedOverall = parseFloat(matchData.overall_match);
+  matchData.overall_match = computeOverallMatch(matchData, scoring.weights);
+  if (!isNaN(reportedOverall) && Math.abs(reportedOverall - matchData.overall_match) >= 5) {
+    console.log(`   ⚖️  Reported overall match ${reportedOverall}% replaced by weighted ${matchData.overall_match}%`);
   }
 
-  // Ensure rejection_reason is a string
-  if (!matchData.rejection_reason) {
-    matchData.rejection_reason = matchData.status === 'rejected' 
-      ? 'Overall match score below acceptable threshold' 
-      : null;
+  matchData.status = statusForScore(matchData.overall_match, scoring.thresholds);
+
+  // A reason is only kept for rejections
+  if (matchData.status !== 'rejected') {
+    matchData.rejection_reason = null;
+  } else if (!matchData.rejection_reason) {
+    matchData.rejection_reason = 'Overall match score below acceptable threshold';
   }
 
   // Ensure details fields are strings
@@ -230,6 +194,7 @@ function validateAndNormalizeMatchData(matchData) {
 }
 
 module.exports = {
+  MATCH_ENGINES,
   matchResumeWithJobDescription
 };
 
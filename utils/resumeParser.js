@@ -1,64 +1,173 @@
-const genAI = require('../config/gemini');
+const { generateValidatedJSON } = require('./llm');
+const { checkParsedResume, sanitizeParsedResume } = require('./llmValidation');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const AdmZip = require('adm-zip');
 const fs = require('fs').promises;
+const { htmlToText, odtXmlToText, markdownToText, rtfToText } = require('./textConverters');
+const { ocrPdf } = require('./ocr');
+const { inflateEntry } = require('./archiveExtractor');
+const { canonicalizeSkills } = require('./skillTaxonomy');
 
-async function extractTextFromFile(filePath, mimetype) {
-  try {
-    if (mimetype === 'application/pdf') {
-      const dataBuffer = await fs.readFile(filePath);
-      const data = await pdfParse(dataBuffer);
-      return data.text;
-    } else if (
-      mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-      mimetype === 'application/msword'
-    ) {
-      const result = await mammoth.extractRawText({ path: filePath });
-      return result.value;
-    } else if (mimetype === 'text/plain') {
-      return await fs.readFile(filePath, 'utf-8');
-    } else {
-      throw new Error('Unsupported file type');
+// PDFs whose text layer has fewer meaningful characters per page than this are treated as scans
+const MIN_PDF_CHARS_PER_PAGE = parseInt(process.env.OCR_MIN_CHARS_PER_PAGE) || 50;
+// Fewer characters than this in total is not enough to parse a resume from
+const MIN_RESUME_CHARS = 50;
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+// Largest content.xml unpacked from an ODT; the document text is a small part of it
+const MAX_ODT_CONTENT_SIZE = 20 * 1024 * 1024;
+
+const countMeaningfulChars = (text) => (text || '').replace(/\s/g, '').length;
+
+async function extractPdfText(filePath) {
+  const dataBuffer = await fs.readFile(filePath);
+  // pdf.js reads the whole ArrayBuffer behind the data, and small files are read into Node's shared buffer
+  // pool, so it gets a copy of its own
+  const data = await pdfParse(new Uint8Array(dataBuffer));
+  const pages = Math.max(1, data.numpages || 1);
+  const textLayerChars = countMeaningfulChars(data.text);
+
+  if (textLayerChars / pages >= MIN_PDF_CHARS_PER_PAGE) {
+    return { text: data.text, method: 'text', confidence: 100 };
+  }
+
+  // Near-empty text layer: most likely a scanned / image-only PDF
+  console.log(`   ⚠️  PDF text layer is nearly empty (${textLayerChars} characters over ${pages} page(s)), likely a scan`);
+  if (!OCR_ENABLED) {
+    throw new Error('The PDF appears to be a scanned image and OCR is disabled');
+  }
+
+  console.log(`   🔎 Running OCR on scanned PDF...`);
+  const ocrResult = await ocrPdf(dataBuffer);
+  console.log(`   ✅ OCR finished (${ocrResult.pages} page(s), confidence ${ocrResult.confidence}%)`);
+
+  if (countMeaningfulChars(ocrResult.text) < Math.max(MIN_RESUME_CHARS, textLayerChars)) {
+    // OCR did not recover more than the text layer already had
+    if (textLayerChars >= MIN_RESUME_CHARS) {
+      return { text: data.text, method: 'text', confidence: 0 };
     }
+    throw new Error('The PDF appears to be a scanned image and OCR found no readable text');
+  }
+
+  return { text: ocrResult.text, method: 'ocr', confidence: ocrResult.confidence };
+}
+
+async function extractDocxText(filePath) {
+  const result = await mammoth.extractRawText({ path: filePath });
+  return result.value;
+}
+
+// Legacy .doc files are OLE2 compound documents, but "Word" files saved as .doc are frequently
+// renamed .docx or RTF files, so sniff the content before choosing an extractor
+async function extractLegacyWordText(filePath) {
+  const dataBuffer = await fs.readFile(filePath);
+  const signature = dataBuffer.subarray(0, 8);
+
+  if (signature.subarray(0, 4).equals(Buffer.from([0xD0, 0xCF, 0x11, 0xE0]))) {
+    const extractor = new WordExtractor();
+    const document = await extractor.extract(dataBuffer);
+    return [document.getHeaders({ includeFooters: false }), document.getBody(), document.getFootnotes()]
+      .filter(part => part && part.trim())
+      .join('\n');
+  }
+  if (signature.subarray(0, 2).toString('latin1') === 'PK') {
+    const result = await mammoth.extractRawText({ buffer: dataBuffer });
+    return result.value;
+  }
+  if (signature.toString('latin1').startsWith('{\\rtf')) {
+    return rtfToText(dataBuffer.toString('latin1'));
+  }
+  throw new Error('File is not a valid Word document');
+}
+
+async function extractRtfText(filePath) {
+  // RTF is 7-bit ASCII; non-ASCII characters are escaped and decoded by the converter
+  const content = await fs.readFile(filePath, 'latin1');
+  return rtfToText(content);
+}
+
+async function extractOdtText(filePath) {
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
   } catch (error) {
-    throw new Error(`Error extracting text: ${error.message}`);
+    throw new Error('File is not a valid OpenDocument archive');
+  }
+  const contentEntry = zip.getEntry('content.xml');
+  if (!contentEntry) {
+    throw new Error('OpenDocument archive has no content.xml');
   }
+  // Unpacked with the archive limits so a crafted ODT cannot expand into gigabytes
+  const { data, reason } = inflateEntry(contentEntry, MAX_ODT_CONTENT_SIZE);
+  if (reason) {
+    throw new Error(`OpenDocument content.xml rejected: ${reason}`);
+  }
+  return odtXmlToText(data.toString('utf-8'));
 }
 
-// Helper function to retry API calls with exponential backoff
-async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
-  let lastError;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      const isNetworkError = error.message && (
-        error.message.includes('fetch failed') ||
-        error.message.includes('ECONNRESET') ||
-        error.message.includes('ETIMEDOUT') ||
-        error.message.includes('network') ||
-        error.message.includes('timeout')
-      );
-      
-      // Only retry on network errors, not on API errors (400, 401, 403, etc.)
-      if (!isNetworkError || attempt === maxRetries) {
-        throw error;
-      }
-      
-      const delay = baseDelay * Math.pow(2, attempt - 1);
-      console.log(`   ⚠️  Attempt ${attempt}/${maxRetries} failed, retrying in ${delay}ms...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
+async function extractHtmlText(filePath) {
+  return htmlToText(await fs.readFile(filePath, 'utf-8'));
+}
+
+async function extractMarkdownText(filePath) {
+  return markdownToText(await fs.readFile(filePath, 'utf-8'));
+}
+
+async function extractPlainText(filePath) {
+  return await fs.readFile(filePath, 'utf-8');
+}
+
+// Text extractor and display label for each supported resume mimetype
+const TEXT_EXTRACTORS = {
+  'application/pdf': { label: 'PDF', extract: extractPdfText },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { label: 'DOCX', extract: extractDocxText },
+  'application/msword': { label: 'DOC', extract: extractLegacyWordText },
+  'application/rtf': { label: 'RTF', extract: extractRtfText },
+  'application/vnd.oasis.opendocument.text': { label: 'ODT', extract: extractOdtText },
+  'text/html': { label: 'HTML', extract: extractHtmlText },
+  'text/markdown': { label: 'Markdown', extract: extractMarkdownText },
+  'text/plain': { label: 'TXT', extract: extractPlainText }
+};
+
+/**
+ * Extract the text of a resume file together with how it was obtained
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string} mimetype - Canonical mimetype of the file
+ * @returns {Promise<{text: string, method: string, confidence: number}>}
+ *   method is "text" when the document's own text was used or "ocr" for scanned PDFs;
+ *   confidence (0-100) is 100 for document text and the mean Tesseract confidence for OCR
+ */
+async function extractResumeText(filePath, mimetype) {
+  const extractor = TEXT_EXTRACTORS[mimetype];
+  if (!extractor) {
+    throw new Error(`Error extracting text: Unsupported file type${mimetype ? ` (${mimetype})` : ''}`);
+  }
+
+  let result;
+  try {
+    result = await extractor.extract(filePath);
+  } catch (error) {
+    throw new Error(`Error extracting text from ${extractor.label} file: ${error.message}`);
+  }
+
+  if (typeof result === 'string') {
+    result = { text: result, method: 'text', confidence: 100 };
   }
-  throw lastError;
+
+  if (!result.text || !result.text.trim()) {
+    throw new Error(`Error extracting text from ${extractor.label} file: The document contains no readable text`);
+  }
+  return result;
 }
 
+async function extractTextFromFile(filePath, mimetype) {
+  const { text } = await extractResumeText(filePath, mimetype);
+  return text;
+}
+
+// Kept under its original name for existing callers - the configured LLM provider (LLM_PROVIDER) does the work
 async function parseResumeWithGemini(resumeText, fileName) {
-  // List of models to try in order (using available models)
-  // Note: gemini-2.0-flash might have network issues, so we try alternatives
-  const modelsToTry = ['gemini-2.5-flash-lite'];
-  
   const prompt = `Parse the following resume and extract all relevant information. Return the data in a structured JSON format with the following fields:
 
     - name: Full name of the person
@@ -66,7 +175,7 @@ async function parseResumeWithGemini(resumeText, fileName) {
     - phone: Phone number
     - location: COMPLETE FULL ADDRESS including street address, city, state/province, country, and zip/postal code if available. Include all address components mentioned in the resume. If only city/state is mentioned, include that but try to get the full address.
     - skills: Array of technical skills, programming languages, tools, frameworks, and soft skills (e.g., "JavaScript", "Project Management", "React", "Communication")
-    - experience: Array of work experience objects, each with: company, position, duration, description, startDate (format: YYYY-MM or YYYY-MM-DD), endDate (format: YYYY-MM or YYYY-MM-DD or "Present" if current job)
+    - experience: Array of work experience objects, each with: company, position, duration, description, startDate (format: YYYY-MM), endDate (format: YYYY-MM or "Present" if current job)
     - total_experience: Calculate the EXACT total number of years of professional work experience. CRITICAL INSTRUCTIONS:
       * Extract startDate and endDate for EACH work experience entry
       * For current jobs, use today's date as endDate
@@ -91,127 +200,41 @@ async function parseResumeWithGemini(resumeText, fileName) {
     
     Return ONLY valid JSON, no additional text or markdown formatting.`;
 
-  let lastError = null;
-  
-  // Try each model until one works
-  for (const modelName of modelsToTry) {
-    try {
-      console.log(`   🔄 Trying model: ${modelName}`);
-      
-      const model = genAI.getGenerativeModel({ model: modelName });
-      
-      // Retry API call with exponential backoff
-      const result = await retryWithBackoff(async () => {
-        return await model.generateContent(prompt);
-      }, 3, 2000);
-      
-      const response = await result.response;
-      const text = response.text();
-      console.log(`   ✅ Got response from ${modelName}`);
-
-      // Clean the response to extract JSON
-      let jsonText = text.trim();
-      
-      // Remove null bytes and other control characters that can corrupt JSON
-      // Replace null bytes (\u0000) and other problematic control characters
-      jsonText = jsonText.replace(/\u0000/g, ''); // Remove null bytes
-      jsonText = jsonText.replace(/[\x00-\x08\x0B-\x0C\x0E-\x1F]/g, ''); // Remove other control chars except \n, \r, \t
-      
-      // Remove markdown code blocks if present
-      jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-      
-      // Try to extract JSON from the response
-      const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        jsonText = jsonMatch[0];
-        // Clean again after extraction in case the match included some control chars
-        jsonText = jsonText.replace(/\u0000/g, '').replace(/[\x00-\x08\x0B-\x0C\x0E-\x1F]/g, '');
-      }
-
-      // Validate that we have valid JSON text before parsing
-      if (!jsonText || jsonText.trim().length === 0) {
-        throw new Error('Empty or invalid JSON response from Gemini API');
-      }
-
-      let parsedData;
-      try {
-        parsedData = JSON.parse(jsonText);
-      } catch (parseError) {
-        // Log the problematic JSON for debugging
-        console.error(`   ❌ JSON Parse Error: ${parseError.message}`);
-        console.error(`   ❌ JSON text length: ${jsonText.length}`);
-        console.error(`   ❌ JSON preview (first 500 chars): ${jsonText.substring(0, 500)}`);
-        throw new Error(`Failed to parse JSON response: ${parseError.message}. Response may contain invalid characters.`);
-      }
-      
-      // Add fileName if not present
-      if (!parsedData.fileName) {
-        parsedData.fileName = fileName;
-      }
-
-      // Post-process and validate data
-      parsedData = validateAndCleanData(parsedData);
-      
-      console.log(`   ✅ Successfully parsed resume with ${modelName}`);
-
-      return parsedData;
-    } catch (error) {
-      lastError = error;
-      const errorMsg = error.message || 'Unknown error';
-      
-      // If it's a 404 (model not found), try the next model
-      if (errorMsg.includes('404') || errorMsg.includes('not found')) {
-        console.log(`   ⚠️  Model ${modelName} not available, trying next model...`);
-        continue;
-      }
-      
-      // If it's a network error, try the next model
-      if (errorMsg.includes('fetch failed') || errorMsg.includes('network') || errorMsg.includes('ECONNRESET') || errorMsg.includes('ETIMEDOUT')) {
-        console.log(`   ⚠️  Network error with ${modelName}: ${errorMsg}, trying next model...`);
-        continue;
-      }
-      
-      // For API errors (401, 403, etc.), log and try next model
-      if (errorMsg.includes('401') || errorMsg.includes('403') || errorMsg.includes('429')) {
-        console.log(`   ⚠️  API error with ${modelName}: ${errorMsg}, trying next model...`);
-        continue;
-      }
-      
-      // For other errors, log and try next model
-      console.log(`   ⚠️  Error with ${modelName}: ${errorMsg}, trying next model...`);
-      continue;
-    }
+  let result;
+  try {
+    result = await generateValidatedJSON(prompt, {
+      task: 'parse_resume',
+      input: { resumeText, fileName },
+      label: 'parsing',
+      check: checkParsedResume,
+      sanitize: sanitizeParsedResume
+    });
+  } catch (error) {
+    throw new Error(`Error parsing resume: ${error.message}. Please check your API key and network connection.`);
   }
-  
-  // If all models failed, throw the last error with more context
-  const errorDetails = lastError?.message || 'Unknown error';
-  console.error(`   ❌ All models failed. Last error: ${errorDetails}`);
-  throw new Error(`Error parsing resume with Gemini: All models failed. Last error: ${errorDetails}. Please check your API key and network connection.`);
-}
 
-/**
- * Validate and clean parsed resume data
- */
-function validateAndCleanData(parsedData) {
-  // Validate and format total_experience
-  if (parsedData.total_experience !== null && parsedData.total_experience !== undefined) {
-    const exp = parseFloat(parsedData.total_experience);
-    if (!isNaN(exp) && exp >= 0) {
-      parsedData.total_experience = Math.round(exp * 100) / 100; // Round to 2 decimal places
-    } else {
-      parsedData.total_experience = null;
-    }
+  const parsedData = result.data;
+
+  // Add fileName if not present
+  if (!parsedData.fileName) {
+    parsedData.fileName = fileName;
   }
 
-  // Ensure location is a string (not array)
-  if (parsedData.location && Array.isArray(parsedData.location)) {
-    parsedData.location = parsedData.location.join(', ');
+  // Stored with the resume so HR can spot low-quality parses
+  parsedData.parse_warnings = result.warnings;
+  if (result.warnings.length > 0) {
+    console.log(`   ⚠️  Parse warnings: ${result.warnings.join('; ')}`);
   }
 
+  // Skills are stored under their canonical taxonomy names; the parser's spelling is kept in raw_skills
+  parsedData.raw_skills = parsedData.skills || [];
+  parsedData.skills = await canonicalizeSkills(parsedData.raw_skills);
+
   return parsedData;
 }
 
 module.exports = {
+  extractResumeText,
   extractTextFromFile,
   parseResumeWithGemini
 };
@@ -0,0 +1,331 @@
+const fsPromises = require('fs').promises;
+const { extractResumeText, parseResumeWithGemini } = require('./resumeParser');
+const { normalizeContacts } = require('./contactNormalizer');
+const { findDuplicateCandidates, contactKeys } = require('./duplicateChecker');
+const { uploadToTalygen } = require('./talygen');
+const { scoreResumeForJob, saveEvaluation, evaluateStoredResume } = require('./evaluationService');
+const { assignCandidate } = require('./candidateService');
+const { indexResumeEmbedding } = require('./resumeEmbeddings');
+const { degreeLevelColumn } = require('./degreeLevels');
+const { query, queryOne } = require('../config/database');
+const { safeParseJSON } = require('./json');
+
+// Number of possible duplicates returned with an upload result
+const MAX_REPORTED_DUPLICATES = 5;
+
+const parseResumeRow = (resume) => ({
+  ...resume,
+  skills: safeParseJSON(resume.skills, []),
+  raw_skills: safeParseJSON(resume.raw_skills, []),
+  experience: safeParseJSON(resume.experience, []),
+  education: safeParseJSON(resume.education, []),
+  certifications: safeParseJSON(resume.certifications, []),
+  parse_warnings: safeParseJSON(resume.parse_warnings, []),
+  contact_flags: safeParseJSON(resume.contact_flags, [])
+});
+
+const scoresFromEvaluation = (evaluation) => ({
+  overall_match: parseFloat(evaluation.overall_match),
+  skills_match: parseFloat(evaluation.skills_match),
+  experience_match: parseFloat(evaluation.experience_match),
+  education_match: parseFloat(evaluation.education_match),
+  status: evaluation.status,
+  match_engine: evaluation.match_engine,
+  knockout_failures: safeParseJSON(evaluation.knockout_failures, []) || []
+});
+
+/**
+ * Short-circuit for a file whose exact contents were processed before: the stored resume is reused
+ * instead of parsing (and paying for) the file again. The new upload is removed from disk.
+ * @param {object} file - Uploaded file with contentHash
+ * @param {object} jobData - Row from job_descriptions
+ * @param {object} options - processResumeFile options
+ * @returns {Promise<object|null>} Pipeline result, or null when no identical file was processed before
+ */
+async function reuseIdenticalResume(file, jobData, options) {
+  const onStage = options.onStage || (async () => {});
+
+  // The oldest resume with these contents is the one later duplicates were linked to
+  const existing = await queryOne(
+    'SELECT * FROM resumes WHERE content_hash = ? ORDER BY id ASC LIMIT 1',
+    [file.contentHash]
+  );
+  if (!existing) {
+    return null;
+  }
+
+  console.log(`   ♻️  Identical file already processed (Resume ID: ${existing.id}), reusing parsed data`);
+  await onStage('reused', { resumeId: existing.id });
+
+  try {
+    await fsPromises.unlink(file.path);
+  } catch (unlinkError) {
+    console.error('Error deleting duplicate upload:', unlinkError);
+  }
+
+  let evaluation = null;
+  let matchScores = null;
+  if (options.evaluateReused !== false) {
+    evaluation = await queryOne(
+      'SELECT * FROM candidate_evaluations WHERE resume_id = ? AND job_description_id = ?',
+      [existing.id, jobData.id]
+    );
+
+    if (evaluation) {
+      console.log(`   ✅ Existing evaluation reused (ID: ${evaluation.id})`);
+    } else {
+      await onStage('matching');
+      try {
+        ({ evaluation } = await evaluateStoredResume(existing, jobData, { engine: options.matchEngine }));
+        console.log(`   ✅ Evaluation saved (ID: ${evaluation.id})`);
+      } catch (evalError) {
+        console.error(`   ⚠️  Error evaluating reused resume:`, evalError.message);
+      }
+    }
+
+    if (evaluation) {
+      matchScores = scoresFromEvaluation(evaluation);
+      await onStage('matched', {
+        overall_match: matchScores.overall_match,
+        status: matchScores.status,
+        match_engine: matchScores.match_engine
+      });
+    }
+  }
+
+  return {
+    fileName: file.originalname,
+    success: true,
+    data: parseResumeRow(existing),
+    isDuplicate: !!existing.parent_id,
+    parentId: existing.parent_id || null,
+    reusedIdenticalFile: true,
+    evaluation,
+    matchScores,
+    talygenUpload: null
+  };
+}
+
+/**
+ * Run a single uploaded resume file through the ingestion pipeline:
+ * extract → parse → normalize contacts → dedupe → save → match → save evaluation.
+ * A file whose content hash matches an already stored resume skips straight to the evaluation.
+ * The uploaded file is removed from disk if any step fails.
+ * @param {object} file - Uploaded file ({ path, originalname, mimetype, contentHash }); file.storedPath, when given,
+ *   is recorded as the resume's file_path instead of a temporary copy at file.path
+ * @param {object} jobData - Row from job_descriptions to match the resume against
+ * @param {object} [options]
+ * @param {function} [options.onStage] - Called with (stage, details) when the file enters or finishes a stage
+ *   (extracting/extracted, parsing/parsed, normalizing/normalized, deduplicating/deduplicated, saving/saved, matching/matched)
+ * @param {string} [options.matchEngine] - Match engine: 'auto', 'llm' or 'heuristic' (defaults to MATCH_ENGINE)
+ * @param {boolean} [options.evaluateReused] - Evaluate a reused resume against jobData (default true)
+ * @returns {Promise<object>} Saved resume, evaluation and match scores
+ */
+async function processResumeFile(file, jobData, options = {}) {
+  const onStage = options.onStage || (async () => {});
+  const filePath = file.path;
+  const fileName = file.originalname; // Original filename with extension
+  const mimetype = file.mimetype;
+
+  try {
+    if (file.contentHash) {
+      const reused = await reuseIdenticalResume(file, jobData, options);
+      if (reused) {
+        return reused;
+      }
+    }
+
+    await onStage('extracting');
+    console.log(`   📄 Extracting text from file...`);
+    const extraction = await extractResumeText(filePath, mimetype);
+    const resumeText = extraction.text;
+    console.log(`   ✅ Text extracted (${resumeText.length} characters, method: ${extraction.method})`);
+    await onStage('extracted', {
+      characters: resumeText.length,
+      method: extraction.method,
+      confidence: extraction.confidence
+    });
+
+    await onStage('parsing');
+    console.log(`   🤖 Parsing resume with Gemini AI...`);
+    const parsedData = await parseResumeWithGemini(resumeText, fileName);
+    console.log(`   ✅ Resume parsed - Name: ${parsedData.name || 'N/A'}, Email: ${parsedData.email || 'N/A'}`);
+    await onStage('parsed', { name: parsedData.name || null, email: parsedData.email || null });
+
+    await onStage('normalizing');
+    // E.164 phone, validated email and profile URLs; invalid contact data is listed in contact_flags.
+    // Done before the duplicate check so it compares normalized contacts.
+    Object.assign(parsedData, normalizeContacts(parsedData, resumeText));
+    if (parsedData.contact_flags.length > 0) {
+      console.log(`   ⚠️  Contact issues: ${parsedData.contact_flags.map(flag => `${flag.field} ${flag.issue}`).join('; ')}`);
+    }
+    await onStage('normalized', { email: parsedData.email, phone: parsedData.phone, contactFlags: parsedData.contact_flags });
+
+    await onStage('deduplicating');
+    console.log(`   🔍 Checking for duplicates...`);
+    let duplicateCandidates = [];
+    try {
+      duplicateCandidates = (await findDuplicateCandidates(parsedData)).slice(0, MAX_REPORTED_DUPLICATES);
+    } catch (duplicateError) {
+      console.error(`   ⚠️  Duplicate check failed, continuing without it:`, duplicateError.message);
+    }
+    // Only a confident match is linked automatically; weaker ones are reported for review
+    const bestMatch = duplicateCandidates[0];
+    const parentId = bestMatch && bestMatch.autoLink ? bestMatch.rootId : null;
+    if (parentId) {
+      console.log(`   ⚠️  Duplicate detected! Parent ID: ${parentId} (confidence ${bestMatch.confidence}: ${bestMatch.reasons.join(', ')})`);
+    } else if (bestMatch) {
+      console.log(`   ℹ️  ${duplicateCandidates.length} possible duplicate(s) below the auto-link threshold (best: Resume ID ${bestMatch.resumeId}, confidence ${bestMatch.confidence})`);
+    } else {
+      console.log(`   ✅ No duplicate found`);
+    }
+    await onStage('deduplicated', {
+      isDuplicate: !!parentId,
+      parentId: parentId,
+      confidence: bestMatch ? bestMatch.confidence : null,
+      possibleDuplicates: duplicateCandidates.length
+    });
+
+    // Normalize email to lowercase for consistency
+    const normalizedEmail = parsedData.email ? parsedData.email.toLowerCase().trim() : null;
+    const keys = contactKeys({ email: normalizedEmail, phone: parsedData.phone });
+
+    await onStage('saving');
+    console.log(`   💾 Saving resume to database...`);
+    const result = await query(
+      `INSERT INTO resumes (
+        file_name, file_path, name, email, phone, location,
+        skills, raw_skills, experience, education, summary, certifications,
+        raw_text, total_experience, degree_level, parent_id, extraction_method, extraction_confidence, parse_warnings,
+        content_hash, linkedin_url, github_url, portfolio_url, contact_flags, email_key, phone_key
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fileName,
+        file.storedPath || filePath,
+        parsedData.name || null,
+        normalizedEmail,
+        parsedData.phone || null,
+        parsedData.location || null,
+        JSON.stringify(parsedData.skills || []),
+        JSON.stringify(parsedData.raw_skills || parsedData.skills || []),
+        JSON.stringify(parsedData.experience || []),
+        JSON.stringify(parsedData.education || []),
+        parsedData.summary || null,
+        JSON.stringify(parsedData.certifications || []),
+        resumeText,
+        parsedData.total_experience ? parseFloat(parsedData.total_experience) : null,
+        degreeLevelColumn(parsedData.education),
+        parentId,
+        extraction.method,
+        extraction.confidence,
+        JSON.stringify(parsedData.parse_warnings || []),
+        file.contentHash || null,
+        parsedData.linkedin_url || null,
+        parsedData.github_url || null,
+        parsedData.portfolio_url || null,
+        JSON.stringify(parsedData.contact_flags || []),
+        keys.email_key,
+        keys.phone_key
+      ]
+    );
+
+    // A linked duplicate joins the candidate of its parent, anything else starts a new candidate
+    await assignCandidate({ ...parsedData, email: normalizedEmail, id: result.insertId, parent_id: parentId });
+
+    // Embedding for semantic search. Not fatal: POST /api/resumes/embeddings/backfill picks up missed resumes
+    try {
+      await indexResumeEmbedding({ ...parsedData, id: result.insertId, raw_text: resumeText });
+    } catch (embeddingError) {
+      console.error(`   ⚠️  Embedding failed, continuing with resume processing:`, embeddingError.message);
+    }
+
+    const savedResume = await queryOne(
+      'SELECT * FROM resumes WHERE id = ?',
+      [result.insertId]
+    );
+    console.log(`   ✅ Resume saved to database (ID: ${result.insertId}, Candidate ID: ${savedResume.candidate_id})`);
+    await onStage('saved', { resumeId: result.insertId });
+
+    // Upload to Talygen API and store response (now with resume_id)
+    let talygenUpload = null;
+    try {
+      talygenUpload = await uploadToTalygen(filePath, fileName, mimetype, result.insertId, file.contentHash || null);
+    } catch (talygenError) {
+      console.error(`   ⚠️  Talygen upload failed, continuing with resume processing:`, talygenError.message);
+    }
+
+    // Parse JSON fields safely
+    const parsedResume = parseResumeRow(savedResume);
+
+    await onStage('matching');
+    console.log(`   🎯 Matching resume with job description...`);
+    const matchResults = await scoreResumeForJob({
+      resumeText,
+      parsedData,
+      jobData,
+      engine: options.matchEngine
+    });
+
+    console.log(`   📊 Match scores (${matchResults.match_engine}) - Overall: ${matchResults.overall_match}%, Skills: ${matchResults.skills_match}%, Experience: ${matchResults.experience_match}%, Education: ${matchResults.education_match}%`);
+    await onStage('matched', {
+      overall_match: matchResults.overall_match,
+      status: matchResults.status,
+      match_engine: matchResults.match_engine
+    });
+
+    // Save evaluation
+    let evaluationData = null;
+    console.log(`   💾 Saving evaluation to database...`);
+    try {
+      const saved = await saveEvaluation({
+        resumeId: parsedResume.id,
+        jobData,
+        parsedData,
+        resumeText,
+        matchResults
+      });
+      evaluationData = saved.evaluation;
+      console.log(`   ✅ Evaluation saved (ID: ${evaluationData.id})`);
+    } catch (evalError) {
+      console.error(`   ⚠️  Error saving evaluation:`, evalError.message);
+      // Don't fail the upload if evaluation fails, just log it
+    }
+
+    return {
+      fileName: fileName,
+      success: true,
+      data: parsedResume,
+      isDuplicate: !!parentId,
+      parentId: parentId,
+      duplicateCandidates,
+      reusedIdenticalFile: false,
+      evaluation: evaluationData,
+      matchScores: {
+        overall_match: matchResults.overall_match,
+        skills_match: matchResults.skills_match,
+        experience_match: matchResults.experience_match,
+        education_match: matchResults.education_match,
+        status: matchResults.status,
+        match_engine: matchResults.match_engine,
+        knockout_failures: matchResults.knockout_failures || []
+      },
+      talygenUpload: talygenUpload ? {
+        fileUploadId: talygenUpload.fileUploadId,
+        filePath: talygenUpload.filePath
+      } : null
+    };
+  } catch (error) {
+    // Clean up file on error
+    try {
+      await fsPromises.unlink(filePath);
+      console.log(`   🗑️  Cleaned up file: ${filePath}`);
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  processResumeFile
+};
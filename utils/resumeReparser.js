@@ -0,0 +1,121 @@
+const { parseResumeWithGemini } = require('./resumeParser');
+const { normalizeContacts } = require('./contactNormalizer');
+const { diffParsedResumes } = require('./resumeDiff');
+const { indexResumeEmbedding } = require('./resumeEmbeddings');
+const { queryOne, withTransaction } = require('../config/database');
+const { degreeLevelColumn } = require('./degreeLevels');
+const { safeParseJSON } = require('./json');
+const { httpError } = require('./httpError');
+
+// Parsed fields refreshed by a re-parse. Name, email, phone and location are left alone so duplicate
+// links and the candidate stay intact.
+const REPARSED_FIELDS = ['skills', 'experience', 'education', 'certifications', 'summary', 'total_experience'];
+
+// Re-derived from the text by contact normalization, together with contact_flags
+const PROFILE_URL_FIELDS = ['linkedin_url', 'github_url', 'portfolio_url'];
+
+// Fields captured in the snapshot stored before a re-parse overwrites them
+const SNAPSHOT_FIELDS = ['name', 'email', 'phone', 'location', ...REPARSED_FIELDS, ...PROFILE_URL_FIELDS, 'contact_flags'];
+
+function buildSnapshot(resume) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    snapshot[field] = ['skills', 'experience', 'education', 'certifications', 'contact_flags'].includes(field)
+      ? safeParseJSON(resume[field], [])
+      : resume[field] ?? null;
+  }
+  return snapshot;
+}
+
+/**
+ * Re-run the current parser over a stored resume's raw_text and update its parsed fields and profile URLs.
+ * The previous values are kept in resume_parse_history together with the computed changes.
+ * @param {number|string} resumeId - Resume ID
+ * @param {object} [options]
+ * @param {string} [options.userId] - User who requested the re-parse
+ * @returns {Promise<object>} { resume, changes, historyId }
+ * @throws {Error} With status 404 if the resume does not exist, 422 if it has no raw_text
+ */
+async function reparseResume(resumeId, options = {}) {
+  const resume = await queryOne('SELECT * FROM resumes WHERE id = ?', [resumeId]);
+  if (!resume) {
+    throw httpError('Resume not found', 404);
+  }
+  if (!resume.raw_text || !resume.raw_text.trim()) {
+    throw httpError('Resume has no stored raw text to re-parse', 422);
+  }
+
+  console.log(`🔁 Re-parsing resume ID: ${resume.id} (${resume.file_name})`);
+  const parsedData = await parseResumeWithGemini(resume.raw_text, resume.file_name);
+
+  // The history row and the update are written together; the snapshot comes from the row as it is
+  // locked now, so a change made while the parser was running is what the history records
+  const { changes, historyId } = await withTransaction(async (run) => {
+    const [current] = await run('SELECT * FROM resumes WHERE id = ? FOR UPDATE', [resume.id]);
+    if (!current) {
+      throw httpError('Resume not found', 404);
+    }
+    const previous = buildSnapshot(current);
+    // The stored (already normalized) email and phone are kept, so only the profile URLs and flags can change
+    const contacts = normalizeContacts({ email: current.email, phone: current.phone, summary: parsedData.summary }, current.raw_text);
+    const diff = diffParsedResumes(previous, { ...parsedData, ...contacts }, [...REPARSED_FIELDS, ...PROFILE_URL_FIELDS]);
+
+    const historyResult = await run(
+      `INSERT INTO resume_parse_history (resume_id, snapshot, changes, reparsed_by)
+       VALUES (?, ?, ?, ?)`,
+      [resume.id, JSON.stringify(previous), JSON.stringify(diff), options.userId || null]
+    );
+
+    await run(
+      `UPDATE resumes
+       SET skills = ?, raw_skills = ?, experience = ?, education = ?, certifications = ?, summary = ?,
+           total_experience = ?, degree_level = ?, parse_warnings = ?,
+           linkedin_url = ?, github_url = ?, portfolio_url = ?, contact_flags = ?
+       WHERE id = ?`,
+      [
+        JSON.stringify(parsedData.skills || []),
+        JSON.stringify(parsedData.raw_skills || parsedData.skills || []),
+        JSON.stringify(parsedData.experience || []),
+        JSON.stringify(parsedData.education || []),
+        JSON.stringify(parsedData.certifications || []),
+        parsedData.summary || null,
+        parsedData.total_experience ? parseFloat(parsedData.total_experience) : null,
+        degreeLevelColumn(parsedData.education),
+        JSON.stringify(parsedData.parse_warnings || []),
+        contacts.linkedin_url,
+        contacts.github_url,
+        contacts.portfolio_url,
+        JSON.stringify(contacts.contact_flags),
+        resume.id
+      ]
+    );
+    return { changes: diff, historyId: historyResult.insertId };
+  });
+
+  const updated = await queryOne('SELECT * FROM resumes WHERE id = ?', [resume.id]);
+  try {
+    await indexResumeEmbedding(updated);
+  } catch (embeddingError) {
+    console.error(`   ⚠️  Embedding of re-parsed resume ${resume.id} failed:`, embeddingError.message);
+  }
+  console.log(`✅ Resume ${resume.id} re-parsed (${Object.keys(changes).length} field(s) changed)`);
+
+  return {
+    resume: {
+      ...updated,
+      skills: safeParseJSON(updated.skills, []),
+      raw_skills: safeParseJSON(updated.raw_skills, []),
+      experience: safeParseJSON(updated.experience, []),
+      education: safeParseJSON(updated.education, []),
+      certifications: safeParseJSON(updated.certifications, []),
+      parse_warnings: safeParseJSON(updated.parse_warnings, []),
+      contact_flags: safeParseJSON(updated.contact_flags, [])
+    },
+    changes,
+    historyId
+  };
+}
+
+module.exports = {
+  reparseResume
+};
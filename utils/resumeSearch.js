@@ -0,0 +1,319 @@
+const { escape } = require('mysql2');
+const { query } = require('../config/database');
+const { DEGREE_LEVELS, DEGREE_LEVEL_NAMES, parseDegreeLevel, degreeLevelColumn } = require('./degreeLevels');
+const { canonicalizeSkills } = require('./skillTaxonomy');
+const { parseBooleanQuery, buildSnippets } = require('./fullTextQuery');
+const { parseListQuery, runListQuery } = require('./listQuery');
+const { httpError } = require('./httpError');
+const { placeholders } = require('./sql');
+
+// Number of values returned per facet
+const FACET_SIZE = { skills: 20, locations: 10 };
+
+// Most resumes one degree level backfill request updates
+const MAX_BACKFILL_BATCH = 500;
+
+// Columns a search result can return (?fields=); raw_text is left out, snippets show the matching text
+const SEARCH_COLUMNS = [
+  'id', 'file_name', 'file_path', 'name', 'email', 'phone', 'location',
+  'skills', 'raw_skills', 'experience', 'education', 'summary', 'certifications',
+  'extraction_method', 'extraction_confidence', 'parse_warnings', 'content_hash',
+  'linkedin_url', 'github_url', 'portfolio_url', 'contact_flags',
+  'total_experience', 'degree_level', 'parent_id', 'candidate_id', 'created_at', 'updated_at'
+];
+
+// "Java, Spring" and ?skills=Java&skills=Spring both give ['Java', 'Spring']
+const toList = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const toNumber = (value, name) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw httpError(`${name} must be a non-negative number`, 400);
+  }
+  return number;
+};
+
+// YYYY-MM-DD only, so the date range does not depend on the server's time zone
+const toDate = (value, name) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+    throw httpError(`${name} must be a date (YYYY-MM-DD)`, 400);
+  }
+  return value;
+};
+
+const toDegreeLevel = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const level = parseDegreeLevel(value);
+  if (!level) {
+    throw httpError(`degree must be one of ${Object.keys(DEGREE_LEVEL_NAMES).join(', ')} or a level from 1 to 4`, 400);
+  }
+  return level;
+};
+
+/**
+ * Read and validate search filters from a request query string
+ * @param {object} params - req.query
+ * @returns {Promise<object>} Filters for searchResumes
+ * @throws {Error} With status 400 when a filter is invalid
+ */
+async function parseSearchFilters(params = {}) {
+  const skillsMode = params.skills_mode || 'all';
+  if (!['all', 'any'].includes(skillsMode)) {
+    throw httpError('skills_mode must be "all" or "any"', 400);
+  }
+
+  const filters = {
+    q: typeof params.q === 'string' && params.q.trim() ? params.q.trim() : null,
+    // Boolean full-text query over raw_text: { query, against, terms }
+    text: typeof params.text === 'string' && params.text.trim()
+      ? { query: params.text.trim(), ...parseBooleanQuery(params.text) }
+      : null,
+    // "JS" filters on the canonical skill "JavaScript"
+    skills: await canonicalizeSkills(toList(params.skills)),
+    skillsMode,
+    minExperience: toNumber(params.min_experience, 'min_experience'),
+    maxExperience: toNumber(params.max_experience, 'max_experience'),
+    locations: toList(params.location),
+    degree: toDegreeLevel(params.degree),
+    certifications: toList(params.certifications),
+    uploadedFrom: toDate(params.uploaded_from, 'uploaded_from'),
+    uploadedTo: toDate(params.uploaded_to, 'uploaded_to')
+  };
+
+  if (filters.minExperience !== null && filters.maxExperience !== null && filters.minExperience > filters.maxExperience) {
+    throw httpError('min_experience cannot be greater than max_experience', 400);
+  }
+  if (filters.uploadedFrom && filters.uploadedTo && filters.uploadedFrom > filters.uploadedTo) {
+    throw httpError('uploaded_from cannot be after uploaded_to', 400);
+  }
+  return filters;
+}
+
+function buildWhere(filters) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.q) {
+    const term = `%${filters.q}%`;
+    conditions.push('(name LIKE ? OR email LIKE ? OR location LIKE ?)');
+    params.push(term, term, term);
+  }
+
+  if (filters.text) {
+    conditions.push('MATCH(raw_text) AGAINST(? IN BOOLEAN MODE)');
+    params.push(filters.text.against);
+  }
+
+  if (filters.skills.length > 0) {
+    const joiner = filters.skillsMode === 'any' ? ' OR ' : ' AND ';
+    conditions.push(`(${filters.skills.map(() => 'JSON_CONTAINS(skills, JSON_QUOTE(?))').join(joiner)})`);
+    params.push(...filters.skills);
+  }
+
+  if (filters.minExperience !== null) {
+    conditions.push('total_experience >= ?');
+    params.push(filters.minExperience);
+  }
+  if (filters.maxExperience !== null) {
+    conditions.push('total_experience <= ?');
+    params.push(filters.maxExperience);
+  }
+
+  // Any of the given locations
+  if (filters.locations.length > 0) {
+    conditions.push(`(${filters.locations.map(() => 'location LIKE ?').join(' OR ')})`);
+    params.push(...filters.locations.map(location => `%${location}%`));
+  }
+
+  if (filters.degree !== null) {
+    conditions.push('degree_level >= ?');
+    params.push(filters.degree);
+  }
+
+  // Every given certification, matched anywhere in the certification names
+  for (const certification of filters.certifications) {
+    conditions.push('LOWER(CAST(certifications AS CHAR)) LIKE ?');
+    params.push(`%${certification.toLowerCase()}%`);
+  }
+
+  if (filters.uploadedFrom) {
+    conditions.push('created_at >= ?');
+    params.push(filters.uploadedFrom);
+  }
+  if (filters.uploadedTo) {
+    conditions.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(filters.uploadedTo);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * List definition of the search results. raw_text is never listed; snippets show the matching parts instead.
+ * With a full-text query the results can be (and by default are) sorted by relevance.
+ * @param {object} filters - From parseSearchFilters
+ * @returns {object} Spec for parseListQuery and runListQuery
+ */
+function searchListSpec(filters) {
+  const columns = Object.fromEntries(SEARCH_COLUMNS.map(column => [column, column]));
+  const sortable = ['created_at', 'updated_at', 'name', 'total_experience', 'id'];
+  if (filters.text) {
+    // Inlined as an escaped literal: list columns take no parameters
+    columns.relevance = `MATCH(raw_text) AGAINST(${escape(filters.text.against)} IN BOOLEAN MODE)`;
+    sortable.unshift('relevance');
+  }
+  return {
+    from: 'resumes',
+    columns,
+    json: { skills: [], raw_skills: [], experience: [], education: [], certifications: [], parse_warnings: [], contact_flags: [] },
+    sortable,
+    defaultSort: filters.text ? '-relevance' : '-created_at'
+  };
+}
+
+// Counts over every matching resume: the most frequent skills and locations (ties alphabetically) and each degree level
+async function buildFacets({ conditions, params }) {
+  const where = (extra) => {
+    const items = [...conditions, ...extra];
+    return items.length > 0 ? `WHERE ${items.join(' AND ')}` : '';
+  };
+
+  const [skills, locations, degrees] = await Promise.all([
+    query(
+      `SELECT facet.skill as value, COUNT(DISTINCT resumes.id) as count
+       FROM resumes
+       JOIN JSON_TABLE(resumes.skills, '$[*]' COLUMNS (skill VARCHAR(255) PATH '$')) AS facet
+       ${where(['facet.skill IS NOT NULL'])}
+       GROUP BY facet.skill
+       ORDER BY count DESC, value ASC
+       LIMIT ${FACET_SIZE.skills}`,
+      params
+    ),
+    query(
+      `SELECT TRIM(location) as value, COUNT(*) as count
+       FROM resumes
+       ${where(["TRIM(location) <> ''"])}
+       GROUP BY TRIM(location)
+       ORDER BY count DESC, value ASC
+       LIMIT ${FACET_SIZE.locations}`,
+      params
+    ),
+    query(
+      `SELECT degree_level as level, COUNT(*) as count
+       FROM resumes
+       ${where(['degree_level IS NOT NULL'])}
+       GROUP BY degree_level`,
+      params
+    )
+  ]);
+
+  const degreeCounts = new Map(degrees.map(row => [Number(row.level), Number(row.count)]));
+  return {
+    skills: skills.map(row => ({ value: row.value, count: Number(row.count) })),
+    locations: locations.map(row => ({ value: row.value, count: Number(row.count) })),
+    degrees: DEGREE_LEVELS.map(degree => ({ level: degree.level, label: degree.label, count: degreeCounts.get(degree.level) || 0 }))
+  };
+}
+
+// Snippets need raw_text, which is only read for the resumes on the page
+async function addSnippets(resumes, terms) {
+  if (resumes.length === 0) {
+    return resumes;
+  }
+  const rows = await query(
+    `SELECT id, raw_text FROM resumes WHERE id IN (${placeholders(resumes)})`,
+    resumes.map(resume => resume.id)
+  );
+  const texts = new Map(rows.map(row => [row.id, row.raw_text]));
+  return resumes.map(resume => ({ ...resume, snippets: buildSnippets(texts.get(resume.id), terms) }));
+}
+
+/**
+ * Structured resume search, filtered, paginated and counted in SQL: full text, skills, experience, location,
+ * degree level (resumes.degree_level), certifications and upload date.
+ * With a full-text query, results are ordered by relevance unless ?sort= says otherwise and carry highlighted snippets of raw_text.
+ * @param {object} filters - From parseSearchFilters
+ * @param {object} [listParams] - req.query; limit, offset or cursor, sort and fields as in utils/listQuery
+ * @returns {Promise<object>} { data, total, pagination, facets } with facet counts over every matching resume
+ * @throws {Error} With status 400 when a list parameter is invalid
+ */
+async function searchResumes(filters, listParams = {}) {
+  const spec = searchListSpec(filters);
+  const list = parseListQuery(listParams, spec);
+  const filter = buildWhere(filters);
+
+  const [result, facets] = await Promise.all([runListQuery(list, spec, filter), buildFacets(filter)]);
+
+  let data = result.data;
+  if (list.fields.includes('degree_level')) {
+    data = data.map(resume => ({
+      ...resume,
+      degree_label: (DEGREE_LEVELS.find(degree => degree.level === resume.degree_level) || {}).label || null
+    }));
+  }
+  if (filters.text) {
+    data = await addSnippets(data, filters.text.terms);
+  }
+
+  return {
+    data,
+    total: result.total,
+    pagination: result.pagination,
+    facets
+  };
+}
+
+/**
+ * Fill resumes.degree_level of stored resumes from their education, walking by ID
+ * @param {object} [options]
+ * @param {number} [options.afterId] - Continue after this resume ID
+ * @param {number} [options.limit] - Resumes per batch (max MAX_BACKFILL_BATCH)
+ * @returns {Promise<object>} { processed, with_degree, next_after_id }
+ */
+async function backfillDegreeLevels(options = {}) {
+  const afterId = parseInt(options.afterId) || 0;
+  const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_BACKFILL_BATCH);
+
+  const resumes = await query(
+    `SELECT id, education FROM resumes WHERE id > ? ORDER BY id ASC LIMIT ${limit}`,
+    [afterId]
+  );
+
+  let withDegree = 0;
+  for (const resume of resumes) {
+    const level = degreeLevelColumn(resume.education);
+    if (level) {
+      withDegree++;
+    }
+    await query('UPDATE resumes SET degree_level = ? WHERE id = ?', [level, resume.id]);
+  }
+
+  console.log(`🎓 Degree level backfill: ${resumes.length} resume(s) processed, ${withDegree} with a recognized degree`);
+
+  return {
+    processed: resumes.length,
+    with_degree: withDegree,
+    next_after_id: resumes.length === limit ? resumes[resumes.length - 1].id : null
+  };
+}
+
+module.exports = {
+  parseSearchFilters,
+  searchResumes,
+  backfillDegreeLevels
+};
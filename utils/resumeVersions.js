@@ -0,0 +1,47 @@
+const { diffParsedResumes } = require('./resumeDiff');
+const { query, queryOne } = require('../config/database');
+const { safeParseJSON } = require('./json');
+
+// Fields compared between consecutive versions of a candidate's resume
+const VERSION_DIFF_FIELDS = ['skills', 'experience', 'education', 'location', 'total_experience'];
+
+/**
+ * Get every stored version of a candidate's resume (the parent_id chain of the given resume) in time order.
+ * Each version carries the changes since the version before it.
+ * @param {number|string} resumeId - Any resume in the chain
+ * @returns {Promise<object|null>} { rootId, versions }, or null if the resume does not exist
+ */
+async function getResumeVersions(resumeId) {
+  const resume = await queryOne('SELECT id, parent_id FROM resumes WHERE id = ?', [resumeId]);
+  if (!resume) {
+    return null;
+  }
+  const rootId = resume.parent_id || resume.id;
+
+  const rows = await query(
+    `SELECT id, file_name, name, email, phone, location, skills, experience, education, summary,
+            certifications, total_experience, parent_id, created_at
+     FROM resumes
+     WHERE id = ? OR parent_id = ?
+     ORDER BY created_at ASC, id ASC`,
+    [rootId, rootId]
+  );
+
+  const versions = rows.map((row, index) => ({
+    version: index + 1,
+    ...row,
+    skills: safeParseJSON(row.skills, []),
+    experience: safeParseJSON(row.experience, []),
+    education: safeParseJSON(row.education, []),
+    certifications: safeParseJSON(row.certifications, []),
+    // null for the first version; {} when nothing changed
+    changes: index === 0 ? null : diffParsedResumes(rows[index - 1], row, VERSION_DIFF_FIELDS)
+  }));
+
+  return { rootId, versions };
+}
+
+module.exports = {
+  VERSION_DIFF_FIELDS,
+  getResumeVersions
+};
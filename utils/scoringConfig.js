@@ -0,0 +1,222 @@
+const { query, queryOne } = require('../config/database');
+const { safeParseJSON } = require('./json');
+const { httpError } = require('./httpError');
+
+// How overall_match is computed from the skills, experience and education scores, and the
+// overall_match needed for "accepted" and "pending". Jobs can override the organization default,
+// which is stored in app_settings and falls back to DEFAULT_SCORING.
+
+const SCORE_COMPONENTS = ['skills', 'experience', 'education'];
+
+const DEFAULT_SCORING = {
+  weights: { skills: 50, experience: 40, education: 10 },
+  thresholds: { accept: 70, pending: 50 }
+};
+
+// app_settings key of the organization default
+const SETTINGS_KEY = 'scoring';
+
+// The organization default is read from the database at most this often; PUT /api/settings/scoring clears the cache
+const CACHE_TTL_MS = 60 * 1000;
+
+let cachedDefault = null;
+let cachedAt = 0;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate score weights and scale them to percentages that add up to 100
+ * @param {object} value - { skills, experience, education }, any non-negative numbers (e.g. 3/5/2)
+ * @param {string} [field] - Name used in error messages
+ * @returns {object} { skills, experience, education }
+ * @throws {Error} With status 400 when the weights are invalid
+ */
+function normalizeWeights(value, field = 'weights') {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw httpError(`${field} must be an object with ${SCORE_COMPONENTS.join(', ')} weights`, 400);
+  }
+  const weights = {};
+  for (const component of SCORE_COMPONENTS) {
+    const weight = Number(value[component]);
+    if (value[component] === null || value[component] === undefined || value[component] === '' || !Number.isFinite(weight) || weight < 0) {
+      throw httpError(`${field}.${component} must be a non-negative number`, 400);
+    }
+    weights[component] = weight;
+  }
+  const total = SCORE_COMPONENTS.reduce((sum, component) => sum + weights[component], 0);
+  if (total <= 0) {
+    throw httpError(`${field} must not all be zero`, 400);
+  }
+  for (const component of SCORE_COMPONENTS) {
+    weights[component] = round((weights[component] / total) * 100);
+  }
+  return weights;
+}
+
+function toThreshold(value, field) {
+  const threshold = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+    throw httpError(`${field} must be a number between 0 and 100`, 400);
+  }
+  return round(threshold);
+}
+
+function checkThresholdOrder(thresholds) {
+  if (thresholds.pending > thresholds.accept) {
+    throw httpError(`The pending threshold (${thresholds.pending}) cannot be above the accept threshold (${thresholds.accept})`, 400);
+  }
+}
+
+/**
+ * Organization default scoring (cached for CACHE_TTL_MS)
+ * @returns {Promise<object>} { weights, thresholds }
+ */
+async function getDefaultScoring() {
+  if (cachedDefault && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedDefault;
+  }
+  const row = await queryOne('SELECT value FROM app_settings WHERE setting_key = ?', [SETTINGS_KEY]);
+  const stored = safeParseJSON(row?.value, {}) || {};
+  cachedDefault = {
+    weights: { ...DEFAULT_SCORING.weights, ...stored.weights },
+    thresholds: { ...DEFAULT_SCORING.thresholds, ...stored.thresholds }
+  };
+  cachedAt = Date.now();
+  return cachedDefault;
+}
+
+/**
+ * Replace the organization default. Left-out parts (weights or thresholds) keep their current value.
+ * @param {object} body - { weights: { skills, experience, education }, thresholds: { accept, pending } }
+ * @param {number} [userId] - User making the change
+ * @returns {Promise<object>} The new default { weights, thresholds }
+ * @throws {Error} With status 400 when the body is invalid
+ */
+async function setDefaultScoring(body, userId = null) {
+  if (body.weights === undefined && body.thresholds === undefined) {
+    throw httpError('Send weights and/or thresholds', 400);
+  }
+  const current = await getDefaultScoring();
+  const scoring = {
+    weights: body.weights === undefined ? current.weights : normalizeWeights(body.weights, 'weights'),
+    thresholds: current.thresholds
+  };
+  if (body.thresholds !== undefined) {
+    if (!body.thresholds || typeof body.thresholds !== 'object') {
+      throw httpError('thresholds must be an object with accept and pending', 400);
+    }
+    scoring.thresholds = {
+      accept: body.thresholds.accept === undefined ? current.thresholds.accept : toThreshold(body.thresholds.accept, 'thresholds.accept'),
+      pending: body.thresholds.pending === undefined ? current.thresholds.pending : toThreshold(body.thresholds.pending, 'thresholds.pending')
+    };
+  }
+  checkThresholdOrder(scoring.thresholds);
+
+  await query(
+    `INSERT INTO app_settings (setting_key, value, updated_by) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE value = VALUES(value), updated_by = VALUES(updated_by)`,
+    [SETTINGS_KEY, JSON.stringify(scoring), userId]
+  );
+  cachedDefault = null;
+  cachedAt = 0;
+  console.log(`⚖️  Default scoring updated: weights ${JSON.stringify(scoring.weights)}, thresholds ${JSON.stringify(scoring.thresholds)}`);
+  return scoring;
+}
+
+/**
+ * Scoring of a job: its own weights and thresholds where set, the organization default otherwise
+ * @param {object} jobData - Row from job_descriptions
+ * @param {object} defaultScoring - From getDefaultScoring
+ * @returns {object} { weights, thresholds }
+ */
+function scoringFromJob(jobData, defaultScoring) {
+  const weights = safeParseJSON(jobData.scoring_weights, null);
+  const threshold = (value, fallback) => (value === null || value === undefined ? fallback : parseFloat(value));
+  return {
+    weights: weights ? { ...defaultScoring.weights, ...weights } : defaultScoring.weights,
+    thresholds: {
+      accept: threshold(jobData.accept_threshold, defaultScoring.thresholds.accept),
+      pending: threshold(jobData.pending_threshold, defaultScoring.thresholds.pending)
+    }
+  };
+}
+
+/**
+ * Effective scoring of a job. Uses DEFAULT_SCORING when the organization default cannot be read.
+ * @param {object} jobData - Row from job_descriptions
+ * @returns {Promise<object>} { weights, thresholds }
+ */
+async function resolveScoring(jobData) {
+  let defaultScoring = DEFAULT_SCORING;
+  try {
+    defaultScoring = await getDefaultScoring();
+  } catch (error) {
+    console.error('   ⚠️  Default scoring unavailable, using built-in weights:', error.message);
+  }
+  return scoringFromJob(jobData, defaultScoring);
+}
+
+/**
+ * Validate the scoring fields of a job description request body. Only fields present in the body
+ * are returned; null clears a field so the job uses the organization default again.
+ * @param {object} body - req.body (scoring_weights, accept_threshold, pending_threshold)
+ * @param {object} [existing] - Current job_descriptions row when updating
+ * @returns {Promise<object>} Column values to store
+ * @throws {Error} With status 400 when a field is invalid or the thresholds end up out of order
+ */
+async function parseScoringInput(body, existing = {}) {
+  const values = {};
+  if (body.scoring_weights !== undefined) {
+    values.scoring_weights = body.scoring_weights === null ? null : normalizeWeights(body.scoring_weights, 'scoring_weights');
+  }
+  for (const field of ['accept_threshold', 'pending_threshold']) {
+    if (body[field] !== undefined) {
+      values[field] = body[field] === null || body[field] === '' ? null : toThreshold(body[field], field);
+    }
+  }
+  if ('accept_threshold' in values || 'pending_threshold' in values) {
+    checkThresholdOrder((await resolveScoring({ ...existing, ...values })).thresholds);
+  }
+  return values;
+}
+
+/**
+ * overall_match as the weighted average of the sub-scores
+ * @param {object} scores - { skills_match, experience_match, education_match }
+ * @param {object} weights - { skills, experience, education }
+ * @returns {number}
+ */
+function computeOverallMatch(scores, weights) {
+  const total = SCORE_COMPONENTS.reduce((sum, component) => sum + weights[component], 0);
+  const weighted = SCORE_COMPONENTS.reduce((sum, component) => sum + (scores[`${component}_match`] || 0) * weights[component], 0);
+  return round(total > 0 ? weighted / total : 0);
+}
+
+/**
+ * Status for an overall_match
+ * @param {number} overallMatch
+ * @param {object} thresholds - { accept, pending }
+ * @returns {string} 'accepted', 'pending' or 'rejected'
+ */
+function statusForScore(overallMatch, thresholds) {
+  if (overallMatch >= thresholds.accept) {
+    return 'accepted';
+  }
+  if (overallMatch >= thresholds.pending) {
+    return 'pending';
+  }
+  return 'rejected';
+}
+
+module.exports = {
+  SCORE_COMPONENTS,
+  DEFAULT_SCORING,
+  normalizeWeights,
+  getDefaultScoring,
+  setDefaultScoring,
+  scoringFromJob,
+  resolveScoring,
+  parseScoringInput,
+  computeOverallMatch,
+  statusForScore
+};
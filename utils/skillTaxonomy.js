@@ -0,0 +1,225 @@
+const { query } = require('../config/database');
+const { safeParseJSON } = require('./json');
+const { escapeRegExp } = require('./regex');
+
+// Maximum number of resumes re-normalized per backfill request
+const MAX_BACKFILL_BATCH = 500;
+
+// The taxonomy is read from the database at most this often; edits through /api/skills clear the cache
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+// Word-boundary match that also works for skills such as "C#", ".NET" and "Node.js"
+function mentions(lowerText, term) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(term)}(?![a-z0-9])`).test(lowerText);
+}
+
+/**
+ * Lookup key of a skill name or alias: case, surrounding punctuation and separators do not matter
+ * ("React JS", "react-js" and "React_JS" share a key)
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeSkillKey(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[\s_-]+/g, ' ')
+    .replace(/^[\s,;:]+|[\s,;:]+$/g, '')
+    .trim();
+}
+
+/**
+ * Build the in-memory taxonomy from skills and skill_aliases rows
+ * @param {Array<object>} skillRows - Rows from skills (id, name, category, parent_id)
+ * @param {Array<object>} aliasRows - Rows from skill_aliases (skill_id, alias)
+ * @returns {object} Taxonomy with canonicalize, canonicalizeList, findInText and withAncestors
+ */
+function buildTaxonomy(skillRows, aliasRows) {
+  const skillsById = new Map(skillRows.map(skill => [skill.id, skill]));
+  const byKey = new Map();
+  for (const skill of skillRows) {
+    byKey.set(normalizeSkillKey(skill.name), skill);
+  }
+  for (const alias of aliasRows) {
+    const skill = skillsById.get(alias.skill_id);
+    const key = normalizeSkillKey(alias.alias);
+    if (skill && key && !byKey.has(key)) {
+      byKey.set(key, skill);
+    }
+  }
+  // Longest terms first so "Node.js" is found before "Node"
+  const terms = [...byKey.keys()].sort((a, b) => b.length - a.length);
+
+  const lookup = (name) => byKey.get(normalizeSkillKey(name)) || null;
+
+  const canonicalize = (name) => {
+    const skill = lookup(name);
+    return skill ? skill.name : String(name || '').trim();
+  };
+
+  const canonicalizeList = (names) => {
+    const seen = new Map();
+    for (const name of Array.isArray(names) ? names : []) {
+      const canonical = canonicalize(name);
+      const key = normalizeSkillKey(canonical);
+      if (key && !seen.has(key)) {
+        seen.set(key, canonical);
+      }
+    }
+    return [...seen.values()];
+  };
+
+  const findInText = (text) => {
+    const lowerText = String(text || '').toLowerCase().replace(/[\s_-]+/g, ' ');
+    const found = new Set();
+    for (const term of terms) {
+      const skill = byKey.get(term);
+      if (!found.has(skill.name) && mentions(lowerText, term)) {
+        found.add(skill.name);
+      }
+    }
+    return [...found];
+  };
+
+  // Skills plus every parent skill above them (React -> JavaScript)
+  const withAncestors = (names) => {
+    const result = canonicalizeList(names);
+    const seen = new Set(result.map(normalizeSkillKey));
+    for (const name of [...result]) {
+      let parent = lookup(name);
+      while (parent && parent.parent_id && skillsById.has(parent.parent_id)) {
+        parent = skillsById.get(parent.parent_id);
+        const key = normalizeSkillKey(parent.name);
+        if (seen.has(key)) break;
+        seen.add(key);
+        result.push(parent.name);
+      }
+    }
+    return result;
+  };
+
+  return { size: skillRows.length, lookup, canonicalize, canonicalizeList, findInText, withAncestors };
+}
+
+/**
+ * Get the skills taxonomy (cached for CACHE_TTL_MS)
+ * @returns {Promise<object>} Taxonomy built by buildTaxonomy
+ */
+async function getSkillTaxonomy() {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+  const [skillRows, aliasRows] = await Promise.all([
+    query('SELECT id, name, category, parent_id FROM skills'),
+    query('SELECT skill_id, alias FROM skill_aliases')
+  ]);
+  cached = buildTaxonomy(skillRows, aliasRows);
+  cachedAt = Date.now();
+  return cached;
+}
+
+// Called after the taxonomy is edited so the next lookup reads it again
+function invalidateSkillTaxonomy() {
+  cached = null;
+  cachedAt = 0;
+}
+
+/**
+ * Map skills to their canonical names. Skills missing from the taxonomy are kept as they are,
+ * and the input is returned unchanged if the taxonomy cannot be loaded.
+ * @param {Array<string>} skills
+ * @returns {Promise<Array<string>>}
+ */
+async function canonicalizeSkills(skills) {
+  try {
+    const taxonomy = await getSkillTaxonomy();
+    return taxonomy.canonicalizeList(skills);
+  } catch (error) {
+    console.error('   ⚠️  Skills taxonomy unavailable, keeping skills as parsed:', error.message);
+    return Array.isArray(skills) ? skills : [];
+  }
+}
+
+/**
+ * Canonical skills mentioned in a piece of text (e.g. a job description and its requirements)
+ * @param {string} text
+ * @returns {Promise<Array<string>>} Empty if the taxonomy cannot be loaded
+ */
+async function findSkillsInText(text) {
+  try {
+    const taxonomy = await getSkillTaxonomy();
+    return taxonomy.findInText(text);
+  } catch (error) {
+    console.error('   ⚠️  Skills taxonomy unavailable, no skills detected:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Re-apply the current taxonomy to stored resumes (walking by ID) and, on the first batch, to every
+ * job description. The skills as parsed are kept in raw_skills, so this can be re-run after taxonomy edits.
+ * @param {object} [options]
+ * @param {number} [options.afterId] - Continue after this resume ID (0 or omitted starts over, including jobs)
+ * @param {number} [options.limit] - Resumes per batch (max MAX_BACKFILL_BATCH)
+ * @returns {Promise<object>} { processed, updated, jobsUpdated, next_after_id }
+ */
+async function backfillCanonicalSkills(options = {}) {
+  const afterId = parseInt(options.afterId) || 0;
+  const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_BACKFILL_BATCH);
+  invalidateSkillTaxonomy();
+  const taxonomy = await getSkillTaxonomy();
+
+  const resumes = await query(
+    `SELECT id, skills, raw_skills FROM resumes WHERE id > ? ORDER BY id ASC LIMIT ${limit}`,
+    [afterId]
+  );
+
+  let updated = 0;
+  for (const resume of resumes) {
+    const rawSkills = safeParseJSON(resume.raw_skills, null) || safeParseJSON(resume.skills, []);
+    const canonical = taxonomy.canonicalizeList(rawSkills);
+    const current = safeParseJSON(resume.skills, []);
+    if (resume.raw_skills !== null && JSON.stringify(canonical) === JSON.stringify(current)) {
+      continue;
+    }
+    await query(
+      'UPDATE resumes SET raw_skills = ?, skills = ? WHERE id = ?',
+      [JSON.stringify(rawSkills), JSON.stringify(canonical), resume.id]
+    );
+    updated++;
+  }
+
+  let jobsUpdated = 0;
+  if (afterId === 0) {
+    const jobs = await query('SELECT id, title, description, requirements, skills FROM job_descriptions');
+    for (const job of jobs) {
+      const skills = taxonomy.findInText(`${job.title}\n${job.description}\n${job.requirements || ''}`);
+      if (JSON.stringify(skills) !== JSON.stringify(safeParseJSON(job.skills, null))) {
+        await query('UPDATE job_descriptions SET skills = ? WHERE id = ?', [JSON.stringify(skills), job.id]);
+        jobsUpdated++;
+      }
+    }
+  }
+
+  console.log(`🏷️  Skills backfill: ${resumes.length} resume(s) processed, ${updated} updated, ${jobsUpdated} job description(s) updated`);
+
+  return {
+    processed: resumes.length,
+    updated,
+    jobsUpdated,
+    next_after_id: resumes.length === limit ? resumes[resumes.length - 1].id : null
+  };
+}
+
+module.exports = {
+  MAX_BACKFILL_BATCH,
+  backfillCanonicalSkills,
+  normalizeSkillKey,
+  buildTaxonomy,
+  getSkillTaxonomy,
+  invalidateSkillTaxonomy,
+  canonicalizeSkills,
+  findSkillsInText
+};
@@ -0,0 +1,12 @@
+// SQL helpers shared by the routes and utils
+
+/**
+ * Placeholder list for an IN (...) or VALUES (...) clause with one ? per value
+ * @param {Array<*>} values
+ * @returns {string} e.g. "?, ?, ?"
+ */
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+module.exports = {
+  placeholders
+};
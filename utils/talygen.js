@@ -0,0 +1,106 @@
+const fs = require('fs');
+const FormData = require('form-data');
+const axios = require('axios');
+const { query } = require('../config/database');
+
+// Helper function to upload file to Talygen API and store response
+const uploadToTalygen = async (filePath, fileName, mimetype, resumeId = null, contentHash = null) => {
+  try {
+    let apiToken = process.env.TALYGEN_API_TOKEN;
+    const apiUrl = process.env.TALYGEN_API_URL || 'https://stagefilemedia.talygen.com/api/UploadStreamNew';
+
+    if (!apiToken) {
+      console.warn('⚠️  Talygen API token not configured, skipping Talygen upload');
+      return null;
+    }
+
+    // Trim token in case there are extra spaces
+    apiToken = apiToken.trim();
+
+    // Log token status (first 4 chars only for debugging)
+    const tokenPreview = apiToken.length > 4 ? apiToken.substring(0, 4) + '...' : '***';
+    console.log(`📤 Uploading file to Talygen API: ${fileName} (Token: ${tokenPreview}, Length: ${apiToken.length})${resumeId ? ` [Resume ID: ${resumeId}]` : ''}`);
+
+    // Create form data
+    const formData = new FormData();
+    formData.append('folderId', '0');
+    formData.append('moduleName', 'DocStorage');
+    formData.append('subModuleName', '');
+    formData.append('additionalStorage', '');
+    formData.append('additionalStorageFolderId', '');
+    formData.append('fileDetails', '');
+    formData.append('file', fs.createReadStream(filePath), fileName);
+
+    // Make request to Talygen API
+    // Note: Authorization header must include "Bearer " prefix
+    const authHeader = apiToken.startsWith('Bearer ') ? apiToken : `Bearer ${apiToken}`;
+    const response = await axios.post(apiUrl, formData, {
+      headers: {
+        'Authorization': authHeader,
+        ...formData.getHeaders()
+      },
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
+    });
+
+    console.log(`✅ File uploaded successfully to Talygen API`);
+
+    const apiResponse = response.data;
+
+    // Store response in database with resume_id if provided
+    const result = await query(
+      `INSERT INTO file_uploads (
+        resume_id, original_file_name, file_name, file_path, file_thumb_path, folder_id,
+        file_type, file_size, file_id, upload_status, error_msg, api_response, content_hash
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        resumeId || null,
+        fileName,
+        apiResponse.FileName || null,
+        apiResponse.FilePath || null,
+        apiResponse.FileThumbPath || null,
+        apiResponse.FolderId || null,
+        apiResponse.FileType || null,
+        apiResponse.FileSize || null,
+        JSON.stringify(apiResponse.FileId || apiResponse.FileID || null),
+        apiResponse.UploadStatus || null,
+        apiResponse.ErrorMsg || null,
+        JSON.stringify(apiResponse),
+        contentHash
+      ]
+    );
+
+    console.log(`✅ Talygen upload response saved to database (ID: ${result.insertId}${resumeId ? `, linked to Resume ID: ${resumeId}` : ''})`);
+
+    return {
+      fileUploadId: result.insertId,
+      filePath: apiResponse.FilePath,
+      apiResponse: apiResponse
+    };
+  } catch (error) {
+    console.error(`⚠️  Error uploading to Talygen API:`, error.message);
+    if (error.response) {
+      console.error('API Response Status:', error.response.status);
+      console.error('API Response Data:', error.response.data);
+      console.error('API Response Headers:', error.response.headers);
+      
+      // If 401, provide helpful message
+      if (error.response.status === 401) {
+        console.error('❌ Authentication failed. Please check:');
+        console.error('   1. TALYGEN_API_TOKEN is set in your .env file');
+        console.error('   2. The token is correct and not expired');
+        console.error('   3. The token format matches what the API expects');
+      }
+    } else if (error.request) {
+      console.error('Request was made but no response received:', error.request);
+    } else {
+      console.error('Error setting up request:', error.message);
+    }
+    // Don't throw error - allow resume processing to continue even if Talygen upload fails
+    return null;
+  }
+};
+
+module.exports = {
+  uploadToTalygen
+};
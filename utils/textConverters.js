@@ -0,0 +1,275 @@
+// Plain-text converters for resume formats that have no dedicated extraction library
+
+const windows1252 = new TextDecoder('windows-1252');
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  bull: '•',
+  middot: '·',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  copy: '©',
+  reg: '®',
+  trade: '™'
+};
+
+/**
+ * Decode HTML/XML character entities (named, decimal and hexadecimal)
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Collapse runs of spaces and blank lines left behind by markup removal
+ * @param {string} text
+ * @returns {string}
+ */
+function tidyWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Convert an HTML document to plain text, keeping block structure as line breaks
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<\/(p|div|section|article|header|footer|h[1-6]|li|ul|ol|tr|table|blockquote|pre)\s*>/gi, '\n')
+    .replace(/<\/t[dh]\s*>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+
+  return tidyWhitespace(decodeEntities(text));
+}
+
+/**
+ * Convert the content.xml of an OpenDocument text file to plain text
+ * @param {string} xml - Contents of content.xml
+ * @returns {string}
+ */
+function odtXmlToText(xml) {
+  const text = xml
+    .replace(/<text:s\b[^>]*?(?:text:c="(\d+)")?[^>]*\/>/g, (match, count) => ' '.repeat(parseInt(count) || 1))
+    .replace(/<text:tab\b[^>]*\/>/g, '\t')
+    .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+    .replace(/<\/text:(p|h)>/g, '\n')
+    .replace(/<text:list-item\b[^>]*>/g, '• ')
+    .replace(/<[^>]+>/g, '');
+
+  return tidyWhitespace(decodeEntities(text));
+}
+
+/**
+ * Convert Markdown to plain text. Link targets are kept because profile URLs matter for resumes.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToText(markdown) {
+  const text = markdown
+    .replace(/^```.*$/gm, '')
+    .replace(/!\[([^\]]*)\]\(([^)]*)\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => (label === url ? url : `${label} (${url})`))
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s{0,3}>\s?/gm, '')
+    .replace(/^\s*[-*+]\s+/gm, '• ')
+    .replace(/^\s{0,3}([-*_])(\s*\1){2,}\s*$/gm, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<((?:https?:\/\/|mailto:)[^\s>]+|[^\s@<>]+@[^\s@<>]+)>/gi, '$1')
+    .replace(/<[^>]+>/g, '');
+
+  return tidyWhitespace(decodeEntities(text));
+}
+
+// RTF destinations whose content is formatting metadata rather than document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'objdata', 'themedata',
+  'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'mmathpr', 'pgdsctbl', 'filetbl', 'revtbl', 'fldinst', 'bkmkstart', 'bkmkend',
+  'shppict', 'nonshppict', 'wgrffmtfilter', 'pnseclvl', 'xmlopen', 'xmlclose'
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  row: '\n',
+  cell: '\t',
+  tab: '\t',
+  bullet: '•',
+  emdash: '—',
+  endash: '–',
+  emspace: ' ',
+  enspace: ' ',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+/**
+ * Convert an RTF document to plain text.
+ * Handles groups, skipped destinations, \'hh (Windows-1252) escapes and \uN unicode characters.
+ * @param {string} rtf
+ * @returns {string}
+ */
+function rtfToText(rtf) {
+  if (!rtf.trimStart().startsWith('{\\rtf')) {
+    throw new Error('File is not a valid RTF document');
+  }
+
+  let output = '';
+  let state = { skip: false, unicodeSkip: 1 };
+  const stack = [];
+  let pendingSkip = 0; // Fallback characters to ignore after a \uN character
+  let i = 0;
+
+  const emit = (text) => {
+    if (state.skip) {
+      return;
+    }
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    output += text;
+  };
+
+  while (i < rtf.length) {
+    const ch = rtf[i];
+
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+      continue;
+    }
+
+    if (ch === '}') {
+      state = stack.pop() || state;
+      pendingSkip = 0;
+      i++;
+      continue;
+    }
+
+    if (ch === '\r' || ch === '\n') {
+      i++;
+      continue;
+    }
+
+    if (ch !== '\\') {
+      emit(ch);
+      i++;
+      continue;
+    }
+
+    // Control symbol or control word
+    const next = rtf[i + 1];
+
+    if (next === '\\' || next === '{' || next === '}') {
+      emit(next);
+      i += 2;
+      continue;
+    }
+
+    if (next === "'") {
+      const byte = parseInt(rtf.substr(i + 2, 2), 16);
+      if (!isNaN(byte)) {
+        emit(windows1252.decode(Uint8Array.of(byte)));
+      }
+      i += 4;
+      continue;
+    }
+
+    if (next === '*') {
+      // Ignorable destination: skip the whole group unless we understand it
+      state.skip = true;
+      i += 2;
+      continue;
+    }
+
+    if (next === '~') {
+      emit(' ');
+      i += 2;
+      continue;
+    }
+
+    if (next === '_') {
+      emit('-');
+      i += 2;
+      continue;
+    }
+
+    if (next === '\n' || next === '\r') {
+      emit('\n');
+      i += 2;
+      continue;
+    }
+
+    const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+    if (!match) {
+      // Other control symbols (\-, \:, \|) have no text representation
+      i += 2;
+      continue;
+    }
+
+    const word = match[1];
+    const param = match[2] !== undefined ? parseInt(match[2], 10) : null;
+    i += 1 + match[0].length;
+
+    if (RTF_SKIPPED_DESTINATIONS.has(word.toLowerCase())) {
+      state.skip = true;
+    } else if (word === 'uc' && param !== null) {
+      state.unicodeSkip = param;
+    } else if (word === 'u' && param !== null) {
+      emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+      if (!state.skip) {
+        pendingSkip = state.unicodeSkip;
+      }
+    } else if (RTF_SYMBOLS[word] !== undefined) {
+      emit(RTF_SYMBOLS[word]);
+    }
+  }
+
+  return tidyWhitespace(output);
+}
+
+module.exports = {
+  htmlToText,
+  odtXmlToText,
+  markdownToText,
+  rtfToText
+};